@@ -1,76 +1,245 @@
-import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged, signOut, signInWithEmailAndPassword } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, doc, setDoc, deleteDoc, query, where, addDoc } from 'firebase/firestore';
+import React, { useState, useEffect, useRef } from 'react';
+import { signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import { onSnapshot, query, orderBy, limit } from 'firebase/firestore';
+import { validateMovieFields, hasErrors } from './movieSchema';
+import { DEFAULT_LOCALE, isSupportedLocale, detectLocale, createTranslator } from './i18n';
+import { initFirebaseServices, getInitialAuthToken } from './firebase';
+import { ROLE_PERMISSIONS, toAuthUser, resolveUserRole } from './accounts';
+import { NARRATION_VOICES, DEFAULT_NARRATION_VOICE, fetchSummary, fetchTranslation, fetchNarration } from './geminiClient';
+import { base64ToArrayBuffer, pcmToWav } from './wavUtils';
+import { readStoredSetting, storeSetting, readCachedNarration, writeCachedNarration, readQueuedSubmissions, writeQueuedSubmission, deleteQueuedSubmission } from './browserStorage';
+import { POSTER_SIZES, resizeImage } from './posters';
+import { normalizeTitle, matchDuplicates, DUPLICATE_PREFIX_LENGTH } from './duplicates';
+import { getCachedTranslation, needsTranslation, getLocalizedDescription } from './movieTranslations';
+import { DEFAULT_FILTERS, parseFilters, buildFilterSearch, filterAndSortMovies } from './catalogFilters';
+import {
+    moviesCollection, movieDoc, submissionsCollection, userDoc, libraryCollection, notificationsCollection,
+    toRecords, toMillis, SORT_ORDERINGS, PENDING_SUBMISSIONS_ORDERING, buildPagedQuery, fetchNextPage,
+    fetchMoviesByTitlePrefix, saveGeneratedSummary, createSubmission,
+    saveUserProfile, saveLibraryEntry, uploadPosterImages
+} from './repository';
+import { AuthContext, MessageContext, LocaleContext, NavigationContext, LibraryContext, NarrationContext } from './contexts';
+import { Header } from './components/Header';
+import { CatalogFilters, MovieList } from './components/MovieList';
+import { MovieDetail } from './components/MovieDetail';
+import { SubmissionForm } from './components/SubmissionForm';
+import { MySubmissions } from './components/MySubmissions';
+import { Watchlist } from './components/Watchlist';
+import { Notifications, NotificationSettings, NOTIFICATION_LIMIT } from './components/Notifications';
+import { SignIn, Profile, StaffSignIn } from './components/Account';
+import { AdminPanel } from './components/AdminPanel';
+import { RoleManager } from './components/RoleManager';
+import { AuditLog } from './components/AuditLog';
+import { CatalogTools } from './components/CatalogTools';
+import { Analytics } from './components/Analytics';
+import { NarrationPlayer } from './components/Narration';
+import { CollectionPage } from './components/Collections';
+
+// --- Installable app ---
+// The manifest and service worker are served from the hosting root (see public/).
+const MANIFEST_URL = '/manifest.webmanifest';
+const SERVICE_WORKER_URL = '/service-worker.js';
+
+const registerServiceWorker = () => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.error("Error registering service worker:", error);
+    });
+};
+
+// The app has no HTML template of its own, so the manifest link is added at runtime
+const injectManifestLink = () => {
+    if (document.querySelector('link[rel="manifest"]')) return;
+    const link = document.createElement('link');
+    link.rel = 'manifest';
+    link.href = MANIFEST_URL;
+    document.head.appendChild(link);
+};
 
+const MOVIES_PAGE_SIZE = 12;
+const SUBMISSIONS_PAGE_SIZE = 20;
+
+// Queued submissions that fail to send are retried after 30 seconds, doubling up to 15 minutes
+const QUEUE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_QUEUE_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Maps a URL path onto one of the app's routes. Unknown paths fall back to the movie list.
+const matchRoute = (pathname) => {
+    const movieMatch = pathname.match(/^\/movies\/([^/]+)\/?$/);
+    if (movieMatch) {
+        return { name: 'movie', params: { id: decodeURIComponent(movieMatch[1]) } };
+    }
+    const collectionMatch = pathname.match(/^\/collections\/([^/]+)\/?$/);
+    if (collectionMatch) {
+        return { name: 'collection', params: { id: decodeURIComponent(collectionMatch[1]) } };
+    }
+    switch (pathname.replace(/\/+$/, '')) {
+        case '/submit':
+            return { name: 'submit', params: {} };
+        case '/admin':
+            return { name: 'admin', params: {} };
+        case '/admin/roles':
+            return { name: 'roles', params: {} };
+        case '/admin/audit':
+            return { name: 'audit', params: {} };
+        case '/admin/catalog':
+            return { name: 'catalog', params: {} };
+        case '/admin/analytics':
+            return { name: 'analytics', params: {} };
+        case '/my-submissions':
+            return { name: 'mySubmissions', params: {} };
+        case '/watchlist':
+            return { name: 'watchlist', params: {} };
+        case '/notifications':
+            return { name: 'notifications', params: {} };
+        case '/notifications/settings':
+            return { name: 'notificationSettings', params: {} };
+        case '/signin':
+            return { name: 'signIn', params: {} };
+        case '/profile':
+            return { name: 'profile', params: {} };
+        default:
+            return { name: 'list', params: {} };
+    }
+};
+
+// Owns the session, the catalog listeners, narration playback and routing. Everything shared with the
+// screens in components/ is handed down through the providers in contexts.js.
 const App = () => {
     // State variables for Firebase
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
-    const [isAdmin, setIsAdmin] = useState(false);
+    const [role, setRole] = useState('member');
+    const [authUser, setAuthUser] = useState(null);
+    const [profile, setProfile] = useState(null);
 
     // App state
     const [movies, setMovies] = useState([]);
     const [submissions, setSubmissions] = useState([]);
-    const [view, setView] = useState('list'); // 'list', 'submit', 'admin'
+    const [movieCursor, setMovieCursor] = useState(null); // { sort, snapshot } of the last loaded movie page
+    const [hasMoreMovies, setHasMoreMovies] = useState(false);
+    const [isLoadingMoreMovies, setIsLoadingMoreMovies] = useState(false);
+    const [submissionCursor, setSubmissionCursor] = useState(null);
+    const [hasMoreSubmissions, setHasMoreSubmissions] = useState(false);
+    const lastMovieDocRef = useRef(null);
+    const lastSubmissionDocRef = useRef(null);
+    const [path, setPath] = useState(window.location.pathname);
+    const [search, setSearch] = useState(window.location.search);
+    const [detailMovie, setDetailMovie] = useState(undefined); // undefined while loading, null if not found
     const [isLoading, setIsLoading] = useState(true);
     const [message, setMessage] = useState(null);
+    const [locale, setLocale] = useState(() => {
+        const storedLocale = readStoredSetting('locale', null);
+        return isSupportedLocale(storedLocale) ? storedLocale : detectLocale();
+    });
+    const [translatingMovieId, setTranslatingMovieId] = useState(null);
+    const translationRequestsRef = useRef(new Set());
     const [isGenerating, setIsGenerating] = useState({}); // To track which movie is generating a summary
-    const [isReading, setIsReading] = useState({}); // To track which movie's description is being read
+    const [narration, setNarration] = useState(null); // { movie, status: 'loading' | 'playing' | 'paused' }
+    const [narrationVoice, setNarrationVoice] = useState(() => {
+        const storedVoice = readStoredSetting('narrationVoice', DEFAULT_NARRATION_VOICE);
+        return NARRATION_VOICES.some(voice => voice.id === storedVoice) ? storedVoice : DEFAULT_NARRATION_VOICE;
+    });
+    const audioRef = useRef(null);
+    const audioUrlRef = useRef(null);
+    const narrationRequestRef = useRef(0); // Lets a newer play or stop cancel a narration that is still loading
+    const [library, setLibrary] = useState({}); // Watchlist and watched entries keyed by movie ID
+    const [notifications, setNotifications] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [queuedSubmissionCount, setQueuedSubmissionCount] = useState(0);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const isSyncingRef = useRef(false);
+
+    const t = createTranslator(locale);
+    const route = matchRoute(path);
+    const filters = parseFilters(search);
+    const visibleMovies = filterAndSortMovies(movies, filters);
+    const detailMovieId = route.name === 'movie' ? route.params.id : null;
+    const unreadNotificationCount = notifications.filter(notification => !notification.read).length;
+
+    // Role-based permissions. The first admin has to be seeded by hand, either with a
+    // `role: 'admin'` custom claim or a document in the roles collection; after that,
+    // admins can grant and revoke roles from the Manage Roles screen.
+    const hasPermission = (permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+    const isAdmin = role === 'admin';
+    const canModerate = hasPermission('moderate');
+    const canManageCatalog = hasPermission('manageCatalog');
+    const canViewAnalytics = hasPermission('viewAnalytics');
+
+    // Keep the page language in step for screen readers and the browser's own translation offers
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    // A signed-in user's saved language follows them to other devices
+    useEffect(() => {
+        if (profile && isSupportedLocale(profile.locale) && profile.locale !== locale) {
+            setLocale(profile.locale);
+            storeSetting('locale', profile.locale);
+        }
+    }, [profile]);
 
-    // IMPORTANT: For a simple demonstration, a hardcoded admin list is used.
-    // In a production application, you would manage admin roles in Firestore
-    // and check the user's document for an 'isAdmin' flag.
-    const ADMIN_USER_ID = "admin-user-id"; // Replace with your actual admin user ID after first login
-    const ADMIN_EMAIL = "admin@example.com";
-    const ADMIN_PASSWORD = "your-secure-password";
+    // Make the app installable and cache the shell for offline use
+    useEffect(() => {
+        injectManifestLink();
+        registerServiceWorker();
+    }, []);
+
+    // Track connectivity for the sync indicator and the offline submission queue
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
 
     // Firebase Initialization and Authentication
     useEffect(() => {
         const initFirebase = async () => {
             try {
-                // IMPORTANT: These are global variables provided by the Canvas environment.
-                const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-                const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
-
-                if (!Object.keys(firebaseConfig).length) {
+                const services = initFirebaseServices();
+                if (!services) {
                     console.error('Firebase config is not available.');
-                    setMessage({ type: 'error', text: 'Firebase configuration is missing.' });
+                    setMessage({ type: 'error', text: t('error.firebaseConfig') });
                     setIsLoading(false);
                     return;
                 }
-
-                const app = initializeApp(firebaseConfig);
-                const firestoreDb = getFirestore(app);
-                const firestoreAuth = getAuth(app);
+                const { db: firestoreDb, auth: firestoreAuth, storage: firebaseStorage } = services;
 
                 // Use the provided custom auth token for authentication
-                const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+                const initialAuthToken = getInitialAuthToken();
                 if (initialAuthToken) {
                     await signInWithCustomToken(firestoreAuth, initialAuthToken);
                 } else {
                     await signInAnonymously(firestoreAuth);
                 }
 
-                // Listen for auth state changes to update the user ID and admin status
-                onAuthStateChanged(firestoreAuth, (user) => {
+                // Listen for auth state changes to update the user ID and role
+                onAuthStateChanged(firestoreAuth, async (user) => {
                     if (user) {
                         setUserId(user.uid);
-                        // Check if the authenticated user is the admin
-                        setIsAdmin(user.uid === ADMIN_USER_ID);
+                        setAuthUser(toAuthUser(user));
+                        setRole(await resolveUserRole(firestoreDb, user));
                     } else {
                         setUserId(crypto.randomUUID());
-                        setIsAdmin(false);
+                        setAuthUser(null);
+                        setRole('member');
                     }
                     setDb(firestoreDb);
                     setAuth(firestoreAuth);
+                    setStorage(firebaseStorage);
                     setIsLoading(false);
                 });
 
             } catch (error) {
                 console.error('Error initializing Firebase:', error);
-                setMessage({ type: 'error', text: 'Failed to initialize the app.' });
+                setMessage({ type: 'error', text: t('error.init') });
                 setIsLoading(false);
             }
         };
@@ -84,41 +253,228 @@ const App = () => {
             return;
         }
 
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+        // A cursor belongs to the sort it was loaded with; changing the sort starts over from the first page
+        const cursor = movieCursor && movieCursor.sort === filters.sort ? movieCursor.snapshot : null;
 
-        // Listen for real-time changes to the movies collection
-        const movieCollectionRef = collection(db, `artifacts/${appId}/public/data/movies`);
-        const unsubscribeMovies = onSnapshot(movieCollectionRef, (snapshot) => {
-            const movieData = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setMovies(movieData);
+        // Listen for real-time changes to the loaded pages of the movies collection
+        const movieQuery = buildPagedQuery(moviesCollection(db), SORT_ORDERINGS[filters.sort], cursor, MOVIES_PAGE_SIZE);
+        const unsubscribeMovies = onSnapshot(movieQuery, (snapshot) => {
+            setMovies(toRecords(snapshot));
+            lastMovieDocRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+            if (!cursor) {
+                setHasMoreMovies(snapshot.size === MOVIES_PAGE_SIZE);
+            }
         }, (error) => {
             console.error("Error fetching movies:", error);
-            setMessage({ type: 'error', text: 'Failed to load movie data.' });
+            setMessage({ type: 'error', text: t('error.loadMovies') });
         });
 
-        // Listen for real-time changes to the submissions collection (admin view)
-        const submissionCollectionRef = collection(db, `artifacts/${appId}/public/data/submissions`);
-        const unsubscribeSubmissions = onSnapshot(submissionCollectionRef, (snapshot) => {
-            const submissionData = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setSubmissions(submissionData);
+        // Clean up listeners on component unmount
+        return () => unsubscribeMovies();
+
+    }, [db, userId, filters.sort, movieCursor]);
+
+    // Submissions are only readable by moderators, so only listen once the role is confirmed.
+    // They are loaded here rather than in the admin panel because duplicate checks on the submit form use them too.
+    useEffect(() => {
+        if (!db || !canModerate) {
+            setSubmissions([]);
+            return;
+        }
+
+        // Listen for real-time changes to pending submissions, oldest first
+        const submissionQuery = buildPagedQuery(submissionsCollection(db), PENDING_SUBMISSIONS_ORDERING, submissionCursor, SUBMISSIONS_PAGE_SIZE);
+        const unsubscribeSubmissions = onSnapshot(submissionQuery, (snapshot) => {
+            setSubmissions(toRecords(snapshot));
+            lastSubmissionDocRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+            if (!submissionCursor) {
+                setHasMoreSubmissions(snapshot.size === SUBMISSIONS_PAGE_SIZE);
+            }
         }, (error) => {
             console.error("Error fetching submissions:", error);
-            // This is a background task, no need to show error to user
+            setMessage({ type: 'error', text: t('error.loadSubmissions') });
         });
 
-        // Clean up listeners on component unmount
-        return () => {
-            unsubscribeMovies();
-            unsubscribeSubmissions();
+        return () => unsubscribeSubmissions();
+    }, [db, canModerate, submissionCursor]);
+
+    // Profile document for signed-in (non-anonymous) users
+    useEffect(() => {
+        if (!db || !authUser || authUser.isAnonymous) {
+            setProfile(null);
+            return;
+        }
+
+        const unsubscribe = onSnapshot(userDoc(db, authUser.uid), (snapshot) => {
+            setProfile(snapshot.exists() ? snapshot.data() : null);
+        }, (error) => {
+            console.error("Error fetching profile:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, authUser]);
+
+    // The user's watchlist and watched movies, kept in sync across devices
+    useEffect(() => {
+        if (!db || !authUser) {
+            setLibrary({});
+            return;
+        }
+
+        const unsubscribe = onSnapshot(libraryCollection(db, authUser.uid), (snapshot) => {
+            const entries = {};
+            snapshot.docs.forEach(doc => {
+                entries[doc.id] = { id: doc.id, ...doc.data() };
+            });
+            setLibrary(entries);
+        }, (error) => {
+            console.error("Error fetching watchlist:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, authUser]);
+
+    // The user's latest notifications, for the header badge and the notification center
+    useEffect(() => {
+        if (!db || !authUser) {
+            setNotifications([]);
+            return;
+        }
+
+        const notificationQuery = query(notificationsCollection(db, authUser.uid), orderBy('createdAt', 'desc'), limit(NOTIFICATION_LIMIT));
+        const unsubscribe = onSnapshot(notificationQuery, (snapshot) => {
+            setNotifications(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching notifications:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, authUser]);
+
+    // Gathers movies (and, for moderators, other pending submissions) that look like the given title.
+    // Catalog movies are looked up by title prefix, so see duplicates.js for what that misses. Pass the
+    // same `prefixCache` Map to a batch of checks so each prefix is only queried once.
+    const findDuplicates = async (name, year, { excludeSubmissionId = null, prefixCache = null } = {}) => {
+        const normalized = normalizeTitle(name);
+        if (!db || normalized.length < DUPLICATE_PREFIX_LENGTH) return [];
+
+        const prefix = normalized.slice(0, DUPLICATE_PREFIX_LENGTH);
+        let lookup = prefixCache && prefixCache.get(prefix);
+        if (!lookup) {
+            lookup = fetchMoviesByTitlePrefix(db, prefix);
+            if (prefixCache) prefixCache.set(prefix, lookup);
+        }
+        const prefixMatches = await lookup;
+
+        const candidates = new Map();
+        [...prefixMatches, ...movies].forEach(movie => {
+            candidates.set(`movie:${movie.id}`, { id: movie.id, type: 'movie', name: movie.name, year: movie.year });
+        });
+        if (canModerate) {
+            submissions
+                .filter(submission => submission.id !== excludeSubmissionId)
+                .forEach(submission => {
+                    candidates.set(`submission:${submission.id}`, { id: submission.id, type: 'submission', name: submission.name, year: submission.year });
+                });
+        }
+        return matchDuplicates(name, year, [...candidates.values()]);
+    };
+
+    const loadMoreMovies = async () => {
+        if (!db || !lastMovieDocRef.current || isLoadingMoreMovies) return;
+        setIsLoadingMoreMovies(true);
+        try {
+            const nextDocs = await fetchNextPage(moviesCollection(db), SORT_ORDERINGS[filters.sort], lastMovieDocRef.current, MOVIES_PAGE_SIZE);
+            if (nextDocs.length > 0) {
+                setMovieCursor({ sort: filters.sort, snapshot: nextDocs[nextDocs.length - 1] });
+            }
+            setHasMoreMovies(nextDocs.length === MOVIES_PAGE_SIZE);
+        } catch (error) {
+            console.error("Error loading more movies:", error);
+            showMessage('error', t('error.loadMoreMovies'));
+        } finally {
+            setIsLoadingMoreMovies(false);
+        }
+    };
+
+    const loadMoreSubmissions = async () => {
+        if (!db || !lastSubmissionDocRef.current) return;
+        try {
+            const nextDocs = await fetchNextPage(submissionsCollection(db), PENDING_SUBMISSIONS_ORDERING, lastSubmissionDocRef.current, SUBMISSIONS_PAGE_SIZE);
+            if (nextDocs.length > 0) {
+                setSubmissionCursor(nextDocs[nextDocs.length - 1]);
+            }
+            setHasMoreSubmissions(nextDocs.length === SUBMISSIONS_PAGE_SIZE);
+        } catch (error) {
+            console.error("Error loading more submissions:", error);
+            showMessage('error', t('error.loadMoreSubmissions'));
+        }
+    };
+
+    // Keep the route in sync with the browser's back and forward buttons
+    useEffect(() => {
+        const handlePopState = () => {
+            setPath(window.location.pathname);
+            setSearch(window.location.search);
         };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const navigate = (to) => {
+        if (to !== window.location.pathname + window.location.search) {
+            window.history.pushState({}, '', to);
+        }
+        setPath(window.location.pathname);
+        setSearch(window.location.search);
+        window.scrollTo(0, 0);
+    };
 
-    }, [db, userId]);
+    // Filter changes replace the current history entry so typing a search doesn't flood the back button
+    const updateFilters = (changes) => {
+        const nextSearch = buildFilterSearch({ ...filters, ...changes });
+        window.history.replaceState({}, '', window.location.pathname + nextSearch);
+        setSearch(nextSearch);
+    };
+
+    // The detail page listens to its own document, so deep links work before the list has loaded
+    useEffect(() => {
+        if (!db || !detailMovieId) {
+            setDetailMovie(undefined);
+            return;
+        }
+
+        const unsubscribeMovie = onSnapshot(movieDoc(db, detailMovieId), (snapshot) => {
+            setDetailMovie(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => {
+            console.error("Error fetching movie:", error);
+            setMessage({ type: 'error', text: t('error.loadMovie') });
+            setDetailMovie(null);
+        });
+
+        return () => unsubscribeMovie();
+    }, [db, detailMovieId]);
+
+    useEffect(() => {
+        document.title = detailMovie ? `${detailMovie.name} | Horror Movie Hub` : 'Horror Movie Hub';
+    }, [detailMovie]);
+
+    // Translate the open movie when the chosen language has nothing cached yet. The proxy stores the
+    // translation on the movie document, so it arrives through the detail listener. Each movie is only
+    // requested once per language and published summary, even if the request fails.
+    useEffect(() => {
+        if (!detailMovie || !auth || !needsTranslation(detailMovie, locale)) {
+            return;
+        }
+        const requestKey = `${detailMovie.id}:${locale}:${toMillis(detailMovie.summaryReviewedAt)}`;
+        if (translationRequestsRef.current.has(requestKey)) {
+            return;
+        }
+        translationRequestsRef.current.add(requestKey);
+        requestTranslation(detailMovie, locale).catch(error => {
+            console.error("Error translating movie:", error);
+        });
+    }, [detailMovie, locale, auth]);
 
     // UI State Management for a better user experience
     const showMessage = (type, text) => {
@@ -127,507 +483,437 @@ const App = () => {
     };
 
     // --- Gemini API Functionality ---
-    const generateSummary = async (movieId, movieDescription) => {
-        setIsGenerating(prev => ({ ...prev, [movieId]: true }));
-        try {
-            const prompt = `Write a very short, spooky, and enticing summary for a horror movie with the following description: ${movieDescription}. The summary should be 1-2 sentences.`;
-            let retries = 0;
-            const maxRetries = 5;
-            let response;
-            let result;
 
-            while (retries < maxRetries) {
-                try {
-                    const payload = { contents: [{ parts: [{ text: prompt }] }] };
-                    const apiKey = "";
-                    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-                    response = await fetch(apiUrl, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(payload)
-                    });
-
-                    if (response.status === 429) { // Too Many Requests
-                        retries++;
-                        const delay = Math.pow(2, retries) * 1000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
-                        continue;
-                    }
-
-                    result = await response.json();
-                    break; // Success, break the loop
-                } catch (error) {
-                    console.error("Fetch attempt failed:", error);
-                    retries++;
-                    const delay = Math.pow(2, retries) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
-
-            if (!response.ok || !result || !result.candidates || result.candidates.length === 0) {
-                throw new Error('API response was not successful or content was missing.');
-            }
+    // Translates a movie's description and published summary, showing the detail page's progress note meanwhile
+    const requestTranslation = async (movie, targetLocale) => {
+        setTranslatingMovieId(movie.id);
+        try {
+            return await fetchTranslation(auth, { movieId: movie.id, language: targetLocale });
+        } finally {
+            setTranslatingMovieId(prev => (prev === movie.id ? null : prev));
+        }
+    };
 
-            const summary = result.candidates[0].content.parts[0].text;
-            setMovies(prevMovies => prevMovies.map(movie =>
-                movie.id === movieId ? { ...movie, geminiSummary: summary } : movie
-            ));
+    // Generates a summary in the current language and stores it on the movie for moderator review.
+    // Only moderators may regenerate a summary once one has been persisted.
+    const generateSummary = async (movie) => {
+        const { id: movieId, description: movieDescription } = movie;
+        if (!db) return;
+        if (movie.geminiSummary && !canModerate) {
+            showMessage('error', t('summary.alreadyExists'));
+            return;
+        }
+        setIsGenerating(prev => ({ ...prev, [movieId]: true }));
+        try {
+            const result = await fetchSummary(auth, { movieId, text: movieDescription, language: locale });
+            await saveGeneratedSummary(db, movieId, { text: result.text, model: result.model, language: locale, generatedBy: userId });
+            showMessage('success', canModerate ? t('summary.generatedForModerator') : t('summary.generated'));
         } catch (error) {
             console.error("Error generating summary:", error);
-            showMessage('error', 'Failed to generate summary.');
+            showMessage('error', t('summary.generateFailed'));
         } finally {
             setIsGenerating(prev => ({ ...prev, [movieId]: false }));
         }
     };
 
-    const playDescription = async (movieId, description) => {
-        setIsReading(prev => ({ ...prev, [movieId]: true }));
-        try {
-            const payload = {
-                contents: [{ parts: [{ text: `Say in a spooky, narrative tone: ${description}` }] }],
-                generationConfig: {
-                    responseModalities: ["AUDIO"],
-                    speechConfig: {
-                        voiceConfig: {
-                            prebuiltVoiceConfig: { voiceName: "Rasalgethi" } // Using a deep, informative voice
-                        }
-                    }
-                },
-                model: "gemini-2.5-flash-preview-tts"
-            };
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${apiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+    // --- Narration Player ---
+    // Only one narration plays at a time; starting another or stopping releases the previous audio.
+
+    const stopNarration = () => {
+        narrationRequestRef.current++;
+        if (audioRef.current) {
+            audioRef.current.pause();
+            audioRef.current.onended = null;
+            audioRef.current = null;
+        }
+        if (audioUrlRef.current) {
+            URL.revokeObjectURL(audioUrlRef.current);
+            audioUrlRef.current = null;
+        }
+        setNarration(null);
+    };
+
+    // Stop playback when the app unmounts
+    useEffect(() => () => {
+        if (audioRef.current) audioRef.current.pause();
+        if (audioUrlRef.current) URL.revokeObjectURL(audioUrlRef.current);
+    }, []);
+
+    const toggleNarration = () => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        if (audio.paused) {
+            // Resuming can be refused, e.g. when the browser blocks playback or the audio device goes away
+            audio.play().catch((error) => {
+                console.error("Error resuming audio:", error);
+                if (audioRef.current === audio) {
+                    showMessage('error', t('narration.failed'));
+                    stopNarration();
+                }
             });
+            setNarration(prev => prev && { ...prev, status: 'playing' });
+        } else {
+            audio.pause();
+            setNarration(prev => prev && { ...prev, status: 'paused' });
+        }
+    };
+
+    const changeNarrationVoice = (voice) => {
+        setNarrationVoice(voice);
+        storeSetting('narrationVoice', voice);
+        // Restart the current narration in the new voice
+        if (narration) {
+            playDescription(narration.movie, voice);
+        }
+    };
+
+    // Narrates the description in the current language, translating it first if nothing is cached yet
+    const playDescription = async (movie, voice = narrationVoice) => {
+        stopNarration();
+        const requestId = narrationRequestRef.current;
+        setNarration({ movie, status: 'loading' });
+        try {
+            let description = getLocalizedDescription(movie, locale);
+            if (locale !== DEFAULT_LOCALE && !getCachedTranslation(movie, locale).description) {
+                const translation = await requestTranslation(movie, locale);
+                description = translation.description || movie.description;
+            }
 
-            const result = await response.json();
-            const part = result?.candidates?.[0]?.content?.parts?.[0];
-            const audioData = part?.inlineData?.data;
-            const mimeType = part?.inlineData?.mimeType;
+            const cacheKey = `${movie.id}:${voice}:${locale}`;
+            let wavBlob = null;
+            try {
+                const cached = await readCachedNarration(cacheKey);
+                if (cached && cached.description === description) {
+                    wavBlob = cached.blob;
+                }
+            } catch (error) {
+                console.error("Error reading narration cache:", error);
+            }
 
-            if (audioData && mimeType && mimeType.startsWith("audio/")) {
+            if (!wavBlob) {
+                const result = await fetchNarration(auth, { movieId: movie.id, text: description, voice, language: locale });
+                const audioData = result.audio;
+                const mimeType = result.mimeType;
+
+                if (!audioData || !mimeType || !mimeType.startsWith("audio/")) {
+                    throw new Error("Invalid audio data received.");
+                }
                 const sampleRate = parseInt(mimeType.match(/rate=(\d+)/)[1], 10);
                 const pcmData = base64ToArrayBuffer(audioData);
                 const pcm16 = new Int16Array(pcmData);
-                const wavBlob = pcmToWav(pcm16, sampleRate);
-                const audioUrl = URL.createObjectURL(wavBlob);
-                const audio = new Audio(audioUrl);
-                audio.play();
-                audio.onended = () => setIsReading(prev => ({ ...prev, [movieId]: false }));
-            } else {
-                throw new Error("Invalid audio data received.");
+                wavBlob = pcmToWav(pcm16, sampleRate);
+                writeCachedNarration(cacheKey, { blob: wavBlob, description, createdAt: Date.now() })
+                    .catch(error => console.error("Error caching narration:", error));
+            }
+
+            if (narrationRequestRef.current !== requestId) {
+                return; // Stopped or replaced while loading
             }
 
+            const audioUrl = URL.createObjectURL(wavBlob);
+            const audio = new Audio(audioUrl);
+            audio.volume = readStoredSetting('narrationVolume', 1);
+            audio.onended = () => stopNarration();
+            audioRef.current = audio;
+            audioUrlRef.current = audioUrl;
+            await audio.play();
+            setNarration({ movie, status: 'playing' });
         } catch (error) {
             console.error("Error playing audio:", error);
-            showMessage('error', 'Failed to play audio.');
-            setIsReading(prev => ({ ...prev, [movieId]: false }));
+            if (narrationRequestRef.current === requestId) {
+                showMessage('error', t('narration.failed'));
+                stopNarration();
+            }
         }
     };
 
-    // Helper function to convert base64 to ArrayBuffer
-    const base64ToArrayBuffer = (base64) => {
-        const binaryString = atob(base64);
-        const len = binaryString.length;
-        const bytes = new Uint8Array(len);
-        for (let i = 0; i < len; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+    // The language is kept in this browser and, for signed-in users, on their profile
+    const changeLocale = async (nextLocale) => {
+        if (!isSupportedLocale(nextLocale)) return;
+        setLocale(nextLocale);
+        storeSetting('locale', nextLocale);
+        if (db && authUser && !authUser.isAnonymous) {
+            try {
+                await saveUserProfile(db, authUser.uid, { locale: nextLocale });
+            } catch (error) {
+                console.error("Error saving language:", error);
+            }
         }
-        return bytes.buffer;
     };
 
-    // Helper function to convert PCM data to WAV Blob
-    const pcmToWav = (pcmData, sampleRate) => {
-        const numChannels = 1;
-        const bitsPerSample = 16;
-        const byteRate = (bitsPerSample * sampleRate * numChannels) / 8;
-        const blockAlign = (numChannels * bitsPerSample) / 8;
-
-        const buffer = new ArrayBuffer(44 + pcmData.byteLength);
-        const view = new DataView(buffer);
-
-        // RIFF header
-        writeString(view, 0, 'RIFF');
-        view.setUint32(4, 36 + pcmData.byteLength, true);
-        writeString(view, 8, 'WAVE');
-
-        // fmt sub-chunk
-        writeString(view, 12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true); // PCM format
-        view.setUint16(22, numChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, byteRate, true);
-        view.setUint16(32, blockAlign, true);
-        view.setUint16(34, bitsPerSample, true);
-
-        // data sub-chunk
-        writeString(view, 36, 'data');
-        view.setUint32(40, pcmData.byteLength, true);
-
-        // Write PCM data
-        for (let i = 0; i < pcmData.length; i++) {
-            view.setInt16(44 + i * 2, pcmData[i], true);
-        }
-
-        return new Blob([view], { type: 'audio/wav' });
-    };
+    // --- Watchlist ---
 
-    const writeString = (view, offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
+    const updateLibraryEntry = async (movie, changes) => {
+        if (!db || !userId) return;
+        await saveLibraryEntry(db, userId, movie, library[movie.id], changes);
     };
 
-    // --- Component Logic for Submissions and Admin ---
-
-    const handleAdminLogin = async (email, password) => {
-        if (!auth) return;
+    const handleToggleWatchlist = async (movie) => {
+        const inWatchlist = !(library[movie.id] && library[movie.id].inWatchlist);
         try {
-            await signInWithEmailAndPassword(auth, email, password);
-            showMessage('success', 'Admin login successful!');
-            setView('admin'); // Navigate to admin panel after login
+            await updateLibraryEntry(movie, { inWatchlist });
+            showMessage('success', t(inWatchlist ? 'watchlist.added' : 'watchlist.removed', { name: movie.name }));
         } catch (error) {
-            console.error("Error logging in:", error);
-            showMessage('error', 'Admin login failed. Please check your credentials.');
+            console.error("Error updating watchlist:", error);
+            showMessage('error', t('watchlist.updateFailed'));
         }
     };
 
-    const handleAdminLogout = async () => {
-        if (!auth) return;
+    const handleToggleWatched = async (movie) => {
+        const watched = !(library[movie.id] && library[movie.id].watched);
         try {
-            await signOut(auth);
-            showMessage('success', 'Logged out successfully.');
-            setView('list'); // Redirect to movie list after logout
+            await updateLibraryEntry(movie, { watched });
         } catch (error) {
-            console.error("Error logging out:", error);
-            showMessage('error', 'Failed to log out.');
+            console.error("Error updating watched status:", error);
+            showMessage('error', t('watchlist.watchedFailed'));
         }
     };
 
-    const handleApproveSubmission = async (submission) => {
-        if (!db) return;
-        try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            const movieRef = doc(collection(db, `artifacts/${appId}/public/data/movies`));
-            const submissionRef = doc(db, `artifacts/${appId}/public/data/submissions`, submission.id);
-
-            // Add the new movie to the public movies collection
-            await setDoc(movieRef, {
-                name: submission.name,
-                description: submission.description,
-                rating: submission.rating,
-                imageUrl: submission.imageUrl || 'https://placehold.co/400x600/1a1a1a/ff6b6b?text=Movie+Image'
-            });
+    // --- Submissions ---
+
+    // Uploads the poster and creates the submission document. `timestamp` is when the user submitted,
+    // which for queued submissions is earlier than when they reach Firestore.
+    const sendSubmission = async (values, posterFile, timestamp = new Date()) => {
+        let posterFields = {};
+        if (posterFile) {
+            const [full, thumb] = await Promise.all([
+                resizeImage(posterFile, POSTER_SIZES.full),
+                resizeImage(posterFile, POSTER_SIZES.thumb)
+            ]);
+            posterFields = await uploadPosterImages(storage, userId, { full, thumb });
+        }
+        await createSubmission(db, values, { submittedBy: userId, posterFields, timestamp });
+    };
 
-            // Delete the submission from the submissions collection
-            await deleteDoc(submissionRef);
+    const handleSubmitNewMovie = async (movieData, posterFile) => {
+        if (!db) return false;
+        const { values, errors } = validateMovieFields(movieData, { locale });
+        if (hasErrors(errors)) {
+            showMessage('error', Object.values(errors)[0]);
+            return false;
+        }
 
-            showMessage('success', `"${submission.name}" approved successfully!`);
-        } catch (error) {
-            console.error("Error approving submission:", error);
-            showMessage('error', `Failed to approve "${submission.name}".`);
+        // Poster uploads fail and Firestore writes never resolve without a connection, so queue instead
+        if (!navigator.onLine) {
+            try {
+                await writeQueuedSubmission({ id: crypto.randomUUID(), userId, values, posterFile, queuedAt: Date.now() });
+                setQueuedSubmissionCount(prev => prev + 1);
+                showMessage('success', t('submit.queued'));
+                navigate('/');
+                return true;
+            } catch (error) {
+                console.error("Error queueing submission:", error);
+                showMessage('error', t('submit.queueFailed'));
+                return false;
+            }
         }
-    };
 
-    const handleRejectSubmission = async (submissionId) => {
-        if (!db) return;
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            const submissionRef = doc(db, `artifacts/${appId}/public/data/submissions`, submissionId);
-            await deleteDoc(submissionRef);
-            showMessage('success', 'Submission rejected.');
+            await sendSubmission(values, posterFile);
+            showMessage('success', t('submit.submitted'));
+            navigate('/'); // Redirect to movie list after submission
+            return true;
         } catch (error) {
-            console.error("Error rejecting submission:", error);
-            showMessage('error', 'Failed to reject submission.');
+            console.error("Error submitting movie:", error);
+            showMessage('error', t('submit.failed'));
+            return false;
         }
     };
 
-    const handleSubmitNewMovie = async (movieData) => {
-        if (!db) return;
+    // Sends submissions queued while offline. Entries belong to the user who queued them and stay
+    // in the queue if that user isn't the one signed in, or if sending fails. Resolves to the number
+    // of the user's entries still waiting, or null if the queue couldn't be read or is already syncing.
+    const flushSubmissionQueue = async () => {
+        if (!db || !userId || isSyncingRef.current) return null;
+        isSyncingRef.current = true;
+        setIsSyncing(true);
+        let sentCount = 0;
+        let remainingCount = null;
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            const submissionRef = collection(db, `artifacts/${appId}/public/data/submissions`);
-            await addDoc(submissionRef, {
-                ...movieData,
-                submittedBy: userId,
-                timestamp: new Date()
-            });
-            showMessage('success', 'Your movie has been submitted for review!');
-            setView('list'); // Redirect to movie list after submission
+            const entries = await readQueuedSubmissions();
+            for (const entry of entries.filter(queued => queued.userId === userId)) {
+                try {
+                    await sendSubmission(entry.values, entry.posterFile, new Date(entry.queuedAt));
+                    await deleteQueuedSubmission(entry.id);
+                    sentCount++;
+                } catch (error) {
+                    console.error("Error sending queued submission:", error);
+                }
+            }
+            const remaining = await readQueuedSubmissions();
+            remainingCount = remaining.filter(queued => queued.userId === userId).length;
+            setQueuedSubmissionCount(remainingCount);
         } catch (error) {
-            console.error("Error submitting movie:", error);
-            showMessage('error', 'Failed to submit movie.');
+            console.error("Error reading the submission queue:", error);
+        } finally {
+            isSyncingRef.current = false;
+            setIsSyncing(false);
         }
+        if (sentCount > 0) {
+            showMessage('success', t('submit.queueSent', { count: sentCount }));
+        }
+        return remainingCount;
     };
 
-    // --- UI Components ---
-
-    const Header = () => (
-        <header className="bg-neutral-800 text-white p-4 shadow-lg rounded-b-xl flex justify-between items-center flex-wrap">
-            <h1 className="text-3xl font-bold tracking-wide text-red-500 font-inter">Horror Movie Hub</h1>
-            <nav className="flex space-x-4 mt-2 sm:mt-0">
-                <button onClick={() => setView('list')} className="px-4 py-2 bg-red-600 hover:bg-red-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">Movies</button>
-                <button onClick={() => setView('submit')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">Submit a Movie</button>
-                {isAdmin ? (
-                    <button onClick={() => setView('admin')} className="px-4 py-2 bg-red-600 hover:bg-red-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">Admin Panel</button>
-                ) : (
-                    <button onClick={() => setView('admin')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">Admin Login</button>
-                )}
-                {isAdmin && (
-                    <button onClick={handleAdminLogout} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">Logout</button>
-                )}
-            </nav>
-        </header>
-    );
-
-    const MovieList = () => (
-        <div className="container mx-auto p-4">
-            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">Featured Films</h2>
-            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                {movies.map(movie => (
-                    <div key={movie.id} className="bg-neutral-900 text-white rounded-lg shadow-xl overflow-hidden transform hover:scale-105 transition-transform duration-300">
-                        <img
-                            src={movie.imageUrl}
-                            alt={movie.name}
-                            className="w-full h-72 object-cover"
-                            onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/400x600/1a1a1a/ff6b6b?text=Movie+Image" }}
-                        />
-                        <div className="p-5">
-                            <h3 className="text-xl font-bold text-red-500 mb-2">{movie.name}</h3>
-                            <p className="text-sm text-neutral-400 mb-3">{movie.description}</p>
-                            
-                            {/* Gemini Spooky Summary */}
-                            {movie.geminiSummary && (
-                                <p className="text-sm font-semibold text-red-400 mb-3 border-l-2 border-red-500 pl-2 italic">
-                                    "✨ {movie.geminiSummary}"
-                                </p>
-                            )}
-
-                            <div className="flex items-center justify-between mb-4">
-                                <div className="flex items-center">
-                                    <span className="text-yellow-400 mr-2">
-                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.381-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                                        </svg>
-                                    </span>
-                                    <span className="text-neutral-200 font-semibold">{movie.rating} / 5</span>
-                                </div>
-                                <div className="flex space-x-2">
-                                    <button
-                                        onClick={() => generateSummary(movie.id, movie.description)}
-                                        disabled={isGenerating[movie.id]}
-                                        className="text-red-500 text-sm font-semibold p-1 rounded-md transition-colors duration-200"
-                                    >
-                                        {isGenerating[movie.id] ? (
-                                            <svg className="animate-spin h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                            </svg>
-                                        ) : (
-                                            '✨'
-                                        )}
-                                    </button>
-                                    <button
-                                        onClick={() => playDescription(movie.id, movie.description)}
-                                        disabled={isReading[movie.id]}
-                                        className="text-white text-sm font-semibold p-1 rounded-md transition-colors duration-200"
-                                    >
-                                        {isReading[movie.id] ? (
-                                            <svg className="animate-pulse h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 24 24">
-                                                <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 16H9V8h2v10zm4 0h-2V8h2v10z"/>
-                                            </svg>
-                                        ) : (
-                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-red-500" viewBox="0 0 20 20" fill="currentColor">
-                                                <path fillRule="evenodd" d="M9.383 3.003h1.234c.162 0 .319.043.46.126.141.083.257.202.348.342l.666 1.011c.09.139.206.258.347.341.14.083.298.126.46.126h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H17c.552 0 1 .448 1 1v12c0 .552-.448 1-1 1H3c-.552 0-1-.448-1-1V4c0-.552.448-1 1-1h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H11.617c.162 0 .319.043.46.126.141.083.257.202.348.342l.666 1.011c.09.139.206.258.347.341.14.083.298.126.46.126h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H17c.552 0 1 .448 1 1v12c0 .552-.448 1-1 1H3c-.552 0-1-.448-1-1V4c0-.552.448-1 1-1h6.383z" clipRule="evenodd" />
-                                            </svg>
-                                        )}
-                                    </button>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                ))}
-                {movies.length === 0 && <p className="text-center text-neutral-500 col-span-full">No movies to display yet. Check back later!</p>}
-            </div>
-        </div>
-    );
-
-    const SubmissionForm = () => {
-        const [form, setForm] = useState({ name: '', description: '', rating: '', imageUrl: '' });
-        const [isSubmitting, setIsSubmitting] = useState(false);
-
-        const handleChange = (e) => {
-            const { name, value } = e.target;
-            setForm(prev => ({ ...prev, [name]: value }));
-        };
+    // Flush the queue on start-up and whenever the connection comes back, then keep retrying with
+    // backoff while entries fail to send (the browser can report being online without a working
+    // connection). Offline, just count what is waiting.
+    useEffect(() => {
+        if (!db || !userId || !storage) {
+            return;
+        }
+        if (!isOnline) {
+            readQueuedSubmissions()
+                .then(entries => setQueuedSubmissionCount(entries.filter(queued => queued.userId === userId).length))
+                .catch(error => console.error("Error reading the submission queue:", error));
+            return;
+        }
 
-        const handleSubmit = (e) => {
-            e.preventDefault();
-            if (!form.name || !form.description || !form.rating) {
-                showMessage('error', 'Please fill in all required fields.');
-                return;
+        let isCancelled = false;
+        let retryTimer = null;
+        const flush = async (retryDelay) => {
+            const remainingCount = await flushSubmissionQueue();
+            if (!isCancelled && remainingCount) {
+                retryTimer = setTimeout(() => flush(Math.min(retryDelay * 2, MAX_QUEUE_RETRY_DELAY_MS)), retryDelay);
             }
-            setIsSubmitting(true);
-            handleSubmitNewMovie(form);
-            setForm({ name: '', description: '', rating: '', imageUrl: '' });
-            setIsSubmitting(false);
         };
+        flush(QUEUE_RETRY_DELAY_MS);
 
-        return (
-            <div className="container mx-auto p-4 max-w-lg">
-                <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">Submit a Movie for Review</h2>
-                <form onSubmit={handleSubmit} className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200">
-                    <div className="mb-4">
-                        <label htmlFor="name" className="block text-sm font-medium text-neutral-700">Movie Title</label>
-                        <input type="text" id="name" name="name" value={form.name} onChange={handleChange} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
-                    </div>
-                    <div className="mb-4">
-                        <label htmlFor="description" className="block text-sm font-medium text-neutral-700">Description</label>
-                        <textarea id="description" name="description" rows="3" value={form.description} onChange={handleChange} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"></textarea>
-                    </div>
-                    <div className="mb-4">
-                        <label htmlFor="rating" className="block text-sm font-medium text-neutral-700">Your Rating (1-5)</label>
-                        <input type="number" id="rating" name="rating" min="1" max="5" value={form.rating} onChange={handleChange} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
-                    </div>
-                    <div className="mb-4">
-                        <label htmlFor="imageUrl" className="block text-sm font-medium text-neutral-700">Image URL (Optional)</label>
-                        <input type="url" id="imageUrl" name="imageUrl" value={form.imageUrl} onChange={handleChange} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
-                    </div>
-                    <button type="submit" disabled={isSubmitting} className="w-full bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
-                        {isSubmitting ? 'Submitting...' : 'Submit Movie'}
-                    </button>
-                </form>
-            </div>
-        );
-    };
-
-    const AdminLogin = () => {
-        const [email, setEmail] = useState('');
-        const [password, setPassword] = useState('');
-
-        const handleLogin = (e) => {
-            e.preventDefault();
-            handleAdminLogin(email, password);
+        return () => {
+            isCancelled = true;
+            clearTimeout(retryTimer);
         };
-
-        return (
-            <div className="container mx-auto p-4 max-w-sm">
-                <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">Admin Login</h2>
-                <form onSubmit={handleLogin} className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200">
-                    <div className="mb-4">
-                        <label htmlFor="email" className="block text-sm font-medium text-neutral-700">Email</label>
-                        <input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
-                    </div>
-                    <div className="mb-4">
-                        <label htmlFor="password" className="block text-sm font-medium text-neutral-700">Password</label>
-                        <input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
-                    </div>
-                    <button type="submit" className="w-full bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
-                        Login
-                    </button>
-                </form>
-            </div>
-        );
-    };
-
-    const AdminPanel = () => {
-        if (!isAdmin) {
-            return (
-                <div className="container mx-auto p-4 text-center text-neutral-500">
-                    <p className="text-lg font-semibold">You must be logged in as an admin to view this panel.</p>
-                </div>
-            );
-        }
-        
-        return (
-            <div className="container mx-auto p-4">
-                <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">Admin Panel - Pending Submissions</h2>
-                {submissions.length > 0 ? (
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                        {submissions.map(submission => (
-                            <div key={submission.id} className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
-                                <h3 className="text-xl font-bold text-red-500 mb-2">{submission.name}</h3>
-                                <p className="text-sm text-neutral-600 mb-4">{submission.description}</p>
-                                <p className="text-sm font-semibold text-neutral-700 mb-2">Rating: {submission.rating} / 5</p>
-                                <p className="text-sm text-neutral-500 mb-4">Submitted by: <span className="font-mono text-xs">{submission.submittedBy}</span></p>
-                                {submission.imageUrl && <img src={submission.imageUrl} alt={submission.name} className="w-full h-48 object-cover rounded-lg mb-4" />}
-                                <div className="flex space-x-2">
-                                    <button
-                                        onClick={() => handleApproveSubmission(submission)}
-                                        className="flex-1 bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200"
-                                    >
-                                        Approve
-                                    </button>
-                                    <button
-                                        onClick={() => handleRejectSubmission(submission.id)}
-                                        className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200"
-                                    >
-                                        Reject
-                                    </button>
-                                </div>
-                            </div>
-                        ))}
-                    </div>
-                ) : (
-                    <p className="text-center text-neutral-500">No new submissions to review.</p>
-                )}
-            </div>
-        );
-    };
+    }, [db, userId, storage, isOnline]);
 
     // Main App Renderer
     const renderContent = () => {
-        switch (view) {
+        switch (route.name) {
             case 'list':
-                return <MovieList />;
+                return (
+                    <>
+                        <CatalogFilters filters={filters} search={search} onChange={updateFilters} />
+                        <MovieList
+                            movies={movies}
+                            visibleMovies={visibleMovies}
+                            filters={filters}
+                            hasMoreMovies={hasMoreMovies}
+                            isLoadingMoreMovies={isLoadingMoreMovies}
+                            loadMoreMovies={loadMoreMovies}
+                            onClearFilters={() => updateFilters(DEFAULT_FILTERS)}
+                            isOnline={isOnline}
+                            isGenerating={isGenerating}
+                            onGenerateSummary={generateSummary}
+                        />
+                    </>
+                );
+            case 'movie':
+                return (
+                    <MovieDetail
+                        key={detailMovieId}
+                        movie={detailMovie}
+                        translatingMovieId={translatingMovieId}
+                        isGenerating={!!(detailMovie && isGenerating[detailMovie.id])}
+                        onGenerateSummary={generateSummary}
+                    />
+                );
+            case 'collection':
+                return <CollectionPage key={route.params.id} collectionId={route.params.id} />;
             case 'submit':
-                return <SubmissionForm />;
+                return <SubmissionForm onSubmit={handleSubmitNewMovie} findDuplicates={findDuplicates} isOnline={isOnline} />;
+            case 'mySubmissions':
+                return <MySubmissions />;
+            case 'watchlist':
+                return <Watchlist />;
+            case 'notifications':
+                return <Notifications notifications={notifications} unreadCount={unreadNotificationCount} />;
+            case 'notificationSettings':
+                return authUser && !authUser.isAnonymous ? <NotificationSettings /> : <SignIn redirectTo="/notifications/settings" />;
+            case 'signIn':
+                return authUser && !authUser.isAnonymous ? <Profile /> : <SignIn />;
+            case 'profile':
+                return authUser && !authUser.isAnonymous ? <Profile /> : <SignIn redirectTo="/profile" />;
             case 'admin':
-                return isAdmin ? <AdminPanel /> : <AdminLogin />;
+                return canModerate ? (
+                    <AdminPanel
+                        submissions={submissions}
+                        hasMoreSubmissions={hasMoreSubmissions}
+                        loadMoreSubmissions={loadMoreSubmissions}
+                        findDuplicates={findDuplicates}
+                        isGenerating={isGenerating}
+                        onGenerateSummary={generateSummary}
+                    />
+                ) : <StaffSignIn />;
+            case 'roles':
+                return isAdmin ? <RoleManager /> : <StaffSignIn />;
+            case 'audit':
+                return isAdmin ? <AuditLog /> : <StaffSignIn />;
+            case 'catalog':
+                return canManageCatalog ? <CatalogTools /> : <StaffSignIn />;
+            case 'analytics':
+                return canViewAnalytics ? <Analytics /> : <StaffSignIn />;
             default:
-                return <MovieList />;
+                return null;
         }
     };
 
+    const authValue = {
+        db, auth, storage, userId, authUser, profile, role,
+        isAdmin, canModerate, canManageCatalog, canViewAnalytics, hasPermission,
+        updateAuthUser: setAuthUser
+    };
+
     return (
-        <div className="bg-neutral-100 min-h-screen font-sans flex flex-col">
-            <style>
-                {`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;700&display=swap');
-                .font-sans { font-family: 'Inter', sans-serif; }
-                `}
-            </style>
-            <Header />
-
-            {/* Custom Message Box */}
-            {message && (
-                <div className={`fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg text-white ${message.type === 'success' ? 'bg-green-500' : 'bg-red-500'}`}>
-                    {message.text}
-                </div>
-            )}
-
-            <main className="flex-grow pb-8">
-                {isLoading ? (
-                    <div className="flex justify-center items-center h-full pt-20">
-                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
-                        <p className="ml-4 text-neutral-600">Loading...</p>
+        <AuthContext.Provider value={authValue}>
+        <MessageContext.Provider value={showMessage}>
+        <LocaleContext.Provider value={{ locale, t, changeLocale }}>
+        <NavigationContext.Provider value={{ path, navigate }}>
+        <LibraryContext.Provider value={{ library, toggleWatchlist: handleToggleWatchlist, toggleWatched: handleToggleWatched }}>
+        <NarrationContext.Provider value={{ narration, narrationVoice, audioRef, playDescription, toggleNarration, stopNarration, changeNarrationVoice }}>
+            <div className="bg-neutral-100 min-h-screen font-sans flex flex-col">
+                <style>
+                    {`
+                    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;700&display=swap');
+                    .font-sans { font-family: 'Inter', sans-serif; }
+                    `}
+                </style>
+                <Header
+                    isOnline={isOnline}
+                    isSyncing={isSyncing}
+                    queuedSubmissionCount={queuedSubmissionCount}
+                    unreadNotificationCount={unreadNotificationCount}
+                />
+
+                {/* Custom Message Box */}
+                {message && (
+                    <div className={`fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg text-white ${message.type === 'success' ? 'bg-green-500' : 'bg-red-500'}`}>
+                        {message.text}
                     </div>
-                ) : (
-                    renderContent()
                 )}
-            </main>
 
-            <footer className="bg-neutral-800 text-white text-center p-4 mt-auto rounded-t-xl">
-                <p>&copy; 2024 Horror Movie Hub</p>
-                <p className="text-xs mt-1 text-neutral-400">Your user ID for data management: <span className="font-mono">{userId}</span></p>
-            </footer>
-        </div>
+                <main className={`flex-grow ${narration ? 'pb-28' : 'pb-8'}`}>
+                    {isLoading ? (
+                        <div className="flex justify-center items-center h-full pt-20">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+                            <p className="ml-4 text-neutral-600">{t('common.loading')}</p>
+                        </div>
+                    ) : (
+                        renderContent()
+                    )}
+                </main>
+
+                {narration && <NarrationPlayer />}
+
+                <footer className="bg-neutral-800 text-white text-center p-4 mt-auto rounded-t-xl">
+                    <p>&copy; 2024 Horror Movie Hub</p>
+                    <p className="text-xs mt-1 text-neutral-400">{t('footer.userId')} <span className="font-mono">{userId}</span></p>
+                </footer>
+            </div>
+        </NarrationContext.Provider>
+        </LibraryContext.Provider>
+        </NavigationContext.Provider>
+        </LocaleContext.Provider>
+        </MessageContext.Provider>
+        </AuthContext.Provider>
     );
 };
 
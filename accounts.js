@@ -0,0 +1,57 @@
+// Accounts and roles. Everyone starts with an anonymous session. Signing up links a credential to that
+// session, so the user ID (and everything stored under it) is kept; profiles live in
+// `artifacts/${appId}/users/{uid}`.
+import { fetchRoleAssignment } from './repository';
+
+// Roles are stored in the `artifacts/${appId}/roles` collection, keyed by user ID.
+// A `role` custom claim on the user's ID token takes precedence over the document.
+export const ROLES = ['admin', 'moderator', 'member'];
+export const ROLE_PERMISSIONS = {
+    admin: ['moderate', 'manageRoles', 'manageCatalog', 'viewAnalytics', 'curateCollections'],
+    moderator: ['moderate'],
+    member: []
+};
+
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+
+// Firebase Auth error codes and the messages shown for them
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'authError.emailInUse',
+    'auth/credential-already-in-use': 'authError.credentialInUse',
+    'auth/invalid-email': 'authError.invalidEmail',
+    'auth/weak-password': 'authError.weakPassword',
+    'auth/invalid-credential': 'authError.wrongCredentials',
+    'auth/wrong-password': 'authError.wrongCredentials',
+    'auth/user-not-found': 'authError.wrongCredentials',
+    'auth/too-many-requests': 'authError.tooManyRequests',
+    'auth/popup-closed-by-user': 'authError.popupClosed'
+};
+
+export const describeAuthError = (error, t, fallbackKey) => t(AUTH_ERROR_MESSAGES[error.code] || fallbackKey);
+
+// The parts of a Firebase user the UI cares about, copied so linking and profile edits can update state
+export const toAuthUser = (user) => ({
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    displayName: user.displayName,
+    photoURL: user.photoURL,
+    providerIds: user.providerData.map(provider => provider.providerId)
+});
+
+// Looks up the signed-in user's role, preferring a custom claim over the roles document
+export const resolveUserRole = async (db, user) => {
+    try {
+        const tokenResult = await user.getIdTokenResult();
+        if (ROLES.includes(tokenResult.claims.role)) {
+            return tokenResult.claims.role;
+        }
+        const assignedRole = await fetchRoleAssignment(db, user.uid);
+        if (ROLES.includes(assignedRole)) {
+            return assignedRole;
+        }
+    } catch (error) {
+        console.error("Error resolving user role:", error);
+    }
+    return 'member';
+};
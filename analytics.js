@@ -0,0 +1,98 @@
+// Metrics for the admin analytics dashboard. Date ranges are inclusive calendar days in the admin's
+// local time zone. Generation counts come from the usage documents the Gemini proxy writes (see
+// functions/usage.js), which are bucketed by UTC day.
+import { doc, getDoc, getDocs, query, where, orderBy, limit, getCountFromServer, getAggregateFromServer, count, sum, average } from 'firebase/firestore';
+import { SUBMISSION_STATUSES } from './movieSchema';
+import { moviesCollection, submissionsCollection, usageCollection, usageDailyCollection, toMillis } from './repository';
+
+export const ANALYTICS_TOP_LIMIT = 5;
+export const REVIEWED_STATUSES = ['approved', 'rejected', 'changes_requested', 'merged'];
+
+export const toDateInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+export const getPresetRange = (days) => {
+    const to = new Date();
+    const from = new Date();
+    from.setDate(from.getDate() - (days - 1));
+    return { from: toDateInputValue(from), to: toDateInputValue(to) };
+};
+
+export const listDays = (from, to) => {
+    const days = [];
+    for (const day = new Date(`${from}T00:00:00`); toDateInputValue(day) <= to; day.setDate(day.getDate() + 1)) {
+        days.push(toDateInputValue(day));
+    }
+    return days;
+};
+
+export const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Counts and catalog totals use aggregate queries; the daily series and time-to-review need the
+// submissions themselves, so those are read for the selected range only.
+export const fetchAnalytics = async (db, range) => {
+    const submissionsRef = submissionsCollection(db);
+    const moviesRef = moviesCollection(db);
+    const usageRef = usageCollection(db);
+    const inRange = [
+        where('timestamp', '>=', new Date(`${range.from}T00:00:00`)),
+        where('timestamp', '<=', new Date(`${range.to}T23:59:59.999`))
+    ];
+
+    const statuses = Object.values(SUBMISSION_STATUSES);
+    const [statusCounts, catalogTotals, usageTotals, submissionSnap, topRatedSnap, mostReviewedSnap, topSummarySnap, topNarrationSnap, dailyUsageSnap] = await Promise.all([
+        Promise.all(statuses.map(status => getCountFromServer(query(submissionsRef, where('status', '==', status), ...inRange)))),
+        getAggregateFromServer(moviesRef, { movieCount: count(), reviewCount: sum('ratingCount'), averageRating: average('averageRating') }),
+        getAggregateFromServer(usageRef, { summaryCount: sum('summaryCount'), narrationCount: sum('narrationCount') }),
+        getDocs(query(submissionsRef, ...inRange, orderBy('timestamp', 'asc'))),
+        getDocs(query(moviesRef, where('ratingCount', '>', 0), orderBy('averageRating', 'desc'), limit(ANALYTICS_TOP_LIMIT))),
+        getDocs(query(moviesRef, orderBy('ratingCount', 'desc'), limit(ANALYTICS_TOP_LIMIT))),
+        getDocs(query(usageRef, orderBy('summaryCount', 'desc'), limit(ANALYTICS_TOP_LIMIT))),
+        getDocs(query(usageRef, orderBy('narrationCount', 'desc'), limit(ANALYTICS_TOP_LIMIT))),
+        getDocs(query(usageDailyCollection(db), where('day', '>=', range.from), where('day', '<=', range.to)))
+    ]);
+
+    const submissionsByStatus = Object.fromEntries(statuses.map((status, index) => [status, statusCounts[index].data().count]));
+    const rangeSubmissions = submissionSnap.docs.map(doc => doc.data());
+    const reviewTimes = rangeSubmissions
+        .filter(submission => REVIEWED_STATUSES.includes(submission.status) && submission.reviewedAt)
+        .map(submission => toMillis(submission.reviewedAt) - toMillis(submission.timestamp))
+        .filter(duration => duration >= 0);
+
+    const days = listDays(range.from, range.to);
+    const submissionsPerDay = Object.fromEntries(days.map(day => [day, 0]));
+    rangeSubmissions.forEach(submission => {
+        const day = toDateInputValue(new Date(toMillis(submission.timestamp)));
+        if (day in submissionsPerDay) submissionsPerDay[day]++;
+    });
+    const usagePerDay = Object.fromEntries(dailyUsageSnap.docs.map(doc => [doc.id, doc.data()]));
+
+    // Usage documents are keyed by movie ID; look the titles up for the top lists. Deleted movies get a
+    // null name, which the dashboard labels in the admin's language.
+    const usageMovieIds = [...new Set([...topSummarySnap.docs, ...topNarrationSnap.docs].map(doc => doc.id))];
+    const usageMovies = await Promise.all(usageMovieIds.map(movieId => getDoc(doc(moviesRef, movieId))));
+    const movieNames = Object.fromEntries(usageMovies.map(snap => [snap.id, snap.exists() ? snap.data().name : null]));
+    const toUsageRow = (snap, field) => ({ id: snap.id, name: movieNames[snap.id], value: snap.data()[field] || 0 });
+
+    return {
+        submissionsByStatus,
+        totalSubmissions: Object.values(submissionsByStatus).reduce((total, value) => total + value, 0),
+        medianReviewMs: median(reviewTimes),
+        reviewedCount: reviewTimes.length,
+        catalog: catalogTotals.data(),
+        usage: usageTotals.data(),
+        submissionsPerDay: days.map(day => ({ label: day, values: [submissionsPerDay[day]] })),
+        generationsPerDay: days.map(day => ({
+            label: day,
+            values: [usagePerDay[day]?.summaryCount || 0, usagePerDay[day]?.narrationCount || 0]
+        })),
+        topRated: topRatedSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        mostReviewed: mostReviewedSnap.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        topSummaries: topSummarySnap.docs.map(snap => toUsageRow(snap, 'summaryCount')),
+        topNarrations: topNarrationSnap.docs.map(snap => toUsageRow(snap, 'narrationCount'))
+    };
+};
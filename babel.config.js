@@ -0,0 +1,7 @@
+// Used by Jest only; the app itself is bundled by its host environment
+module.exports = {
+    presets: [
+        ['@babel/preset-env', { targets: { node: 'current' } }],
+        ['@babel/preset-react', { runtime: 'classic' }]
+    ]
+};
@@ -0,0 +1,131 @@
+// Data kept in the browser rather than in Firestore: settings in localStorage, and the narration
+// cache and offline submission queue in IndexedDB.
+
+// --- Settings ---
+
+export const readStoredSetting = (key, fallback) => {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+};
+
+export const storeSetting = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error("Error saving setting:", error);
+    }
+};
+
+// --- IndexedDB ---
+
+const APP_DB_NAME = 'horror-movie-hub';
+const APP_DB_VERSION = 3;
+const NARRATION_STORE = 'narrations'; // Indexed by usedAt since version 3
+const NARRATION_USED_AT_INDEX = 'usedAt';
+const SUBMISSION_QUEUE_STORE = 'submissionQueue'; // Added in version 2
+
+const openAppDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const appDb = request.result;
+        // Narrations cached before version 3 have no usedAt to evict them by, so they are dropped
+        if (event.oldVersion < 3 && appDb.objectStoreNames.contains(NARRATION_STORE)) {
+            appDb.deleteObjectStore(NARRATION_STORE);
+        }
+        if (!appDb.objectStoreNames.contains(NARRATION_STORE)) {
+            appDb.createObjectStore(NARRATION_STORE).createIndex(NARRATION_USED_AT_INDEX, 'usedAt');
+        }
+        if (!appDb.objectStoreNames.contains(SUBMISSION_QUEUE_STORE)) {
+            appDb.createObjectStore(SUBMISSION_QUEUE_STORE, { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// --- Narration audio cache ---
+// Generated WAV files are keyed by movie, voice and language, so replaying a narration doesn't cost
+// another TTS call. Entries remember the description they were generated from. Each read marks the
+// entry as used, and writes evict the least recently used entries beyond MAX_CACHED_NARRATIONS.
+
+const MAX_CACHED_NARRATIONS = 50;
+
+export const readCachedNarration = async (key) => {
+    const appDb = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const store = appDb.transaction(NARRATION_STORE, 'readwrite').objectStore(NARRATION_STORE);
+        const request = store.get(key);
+        request.onsuccess = () => {
+            if (request.result) {
+                store.put({ ...request.result, usedAt: Date.now() }, key);
+            }
+            resolve(request.result || null);
+        };
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Walks the usedAt index oldest first, deleting until only `maxEntries` remain
+const trimNarrationStore = (store, maxEntries) => {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxEntries;
+        if (excess <= 0) return;
+        const cursorRequest = store.index(NARRATION_USED_AT_INDEX).openKeyCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor && excess > 0) {
+                store.delete(cursor.primaryKey);
+                excess -= 1;
+                cursor.continue();
+            }
+        };
+    };
+};
+
+export const writeCachedNarration = async (key, entry) => {
+    const appDb = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const transaction = appDb.transaction(NARRATION_STORE, 'readwrite');
+        const store = transaction.objectStore(NARRATION_STORE);
+        store.put({ ...entry, usedAt: Date.now() }, key);
+        trimNarrationStore(store, MAX_CACHED_NARRATIONS);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+// --- Offline submission queue ---
+// Submissions made without a connection are stored here (poster file included) and sent once the
+// browser reports it is back online.
+
+export const readQueuedSubmissions = async () => {
+    const appDb = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const request = appDb.transaction(SUBMISSION_QUEUE_STORE, 'readonly').objectStore(SUBMISSION_QUEUE_STORE).getAll();
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.queuedAt - b.queuedAt));
+        request.onerror = () => reject(request.error);
+    });
+};
+
+export const writeQueuedSubmission = async (entry) => {
+    const appDb = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const request = appDb.transaction(SUBMISSION_QUEUE_STORE, 'readwrite').objectStore(SUBMISSION_QUEUE_STORE).put(entry);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+};
+
+export const deleteQueuedSubmission = async (id) => {
+    const appDb = await openAppDb();
+    return new Promise((resolve, reject) => {
+        const request = appDb.transaction(SUBMISSION_QUEUE_STORE, 'readwrite').objectStore(SUBMISSION_QUEUE_STORE).delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+};
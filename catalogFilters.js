@@ -0,0 +1,69 @@
+// Catalog search, filters and sort, kept in the URL query string so filtered views can be shared.
+// Filtering runs in the browser over the movies loaded so far; see SORT_ORDERINGS in repository.js
+// for the matching server-side ordering.
+import { HORROR_SUBGENRES } from './movieSchema';
+import { toMillis } from './repository';
+
+// Labelled by the sort.* messages
+export const SORT_OPTIONS = [
+    { id: 'newest' },
+    { id: 'rating' },
+    { id: 'title' }
+];
+
+export const DEFAULT_FILTERS = { q: '', genres: [], yearFrom: '', yearTo: '', minRating: '', sort: 'newest' };
+
+// Reads the catalog filters from a URL query string such as `?q=witch&genre=folk-horror&sort=rating`
+export const parseFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort');
+    return {
+        q: params.get('q') || '',
+        genres: (params.get('genre') || '').split(',').filter(id => HORROR_SUBGENRES.some(genre => genre.id === id)),
+        yearFrom: params.get('from') || '',
+        yearTo: params.get('to') || '',
+        minRating: params.get('minRating') || '',
+        sort: SORT_OPTIONS.some(option => option.id === sort) ? sort : DEFAULT_FILTERS.sort
+    };
+};
+
+// The inverse of parseFilters. Defaults are left out to keep shared links short.
+export const buildFilterSearch = (filters) => {
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    if (filters.genres.length) params.set('genre', filters.genres.join(','));
+    if (filters.yearFrom) params.set('from', filters.yearFrom);
+    if (filters.yearTo) params.set('to', filters.yearTo);
+    if (filters.minRating) params.set('minRating', filters.minRating);
+    if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+// Community average when there are reviews, otherwise the submitter's rating
+export const getMovieRating = (movie) => (movie.ratingCount > 0 ? movie.averageRating : Number(movie.rating) || 0);
+
+export const filterAndSortMovies = (movies, filters) => {
+    const searchText = filters.q.trim().toLowerCase();
+    const yearFrom = parseInt(filters.yearFrom, 10);
+    const yearTo = parseInt(filters.yearTo, 10);
+    const minRating = parseFloat(filters.minRating);
+
+    const filtered = movies.filter(movie => {
+        if (searchText && !`${movie.name || ''} ${movie.description || ''}`.toLowerCase().includes(searchText)) return false;
+        if (filters.genres.length && !filters.genres.includes(movie.genre)) return false;
+        if (!Number.isNaN(yearFrom) && !(movie.year >= yearFrom)) return false;
+        if (!Number.isNaN(yearTo) && !(movie.year <= yearTo)) return false;
+        if (!Number.isNaN(minRating) && getMovieRating(movie) < minRating) return false;
+        return true;
+    });
+
+    switch (filters.sort) {
+        case 'rating':
+            return filtered.sort((a, b) => getMovieRating(b) - getMovieRating(a));
+        case 'title':
+            return filtered.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        default:
+            return filtered.sort((a, b) => toMillis(b.approvedAt) - toMillis(a.approvedAt));
+    }
+};
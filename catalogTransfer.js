@@ -0,0 +1,211 @@
+// CSV and JSON import/export for the movie catalog.
+// Exports contain everything needed to restore a catalog, and the importer accepts its own exports,
+// so a backup can be loaded into another app ID as-is.
+import { validateMovieFields, hasErrors } from './movieSchema';
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+export const CATALOG_COLUMNS = [
+    'id', 'name', 'description', 'rating', 'genre', 'year', 'contentWarnings',
+    'imageUrl', 'posterUrl', 'thumbnailUrl',
+    'geminiSummary', 'summaryStatus',
+    'ratingCount', 'ratingTotal', 'averageRating',
+    'approvedAt', 'submittedBy'
+];
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const SUMMARY_STATUS_VALUES = ['pending', 'published', 'rejected'];
+
+// --- CSV ---
+
+// Spreadsheets run cells starting with these as formulas, so exports prefix them with an apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Undoes the apostrophe escapeCsvValue adds, so exports import back unchanged
+const unescapeCsvValue = (value) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+// Parses RFC 4180 CSV (quoted fields, escaped quotes, embedded newlines, CRLF) into objects keyed by
+// the header row. Blank lines are skipped.
+export const parseCsv = (text, { locale = DEFAULT_LOCALE } = {}) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error(translate(locale, 'catalog.csvUnterminatedQuote'));
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!nonEmptyRows.length) return [];
+    const header = nonEmptyRows[0].map(cell => cell.trim());
+    return nonEmptyRows.slice(1).map(cells => Object.fromEntries(header.map((column, index) => [column, unescapeCsvValue(cells[index] ?? '')])));
+};
+
+// Lists such as content warnings are written semicolon-separated, which the importer reads back.
+// Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+const escapeCsvValue = (value) => {
+    if (value == null) return '';
+    const joined = Array.isArray(value) ? value.join(';') : String(value);
+    const text = FORMULA_PREFIX.test(joined) ? `'${joined}` : joined;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records, columns = CATALOG_COLUMNS) => [
+    columns.join(','),
+    ...records.map(record => columns.map(column => escapeCsvValue(record[column])).join(','))
+].join('\r\n');
+
+// --- Import ---
+
+export const parseImportFile = (fileName, text, { locale = DEFAULT_LOCALE } = {}) => {
+    if (/\.json$/i.test(fileName)) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.movies;
+        if (!Array.isArray(records)) {
+            throw new Error(translate(locale, 'catalog.jsonShape'));
+        }
+        return records;
+    }
+    if (/\.csv$/i.test(fileName)) {
+        return parseCsv(text, { locale });
+    }
+    throw new Error(translate(locale, 'catalog.unsupportedFile'));
+};
+
+const parseCount = (value) => {
+    if (value === '' || value == null) return 0;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Validates each record and returns one entry per row: { rowNumber, id, values, errors }, with errors in
+// the given locale. `values` holds everything the movie document needs apart from the fields importMovies
+// in repository.js adds on write.
+export const prepareImportRows = (records, { locale = DEFAULT_LOCALE } = {}) => records.map((record, index) => {
+    const t = (key, params) => translate(locale, key, params);
+    const { values, errors } = validateMovieFields({
+        imageUrl: '',
+        posterUrl: '',
+        thumbnailUrl: '',
+        ...record
+    }, { locale });
+
+    const ratingCount = parseCount(record.ratingCount);
+    const ratingTotal = parseCount(record.ratingTotal);
+    if (Number.isNaN(ratingCount) || Number.isNaN(ratingTotal)) {
+        errors.ratingCount = t('catalog.ratingCountsInvalid');
+    } else if (ratingTotal > ratingCount * 5 || (ratingCount > 0 && ratingTotal < ratingCount)) {
+        errors.ratingCount = t('catalog.ratingTotalMismatch');
+    }
+
+    const summaryStatus = record.summaryStatus || (record.geminiSummary ? 'pending' : null);
+    if (summaryStatus && !SUMMARY_STATUS_VALUES.includes(summaryStatus)) {
+        errors.summaryStatus = t('catalog.summaryStatusInvalid', { statuses: SUMMARY_STATUS_VALUES.join(', ') });
+    }
+
+    const approvedAt = parseDate(record.approvedAt);
+    if (approvedAt === undefined) {
+        errors.approvedAt = t('catalog.approvedAtInvalid');
+    }
+
+    const id = record.id ? String(record.id).trim() : null;
+    if (id && (id.includes('/') || id.length > 1500)) {
+        errors.id = t('catalog.idInvalid', { max: 1500 });
+    }
+
+    return {
+        rowNumber: index + 1,
+        id,
+        // The columns the file gave for this row, so importing over an existing movie leaves the rest alone
+        columns: Object.keys(record),
+        values: {
+            ...values,
+            geminiSummary: record.geminiSummary ? String(record.geminiSummary).trim() : null,
+            summaryStatus,
+            ratingCount,
+            ratingTotal,
+            approvedAt: approvedAt || null,
+            submittedBy: record.submittedBy || null
+        },
+        errors
+    };
+});
+
+export const countValidRows = (rows) => rows.filter(row => !hasErrors(row.errors)).length;
+
+// --- Export ---
+
+const toIsoString = (value) => {
+    if (!value) return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const toExportRecord = (id, movie) => ({
+    id,
+    name: movie.name,
+    description: movie.description,
+    rating: movie.rating,
+    genre: movie.genre || null,
+    year: movie.year || null,
+    contentWarnings: movie.contentWarnings || [],
+    imageUrl: movie.imageUrl || null,
+    posterUrl: movie.posterUrl || null,
+    thumbnailUrl: movie.thumbnailUrl || null,
+    geminiSummary: movie.geminiSummary || null,
+    summaryStatus: movie.summaryStatus || null,
+    ratingCount: movie.ratingCount || 0,
+    ratingTotal: movie.ratingTotal || 0,
+    averageRating: movie.averageRating ?? null,
+    approvedAt: toIsoString(movie.approvedAt),
+    submittedBy: movie.submittedBy || null
+});
+
+export const downloadTextFile = (fileName, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
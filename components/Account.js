@@ -0,0 +1,265 @@
+// Sign-in, sign-up and profile screens (see accounts.js for how accounts and roles work)
+import React, { useState, useEffect } from 'react';
+import { signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, signInWithCredential, linkWithCredential, linkWithPopup, EmailAuthProvider, GoogleAuthProvider, sendPasswordResetEmail, updateProfile } from 'firebase/auth';
+import { MAX_DISPLAY_NAME_LENGTH, describeAuthError, toAuthUser } from '../accounts';
+import { saveUserProfile, uploadAvatar } from '../repository';
+import { POSTER_TYPES, AVATAR_SIZE, validatePosterFile, resizeImage } from '../posters';
+import { useAuth, useLocale, useMessage, useNavigation } from '../contexts';
+
+// Shared by the sign-in form and the profile page
+const usePasswordReset = () => {
+    const { auth } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+
+    return async (email) => {
+        if (!auth) return;
+        try {
+            await sendPasswordResetEmail(auth, email);
+            showMessage('success', t('auth.resetSent'));
+        } catch (error) {
+            console.error("Error sending password reset:", error);
+            showMessage('error', describeAuthError(error, t, 'auth.resetFailed'));
+        }
+    };
+};
+
+export const SignIn = ({ title, redirectTo = '/' }) => {
+    const { db, auth, updateAuthUser } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const { navigate } = useNavigation();
+    const handlePasswordReset = usePasswordReset();
+    const [mode, setMode] = useState('signIn'); // 'signIn' | 'signUp' | 'reset'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
+
+    const handleEmailSignIn = async () => {
+        if (!auth) return;
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+            showMessage('success', t('auth.signedIn'));
+            navigate(redirectTo);
+        } catch (error) {
+            console.error("Error signing in:", error);
+            showMessage('error', describeAuthError(error, t, 'auth.signInFailed'));
+        }
+    };
+
+    // Upgrades the current anonymous session in place so earlier submissions and reviews stay with the user
+    const handleSignUp = async () => {
+        if (!auth) return;
+        try {
+            const currentUser = auth.currentUser;
+            const { user } = currentUser && currentUser.isAnonymous
+                ? await linkWithCredential(currentUser, EmailAuthProvider.credential(email, password))
+                : await createUserWithEmailAndPassword(auth, email, password);
+            const trimmedName = displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+            if (trimmedName) {
+                await updateProfile(user, { displayName: trimmedName });
+            }
+            await saveUserProfile(db, user.uid, { displayName: trimmedName || null, email: user.email, locale, createdAt: new Date() });
+            updateAuthUser(toAuthUser(user));
+            showMessage('success', t('auth.accountCreated'));
+            navigate('/profile');
+        } catch (error) {
+            console.error("Error signing up:", error);
+            showMessage('error', describeAuthError(error, t, 'auth.signUpFailed'));
+        }
+    };
+
+    const handleGoogleSignIn = async () => {
+        if (!auth) return;
+        const provider = new GoogleAuthProvider();
+        try {
+            const currentUser = auth.currentUser;
+            if (currentUser && currentUser.isAnonymous) {
+                try {
+                    const { user } = await linkWithPopup(currentUser, provider);
+                    await saveUserProfile(db, user.uid, { displayName: user.displayName, email: user.email, photoURL: user.photoURL, locale, createdAt: new Date() });
+                    updateAuthUser(toAuthUser(user));
+                } catch (error) {
+                    // The Google account already has a user; sign in to it and leave the anonymous session behind
+                    if (error.code !== 'auth/credential-already-in-use') throw error;
+                    await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(error));
+                }
+            } else {
+                await signInWithPopup(auth, provider);
+            }
+            showMessage('success', t('auth.signedInWithGoogle'));
+            navigate(redirectTo);
+        } catch (error) {
+            console.error("Error signing in with Google:", error);
+            showMessage('error', describeAuthError(error, t, 'auth.googleFailed'));
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (mode === 'signUp') {
+            handleSignUp();
+        } else if (mode === 'reset') {
+            handlePasswordReset(email);
+        } else {
+            handleEmailSignIn();
+        }
+    };
+
+    const headings = { signIn: title || t('auth.signInHeading'), signUp: t('auth.signUpHeading'), reset: t('auth.resetHeading') };
+    const submitLabels = { signIn: t('auth.signInButton'), signUp: t('auth.signUpButton'), reset: t('auth.resetButton') };
+    const inputClassName = "mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border";
+
+    return (
+        <div className="container mx-auto p-4 max-w-sm">
+            <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">{headings[mode]}</h2>
+            <form onSubmit={handleSubmit} className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200">
+                {mode === 'signUp' && (
+                    <p className="text-sm text-neutral-600 mb-4">{t('auth.signUpNote')}</p>
+                )}
+                {mode === 'signUp' && (
+                    <div className="mb-4">
+                        <label htmlFor="displayName" className="block text-sm font-medium text-neutral-700">{t('auth.displayName')}</label>
+                        <input type="text" id="displayName" value={displayName} maxLength={MAX_DISPLAY_NAME_LENGTH} onChange={(e) => setDisplayName(e.target.value)} className={inputClassName}/>
+                    </div>
+                )}
+                <div className="mb-4">
+                    <label htmlFor="email" className="block text-sm font-medium text-neutral-700">{t('auth.email')}</label>
+                    <input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} required className={inputClassName}/>
+                </div>
+                {mode !== 'reset' && (
+                    <div className="mb-4">
+                        <label htmlFor="password" className="block text-sm font-medium text-neutral-700">{t('auth.password')}</label>
+                        <input type="password" id="password" value={password} minLength={mode === 'signUp' ? 6 : undefined} onChange={(e) => setPassword(e.target.value)} required className={inputClassName}/>
+                    </div>
+                )}
+                <button type="submit" className="w-full bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
+                    {submitLabels[mode]}
+                </button>
+                {mode !== 'reset' && (
+                    <button type="button" onClick={handleGoogleSignIn} className="w-full mt-3 bg-white text-neutral-800 font-semibold py-2 px-4 rounded-lg shadow-md border border-neutral-300 hover:bg-neutral-100 transition-colors duration-200">
+                        {t('auth.google')}
+                    </button>
+                )}
+                <div className="mt-4 flex justify-between text-sm">
+                    {mode === 'signIn' ? (
+                        <>
+                            <button type="button" onClick={() => setMode('signUp')} className="text-red-600 hover:underline">{t('auth.createAccount')}</button>
+                            <button type="button" onClick={() => setMode('reset')} className="text-neutral-500 hover:underline">{t('auth.forgotPassword')}</button>
+                        </>
+                    ) : (
+                        <button type="button" onClick={() => setMode('signIn')} className="text-red-600 hover:underline">{t('auth.backToSignIn')}</button>
+                    )}
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export const Profile = () => {
+    const { db, auth, storage, authUser, profile, updateAuthUser } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const handlePasswordReset = usePasswordReset();
+    const [displayName, setDisplayName] = useState((profile && profile.displayName) || authUser.displayName || '');
+    const [avatarFile, setAvatarFile] = useState(null);
+    const [avatarPreviewUrl, setAvatarPreviewUrl] = useState(null);
+    const [avatarError, setAvatarError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Release the preview's object URL when it is replaced or the form unmounts
+    useEffect(() => () => {
+        if (avatarPreviewUrl) URL.revokeObjectURL(avatarPreviewUrl);
+    }, [avatarPreviewUrl]);
+
+    const handleAvatarChange = (e) => {
+        const file = e.target.files[0] || null;
+        const error = file ? validatePosterFile(file, t, 'avatar') : null;
+        setAvatarError(error);
+        if (!file || error) {
+            setAvatarFile(null);
+            setAvatarPreviewUrl(null);
+            e.target.value = '';
+            return;
+        }
+        setAvatarFile(file);
+        setAvatarPreviewUrl(URL.createObjectURL(file));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!auth || !auth.currentUser || auth.currentUser.isAnonymous) return;
+        const trimmedName = displayName.trim();
+        if (!trimmedName || trimmedName.length > MAX_DISPLAY_NAME_LENGTH) {
+            showMessage('error', t('profile.displayNameLength', { max: MAX_DISPLAY_NAME_LENGTH }));
+            return;
+        }
+        setIsSaving(true);
+        try {
+            const fields = { displayName: trimmedName };
+            if (avatarFile) {
+                fields.photoURL = await uploadAvatar(storage, auth.currentUser.uid, await resizeImage(avatarFile, AVATAR_SIZE));
+            }
+            await updateProfile(auth.currentUser, fields);
+            await saveUserProfile(db, auth.currentUser.uid, fields);
+            updateAuthUser(toAuthUser(auth.currentUser));
+            showMessage('success', t('profile.updated'));
+            setAvatarFile(null);
+            setAvatarPreviewUrl(null);
+        } catch (error) {
+            console.error("Error updating profile:", error);
+            showMessage('error', t('profile.updateFailed'));
+        }
+        setIsSaving(false);
+    };
+
+    const avatarUrl = avatarPreviewUrl || authUser.photoURL;
+    const hasPasswordSignIn = authUser.providerIds.includes('password');
+
+    return (
+        <div className="container mx-auto p-4 max-w-md">
+            <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">{t('profile.heading')}</h2>
+            <form onSubmit={handleSubmit} className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200 space-y-4">
+                <div className="flex items-center space-x-4">
+                    {avatarUrl ? (
+                        <img src={avatarUrl} alt={t('profile.avatar')} className="w-20 h-20 rounded-full object-cover border border-neutral-300"/>
+                    ) : (
+                        <div className="w-20 h-20 rounded-full bg-neutral-200 flex items-center justify-center text-2xl font-bold text-neutral-500">
+                            {(displayName || authUser.email || '?').charAt(0).toUpperCase()}
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="avatar" className="block text-sm font-medium text-neutral-700">{t('profile.avatar')}</label>
+                        <input type="file" id="avatar" accept={POSTER_TYPES.join(',')} onChange={handleAvatarChange} className="mt-1 block w-full text-sm text-neutral-700"/>
+                        {avatarError && <p className="mt-1 text-sm text-red-600">{avatarError}</p>}
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="profileDisplayName" className="block text-sm font-medium text-neutral-700">{t('auth.displayName')}</label>
+                    <input type="text" id="profileDisplayName" value={displayName} maxLength={MAX_DISPLAY_NAME_LENGTH} onChange={(e) => setDisplayName(e.target.value)} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
+                </div>
+                <p className="text-sm text-neutral-600">{t('profile.signedInAs')} <span className="font-semibold">{authUser.email}</span></p>
+                <button type="submit" disabled={isSaving} className="w-full bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isSaving ? t('common.saving') : t('profile.save')}
+                </button>
+                {hasPasswordSignIn && (
+                    <button type="button" onClick={() => handlePasswordReset(authUser.email)} className="w-full bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                        {t('profile.sendReset')}
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+// Staff-only screens ask guests to sign in; signed-in members are told they lack access
+export const StaffSignIn = () => {
+    const { authUser } = useAuth();
+    const { t } = useLocale();
+    const { path } = useNavigation();
+    return authUser && !authUser.isAnonymous ? (
+        <p className="text-center text-neutral-500 mt-8">{t('auth.noAccess')}</p>
+    ) : (
+        <SignIn title={t('auth.staffHeading')} redirectTo={path} />
+    );
+};
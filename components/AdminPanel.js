@@ -0,0 +1,512 @@
+// The moderation queue: pending submissions, flagged comments and generated summaries waiting for review,
+// followed by the collection editor for admins.
+// Every action is written together with its audit log entry (see repository.js).
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, where, orderBy } from 'firebase/firestore';
+import { HORROR_SUBGENRES, SUBMISSION_STATUSES, SUMMARY_STATUSES, validateMovieFields, hasErrors } from '../movieSchema';
+import { LOCALES } from '../i18n';
+import { moviesCollection, commentFlagsCollection, toRecords, publishSummary, rejectSummary, approveSubmission, mergeSubmission, setSubmissionStatus, resolveCommentFlags } from '../repository';
+import { getGenreLabel } from '../movieTranslations';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+import { ContentWarningPicker } from './MovieParts';
+import { CollectionsManager } from './CollectionEditor';
+
+// `isGenerating` is true while a new summary for this movie is being generated
+const SummaryReviewCard = ({ movie, isGenerating, onGenerateSummary }) => {
+    const { db, userId, hasPermission } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [summaryText, setSummaryText] = useState(movie.geminiSummary || '');
+
+    // Publishes the pending summary, with any edits made here
+    const handlePublish = async () => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.publishSummaries'));
+            return;
+        }
+        const trimmedSummary = summaryText.trim();
+        if (!trimmedSummary) {
+            showMessage('error', t('summary.empty'));
+            return;
+        }
+        try {
+            await publishSummary(db, movie, trimmedSummary, userId);
+            showMessage('success', t('summary.published'));
+        } catch (error) {
+            console.error("Error publishing summary:", error);
+            showMessage('error', t('summary.publishFailed'));
+        }
+    };
+
+    const handleReject = async () => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.rejectSummaries'));
+            return;
+        }
+        try {
+            await rejectSummary(db, movie, userId);
+            showMessage('success', t('summary.rejected'));
+        } catch (error) {
+            console.error("Error rejecting summary:", error);
+            showMessage('error', t('summary.rejectFailed'));
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
+            <h3 className="text-xl font-bold text-red-500 mb-2">{movie.name}</h3>
+            <p className="text-sm text-neutral-600 mb-4 line-clamp-3">{movie.description}</p>
+            <label htmlFor={`summary-${movie.id}`} className="block text-sm font-medium text-neutral-700">{t('admin.generatedSummary')}</label>
+            <textarea
+                id={`summary-${movie.id}`}
+                rows="3"
+                value={summaryText}
+                onChange={(e) => setSummaryText(e.target.value)}
+                className="mt-1 mb-2 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+            ></textarea>
+            <p className="text-xs text-neutral-500 mb-4">
+                {movie.summaryModel}
+                {movie.summaryLanguage && <> &middot; {LOCALES.find(option => option.id === movie.summaryLanguage)?.label || movie.summaryLanguage}</>}
+                {' '}&middot; {t('admin.requestedBy')} <span className="font-mono">{movie.summaryGeneratedBy}</span>
+            </p>
+            <div className="flex space-x-2">
+                <button
+                    onClick={handlePublish}
+                    className="flex-1 bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200"
+                >
+                    {summaryText.trim() === movie.geminiSummary ? t('admin.publish') : t('admin.saveAndPublish')}
+                </button>
+                <button
+                    onClick={() => onGenerateSummary(movie)}
+                    disabled={isGenerating}
+                    className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isGenerating ? t('admin.generating') : t('admin.regenerate')}
+                </button>
+                <button
+                    onClick={handleReject}
+                    className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200"
+                >
+                    {t('admin.reject')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Lets moderators correct a submission inline before approving it, or send it back with a reason.
+// `duplicates` are the likely duplicates found for it; `findDuplicates` checks again on approval.
+const SubmissionReviewCard = ({ submission, duplicates, findDuplicates }) => {
+    const { db, userId, hasPermission } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [isEditing, setIsEditing] = useState(false);
+    const [edits, setEdits] = useState({
+        name: submission.name || '',
+        description: submission.description || '',
+        rating: submission.rating || '',
+        genre: submission.genre || '',
+        year: submission.year || '',
+        contentWarnings: submission.contentWarnings || []
+    });
+    const [reason, setReason] = useState('');
+    const hasDuplicateMovie = duplicates.some(duplicate => duplicate.type === 'movie');
+
+    const handleEditChange = (e) => {
+        const { name, value } = e.target;
+        setEdits(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Only fields that actually changed are applied and recorded in the audit log
+    const changedFields = () => Object.fromEntries(
+        Object.entries(edits).filter(([field, value]) => String(value) !== String(submission[field] || ''))
+    );
+
+    // Approves the submission, applying any edits made inline first
+    const handleApprove = async () => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.approveSubmissions'));
+            return;
+        }
+        const edits = isEditing ? changedFields() : {};
+        const { values: approved, errors } = validateMovieFields({ ...submission, ...edits }, { locale });
+        if (hasErrors(errors)) {
+            showMessage('error', Object.values(errors)[0]);
+            return;
+        }
+        try {
+            // Refuse to list the same film twice unless the moderator has confirmed it is a different one
+            if (!hasDuplicateMovie) {
+                const existing = (await findDuplicates(approved.name, approved.year)).find(candidate => candidate.type === 'movie');
+                if (existing) {
+                    showMessage('error', t('moderation.duplicate', { name: approved.name, existing: existing.name }));
+                    return;
+                }
+            }
+            await approveSubmission(db, submission, approved, Object.keys(edits), userId);
+            showMessage('success', t('moderation.approved', { name: approved.name }));
+        } catch (error) {
+            console.error("Error approving submission:", error);
+            showMessage('error', t('moderation.approveFailed', { name: approved.name }));
+        }
+    };
+
+    // Closes the submission as a duplicate of an existing movie
+    const handleMerge = async (movieId) => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.moderateSubmissions'));
+            return;
+        }
+        try {
+            const movie = await mergeSubmission(db, submission, movieId, userId);
+            if (!movie) {
+                showMessage('error', t('moderation.movieMissing'));
+                return;
+            }
+            showMessage('success', t('moderation.merged', { name: submission.name, movie: movie.name }));
+        } catch (error) {
+            console.error("Error merging submission:", error);
+            showMessage('error', t('moderation.mergeFailed', { name: submission.name }));
+        }
+    };
+
+    // Rejecting or requesting changes both require a reason, which the submitter can see
+    const handleSetStatus = async (status) => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.moderateSubmissions'));
+            return;
+        }
+        const trimmedReason = reason.trim();
+        if (!trimmedReason) {
+            showMessage('error', t('moderation.reasonRequired'));
+            return;
+        }
+        const isRejection = status === SUBMISSION_STATUSES.rejected;
+        try {
+            await setSubmissionStatus(db, submission, status, trimmedReason, userId);
+            showMessage('success', isRejection ? t('moderation.rejected') : t('moderation.changesRequested'));
+        } catch (error) {
+            console.error("Error updating submission status:", error);
+            showMessage('error', isRejection ? t('moderation.rejectFailed') : t('moderation.requestChangesFailed'));
+        }
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border text-sm";
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
+            {isEditing ? (
+                <div className="space-y-3 mb-4">
+                    <label className="block text-sm font-medium text-neutral-700">
+                        {t('movie.title')}
+                        <input type="text" name="name" value={edits.name} onChange={handleEditChange} className={inputClassName}/>
+                    </label>
+                    <label className="block text-sm font-medium text-neutral-700">
+                        {t('movie.description')}
+                        <textarea name="description" rows="4" value={edits.description} onChange={handleEditChange} className={inputClassName}></textarea>
+                    </label>
+                    <div className="grid grid-cols-3 gap-3">
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.rating')}
+                            <input type="number" name="rating" min="1" max="5" value={edits.rating} onChange={handleEditChange} className={inputClassName}/>
+                        </label>
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.genre')}
+                            <select name="genre" value={edits.genre} onChange={handleEditChange} className={inputClassName}>
+                                <option value="">{t('movie.noGenre')}</option>
+                                {HORROR_SUBGENRES.map(genre => <option key={genre.id} value={genre.id}>{t(`genre.${genre.id}`)}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.year')}
+                            <input type="number" name="year" value={edits.year} onChange={handleEditChange} className={inputClassName}/>
+                        </label>
+                    </div>
+                    <div className="text-sm font-medium text-neutral-700">
+                        {t('warnings.label')}
+                        <ContentWarningPicker selected={edits.contentWarnings} onChange={(contentWarnings) => setEdits(prev => ({ ...prev, contentWarnings }))} />
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <h3 className="text-xl font-bold text-red-500 mb-2">{submission.name}</h3>
+                    <p className="text-sm text-neutral-600 mb-4">{submission.description}</p>
+                    <p className="text-sm font-semibold text-neutral-700 mb-2">{t('admin.rating', { rating: submission.rating })}</p>
+                    {(submission.genre || submission.year) && (
+                        <p className="text-sm text-neutral-600 mb-2">
+                            {[submission.year, getGenreLabel(submission.genre, t)].filter(Boolean).join(' · ')}
+                        </p>
+                    )}
+                    {submission.contentWarnings && submission.contentWarnings.length > 0 && (
+                        <p className="text-sm text-orange-700 mb-2">
+                            ⚠ {submission.contentWarnings.map(id => t(`contentWarning.${id}`)).join(', ')}
+                        </p>
+                    )}
+                </>
+            )}
+            <p className="text-sm text-neutral-500 mb-4">{t('admin.submittedBy')} <span className="font-mono text-xs">{submission.submittedBy}</span></p>
+            {(submission.thumbnailUrl || submission.imageUrl) && (
+                <a href={submission.posterUrl || submission.imageUrl} target="_blank" rel="noopener noreferrer" title={t('admin.openPoster')}>
+                    <img src={submission.thumbnailUrl || submission.imageUrl} alt={submission.name} className="w-full h-48 object-cover rounded-lg mb-4" />
+                </a>
+            )}
+            {duplicates.length > 0 && (
+                <div className="mb-4 p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm">
+                    <p className="font-semibold text-yellow-800 mb-2">{t('admin.possibleDuplicate')}</p>
+                    <ul className="space-y-2">
+                        {duplicates.map(duplicate => (
+                            <li key={`${duplicate.type}:${duplicate.id}`} className="flex justify-between items-center gap-2">
+                                <span className="text-yellow-900">
+                                    {duplicate.type === 'movie' ? (
+                                        <Link to={`/movies/${encodeURIComponent(duplicate.id)}`} className="hover:underline">{duplicate.name}</Link>
+                                    ) : duplicate.name}
+                                    {duplicate.year && ` (${duplicate.year})`}
+                                    <span className="text-xs text-yellow-700"> &middot; {duplicate.type === 'movie' ? t('admin.listed') : t('admin.pending')} &middot; {t('admin.match', { percent: Math.round(duplicate.similarity * 100) })}</span>
+                                </span>
+                                {duplicate.type === 'movie' && (
+                                    <button
+                                        onClick={() => handleMerge(duplicate.id)}
+                                        className="px-2 py-1 bg-blue-600 text-white text-xs font-semibold rounded-md hover:bg-blue-700 transition-colors duration-200 whitespace-nowrap"
+                                    >
+                                        {t('admin.merge')}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <label className="block text-sm font-medium text-neutral-700 mb-4">
+                {t('admin.feedback')}
+                <textarea rows="2" value={reason} onChange={(e) => setReason(e.target.value)} className={inputClassName}></textarea>
+            </label>
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={handleApprove}
+                    className="flex-1 bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200"
+                >
+                    {isEditing ? t('admin.saveAndApprove') : (hasDuplicateMovie ? t('admin.approveAnyway') : t('admin.approve'))}
+                </button>
+                <button
+                    onClick={() => setIsEditing(prev => !prev)}
+                    className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200"
+                >
+                    {isEditing ? t('admin.cancelEdits') : t('common.edit')}
+                </button>
+                <button
+                    onClick={() => handleSetStatus(SUBMISSION_STATUSES.changesRequested)}
+                    disabled={!reason.trim()}
+                    className="flex-1 bg-yellow-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-yellow-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {t('admin.requestChanges')}
+                </button>
+                <button
+                    onClick={() => handleSetStatus(SUBMISSION_STATUSES.rejected)}
+                    disabled={!reason.trim()}
+                    className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {t('admin.reject')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// `submissions` is the loaded page of pending submissions, oldest first (App pages through them).
+// `isGenerating` maps movie IDs to whether a summary is being generated for them.
+export const AdminPanel = ({ submissions, hasMoreSubmissions, loadMoreSubmissions, findDuplicates, isGenerating, onGenerateSummary }) => {
+    const { db, userId, canModerate, hasPermission } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [commentFlags, setCommentFlags] = useState([]);
+    const [pendingSummaries, setPendingSummaries] = useState([]);
+    const [duplicateFlags, setDuplicateFlags] = useState({}); // Likely duplicates keyed by submission ID
+
+    // Open comment flags, oldest first
+    useEffect(() => {
+        if (!db || !canModerate) {
+            setCommentFlags([]);
+            return;
+        }
+
+        const flagQuery = query(commentFlagsCollection(db), where('status', '==', 'open'), orderBy('createdAt', 'asc'));
+        const unsubscribeFlags = onSnapshot(flagQuery, (snapshot) => {
+            setCommentFlags(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching comment flags:", error);
+        });
+
+        return () => unsubscribeFlags();
+    }, [db, canModerate]);
+
+    // Generated summaries waiting for a moderator to publish, edit or reject them
+    useEffect(() => {
+        if (!db || !canModerate) {
+            setPendingSummaries([]);
+            return;
+        }
+
+        const pendingQuery = query(moviesCollection(db), where('summaryStatus', '==', SUMMARY_STATUSES.pending));
+        const unsubscribePending = onSnapshot(pendingQuery, (snapshot) => {
+            setPendingSummaries(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching pending summaries:", error);
+        });
+
+        return () => unsubscribePending();
+    }, [db, canModerate]);
+
+    // Flag likely duplicates next to each pending submission
+    useEffect(() => {
+        if (!db || !canModerate) {
+            return;
+        }
+
+        let isCancelled = false;
+        const flagDuplicates = async () => {
+            // Submissions with the same title prefix share one catalog query, and the checks run side by side
+            const prefixCache = new Map();
+            const results = await Promise.all(submissions.map(async (submission) => {
+                try {
+                    return [submission.id, await findDuplicates(submission.name, submission.year, { excludeSubmissionId: submission.id, prefixCache })];
+                } catch (error) {
+                    console.error("Error checking for duplicates:", error);
+                    return [submission.id, []];
+                }
+            }));
+            if (!isCancelled) {
+                setDuplicateFlags(Object.fromEntries(results));
+            }
+        };
+        flagDuplicates();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, canModerate, submissions]);
+
+    // Resolves every open flag on a comment, optionally hiding or deleting the comment in the same batch
+    const handleResolveFlags = async (flag, action) => {
+        if (!db) return;
+        if (!hasPermission('moderate')) {
+            showMessage('error', t('permission.moderateComments'));
+            return;
+        }
+        try {
+            const openFlags = commentFlags.filter(openFlag => openFlag.movieId === flag.movieId && openFlag.commentId === flag.commentId);
+            await resolveCommentFlags(db, flag, openFlags, action, userId);
+            showMessage('success', t(`moderation.comment.${action}`));
+        } catch (error) {
+            console.error("Error moderating comment:", error);
+            showMessage('error', t('moderation.commentFailed'));
+        }
+    };
+
+    if (!canModerate) {
+        return (
+            <div className="container mx-auto p-4 text-center text-neutral-500">
+                <p className="text-lg font-semibold">{t('admin.notModerator')}</p>
+            </div>
+        );
+    }
+
+    // One card per flagged comment, however many users flagged it
+    const flaggedComments = [];
+    commentFlags.forEach(flag => {
+        const existing = flaggedComments.find(group => group.flag.movieId === flag.movieId && group.flag.commentId === flag.commentId);
+        if (existing) {
+            existing.flags.push(flag);
+        } else {
+            flaggedComments.push({ flag, flags: [flag] });
+        }
+    });
+
+    return (
+        <div className="container mx-auto p-4">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('admin.pendingHeading')}</h2>
+            {submissions.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {submissions.map(submission => (
+                        <SubmissionReviewCard
+                            key={submission.id}
+                            submission={submission}
+                            duplicates={duplicateFlags[submission.id] || []}
+                            findDuplicates={findDuplicates}
+                        />
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">{t('admin.noSubmissions')}</p>
+            )}
+            {hasMoreSubmissions && (
+                <div className="text-center mt-6">
+                    <button onClick={loadMoreSubmissions} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">
+                        {t('admin.loadMore')}
+                    </button>
+                </div>
+            )}
+
+            <h2 className="text-2xl font-bold mt-12 mb-6 text-center text-neutral-800">{t('admin.flaggedHeading')}</h2>
+            {flaggedComments.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {flaggedComments.map(({ flag, flags }) => (
+                        <div key={`${flag.movieId}/${flag.commentId}`} className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
+                            <p className="text-xs text-neutral-500 mb-2">
+                                {t('admin.flaggedOn')} <Link to={`/movies/${encodeURIComponent(flag.movieId)}`} className="text-red-600 hover:underline">{flag.movieName}</Link>
+                                {' '}&middot; {t('admin.flaggedTimes', { count: flags.length })}
+                            </p>
+                            <p className="text-sm text-neutral-800 whitespace-pre-line mb-3 p-3 bg-neutral-100 rounded-lg">{flag.commentText}</p>
+                            {flags.some(openFlag => openFlag.reason) && (
+                                <ul className="text-xs text-neutral-600 mb-4 list-disc list-inside">
+                                    {flags.filter(openFlag => openFlag.reason).map(openFlag => <li key={openFlag.id}>{openFlag.reason}</li>)}
+                                </ul>
+                            )}
+                            <div className="flex space-x-2">
+                                <button onClick={() => handleResolveFlags(flag, 'hidden')} className="flex-1 bg-yellow-500 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-yellow-600 transition-colors duration-200">
+                                    {t('admin.hide')}
+                                </button>
+                                <button onClick={() => handleResolveFlags(flag, 'deleted')} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
+                                    {t('common.delete')}
+                                </button>
+                                <button onClick={() => handleResolveFlags(flag, 'dismissed')} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                                    {t('admin.dismiss')}
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">{t('admin.noFlagged')}</p>
+            )}
+
+            <h2 className="text-2xl font-bold mt-12 mb-6 text-center text-neutral-800">{t('admin.summariesHeading')}</h2>
+            {pendingSummaries.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {pendingSummaries.map(movie => (
+                        <SummaryReviewCard
+                            key={movie.id}
+                            movie={movie}
+                            isGenerating={!!isGenerating[movie.id]}
+                            onGenerateSummary={onGenerateSummary}
+                        />
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">{t('admin.noSummaries')}</p>
+            )}
+
+            {hasPermission('curateCollections') && (
+                <>
+                    <h2 className="text-2xl font-bold mt-12 mb-6 text-center text-neutral-800">{t('admin.collectionsHeading')}</h2>
+                    <CollectionsManager />
+                </>
+            )}
+        </div>
+    );
+};
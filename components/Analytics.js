@@ -0,0 +1,229 @@
+// The admin analytics dashboard. The metrics themselves are gathered in analytics.js.
+import React, { useState, useEffect } from 'react';
+import { REVIEWED_STATUSES, getPresetRange, fetchAnalytics } from '../analytics';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+
+const ANALYTICS_PRESETS = [7, 30, 90];
+
+const formatHours = (milliseconds, t) => {
+    if (milliseconds == null) return '—';
+    const hours = milliseconds / (60 * 60 * 1000);
+    return hours < 48 ? t('analytics.hours', { value: hours.toFixed(1) }) : t('analytics.days', { value: (hours / 24).toFixed(1) });
+};
+
+const StatCard = ({ label, value, detail }) => (
+    <div className="bg-white p-4 rounded-xl shadow-lg border border-neutral-200">
+        <p className="text-xs font-semibold uppercase text-neutral-500">{label}</p>
+        <p className="text-2xl font-bold text-neutral-800 mt-1">{value}</p>
+        {detail && <p className="text-xs text-neutral-500 mt-1">{detail}</p>}
+    </div>
+);
+
+// Stacked daily bar chart. `data` is [{ label, values: [...] }], with one value per series.
+const BarChart = ({ title, data, series }) => {
+    const width = 640;
+    const height = 180;
+    const padding = { top: 10, right: 10, bottom: 24, left: 32 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(1, ...data.map(point => point.values.reduce((total, value) => total + value, 0)));
+    const barWidth = chartWidth / Math.max(1, data.length);
+    const labelEvery = Math.ceil(data.length / 8);
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-lg border border-neutral-200">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="font-bold text-neutral-800">{title}</h3>
+                <div className="flex space-x-3 text-xs text-neutral-600">
+                    {series.map(item => (
+                        <span key={item.label} className="flex items-center">
+                            <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: item.color }}></span>
+                            {item.label}
+                        </span>
+                    ))}
+                </div>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={title}>
+                <line x1={padding.left} y1={padding.top + chartHeight} x2={width - padding.right} y2={padding.top + chartHeight} stroke="#d4d4d4" />
+                <text x={padding.left - 6} y={padding.top + 8} textAnchor="end" fontSize="10" fill="#737373">{maxValue}</text>
+                <text x={padding.left - 6} y={padding.top + chartHeight} textAnchor="end" fontSize="10" fill="#737373">0</text>
+                {data.map((point, index) => {
+                    let offset = 0;
+                    const x = padding.left + index * barWidth;
+                    return (
+                        <g key={point.label}>
+                            {point.values.map((value, seriesIndex) => {
+                                const barHeight = (value / maxValue) * chartHeight;
+                                offset += barHeight;
+                                return value > 0 ? (
+                                    <rect
+                                        key={seriesIndex}
+                                        x={x + barWidth * 0.15}
+                                        y={padding.top + chartHeight - offset}
+                                        width={barWidth * 0.7}
+                                        height={barHeight}
+                                        fill={series[seriesIndex].color}
+                                    >
+                                        <title>{`${point.label}: ${value} ${series[seriesIndex].label.toLowerCase()}`}</title>
+                                    </rect>
+                                ) : null;
+                            })}
+                            {index % labelEvery === 0 && (
+                                <text x={x + barWidth / 2} y={height - 6} textAnchor="middle" fontSize="10" fill="#737373">{point.label.slice(5)}</text>
+                            )}
+                        </g>
+                    );
+                })}
+            </svg>
+        </div>
+    );
+};
+
+const RankedList = ({ title, rows, formatValue }) => {
+    const { t } = useLocale();
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-lg border border-neutral-200">
+            <h3 className="font-bold text-neutral-800 mb-2">{title}</h3>
+            {rows.length > 0 ? (
+                <ol className="space-y-1 text-sm">
+                    {rows.map((row, index) => (
+                        <li key={row.id} className="flex justify-between gap-2">
+                            <span className="truncate">
+                                <span className="text-neutral-400 mr-2">{index + 1}.</span>
+                                {row.name === null
+                                    ? <span className="italic text-neutral-500">{t('analytics.deletedMovie')}</span>
+                                    : <Link to={`/movies/${encodeURIComponent(row.id)}`} className="text-red-600 hover:underline">{row.name}</Link>}
+                            </span>
+                            <span className="text-neutral-600 whitespace-nowrap">{formatValue(row)}</span>
+                        </li>
+                    ))}
+                </ol>
+            ) : (
+                <p className="text-sm text-neutral-500">{t('analytics.noData')}</p>
+            )}
+        </div>
+    );
+};
+
+const AnalyticsRange = ({ range, onChange }) => {
+    const { t } = useLocale();
+    return (
+        <div className="flex flex-wrap items-end justify-center gap-3 mb-6">
+            <label className="text-sm text-neutral-700">
+                {t('analytics.from')}
+                <input
+                    type="date"
+                    value={range.from}
+                    max={range.to}
+                    onChange={(e) => e.target.value && onChange({ ...range, from: e.target.value })}
+                    className="ml-2 rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                />
+            </label>
+            <label className="text-sm text-neutral-700">
+                {t('analytics.to')}
+                <input
+                    type="date"
+                    value={range.to}
+                    min={range.from}
+                    onChange={(e) => e.target.value && onChange({ ...range, to: e.target.value })}
+                    className="ml-2 rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                />
+            </label>
+            {ANALYTICS_PRESETS.map(days => (
+                <button
+                    key={days}
+                    onClick={() => onChange(getPresetRange(days))}
+                    className="px-3 py-2 bg-neutral-200 hover:bg-neutral-300 transition-colors duration-200 rounded-lg text-sm font-semibold text-neutral-700"
+                >
+                    {t('analytics.lastDays', { count: days })}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export const Analytics = () => {
+    const { db, canViewAnalytics } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [analyticsRange, setAnalyticsRange] = useState(() => getPresetRange(30));
+    const [analytics, setAnalytics] = useState(null);
+    const [isLoadingAnalytics, setIsLoadingAnalytics] = useState(false);
+
+    useEffect(() => {
+        if (!db || !canViewAnalytics) {
+            return;
+        }
+
+        let isCancelled = false;
+        const loadAnalytics = async () => {
+            setIsLoadingAnalytics(true);
+            try {
+                const result = await fetchAnalytics(db, analyticsRange);
+                if (!isCancelled) {
+                    setAnalytics(result);
+                }
+            } catch (error) {
+                console.error("Error loading analytics:", error);
+                if (!isCancelled) {
+                    showMessage('error', t('error.loadAnalytics'));
+                }
+            } finally {
+                if (!isCancelled) {
+                    setIsLoadingAnalytics(false);
+                }
+            }
+        };
+        loadAnalytics();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, canViewAnalytics, analyticsRange]);
+
+    if (!analytics) {
+        return (
+            <div className="flex justify-center items-center pt-20">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+            </div>
+        );
+    }
+
+    const { submissionsByStatus, totalSubmissions, catalog, usage } = analytics;
+    const reviewedTotal = REVIEWED_STATUSES.reduce((total, status) => total + (submissionsByStatus[status] || 0), 0);
+    const rateOf = (status) => (reviewedTotal ? `${Math.round((submissionsByStatus[status] / reviewedTotal) * 100)}%` : '—');
+
+    return (
+        <div className="container mx-auto p-4 max-w-6xl">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('nav.analytics')}</h2>
+            <AnalyticsRange range={analyticsRange} onChange={setAnalyticsRange} />
+            <div className={`space-y-6 ${isLoadingAnalytics ? 'opacity-60' : ''}`}>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <StatCard label={t('analytics.submissions')} value={totalSubmissions} detail={t('analytics.stillPending', { count: submissionsByStatus.pending })} />
+                    <StatCard label={t('analytics.approvalRate')} value={rateOf('approved')} detail={t('analytics.approvedMerged', { approved: submissionsByStatus.approved, merged: submissionsByStatus.merged })} />
+                    <StatCard label={t('analytics.rejectionRate')} value={rateOf('rejected')} detail={t('analytics.sentBack', { count: submissionsByStatus.changes_requested })} />
+                    <StatCard label={t('analytics.medianReview')} value={formatHours(analytics.medianReviewMs, t)} detail={t('analytics.acrossReviewed', { count: analytics.reviewedCount })} />
+                </div>
+                <BarChart title={t('analytics.submissionsPerDay')} data={analytics.submissionsPerDay} series={[{ label: t('analytics.submissions'), color: '#dc2626' }]} />
+                <BarChart
+                    title={t('analytics.generationsPerDay')}
+                    data={analytics.generationsPerDay}
+                    series={[{ label: t('analytics.summaries'), color: '#dc2626' }, { label: t('analytics.narrations'), color: '#525252' }]}
+                />
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <StatCard label={t('analytics.moviesListed')} value={catalog.movieCount} detail={t('analytics.allTime')} />
+                    <StatCard label={t('analytics.reviews')} value={catalog.reviewCount || 0} detail={catalog.averageRating ? t('analytics.averageRating', { average: catalog.averageRating.toFixed(2) }) : t('analytics.allTime')} />
+                    <StatCard label={t('analytics.summariesGenerated')} value={usage.summaryCount || 0} detail={t('analytics.allTime')} />
+                    <StatCard label={t('analytics.narrationsGenerated')} value={usage.narrationCount || 0} detail={t('analytics.allTimeExcludingReplays')} />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <RankedList title={t('analytics.topRated')} rows={analytics.topRated} formatValue={movie => `${movie.averageRating.toFixed(1)} / 5`} />
+                    <RankedList title={t('analytics.mostReviewed')} rows={analytics.mostReviewed} formatValue={movie => t('analytics.reviewCount', { count: movie.ratingCount || 0 })} />
+                    <RankedList title={t('analytics.mostSummarized')} rows={analytics.topSummaries} formatValue={row => `${row.value}×`} />
+                    <RankedList title={t('analytics.mostNarrated')} rows={analytics.topNarrations} formatValue={row => `${row.value}×`} />
+                </div>
+            </div>
+        </div>
+    );
+};
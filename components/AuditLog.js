@@ -0,0 +1,106 @@
+// The admin audit log. Entries are append-only and written alongside each moderation action.
+import React, { useState, useEffect, useRef } from 'react';
+import { onSnapshot, orderBy } from 'firebase/firestore';
+import { auditLogCollection, buildPagedQuery, fetchNextPage, toRecords, toMillis } from '../repository';
+import { useAuth, useLocale, useMessage } from '../contexts';
+
+const AUDIT_LOG_PAGE_SIZE = 50;
+const AUDIT_LOG_ORDERING = [orderBy('timestamp', 'desc')];
+
+export const AuditLog = () => {
+    const { db, isAdmin } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [auditEntries, setAuditEntries] = useState([]);
+    const [auditCursor, setAuditCursor] = useState(null);
+    const [hasMoreAuditEntries, setHasMoreAuditEntries] = useState(false);
+    const lastAuditDocRef = useRef(null);
+
+    // Newest entries first; loading older entries widens the live query to the new cursor
+    useEffect(() => {
+        if (!db || !isAdmin) {
+            setAuditEntries([]);
+            return;
+        }
+
+        const auditQuery = buildPagedQuery(auditLogCollection(db), AUDIT_LOG_ORDERING, auditCursor, AUDIT_LOG_PAGE_SIZE);
+        const unsubscribeAudit = onSnapshot(auditQuery, (snapshot) => {
+            setAuditEntries(toRecords(snapshot));
+            lastAuditDocRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+            if (!auditCursor) {
+                setHasMoreAuditEntries(snapshot.size === AUDIT_LOG_PAGE_SIZE);
+            }
+        }, (error) => {
+            console.error("Error fetching audit log:", error);
+            showMessage('error', t('error.loadAuditLog'));
+        });
+
+        return () => unsubscribeAudit();
+    }, [db, isAdmin, auditCursor]);
+
+    const loadMoreAuditEntries = async () => {
+        if (!db || !lastAuditDocRef.current) return;
+        try {
+            const nextDocs = await fetchNextPage(auditLogCollection(db), AUDIT_LOG_ORDERING, lastAuditDocRef.current, AUDIT_LOG_PAGE_SIZE);
+            if (nextDocs.length > 0) {
+                setAuditCursor(nextDocs[nextDocs.length - 1]);
+            }
+            setHasMoreAuditEntries(nextDocs.length === AUDIT_LOG_PAGE_SIZE);
+        } catch (error) {
+            console.error("Error loading more audit entries:", error);
+            showMessage('error', t('error.loadMoreAuditEntries'));
+        }
+    };
+
+    if (!isAdmin) {
+        return (
+            <div className="container mx-auto p-4 text-center text-neutral-500">
+                <p className="text-lg font-semibold">{t('audit.notAdmin')}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container mx-auto p-4">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('nav.audit')}</h2>
+            {auditEntries.length > 0 ? (
+                <div className="bg-white rounded-xl shadow-lg border border-neutral-200 overflow-x-auto">
+                    <table className="min-w-full text-sm text-left">
+                        <thead className="bg-neutral-100 text-neutral-600">
+                            <tr>
+                                <th className="p-3 font-semibold">{t('audit.columnWhen')}</th>
+                                <th className="p-3 font-semibold">{t('audit.columnAction')}</th>
+                                <th className="p-3 font-semibold">{t('audit.columnTarget')}</th>
+                                <th className="p-3 font-semibold">{t('audit.columnBy')}</th>
+                                <th className="p-3 font-semibold">{t('audit.columnReason')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-neutral-200">
+                            {auditEntries.map(entry => (
+                                <tr key={entry.id} className="align-top">
+                                    <td className="p-3 whitespace-nowrap text-neutral-500">{new Date(toMillis(entry.timestamp)).toLocaleString(locale)}</td>
+                                    <td className="p-3 font-semibold text-neutral-800">{entry.action}</td>
+                                    <td className="p-3">
+                                        {entry.targetName && <span className="block text-neutral-800">{entry.targetName}</span>}
+                                        <span className="font-mono text-xs text-neutral-500">{entry.targetType}/{entry.targetId}</span>
+                                    </td>
+                                    <td className="p-3 font-mono text-xs text-neutral-500">{entry.actorId}</td>
+                                    <td className="p-3 text-neutral-600">{entry.reason || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">{t('audit.none')}</p>
+            )}
+            {hasMoreAuditEntries && (
+                <div className="text-center mt-6">
+                    <button onClick={loadMoreAuditEntries} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">
+                        {t('audit.loadMore')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
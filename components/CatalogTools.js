@@ -0,0 +1,227 @@
+// Bulk import and export of the movie catalog (see catalogTransfer.js for the file formats)
+import React, { useState } from 'react';
+import { hasErrors } from '../movieSchema';
+import { MAX_IMPORT_ROWS, parseImportFile, prepareImportRows, countValidRows, toExportRecord, toCsv, downloadTextFile } from '../catalogTransfer';
+import { fetchAllMovies, importMovies, backfillLegacyMovies, backfillLegacySubmissions, backfillLegacyReviews } from '../repository';
+import { normalizeTitle } from '../duplicates';
+import { useAuth, useLocale, useMessage } from '../contexts';
+
+export const CatalogTools = () => {
+    const { db, userId, hasPermission } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [catalogImport, setCatalogImport] = useState(null); // { fileName, rows, existingIds }
+    const [importProgress, setImportProgress] = useState(null); // { written, total } while importing
+    const [isExporting, setIsExporting] = useState(false);
+    const [isBackfilling, setIsBackfilling] = useState(false);
+
+    // Parses and validates an import file, flagging rows that would update or repeat existing movies, or
+    // whose ID matches no movie
+    const handleChooseImportFile = async (file) => {
+        if (!db || !file) return;
+        try {
+            const records = parseImportFile(file.name, await file.text(), { locale });
+            if (records.length > MAX_IMPORT_ROWS) {
+                showMessage('error', t('catalog.tooManyRows', { max: MAX_IMPORT_ROWS, count: records.length }));
+                return;
+            }
+            const existingMovies = await fetchAllMovies(db);
+            const existingIds = new Set(existingMovies.map(movie => movie.id));
+            const existingTitles = new Map(existingMovies.map(movie => [`${movie.normalizedName || normalizeTitle(movie.name)}|${movie.year || ''}`, movie]));
+            const seenTitles = new Set();
+
+            const rows = prepareImportRows(records, { locale }).map(row => {
+                const warnings = [];
+                const titleKey = `${normalizeTitle(row.values.name)}|${row.values.year || ''}`;
+                if (row.id && existingIds.has(row.id)) {
+                    warnings.push(t('catalog.warningUpdatesExisting'));
+                } else {
+                    if (row.id) {
+                        warnings.push(t('catalog.warningIdNotFound'));
+                    }
+                    if (existingTitles.has(titleKey)) {
+                        warnings.push(t('catalog.warningAlreadyListed', { name: existingTitles.get(titleKey).name }));
+                    }
+                }
+                if (seenTitles.has(titleKey)) {
+                    warnings.push(t('catalog.warningRepeated'));
+                }
+                seenTitles.add(titleKey);
+                return { ...row, warnings };
+            });
+
+            setCatalogImport({ fileName: file.name, rows, existingIds });
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            showMessage('error', t('catalog.readFailed', { fileName: file.name, error: error.message }));
+        }
+    };
+
+    // Writes every valid row of the previewed import; rows with errors are skipped
+    const handleImportCatalog = async () => {
+        if (!db || !catalogImport) return;
+        if (!hasPermission('manageCatalog')) {
+            showMessage('error', t('permission.importMovies'));
+            return;
+        }
+        const validRows = catalogImport.rows.filter(row => !hasErrors(row.errors));
+        if (!validRows.length) {
+            showMessage('error', t('catalog.noValidRows'));
+            return;
+        }
+
+        setImportProgress({ written: 0, total: validRows.length });
+        try {
+            await importMovies(db, validRows, {
+                existingIds: catalogImport.existingIds,
+                actorId: userId,
+                fileName: catalogImport.fileName,
+                skippedCount: catalogImport.rows.length - validRows.length,
+                onProgress: (written) => setImportProgress({ written, total: validRows.length })
+            });
+            setCatalogImport(null);
+            showMessage('success', t('catalog.imported', { count: validRows.length }));
+        } catch (error) {
+            console.error("Error importing movies:", error);
+            showMessage('error', t('catalog.importFailed'));
+        } finally {
+            setImportProgress(null);
+        }
+    };
+
+    const handleExportCatalog = async (format) => {
+        if (!db) return;
+        setIsExporting(true);
+        try {
+            const records = (await fetchAllMovies(db)).map(movie => toExportRecord(movie.id, movie));
+            const date = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') {
+                downloadTextFile(`movies-${date}.csv`, toCsv(records), 'text/csv');
+            } else {
+                downloadTextFile(`movies-${date}.json`, JSON.stringify({ exportedAt: new Date().toISOString(), movies: records }, null, 2), 'application/json');
+            }
+            showMessage('success', t('catalog.exported', { count: records.length }));
+        } catch (error) {
+            console.error("Error exporting movies:", error);
+            showMessage('error', t('catalog.exportFailed'));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    // Fills in the fields that sorting, duplicate checks and the moderation queue rely on for movies and
+    // submissions stored before those fields existed
+    const handleBackfill = async () => {
+        if (!db) return;
+        if (!hasPermission('manageCatalog')) {
+            showMessage('error', t('permission.importMovies'));
+            return;
+        }
+        setIsBackfilling(true);
+        try {
+            const count = await backfillLegacyMovies(db, userId)
+                + await backfillLegacySubmissions(db, userId)
+                + await backfillLegacyReviews(db, userId);
+            showMessage('success', count ? t('catalog.backfilled', { count }) : t('catalog.nothingToBackfill'));
+        } catch (error) {
+            console.error("Error backfilling legacy data:", error);
+            showMessage('error', t('catalog.backfillFailed'));
+        } finally {
+            setIsBackfilling(false);
+        }
+    };
+
+    const validCount = catalogImport ? countValidRows(catalogImport.rows) : 0;
+
+    return (
+        <div className="container mx-auto p-4 max-w-5xl">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('catalog.heading')}</h2>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200 mb-8">
+                <h3 className="text-xl font-bold text-neutral-800 mb-2">{t('catalog.exportHeading')}</h3>
+                <p className="text-sm text-neutral-600 mb-4">{t('catalog.exportHelp')}</p>
+                <div className="flex space-x-2">
+                    <button onClick={() => handleExportCatalog('csv')} disabled={isExporting} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                        {t('catalog.exportCsv')}
+                    </button>
+                    <button onClick={() => handleExportCatalog('json')} disabled={isExporting} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                        {t('catalog.exportJson')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
+                <h3 className="text-xl font-bold text-neutral-800 mb-2">{t('catalog.importHeading')}</h3>
+                <p className="text-sm text-neutral-600 mb-4">{t('catalog.importHelp')}</p>
+                <input
+                    type="file"
+                    accept=".csv,.json"
+                    disabled={!!importProgress}
+                    onChange={(e) => {
+                        handleChooseImportFile(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                    className="block w-full text-sm text-neutral-700 mb-4 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-neutral-200 file:text-neutral-700 hover:file:bg-neutral-300"
+                />
+
+                {catalogImport && (
+                    <>
+                        <p className="text-sm text-neutral-700 mb-2">
+                            <span className="font-semibold">{catalogImport.fileName}</span>:{' '}
+                            {catalogImport.rows.length > validCount
+                                ? t('catalog.previewWithSkipped', { count: catalogImport.rows.length, valid: validCount, skipped: catalogImport.rows.length - validCount })
+                                : t('catalog.preview', { count: catalogImport.rows.length, valid: validCount })}
+                        </p>
+                        <div className="max-h-96 overflow-y-auto border border-neutral-200 rounded-lg mb-4">
+                            <table className="min-w-full text-sm text-left">
+                                <thead className="bg-neutral-100 text-neutral-600 sticky top-0">
+                                    <tr>
+                                        <th className="p-2 font-semibold">{t('catalog.columnRow')}</th>
+                                        <th className="p-2 font-semibold">{t('catalog.columnTitle')}</th>
+                                        <th className="p-2 font-semibold">{t('catalog.columnYear')}</th>
+                                        <th className="p-2 font-semibold">{t('catalog.columnRating')}</th>
+                                        <th className="p-2 font-semibold">{t('catalog.columnProblems')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-neutral-200">
+                                    {catalogImport.rows.map(row => (
+                                        <tr key={row.rowNumber} className={`align-top ${hasErrors(row.errors) ? 'bg-red-50' : ''}`}>
+                                            <td className="p-2 text-neutral-500">{row.rowNumber}</td>
+                                            <td className="p-2 text-neutral-800">{row.values.name || <span className="italic text-neutral-400">{t('catalog.missing')}</span>}</td>
+                                            <td className="p-2 text-neutral-600">{row.values.year || ''}</td>
+                                            <td className="p-2 text-neutral-600">{Number.isInteger(row.values.rating) ? row.values.rating : ''}</td>
+                                            <td className="p-2">
+                                                {Object.entries(row.errors).map(([field, error]) => (
+                                                    <p key={field} className="text-red-600">{error}</p>
+                                                ))}
+                                                {row.warnings.map(warning => (
+                                                    <p key={warning} className="text-yellow-700">{warning}</p>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="flex space-x-2">
+                            <button onClick={handleImportCatalog} disabled={!validCount || !!importProgress} className="flex-1 bg-green-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                                {importProgress ? t('catalog.importing', importProgress) : t('catalog.importButton', { count: validCount })}
+                            </button>
+                            <button onClick={() => setCatalogImport(null)} disabled={!!importProgress} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                                {t('common.cancel')}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200 mt-8">
+                <h3 className="text-xl font-bold text-neutral-800 mb-2">{t('catalog.legacyHeading')}</h3>
+                <p className="text-sm text-neutral-600 mb-4">{t('catalog.legacyHelp')}</p>
+                <button onClick={handleBackfill} disabled={isBackfilling} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isBackfilling ? t('common.saving') : t('catalog.backfill')}
+                </button>
+            </div>
+        </div>
+    );
+};
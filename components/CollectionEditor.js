@@ -0,0 +1,407 @@
+// The admin panel's collection editor: every collection with its publish status, and a form for the title,
+// cover, schedule and the ordered list of movies. Readers see live collections through Collections.js.
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, orderBy } from 'firebase/firestore';
+import { COLLECTION_LIMITS, getCollectionStatus, toDateTimeInputValue, validateCollectionFields } from '../curatedCollections';
+import { hasErrors } from '../movieSchema';
+import { normalizeTitle } from '../duplicates';
+import { collectionsCollection, toRecords, toMillis, fetchMoviesByIds, fetchMoviesByTitlePrefix, saveCollection, deleteCollection, uploadCollectionCover } from '../repository';
+import { POSTER_TYPES, COVER_SIZE, validatePosterFile, resizeImage, getThumbnailUrl, PLACEHOLDER_IMAGE_URL } from '../posters';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+import { getCollectionLink } from './Collections';
+
+const COLLECTION_STATUS_STYLES = {
+    draft: 'bg-neutral-200 text-neutral-600',
+    scheduled: 'bg-blue-100 text-blue-800',
+    live: 'bg-green-100 text-green-800',
+    ended: 'bg-yellow-100 text-yellow-800'
+};
+
+const MOVIE_SEARCH_LIMIT = 10;
+
+const inputClassName = "mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border text-sm";
+
+// `curatedCollection` is null for a new collection. `onDone` closes the form.
+const CollectionForm = ({ curatedCollection, onDone }) => {
+    const { db, storage, userId, hasPermission } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [form, setForm] = useState({
+        title: curatedCollection ? curatedCollection.title : '',
+        description: curatedCollection ? curatedCollection.description || '' : '',
+        publishAt: curatedCollection ? toDateTimeInputValue(curatedCollection.publishAt) : '',
+        unpublishAt: curatedCollection ? toDateTimeInputValue(curatedCollection.unpublishAt) : ''
+    });
+    const [cover, setCover] = useState({
+        coverUrl: curatedCollection ? curatedCollection.coverUrl || null : null,
+        coverPath: curatedCollection ? curatedCollection.coverPath || null : null
+    });
+    const [coverFile, setCoverFile] = useState(null);
+    const [coverPreviewUrl, setCoverPreviewUrl] = useState(null);
+    const [coverError, setCoverError] = useState(null);
+    const [movies, setMovies] = useState(curatedCollection ? null : []); // null while the saved movies load
+    const [searchText, setSearchText] = useState('');
+    const [searchResults, setSearchResults] = useState([]);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Movies removed from the catalog since the collection was saved are dropped here
+    useEffect(() => {
+        if (!db || !curatedCollection) {
+            return;
+        }
+
+        let isCancelled = false;
+        fetchMoviesByIds(db, curatedCollection.movieIds)
+            .then(loadedMovies => {
+                if (!isCancelled) {
+                    setMovies(loadedMovies);
+                }
+            })
+            .catch(error => {
+                console.error("Error loading collection movies:", error);
+                if (!isCancelled) {
+                    showMessage('error', t('collections.moviesLoadFailed'));
+                    setMovies([]);
+                }
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, curatedCollection]);
+
+    // Search the catalog by title once the curator pauses typing
+    useEffect(() => {
+        const prefix = normalizeTitle(searchText);
+        if (!db || !prefix) {
+            setSearchResults([]);
+            return;
+        }
+
+        let isCancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const matches = await fetchMoviesByTitlePrefix(db, prefix, MOVIE_SEARCH_LIMIT);
+                if (!isCancelled) {
+                    setSearchResults(matches);
+                }
+            } catch (error) {
+                console.error("Error searching movies:", error);
+            }
+        }, 400);
+        return () => {
+            isCancelled = true;
+            clearTimeout(timer);
+        };
+    }, [db, searchText]);
+
+    // Release the preview's object URL when it is replaced or the form goes away
+    useEffect(() => () => {
+        if (coverPreviewUrl) URL.revokeObjectURL(coverPreviewUrl);
+    }, [coverPreviewUrl]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+        setFieldErrors(prev => ({ ...prev, [name === 'publishAt' || name === 'unpublishAt' ? 'schedule' : name]: null }));
+    };
+
+    const handleCoverChange = (e) => {
+        const file = e.target.files[0] || null;
+        const error = file ? validatePosterFile(file, t, 'cover') : null;
+        setCoverError(error);
+        if (!file || error) {
+            setCoverFile(null);
+            setCoverPreviewUrl(null);
+            e.target.value = '';
+            return;
+        }
+        setCoverFile(file);
+        setCoverPreviewUrl(URL.createObjectURL(file));
+    };
+
+    const handleRemoveCover = () => {
+        setCover({ coverUrl: null, coverPath: null });
+        setCoverFile(null);
+        setCoverPreviewUrl(null);
+    };
+
+    const handleAddMovie = (movie) => {
+        setMovies(prev => (prev.some(existing => existing.id === movie.id) ? prev : [...prev, movie]));
+        setFieldErrors(prev => ({ ...prev, movieIds: null }));
+    };
+
+    const moveMovie = (fromIndex, toIndex) => {
+        setMovies(prev => {
+            const reordered = [...prev];
+            const [moved] = reordered.splice(fromIndex, 1);
+            reordered.splice(toIndex, 0, moved);
+            return reordered;
+        });
+    };
+
+    // The dragged movie follows the pointer, so the list is already in its new order when it is dropped
+    const handleDragOver = (e, index) => {
+        e.preventDefault();
+        if (dragIndex === null || dragIndex === index) return;
+        moveMovie(dragIndex, index);
+        setDragIndex(index);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!db) return;
+        if (!hasPermission('curateCollections')) {
+            showMessage('error', t('permission.curateCollections'));
+            return;
+        }
+        const { values, errors } = validateCollectionFields({ ...form, ...cover, movieIds: movies.map(movie => movie.id) }, { locale });
+        setFieldErrors(errors);
+        if (hasErrors(errors)) {
+            return;
+        }
+        setIsSaving(true);
+        try {
+            if (coverFile) {
+                Object.assign(values, await uploadCollectionCover(storage, userId, await resizeImage(coverFile, COVER_SIZE)));
+            }
+            await saveCollection(db, curatedCollection ? curatedCollection.id : null, values, userId);
+            showMessage('success', t('collections.saved', { title: values.title }));
+            setIsSaving(false);
+            onDone();
+        } catch (error) {
+            console.error("Error saving collection:", error);
+            showMessage('error', t('collections.saveFailed'));
+            setIsSaving(false);
+        }
+    };
+
+    const coverUrl = coverPreviewUrl || cover.coverUrl;
+    const isFull = !!movies && movies.length >= COLLECTION_LIMITS.maxMovies;
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200 space-y-4">
+            <h3 className="text-xl font-bold text-red-500">{curatedCollection ? t('collections.editHeading') : t('collections.newHeading')}</h3>
+            <label className="block text-sm font-medium text-neutral-700">
+                {t('collections.title')}
+                <input type="text" name="title" value={form.title} maxLength={COLLECTION_LIMITS.titleMaxLength} onChange={handleChange} className={inputClassName}/>
+                {fieldErrors.title && <span className="block text-sm text-red-600 mt-1">{fieldErrors.title}</span>}
+            </label>
+            <label className="block text-sm font-medium text-neutral-700">
+                {t('collections.description')}
+                <textarea rows="3" name="description" value={form.description} maxLength={COLLECTION_LIMITS.descriptionMaxLength} onChange={handleChange} className={inputClassName}></textarea>
+                {fieldErrors.description && <span className="block text-sm text-red-600 mt-1">{fieldErrors.description}</span>}
+            </label>
+            <div>
+                <label htmlFor="collectionCover" className="block text-sm font-medium text-neutral-700">{t('collections.cover')}</label>
+                {coverUrl && (
+                    <div className="mt-1 flex items-center gap-4">
+                        <img src={coverUrl} alt="" className="w-48 h-24 object-cover rounded-lg border border-neutral-300"/>
+                        <button type="button" onClick={handleRemoveCover} className="text-sm text-red-600 hover:underline">{t('collections.removeCover')}</button>
+                    </div>
+                )}
+                <input type="file" id="collectionCover" accept={POSTER_TYPES.join(',')} onChange={handleCoverChange} className="mt-1 block w-full text-sm text-neutral-700"/>
+                {(coverError || fieldErrors.coverUrl) && <p className="mt-1 text-sm text-red-600">{coverError || fieldErrors.coverUrl}</p>}
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block text-sm font-medium text-neutral-700">
+                    {t('collections.publishAt')}
+                    <input type="datetime-local" name="publishAt" value={form.publishAt} onChange={handleChange} className={inputClassName}/>
+                </label>
+                <label className="block text-sm font-medium text-neutral-700">
+                    {t('collections.unpublishAt')}
+                    <input type="datetime-local" name="unpublishAt" value={form.unpublishAt} onChange={handleChange} className={inputClassName}/>
+                </label>
+            </div>
+            <p className="text-xs text-neutral-500">{t('collections.scheduleHint')}</p>
+            {fieldErrors.schedule && <p className="text-sm text-red-600">{fieldErrors.schedule}</p>}
+
+            <div>
+                <p className="text-sm font-medium text-neutral-700">
+                    {t('collections.movies')}
+                    {movies && <span className="ml-2 text-xs text-neutral-500">{movies.length} / {COLLECTION_LIMITS.maxMovies}</span>}
+                </p>
+                {!movies ? (
+                    <p className="text-sm text-neutral-500 mt-1">{t('common.loading')}</p>
+                ) : (
+                    <>
+                        {movies.length > 0 ? (
+                            <ol className="mt-1 space-y-2">
+                                {movies.map((movie, index) => (
+                                    <li
+                                        key={movie.id}
+                                        draggable
+                                        onDragStart={(e) => {
+                                            setDragIndex(index);
+                                            e.dataTransfer.effectAllowed = 'move';
+                                            e.dataTransfer.setData('text/plain', movie.id);
+                                        }}
+                                        onDragOver={(e) => handleDragOver(e, index)}
+                                        onDrop={(e) => e.preventDefault()}
+                                        onDragEnd={() => setDragIndex(null)}
+                                        className={`flex items-center gap-3 p-2 rounded-lg border bg-neutral-50 cursor-move ${dragIndex === index ? 'border-red-500 opacity-50' : 'border-neutral-200'}`}
+                                    >
+                                        <span className="text-neutral-400 select-none" aria-hidden="true">⠿</span>
+                                        <span className="w-6 text-sm font-bold text-neutral-500">{index + 1}</span>
+                                        <img
+                                            src={getThumbnailUrl(movie)}
+                                            alt=""
+                                            className="w-8 h-12 object-cover rounded"
+                                            onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                                        />
+                                        <span className="flex-grow text-sm text-neutral-800">
+                                            {movie.name}{movie.year && <span className="text-neutral-500"> ({movie.year})</span>}
+                                        </span>
+                                        <button type="button" onClick={() => moveMovie(index, index - 1)} disabled={index === 0} title={t('collections.moveUp')} className="px-2 text-neutral-600 hover:text-red-600 disabled:opacity-30">↑</button>
+                                        <button type="button" onClick={() => moveMovie(index, index + 1)} disabled={index === movies.length - 1} title={t('collections.moveDown')} className="px-2 text-neutral-600 hover:text-red-600 disabled:opacity-30">↓</button>
+                                        <button type="button" onClick={() => setMovies(prev => prev.filter(existing => existing.id !== movie.id))} title={t('collections.removeMovie')} className="px-2 text-neutral-600 hover:text-red-600">✕</button>
+                                    </li>
+                                ))}
+                            </ol>
+                        ) : (
+                            <p className="text-sm text-neutral-500 mt-1">{t('collections.noMovies')}</p>
+                        )}
+                        {fieldErrors.movieIds && <p className="text-sm text-red-600 mt-1">{fieldErrors.movieIds}</p>}
+                        <input
+                            type="search"
+                            value={searchText}
+                            onChange={(e) => setSearchText(e.target.value)}
+                            disabled={isFull}
+                            placeholder={isFull ? t('collections.full', { max: COLLECTION_LIMITS.maxMovies }) : t('collections.searchPlaceholder')}
+                            aria-label={t('collections.searchMovies')}
+                            className={`${inputClassName} disabled:bg-neutral-100`}
+                        />
+                        {!isFull && searchResults.length > 0 && (
+                            <ul className="mt-1 border border-neutral-200 rounded-lg divide-y divide-neutral-200">
+                                {searchResults.map(movie => {
+                                    const isAdded = movies.some(existing => existing.id === movie.id);
+                                    return (
+                                        <li key={movie.id} className="flex items-center justify-between p-2 text-sm">
+                                            <span className="text-neutral-800">
+                                                {movie.name}{movie.year && <span className="text-neutral-500"> ({movie.year})</span>}
+                                            </span>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleAddMovie(movie)}
+                                                disabled={isAdded}
+                                                className="px-2 py-1 bg-red-600 text-white text-xs font-semibold rounded-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                {isAdded ? t('collections.added') : t('collections.add')}
+                                            </button>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <div className="flex space-x-2">
+                <button type="submit" disabled={isSaving || !movies} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isSaving ? t('common.saving') : t('collections.save')}
+                </button>
+                <button type="button" onClick={onDone} disabled={isSaving} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200 disabled:opacity-50">
+                    {t('common.cancel')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// Shown in the admin panel to staff who can curate collections
+export const CollectionsManager = () => {
+    const { db, userId, hasPermission } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [collections, setCollections] = useState([]);
+    const [editing, setEditing] = useState(undefined); // undefined when the form is closed, null for a new collection
+
+    // Every collection, drafts included, most recently edited first
+    useEffect(() => {
+        if (!db) {
+            return;
+        }
+
+        const collectionQuery = query(collectionsCollection(db), orderBy('updatedAt', 'desc'));
+        const unsubscribe = onSnapshot(collectionQuery, (snapshot) => {
+            setCollections(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching collections:", error);
+            showMessage('error', t('error.loadCollections'));
+        });
+
+        return () => unsubscribe();
+    }, [db]);
+
+    const handleDelete = async (curatedCollection) => {
+        if (!db) return;
+        if (!hasPermission('curateCollections')) {
+            showMessage('error', t('permission.curateCollections'));
+            return;
+        }
+        try {
+            await deleteCollection(db, curatedCollection, userId);
+            showMessage('success', t('collections.deleted', { title: curatedCollection.title }));
+        } catch (error) {
+            console.error("Error deleting collection:", error);
+            showMessage('error', t('collections.deleteFailed'));
+        }
+    };
+
+    if (editing !== undefined) {
+        return <CollectionForm key={editing ? editing.id : 'new'} curatedCollection={editing} onDone={() => setEditing(undefined)} />;
+    }
+
+    return (
+        <div>
+            <div className="text-center mb-6">
+                <button onClick={() => setEditing(null)} className="px-4 py-2 bg-red-600 hover:bg-red-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">
+                    {t('collections.new')}
+                </button>
+            </div>
+            {collections.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {collections.map(curatedCollection => {
+                        const status = getCollectionStatus(curatedCollection);
+                        return (
+                            <div key={curatedCollection.id} className="bg-white rounded-xl shadow-lg border border-neutral-200 overflow-hidden">
+                                {curatedCollection.coverUrl && (
+                                    <img src={curatedCollection.coverUrl} alt="" className="w-full h-32 object-cover"/>
+                                )}
+                                <div className="p-6">
+                                    <div className="flex justify-between items-start gap-2 mb-2">
+                                        <h3 className="text-xl font-bold text-red-500">{curatedCollection.title}</h3>
+                                        <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${COLLECTION_STATUS_STYLES[status]}`}>
+                                            {t(`collectionStatus.${status}`)}
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-neutral-500 mb-4">
+                                        {t('collections.movieCount', { count: curatedCollection.movieIds.length })}
+                                        {curatedCollection.publishAt && <> &middot; {new Date(toMillis(curatedCollection.publishAt)).toLocaleString(locale)}</>}
+                                    </p>
+                                    <div className="flex space-x-2">
+                                        <Link to={getCollectionLink(curatedCollection.id)} className="flex-1 text-center bg-neutral-200 text-neutral-800 font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-300 transition-colors duration-200">
+                                            {t('collections.view')}
+                                        </Link>
+                                        <button onClick={() => setEditing(curatedCollection)} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                                            {t('common.edit')}
+                                        </button>
+                                        <button onClick={() => handleDelete(curatedCollection)} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
+                                            {t('common.delete')}
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">{t('collections.none')}</p>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,248 @@
+// Editorial collections for readers: a row per live collection above the catalog grid, and a shareable
+// page for each one. Admins curate them from the admin panel (see CollectionEditor.js).
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, where, orderBy, limit } from 'firebase/firestore';
+import { getCollectionStatus, isCollectionLive } from '../curatedCollections';
+import { collectionsCollection, collectionDoc, fetchMoviesByIds, toRecords } from '../repository';
+import { getGenreLabel } from '../movieTranslations';
+import { getMovieRating } from '../catalogFilters';
+import { getThumbnailUrl, PLACEHOLDER_IMAGE_URL } from '../posters';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+import { LibraryActions, WatchedBadge } from './MovieParts';
+import { MovieRow } from './Recommendations';
+
+const MAX_COLLECTION_ROWS = 5;
+// Ended collections are only filtered out here, so read a few more than are shown
+const COLLECTION_QUERY_LIMIT = 20;
+// The rules compare publishAt with the server's clock, so a client clock running ahead must not ask for
+// collections that aren't out yet. Collections appear up to this long after their publish date.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+// The query's cutoff is moved forward this often, so collections going live or ending while the page
+// is open show up or drop out without a reload
+const CUTOFF_REFRESH_MS = 5 * 60 * 1000;
+
+export const getCollectionLink = (collectionId) => `/collections/${encodeURIComponent(collectionId)}`;
+
+// Loads the given movies whenever the list of IDs changes. Returns a map of movie ID to movie, or null while loading.
+const useCollectionMovies = (movieIds) => {
+    const { db } = useAuth();
+    const [moviesById, setMoviesById] = useState(null);
+    const movieIdsKey = JSON.stringify(movieIds || []);
+
+    useEffect(() => {
+        const ids = JSON.parse(movieIdsKey);
+        if (!db || !ids.length) {
+            setMoviesById({});
+            return;
+        }
+
+        let isCancelled = false;
+        setMoviesById(null);
+        fetchMoviesByIds(db, ids)
+            .then(movies => {
+                if (!isCancelled) {
+                    setMoviesById(Object.fromEntries(movies.map(movie => [movie.id, movie])));
+                }
+            })
+            .catch(error => {
+                console.error("Error loading collection movies:", error);
+                if (!isCancelled) {
+                    setMoviesById({});
+                }
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, movieIdsKey]);
+
+    return moviesById;
+};
+
+// Shown above the unfiltered catalog, newest collection first
+export const CollectionRows = () => {
+    const { db } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [collections, setCollections] = useState([]);
+    const [cutoff, setCutoff] = useState(() => Date.now() - CLOCK_SKEW_MS);
+    // A movie in several collections is only read once
+    const moviesById = useCollectionMovies([...new Set(collections.flatMap(curated => curated.movieIds))]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setCutoff(Date.now() - CLOCK_SKEW_MS), CUTOFF_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        if (!db) {
+            return;
+        }
+
+        const collectionQuery = query(
+            collectionsCollection(db),
+            where('published', '==', true),
+            where('publishAt', '<=', new Date(cutoff)),
+            orderBy('publishAt', 'desc'),
+            limit(COLLECTION_QUERY_LIMIT)
+        );
+        const unsubscribe = onSnapshot(collectionQuery, (snapshot) => {
+            setCollections(toRecords(snapshot).filter(curated => isCollectionLive(curated)).slice(0, MAX_COLLECTION_ROWS));
+        }, (error) => {
+            console.error("Error fetching collections:", error);
+            showMessage('error', t('error.loadCollections'));
+        });
+
+        return () => unsubscribe();
+    }, [db, cutoff]);
+
+    if (!moviesById) {
+        return null;
+    }
+    return collections.map(curated => (
+        <MovieRow
+            key={curated.id}
+            title={curated.title}
+            movies={curated.movieIds.filter(movieId => moviesById[movieId]).map(movieId => moviesById[movieId])}
+            to={getCollectionLink(curated.id)}
+            coverUrl={curated.coverUrl}
+        />
+    ));
+};
+
+const CollectionMovieCard = ({ movie, position }) => {
+    const { t } = useLocale();
+    return (
+        <div className="bg-neutral-900 text-white rounded-lg shadow-xl overflow-hidden">
+            <Link to={`/movies/${encodeURIComponent(movie.id)}`} className="relative block">
+                <img
+                    src={getThumbnailUrl(movie)}
+                    alt={movie.name}
+                    loading="lazy"
+                    className="w-full h-60 object-cover"
+                    onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                />
+                <span className="absolute top-2 right-2 w-8 h-8 rounded-full bg-red-600 text-white text-sm font-bold flex items-center justify-center shadow">{position}</span>
+                <WatchedBadge movieId={movie.id} />
+            </Link>
+            <div className="p-4">
+                <h3 className="text-lg font-bold text-red-500 mb-1">
+                    <Link to={`/movies/${encodeURIComponent(movie.id)}`} className="hover:underline">{movie.name}</Link>
+                </h3>
+                <p className="text-xs text-neutral-500 mb-3">
+                    <span className="text-yellow-400 mr-1">★</span>
+                    {[getMovieRating(movie).toFixed(1), movie.year, getGenreLabel(movie.genre, t)].filter(Boolean).join(' · ')}
+                </p>
+                <LibraryActions movie={movie} />
+            </div>
+        </div>
+    );
+};
+
+// Curators can preview drafts and scheduled collections here; everyone else only sees live ones
+export const CollectionPage = ({ collectionId }) => {
+    const { db, hasPermission } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [curatedCollection, setCuratedCollection] = useState(undefined); // undefined while loading, null if not found
+    const moviesById = useCollectionMovies(curatedCollection ? curatedCollection.movieIds : []);
+    const title = curatedCollection ? curatedCollection.title : null;
+    const canCurate = hasPermission('curateCollections');
+
+    useEffect(() => {
+        if (!db) {
+            return;
+        }
+
+        const unsubscribe = onSnapshot(collectionDoc(db, collectionId), (snapshot) => {
+            setCuratedCollection(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => {
+            // Drafts and scheduled collections can't be read by readers at all, so they are simply not found
+            console.error("Error fetching collection:", error);
+            if (error.code !== 'permission-denied') {
+                showMessage('error', t('error.loadCollection'));
+            }
+            setCuratedCollection(null);
+        });
+
+        return () => unsubscribe();
+    }, [db, collectionId]);
+
+    useEffect(() => {
+        if (!title) {
+            return;
+        }
+        document.title = `${title} | Horror Movie Hub`;
+        return () => {
+            document.title = 'Horror Movie Hub';
+        };
+    }, [title]);
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            showMessage('success', t('collections.linkCopied'));
+        } catch (error) {
+            console.error("Error copying link:", error);
+            showMessage('error', t('collections.copyFailed'));
+        }
+    };
+
+    if (curatedCollection === undefined) {
+        return (
+            <div className="flex justify-center items-center pt-20">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+            </div>
+        );
+    }
+
+    const status = curatedCollection ? getCollectionStatus(curatedCollection) : null;
+    if (!curatedCollection || (status !== 'live' && !canCurate)) {
+        return (
+            <div className="container mx-auto p-4 text-center text-neutral-500">
+                <p className="text-lg font-semibold mb-4">{t('collections.notFound')}</p>
+                <Link to="/" className="text-red-600 hover:underline">{t('movie.backToAll')}</Link>
+            </div>
+        );
+    }
+
+    const movies = moviesById ? curatedCollection.movieIds.filter(movieId => moviesById[movieId]).map(movieId => moviesById[movieId]) : [];
+
+    return (
+        <div className="container mx-auto p-4 max-w-6xl">
+            <Link to="/" className="inline-block mb-4 text-sm text-red-600 hover:underline">&larr; {t('movie.allMovies')}</Link>
+            <div className="bg-neutral-900 text-white rounded-xl shadow-xl overflow-hidden mb-8">
+                {curatedCollection.coverUrl && (
+                    <img src={curatedCollection.coverUrl} alt="" className="w-full h-64 object-cover"/>
+                )}
+                <div className="p-6">
+                    {status !== 'live' && (
+                        <p className="mb-3 inline-block px-3 py-1 rounded-full bg-yellow-500 text-neutral-900 text-xs font-semibold">
+                            {t(`collectionStatus.${status}`)} &middot; {t('collections.previewNote')}
+                        </p>
+                    )}
+                    <h2 className="text-3xl font-bold text-red-500 mb-2">{curatedCollection.title}</h2>
+                    {curatedCollection.description && (
+                        <p className="text-neutral-300 mb-4 whitespace-pre-line">{curatedCollection.description}</p>
+                    )}
+                    <div className="flex flex-wrap items-center gap-4">
+                        <span className="text-sm text-neutral-400">{t('collections.movieCount', { count: moviesById ? movies.length : curatedCollection.movieIds.length })}</span>
+                        <button onClick={handleCopyLink} className="px-3 py-1 bg-neutral-700 hover:bg-neutral-600 rounded-lg text-sm font-semibold transition-colors duration-200">
+                            {t('collections.copyLink')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+            {!moviesById ? (
+                <div className="flex justify-center items-center pt-10">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                    {movies.map((movie, index) => <CollectionMovieCard key={movie.id} movie={movie} position={index + 1} />)}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,251 @@
+// Comment threads on the movie detail page
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, where, orderBy } from 'firebase/firestore';
+import { sanitizeText } from '../movieSchema';
+import { commentsCollection, toRecords, toMillis, postComment, deleteComment, flagComment } from '../repository';
+import { useAuth, useLocale, useMessage } from '../contexts';
+
+// Comments live in `movies/{movieId}/comments` and are threaded through `parentId`. Text between
+// double pipes (||like this||) is a spoiler and stays blurred until clicked.
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENT_DEPTH = 3; // Deeper replies are no longer indented
+
+const splitSpoilers = (text) => text
+    .split(/\|\|([\s\S]+?)\|\|/)
+    .map((part, index) => ({ text: part, isSpoiler: index % 2 === 1 }))
+    .filter(part => part.text);
+
+// Turns a flat, oldest-first list into nested threads. Replies whose parent was deleted, or hidden from
+// the viewer, become top-level.
+const buildCommentThreads = (comments) => {
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const threads = [];
+    byId.forEach(comment => {
+        const parent = comment.parentId && byId.get(comment.parentId);
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            threads.push(comment);
+        }
+    });
+    return threads;
+};
+
+const SpoilerText = ({ text }) => {
+    const { t } = useLocale();
+    const [isRevealed, setIsRevealed] = useState(false);
+    return (
+        <span
+            role="button"
+            tabIndex={0}
+            title={isRevealed ? undefined : t('comments.spoilerTitle')}
+            onClick={() => setIsRevealed(true)}
+            onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') setIsRevealed(true); }}
+            className={`rounded px-1 transition-all duration-200 ${isRevealed ? 'bg-neutral-700' : 'bg-neutral-700 blur-sm cursor-pointer select-none'}`}
+        >
+            {text}
+        </span>
+    );
+};
+
+const CommentText = ({ text }) => (
+    <p className="text-sm text-neutral-300 whitespace-pre-line">
+        {splitSpoilers(text).map((part, index) => (
+            part.isSpoiler ? <SpoilerText key={index} text={part.text} /> : <React.Fragment key={index}>{part.text}</React.Fragment>
+        ))}
+    </p>
+);
+
+const CommentForm = ({ movieId, parentId = null, onDone }) => {
+    const { db, userId, authUser } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [text, setText] = useState('');
+    const [isPosting, setIsPosting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!db || !userId) return;
+        const trimmedText = sanitizeText(text);
+        if (!trimmedText) {
+            showMessage('error', t('comments.empty'));
+            return;
+        }
+        if (trimmedText.length > MAX_COMMENT_LENGTH) {
+            showMessage('error', t('comments.tooLong', { max: MAX_COMMENT_LENGTH }));
+            return;
+        }
+        setIsPosting(true);
+        try {
+            await postComment(db, movieId, {
+                userId,
+                authorName: (authUser && !authUser.isAnonymous && authUser.displayName) || null,
+                text: trimmedText,
+                parentId
+            });
+            setText('');
+            if (onDone) onDone();
+        } catch (error) {
+            console.error("Error posting comment:", error);
+            showMessage('error', t('comments.postFailed'));
+        }
+        setIsPosting(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mb-4">
+            <textarea
+                rows={parentId ? 2 : 3}
+                value={text}
+                maxLength={MAX_COMMENT_LENGTH}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={parentId ? t('comments.replyPlaceholder') : t('comments.placeholder')}
+                className="block w-full rounded-md bg-neutral-800 border-neutral-700 text-white p-2 border focus:border-red-500 focus:ring-red-500 mb-2 text-sm"
+            ></textarea>
+            <div className="flex space-x-2">
+                <button type="submit" disabled={isPosting || !text.trim()} className="bg-red-600 text-white text-sm font-semibold py-1 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isPosting ? t('comments.posting') : (parentId ? t('comments.reply') : t('comments.post'))}
+                </button>
+                {onDone && (
+                    <button type="button" onClick={onDone} className="text-sm text-neutral-400 hover:text-white">{t('common.cancel')}</button>
+                )}
+            </div>
+        </form>
+    );
+};
+
+const Comment = ({ movie, comment, depth }) => {
+    const { db, userId, canModerate } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [isReplying, setIsReplying] = useState(false);
+    const [isFlagging, setIsFlagging] = useState(false);
+    const [flagReason, setFlagReason] = useState('');
+    const isOwn = comment.userId === userId;
+
+    const handleDelete = async () => {
+        if (!db || !isOwn) return;
+        try {
+            await deleteComment(db, movie.id, comment.id);
+            showMessage('success', t('comments.deleted'));
+        } catch (error) {
+            console.error("Error deleting comment:", error);
+            showMessage('error', t('comments.deleteFailed'));
+        }
+    };
+
+    const handleFlag = async () => {
+        setIsFlagging(false);
+        if (!db || !userId) return;
+        try {
+            await flagComment(db, movie, comment, userId, sanitizeText(flagReason).slice(0, 500) || null);
+            showMessage('success', t('comments.flagged'));
+        } catch (error) {
+            console.error("Error flagging comment:", error);
+            showMessage('error', t('comments.flagFailed'));
+        }
+    };
+
+    return (
+        <li className={depth > 0 && depth <= MAX_COMMENT_DEPTH ? 'pl-4 border-l border-neutral-700' : ''}>
+            <p className="text-xs text-neutral-500 mb-1">
+                <span className="font-semibold text-neutral-300">{comment.authorName || t('comments.anonymous')}</span>
+                {' '}&middot; {new Date(toMillis(comment.createdAt)).toLocaleString(locale)}
+            </p>
+            {comment.hidden && !canModerate ? (
+                <p className="text-sm italic text-neutral-500">{t('comments.hiddenNotice')}</p>
+            ) : (
+                <div className={comment.hidden ? 'opacity-50' : ''}>
+                    {comment.hidden && <p className="text-xs text-yellow-400 mb-1">{t('comments.hiddenForOthers')}</p>}
+                    <CommentText text={comment.text} />
+                </div>
+            )}
+            <div className="flex space-x-3 mt-1 text-xs">
+                <button onClick={() => setIsReplying(prev => !prev)} className="text-neutral-400 hover:text-white">{t('comments.reply')}</button>
+                {isOwn ? (
+                    <button onClick={handleDelete} className="text-neutral-400 hover:text-red-400">{t('common.delete')}</button>
+                ) : (
+                    !comment.hidden && <button onClick={() => setIsFlagging(prev => !prev)} className="text-neutral-400 hover:text-red-400">{t('comments.flag')}</button>
+                )}
+            </div>
+            {isFlagging && (
+                <div className="mt-2 flex space-x-2">
+                    <input
+                        type="text"
+                        value={flagReason}
+                        maxLength={500}
+                        onChange={(e) => setFlagReason(e.target.value)}
+                        placeholder={t('comments.flagPlaceholder')}
+                        className="flex-1 rounded-md bg-neutral-800 border-neutral-700 text-white p-1 border text-xs"
+                    />
+                    <button
+                        onClick={handleFlag}
+                        className="bg-red-600 text-white text-xs font-semibold py-1 px-3 rounded-md hover:bg-red-700 transition-colors duration-200"
+                    >
+                        {t('comments.sendFlag')}
+                    </button>
+                </div>
+            )}
+            {isReplying && (
+                <div className="mt-2">
+                    <CommentForm movieId={movie.id} parentId={comment.id} onDone={() => setIsReplying(false)} />
+                </div>
+            )}
+            {comment.replies.length > 0 && (
+                <ul className="mt-3 space-y-3">
+                    {comment.replies.map(reply => (
+                        <Comment key={reply.id} movie={movie} comment={reply} depth={depth + 1} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+export const CommentsSection = ({ movie }) => {
+    const { db, userId, canModerate } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [comments, setComments] = useState([]);
+
+    // Oldest first so replies follow their parents. Only moderators can read hidden comments, so everyone
+    // else loads the visible ones plus their own and the two lists are merged.
+    useEffect(() => {
+        if (!db) return;
+        const commentsRef = commentsCollection(db, movie.id);
+        const commentQueries = canModerate
+            ? [query(commentsRef, orderBy('createdAt', 'asc'))]
+            : [
+                query(commentsRef, where('hidden', '==', false), orderBy('createdAt', 'asc')),
+                ...(userId ? [query(commentsRef, where('userId', '==', userId), orderBy('createdAt', 'asc'))] : [])
+            ];
+        const results = commentQueries.map(() => []);
+        const unsubscribes = commentQueries.map((commentQuery, index) => onSnapshot(commentQuery, (snapshot) => {
+            // A comment just posted has no server time yet, so it is placed by an estimate
+            results[index] = toRecords(snapshot, { serverTimestamps: 'estimate' });
+            const byId = new Map(results.flat().map(comment => [comment.id, comment]));
+            setComments([...byId.values()].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt)));
+        }, (error) => {
+            console.error("Error fetching comments:", error);
+            showMessage('error', t('error.loadComments'));
+        }));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, movie.id, userId, canModerate]);
+
+    const threads = buildCommentThreads(comments);
+
+    return (
+        <section id="comments" className="bg-neutral-900 text-white rounded-xl shadow-xl p-6 mt-6">
+            <h3 className="text-xl font-bold text-red-500 mb-4">{t('comments.heading')}</h3>
+            {userId && <CommentForm movieId={movie.id} />}
+            {threads.length > 0 ? (
+                <ul className="space-y-4">
+                    {threads.map(comment => <Comment key={comment.id} movie={movie} comment={comment} depth={0} />)}
+                </ul>
+            ) : (
+                <p className="text-sm text-neutral-500 text-center">{t('comments.none')}</p>
+            )}
+        </section>
+    );
+};
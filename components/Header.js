@@ -0,0 +1,113 @@
+import React from 'react';
+import { signOut, signInAnonymously } from 'firebase/auth';
+import { LOCALES } from '../i18n';
+import { useAuth, useLibrary, useLocale, useMessage, useNavigation } from '../contexts';
+
+// Shows connectivity and any submissions still waiting to be sent
+const SyncIndicator = ({ isOnline, isSyncing, queuedSubmissionCount }) => {
+    const { t } = useLocale();
+    if (isOnline && !isSyncing && queuedSubmissionCount === 0) {
+        return null;
+    }
+    const parts = [];
+    if (!isOnline) parts.push(t('sync.offline'));
+    if (isSyncing) {
+        parts.push(t('sync.syncing'));
+    } else if (queuedSubmissionCount > 0) {
+        parts.push(t('sync.waiting', { count: queuedSubmissionCount }));
+    }
+    return (
+        <span className={`ml-4 px-3 py-1 rounded-full text-xs font-semibold ${isOnline ? 'bg-yellow-500 text-neutral-900' : 'bg-neutral-600 text-neutral-100'} ${isSyncing ? 'animate-pulse' : ''}`}>
+            {parts.join(' · ')}
+        </span>
+    );
+};
+
+export const Header = ({ isOnline, isSyncing, queuedSubmissionCount, unreadNotificationCount }) => {
+    const { auth, authUser, isAdmin, canModerate, canManageCatalog, canViewAnalytics } = useAuth();
+    const { library } = useLibrary();
+    const { locale, t, changeLocale } = useLocale();
+    const showMessage = useMessage();
+    const { navigate } = useNavigation();
+    const watchlistCount = Object.values(library).filter(entry => entry.inWatchlist).length;
+
+    // Signing out drops back to a fresh anonymous session so browsing and submitting keep working
+    const handleSignOut = async () => {
+        if (!auth) return;
+        try {
+            await signOut(auth);
+            await signInAnonymously(auth);
+            showMessage('success', t('auth.loggedOut'));
+            navigate('/'); // Redirect to movie list after logout
+        } catch (error) {
+            console.error("Error logging out:", error);
+            showMessage('error', t('auth.logoutFailed'));
+        }
+    };
+
+    return (
+        <header className="bg-neutral-800 text-white p-4 shadow-lg rounded-b-xl flex justify-between items-center flex-wrap">
+            <div className="flex items-center">
+                <h1 className="text-3xl font-bold tracking-wide text-red-500 font-inter">Horror Movie Hub</h1>
+                <SyncIndicator isOnline={isOnline} isSyncing={isSyncing} queuedSubmissionCount={queuedSubmissionCount} />
+            </div>
+            <nav className="flex space-x-4 mt-2 sm:mt-0">
+                <button onClick={() => navigate('/')} className="px-4 py-2 bg-red-600 hover:bg-red-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.movies')}</button>
+                <button onClick={() => navigate('/submit')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.submit')}</button>
+                <button onClick={() => navigate('/watchlist')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">
+                    {t('nav.watchlist')}{watchlistCount > 0 && ` (${watchlistCount})`}
+                </button>
+                <button onClick={() => navigate('/my-submissions')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.mySubmissions')}</button>
+                {canModerate && (
+                    <button onClick={() => navigate('/admin')} className="px-4 py-2 bg-red-600 hover:bg-red-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.admin')}</button>
+                )}
+                {isAdmin && (
+                    <button onClick={() => navigate('/admin/roles')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.roles')}</button>
+                )}
+                {isAdmin && (
+                    <button onClick={() => navigate('/admin/audit')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.audit')}</button>
+                )}
+                {canManageCatalog && (
+                    <button onClick={() => navigate('/admin/catalog')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.catalog')}</button>
+                )}
+                {canViewAnalytics && (
+                    <button onClick={() => navigate('/admin/analytics')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.analytics')}</button>
+                )}
+                <button
+                    onClick={() => navigate('/notifications')}
+                    aria-label={t('notifications.bellLabel', { count: unreadNotificationCount })}
+                    title={t('nav.notifications')}
+                    className="relative px-3 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white"
+                >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                        <path d="M10 2a6 6 0 00-6 6v3.586l-.707.707A1 1 0 004 14h12a1 1 0 00.707-1.707L16 11.586V8a6 6 0 00-6-6zM10 18a3 3 0 01-3-3h6a3 3 0 01-3 3z" />
+                    </svg>
+                    {unreadNotificationCount > 0 && (
+                        <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                            {unreadNotificationCount > 9 ? '9+' : unreadNotificationCount}
+                        </span>
+                    )}
+                </button>
+                {authUser && !authUser.isAnonymous ? (
+                    <>
+                        <button onClick={() => navigate('/profile')} className="flex items-center px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">
+                            {authUser.photoURL && <img src={authUser.photoURL} alt="" className="w-6 h-6 rounded-full mr-2 object-cover"/>}
+                            {authUser.displayName || t('nav.profile')}
+                        </button>
+                        <button onClick={handleSignOut} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.logout')}</button>
+                    </>
+                ) : (
+                    <button onClick={() => navigate('/signin')} className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold">{t('nav.signIn')}</button>
+                )}
+                <select
+                    value={locale}
+                    onChange={(e) => changeLocale(e.target.value)}
+                    aria-label={t('nav.language')}
+                    className="rounded-lg bg-neutral-700 border-neutral-600 text-white text-sm px-2 py-2 border"
+                >
+                    {LOCALES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                </select>
+            </nav>
+        </header>
+    );
+};
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useNavigation } from '../contexts';
+
+// Renders a real link so movies can be opened in new tabs, but navigates in-app on plain clicks
+export const Link = ({ to, className, children }) => {
+    const { navigate } = useNavigation();
+
+    return (
+        <a
+            href={to}
+            className={className}
+            onClick={(e) => {
+                if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                e.preventDefault();
+                navigate(to);
+            }}
+        >
+            {children}
+        </a>
+    );
+};
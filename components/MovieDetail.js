@@ -0,0 +1,228 @@
+// The movie detail page, with its reviews and comments
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { reviewsCollection, toRecords, saveReview, deleteReview } from '../repository';
+import { getCachedTranslation, hasPublishedSummary, getLocalizedDescription, getLocalizedSummary, getGenreLabel } from '../movieTranslations';
+import { getPosterUrl, PLACEHOLDER_IMAGE_URL } from '../posters';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+import { MovieSummary, LibraryActions, WatchedBadge, ContentWarningBadges, MovieActions } from './MovieParts';
+import { VoicePicker } from './Narration';
+import { SimilarMoviesRow } from './Recommendations';
+import { CommentsSection } from './Comments';
+
+const MAX_REVIEW_LENGTH = 2000;
+
+// Each user has at most one review per movie, stored under their user ID
+const ReviewsSection = ({ movie }) => {
+    const { db, userId } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [reviews, setReviews] = useState([]);
+    const myReview = reviews.find(review => review.id === userId);
+    const [rating, setRating] = useState(0);
+    const [text, setText] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribeReviews = onSnapshot(reviewsCollection(db, movie.id), (snapshot) => {
+            setReviews(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching reviews:", error);
+            showMessage('error', t('error.loadReviews'));
+        });
+
+        return () => unsubscribeReviews();
+    }, [db, movie.id]);
+
+    // The form is filled in with the user's own review once it has loaded, and again whenever it changes
+    useEffect(() => {
+        setRating(myReview ? myReview.rating : 0);
+        setText(myReview ? myReview.text : '');
+    }, [myReview && myReview.rating, myReview && myReview.text]);
+
+    const otherReviews = reviews
+        .filter(review => review.id !== userId)
+        .sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!db || !userId) return;
+        const numericRating = Number(rating);
+        if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+            showMessage('error', t('reviews.ratingRequired'));
+            return;
+        }
+        const trimmedText = text.trim();
+        if (trimmedText.length > MAX_REVIEW_LENGTH) {
+            showMessage('error', t('reviews.tooLong', { max: MAX_REVIEW_LENGTH }));
+            return;
+        }
+        setIsSaving(true);
+        try {
+            await saveReview(db, movie.id, userId, numericRating, trimmedText);
+            showMessage('success', t('reviews.saved'));
+        } catch (error) {
+            console.error("Error saving review:", error);
+            showMessage('error', t('reviews.saveFailed'));
+        }
+        setIsSaving(false);
+    };
+
+    const handleDelete = async () => {
+        if (!db || !userId) return;
+        try {
+            await deleteReview(db, movie.id, userId);
+            showMessage('success', t('reviews.deleted'));
+        } catch (error) {
+            console.error("Error deleting review:", error);
+            showMessage('error', t('reviews.deleteFailed'));
+        }
+    };
+
+    return (
+        <section id="reviews" className="bg-neutral-900 text-white rounded-xl shadow-xl p-6">
+            <div className="mb-4">
+                <h3 className="text-xl font-bold text-red-500">{t('reviews.heading')}</h3>
+                <p className="text-sm text-neutral-400">
+                    {movie.ratingCount > 0
+                        ? t('reviews.averageFrom', { average: movie.averageRating.toFixed(1), count: movie.ratingCount })
+                        : t('reviews.beTheFirst')}
+                </p>
+            </div>
+
+            {userId && (
+                <form onSubmit={handleSubmit} className="mb-6 border-b border-neutral-700 pb-6">
+                    <p className="block text-sm font-medium text-neutral-300 mb-2">{myReview ? t('reviews.editYours') : t('reviews.yours')}</p>
+                    <div className="flex space-x-1 mb-3">
+                        {[1, 2, 3, 4, 5].map(star => (
+                            <button
+                                key={star}
+                                type="button"
+                                onClick={() => setRating(star)}
+                                className={`text-2xl transition-colors duration-200 ${star <= rating ? 'text-yellow-400' : 'text-neutral-600 hover:text-yellow-200'}`}
+                                aria-label={t('reviews.stars', { count: star })}
+                            >
+                                ★
+                            </button>
+                        ))}
+                    </div>
+                    <textarea
+                        rows="3"
+                        value={text}
+                        maxLength={MAX_REVIEW_LENGTH}
+                        onChange={(e) => setText(e.target.value)}
+                        placeholder={t('reviews.placeholder')}
+                        className="block w-full rounded-md bg-neutral-800 border-neutral-700 text-white p-2 border focus:border-red-500 focus:ring-red-500 mb-3"
+                    ></textarea>
+                    <div className="flex space-x-2">
+                        <button type="submit" disabled={isSaving || rating === 0} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                            {isSaving ? t('common.saving') : (myReview ? t('reviews.update') : t('reviews.post'))}
+                        </button>
+                        {myReview && (
+                            <button type="button" onClick={handleDelete} className="bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                                {t('common.delete')}
+                            </button>
+                        )}
+                    </div>
+                </form>
+            )}
+
+            {otherReviews.length > 0 ? (
+                <ul className="space-y-4">
+                    {otherReviews.map(review => (
+                        <li key={review.id}>
+                            <p className="text-yellow-400 text-sm">{'★'.repeat(review.rating)}<span className="text-neutral-600">{'★'.repeat(5 - review.rating)}</span></p>
+                            {review.text && <p className="text-sm text-neutral-300 mt-1">{review.text}</p>}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-neutral-500 text-center">{t('reviews.noOthers')}</p>
+            )}
+        </section>
+    );
+};
+
+// `movie` is undefined while loading and null when there is no such movie. Render with a `key` per
+// movie so the translation toggle starts over on each page.
+export const MovieDetail = ({ movie, translatingMovieId, isGenerating, onGenerateSummary }) => {
+    const { locale, t } = useLocale();
+    const [showOriginalText, setShowOriginalText] = useState(false); // Show the original instead of the translation
+
+    if (movie === undefined) {
+        return (
+            <div className="flex justify-center items-center pt-20">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+            </div>
+        );
+    }
+
+    if (movie === null) {
+        return (
+            <div className="container mx-auto p-4 text-center text-neutral-500">
+                <p className="text-lg font-semibold mb-4">{t('movie.notFound')}</p>
+                <Link to="/" className="text-red-600 hover:underline">{t('movie.backToAll')}</Link>
+            </div>
+        );
+    }
+
+    const isTranslated = !!getCachedTranslation(movie, locale).description
+        || (hasPublishedSummary(movie) && getLocalizedSummary(movie, locale) !== movie.geminiSummary);
+
+    return (
+        <div className="container mx-auto p-4 max-w-4xl">
+            <Link to="/" className="inline-block mb-4 text-sm text-red-600 hover:underline">&larr; {t('movie.allMovies')}</Link>
+            <div className="bg-neutral-900 text-white rounded-xl shadow-xl overflow-hidden md:flex mb-6">
+                <div className="relative md:w-80 flex-shrink-0">
+                    <img
+                        src={getPosterUrl(movie)}
+                        alt={movie.name}
+                        className="w-full h-96 md:h-full object-cover"
+                        onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                    />
+                    <WatchedBadge movieId={movie.id} />
+                </div>
+                <div className="p-6 flex-1">
+                    <h2 className="text-3xl font-bold text-red-500 mb-1">{movie.name}</h2>
+                    <p className="text-sm text-neutral-400 mb-2">
+                        {[movie.year, getGenreLabel(movie.genre, t)].filter(Boolean).join(' · ')}
+                    </p>
+                    <p className="text-neutral-200 font-semibold mb-4">
+                        <span className="text-yellow-400 mr-1">★</span>
+                        {movie.ratingCount > 0 ? movie.averageRating.toFixed(1) : movie.rating} / 5
+                    </p>
+                    <p className="text-neutral-300 mb-4 whitespace-pre-line">
+                        {showOriginalText ? movie.description : getLocalizedDescription(movie, locale)}
+                    </p>
+                    <ContentWarningBadges movie={movie} />
+
+                    {/* Gemini Spooky Summary */}
+                    <MovieSummary movie={movie} showOriginal={showOriginalText} />
+
+                    {translatingMovieId === movie.id && (
+                        <p className="text-xs text-neutral-500 mb-3 italic">{t('translation.translating')}</p>
+                    )}
+                    {isTranslated && (
+                        <p className="text-xs text-neutral-500 mb-3">
+                            {t('translation.machineTranslated')}{' '}
+                            <button onClick={() => setShowOriginalText(prev => !prev)} className="text-red-400 hover:underline">
+                                {showOriginalText ? t('translation.showTranslation') : t('translation.showOriginal')}
+                            </button>
+                        </p>
+                    )}
+
+                    <div className="flex items-center gap-4">
+                        <MovieActions movie={movie} isGenerating={isGenerating} onGenerateSummary={onGenerateSummary} />
+                        <VoicePicker />
+                    </div>
+                    <LibraryActions movie={movie} className="mt-4 max-w-sm" />
+                </div>
+            </div>
+            <SimilarMoviesRow movie={movie} />
+            <ReviewsSection movie={movie} />
+            <CommentsSection movie={movie} />
+        </div>
+    );
+};
@@ -0,0 +1,192 @@
+// The catalog page: search and filter controls, the collection and recommendation rows and the paged movie grid
+import React, { useEffect, useRef } from 'react';
+import { HORROR_SUBGENRES } from '../movieSchema';
+import { SORT_OPTIONS, DEFAULT_FILTERS, buildFilterSearch } from '../catalogFilters';
+import { getLocalizedDescription, getGenreLabel } from '../movieTranslations';
+import { getThumbnailUrl, PLACEHOLDER_IMAGE_URL } from '../posters';
+import { useLocale } from '../contexts';
+import { Link } from './Link';
+import { MovieSummary, LibraryActions, WatchedBadge, ContentWarningBadges, MovieActions } from './MovieParts';
+import { RecommendedRow } from './Recommendations';
+import { CollectionRows } from './Collections';
+
+// `search` is the filters' query string, empty when nothing is filtered
+export const CatalogFilters = ({ filters, search, onChange }) => {
+    const { t } = useLocale();
+    return (
+        <div className="container mx-auto px-4 pt-4">
+            <h2 className="text-2xl font-bold mb-4 text-center text-neutral-800">{t('filters.heading')}</h2>
+            <div className="bg-white p-4 rounded-xl shadow-lg border border-neutral-200 space-y-4">
+                <div className="flex flex-col sm:flex-row gap-4">
+                    <input
+                        type="search"
+                        value={filters.q}
+                        onChange={(e) => onChange({ q: e.target.value })}
+                        placeholder={t('filters.searchPlaceholder')}
+                        aria-label={t('filters.search')}
+                        className="flex-grow rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                    />
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => onChange({ sort: e.target.value })}
+                        aria-label={t('filters.sort')}
+                        className="rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                    >
+                        {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{t(`sort.${option.id}`)}</option>)}
+                    </select>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    {HORROR_SUBGENRES.map(genre => {
+                        const isSelected = filters.genres.includes(genre.id);
+                        return (
+                            <button
+                                key={genre.id}
+                                onClick={() => onChange({
+                                    genres: isSelected ? filters.genres.filter(id => id !== genre.id) : [...filters.genres, genre.id]
+                                })}
+                                className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors duration-200 ${isSelected ? 'bg-red-600 text-white' : 'bg-neutral-200 text-neutral-700 hover:bg-neutral-300'}`}
+                            >
+                                {t(`genre.${genre.id}`)}
+                            </button>
+                        );
+                    })}
+                </div>
+                <div className="flex flex-wrap items-center gap-4 text-sm text-neutral-700">
+                    <label className="flex items-center gap-2">
+                        {t('movie.year')}
+                        <input type="number" value={filters.yearFrom} onChange={(e) => onChange({ yearFrom: e.target.value })} placeholder={t('filters.from')} className="w-24 rounded-md border-neutral-300 p-1 border"/>
+                        &ndash;
+                        <input type="number" value={filters.yearTo} onChange={(e) => onChange({ yearTo: e.target.value })} placeholder={t('filters.to')} className="w-24 rounded-md border-neutral-300 p-1 border"/>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        {t('filters.minRating')}
+                        <select value={filters.minRating} onChange={(e) => onChange({ minRating: e.target.value })} className="rounded-md border-neutral-300 p-1 border">
+                            <option value="">{t('filters.any')}</option>
+                            {[2, 3, 4, 4.5].map(value => <option key={value} value={value}>{value}+</option>)}
+                        </select>
+                    </label>
+                    {search && (
+                        <button onClick={() => onChange(DEFAULT_FILTERS)} className="text-red-600 hover:underline ml-auto">{t('filters.clear')}</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Loads the next page when it scrolls into view. The callback is read through a ref, so re-rendering
+// keeps the same observer; it is only recreated once per loaded page, so a sentinel still in view
+// after a page arrives (when filters hide most of it) asks for the next one.
+const InfiniteScrollSentinel = ({ onVisible, loadedCount }) => {
+    const sentinelRef = useRef(null);
+    const onVisibleRef = useRef(onVisible);
+    onVisibleRef.current = onVisible;
+
+    useEffect(() => {
+        const node = sentinelRef.current;
+        if (!node || typeof IntersectionObserver === 'undefined') return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                onVisibleRef.current();
+            }
+        }, { rootMargin: '400px' });
+        observer.observe(node);
+        return () => observer.disconnect();
+    }, [loadedCount]);
+
+    return <div ref={sentinelRef} aria-hidden="true"></div>;
+};
+
+export const MovieList = ({ movies, visibleMovies, filters, hasMoreMovies, isLoadingMoreMovies, loadMoreMovies, onClearFilters, isOnline, isGenerating, onGenerateSummary }) => {
+    const { locale, t } = useLocale();
+    // Collections and recommendations are only shown above the unfiltered catalog
+    const isFiltered = !!buildFilterSearch({ ...filters, sort: DEFAULT_FILTERS.sort });
+    return (
+        <div className="container mx-auto p-4">
+            {!isOnline && (
+                <p className="mb-4 p-3 rounded-lg bg-neutral-800 text-neutral-200 text-sm text-center">
+                    {t('movies.offline')}
+                </p>
+            )}
+            {!isFiltered && (
+                <>
+                    <CollectionRows />
+                    <RecommendedRow />
+                </>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                {visibleMovies.map(movie => (
+                    <div key={movie.id} className="bg-neutral-900 text-white rounded-lg shadow-xl overflow-hidden transform hover:scale-105 transition-transform duration-300">
+                        <Link to={`/movies/${encodeURIComponent(movie.id)}`} className="relative block">
+                            <img
+                                src={getThumbnailUrl(movie)}
+                                alt={movie.name}
+                                loading="lazy"
+                                className="w-full h-72 object-cover"
+                                onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                            />
+                            <WatchedBadge movieId={movie.id} />
+                        </Link>
+                        <div className="p-5">
+                            <h3 className="text-xl font-bold text-red-500 mb-1">
+                                <Link to={`/movies/${encodeURIComponent(movie.id)}`} className="hover:underline">{movie.name}</Link>
+                            </h3>
+                            <p className="text-xs text-neutral-500 mb-2">
+                                {[movie.year, getGenreLabel(movie.genre, t)].filter(Boolean).join(' · ')}
+                            </p>
+                            <p className="text-sm text-neutral-400 mb-3 line-clamp-3">{getLocalizedDescription(movie, locale)}</p>
+                            <ContentWarningBadges movie={movie} />
+                            
+                            {/* Gemini Spooky Summary */}
+                            <MovieSummary movie={movie} className="text-sm" />
+
+                            <div className="flex items-center justify-between mb-4">
+                                <div className="flex items-center">
+                                    <span className="text-yellow-400 mr-2">
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.381-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                                        </svg>
+                                    </span>
+                                    <span className="text-neutral-200 font-semibold">
+                                        {movie.ratingCount > 0 ? movie.averageRating.toFixed(1) : movie.rating} / 5
+                                    </span>
+                                    <Link
+                                        to={`/movies/${encodeURIComponent(movie.id)}`}
+                                        className="ml-2 text-xs text-neutral-400 hover:text-red-400 underline transition-colors duration-200"
+                                    >
+                                        {movie.ratingCount > 0 ? t('reviews.count', { count: movie.ratingCount }) : t('reviews.review')}
+                                    </Link>
+                                </div>
+                                <MovieActions movie={movie} isGenerating={!!isGenerating[movie.id]} onGenerateSummary={onGenerateSummary} />
+                            </div>
+                            <LibraryActions movie={movie} />
+                        </div>
+                    </div>
+                ))}
+                {movies.length === 0 && <p className="text-center text-neutral-500 col-span-full">{t('movies.empty')}</p>}
+                {movies.length > 0 && visibleMovies.length === 0 && hasMoreMovies && (
+                    <p className="text-center text-neutral-500 col-span-full">{t('movies.noMatchesLoaded')}</p>
+                )}
+                {movies.length > 0 && visibleMovies.length === 0 && !hasMoreMovies && (
+                    <p className="text-center text-neutral-500 col-span-full">
+                        {t('movies.noMatches')}{' '}
+                        <button onClick={onClearFilters} className="text-red-600 hover:underline">{t('filters.clear')}</button>
+                    </p>
+                )}
+            </div>
+            {hasMoreMovies && (
+                <div className="text-center mt-8">
+                    {isFiltered && <p className="text-sm text-neutral-500 mb-3">{t('movies.filtersLoadedOnly')}</p>}
+                    <InfiniteScrollSentinel onVisible={loadMoreMovies} loadedCount={movies.length} />
+                    <button
+                        onClick={loadMoreMovies}
+                        disabled={isLoadingMoreMovies}
+                        className="px-4 py-2 bg-neutral-600 hover:bg-neutral-700 transition-colors duration-200 rounded-lg shadow-md text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {isLoadingMoreMovies ? t('common.loading') : t('movies.loadMore')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
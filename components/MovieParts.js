@@ -0,0 +1,156 @@
+// Pieces shared by the movie cards, the detail page and the submission forms
+import React, { useState } from 'react';
+import { CONTENT_WARNINGS, SUMMARY_STATUSES } from '../movieSchema';
+import { getLocalizedSummary } from '../movieTranslations';
+import { useAuth, useLibrary, useLocale, useNarration } from '../contexts';
+
+// Published summaries are public, in the reader's language when a translation is cached; pending ones
+// are only previewed to moderators, as generated
+export const MovieSummary = ({ movie, className, showOriginal = false }) => {
+    const { canModerate } = useAuth();
+    const { locale, t } = useLocale();
+    if (!movie.geminiSummary) {
+        return null;
+    }
+    if (movie.summaryStatus === SUMMARY_STATUSES.published || (canModerate && movie.summaryStatus === SUMMARY_STATUSES.pending)) {
+        const isPublished = movie.summaryStatus === SUMMARY_STATUSES.published;
+        return (
+            <p className={`font-semibold text-red-400 mb-3 border-l-2 border-red-500 pl-2 italic ${className || ''}`}>
+                "✨ {isPublished && !showOriginal ? getLocalizedSummary(movie, locale) : movie.geminiSummary}"
+                {!isPublished && (
+                    <span className="ml-2 not-italic text-xs font-normal text-yellow-400">{t('summary.pendingTag')}</span>
+                )}
+            </p>
+        );
+    }
+    if (movie.summaryStatus === SUMMARY_STATUSES.pending) {
+        return <p className={`text-neutral-500 mb-3 italic ${className || ''}`}>✨ {t('summary.awaitingReview')}</p>;
+    }
+    return null;
+};
+
+// Watchlist and watched toggles, shared by the movie cards, the watchlist and the detail page
+export const LibraryActions = ({ movie, className }) => {
+    const { library, toggleWatchlist, toggleWatched } = useLibrary();
+    const { t } = useLocale();
+    const entry = library[movie.id];
+    const inWatchlist = !!(entry && entry.inWatchlist);
+    const watched = !!(entry && entry.watched);
+
+    return (
+        <div className={`flex space-x-2 ${className || ''}`}>
+            <button
+                onClick={() => toggleWatchlist(movie)}
+                className={`flex-1 text-xs font-semibold py-1 px-2 rounded-md border transition-colors duration-200 ${inWatchlist ? 'bg-red-600 border-red-600 text-white hover:bg-red-700' : 'border-neutral-600 text-neutral-300 hover:bg-neutral-800'}`}
+            >
+                {inWatchlist ? `✓ ${t('library.onWatchlist')}` : `+ ${t('library.addToWatchlist')}`}
+            </button>
+            <button
+                onClick={() => toggleWatched(movie)}
+                className={`flex-1 text-xs font-semibold py-1 px-2 rounded-md border transition-colors duration-200 ${watched ? 'bg-green-700 border-green-700 text-white hover:bg-green-800' : 'border-neutral-600 text-neutral-300 hover:bg-neutral-800'}`}
+            >
+                {watched ? `✓ ${t('library.watched')}` : t('library.markWatched')}
+            </button>
+        </div>
+    );
+};
+
+export const WatchedBadge = ({ movieId }) => {
+    const { library } = useLibrary();
+    const { t } = useLocale();
+    return library[movieId] && library[movieId].watched ? (
+        <span className="absolute top-2 left-2 px-2 py-1 rounded-full bg-green-700 text-white text-xs font-semibold shadow">{t('library.watched')}</span>
+    ) : null;
+};
+
+// Toggle chips for choosing content warnings in the submission and moderation forms
+export const ContentWarningPicker = ({ selected, onChange }) => {
+    const { t } = useLocale();
+    return (
+        <div className="flex flex-wrap gap-2 mt-1">
+            {CONTENT_WARNINGS.map(warning => {
+                const isSelected = selected.includes(warning.id);
+                return (
+                    <button
+                        key={warning.id}
+                        type="button"
+                        aria-pressed={isSelected}
+                        onClick={() => onChange(isSelected ? selected.filter(id => id !== warning.id) : [...selected, warning.id])}
+                        className={`px-3 py-1 rounded-full text-xs font-semibold transition-colors duration-200 ${isSelected ? 'bg-orange-600 text-white' : 'bg-neutral-200 text-neutral-700 hover:bg-neutral-300'}`}
+                    >
+                        {t(`contentWarning.${warning.id}`)}
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+// Content warnings can give away plot points, so cards only show how many there are until asked
+export const ContentWarningBadges = ({ movie, className }) => {
+    const { t } = useLocale();
+    const [isRevealed, setIsRevealed] = useState(false);
+    const warnings = (movie.contentWarnings || []).filter(id => CONTENT_WARNINGS.some(warning => warning.id === id));
+    if (!warnings.length) {
+        return null;
+    }
+    return (
+        <div className={`flex flex-wrap items-center gap-1 mb-3 ${className || ''}`}>
+            <button
+                onClick={() => setIsRevealed(prev => !prev)}
+                aria-expanded={isRevealed}
+                className="px-2 py-1 rounded-full bg-orange-900 text-orange-200 text-xs font-semibold hover:bg-orange-800 transition-colors duration-200"
+            >
+                ⚠ {isRevealed ? t('warnings.hide') : t('warnings.show', { count: warnings.length })}
+            </button>
+            {isRevealed && warnings.map(id => (
+                <span key={id} className="px-2 py-1 rounded-full bg-neutral-800 text-orange-300 text-xs">{t(`contentWarning.${id}`)}</span>
+            ))}
+        </div>
+    );
+};
+
+// Gemini summary and narration buttons, shared by the movie cards and the detail page.
+// `isGenerating` is true while a summary for this movie is being generated.
+export const MovieActions = ({ movie, isGenerating, onGenerateSummary }) => {
+    const { canModerate } = useAuth();
+    const { t } = useLocale();
+    const { narration, playDescription, toggleNarration } = useNarration();
+    const isNarrating = !!(narration && narration.movie.id === movie.id);
+
+    return (
+        <div className="flex space-x-2">
+            <button
+                onClick={() => onGenerateSummary(movie)}
+                disabled={isGenerating || (!!movie.geminiSummary && !canModerate)}
+                title={movie.geminiSummary ? (canModerate ? t('summary.regenerateTitle') : t('summary.alreadyGeneratedTitle')) : t('summary.generateTitle')}
+                className="text-red-500 text-sm font-semibold p-1 rounded-md transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+                {isGenerating ? (
+                    <svg className="animate-spin h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                ) : (
+                    '✨'
+                )}
+            </button>
+            <button
+                onClick={() => (isNarrating ? toggleNarration() : playDescription(movie))}
+                disabled={isNarrating && narration.status === 'loading'}
+                title={isNarrating && narration.status === 'playing' ? t('narration.pauseTitle') : t('narration.playTitle')}
+                className="text-white text-sm font-semibold p-1 rounded-md transition-colors duration-200"
+            >
+                {isNarrating && narration.status !== 'paused' ? (
+                    <svg className={`h-5 w-5 text-red-500 ${narration.status === 'loading' ? 'animate-pulse' : ''}`} xmlns="http://www.w3.org/2000/svg" fill="currentColor" viewBox="0 0 24 24">
+                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 16H9V8h2v10zm4 0h-2V8h2v10z"/>
+                    </svg>
+                ) : (
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-red-500" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M9.383 3.003h1.234c.162 0 .319.043.46.126.141.083.257.202.348.342l.666 1.011c.09.139.206.258.347.341.14.083.298.126.46.126h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H17c.552 0 1 .448 1 1v12c0 .552-.448 1-1 1H3c-.552 0-1-.448-1-1V4c0-.552.448-1 1-1h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H11.617c.162 0 .319.043.46.126.141.083.257.202.348.342l.666 1.011c.09.139.206.258.347.341.14.083.298.126.46.126h1.234c.162 0 .319-.043.46-.126.141-.083.257-.202.348-.342l.666-1.011c.09-.139.206-.258.347-.341.14-.083.298-.126.46-.126H17c.552 0 1 .448 1 1v12c0 .552-.448 1-1 1H3c-.552 0-1-.448-1-1V4c0-.552.448-1 1-1h6.383z" clipRule="evenodd" />
+                    </svg>
+                )}
+            </button>
+        </div>
+    );
+};
@@ -0,0 +1,239 @@
+// A user's own submissions and the movies approved from them. Anonymous users who upgrade to a full
+// account keep the same user ID, so their history carries over.
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, query, where, orderBy } from 'firebase/firestore';
+import { HORROR_SUBGENRES, SUBMISSION_STATUSES, EDITABLE_SUBMISSION_STATUSES, validateMovieFields, hasErrors, formatSubmissionReason } from '../movieSchema';
+import { submissionsCollection, moviesCollection, toRecords, toMillis, updateOwnSubmission, withdrawSubmission } from '../repository';
+import { useAuth, useLocale, useMessage } from '../contexts';
+import { Link } from './Link';
+import { ContentWarningPicker } from './MovieParts';
+
+const SUBMISSION_STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    changes_requested: 'bg-orange-100 text-orange-800',
+    approved: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800',
+    withdrawn: 'bg-neutral-200 text-neutral-600',
+    merged: 'bg-blue-100 text-blue-800'
+};
+
+const MySubmissionCard = ({ submission, approvedMovie }) => {
+    const { db, userId } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const [isEditing, setIsEditing] = useState(false);
+    const [fields, setFields] = useState({
+        name: submission.name || '',
+        description: submission.description || '',
+        rating: submission.rating || '',
+        genre: submission.genre || '',
+        year: submission.year || '',
+        contentWarnings: submission.contentWarnings || []
+    });
+    const [isSaving, setIsSaving] = useState(false);
+    const status = SUBMISSION_STATUS_STYLES[submission.status] ? submission.status : SUBMISSION_STATUSES.pending;
+    const canEdit = EDITABLE_SUBMISSION_STATUSES.includes(submission.status);
+    const statusReason = formatSubmissionReason(t, {
+        reason: submission.statusReason,
+        reasonCode: submission.statusReasonCode,
+        reasonParams: submission.statusReasonParams
+    });
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFields(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Submitters can revise a submission that is pending or sent back to them; either way it returns to the queue
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (!db) return;
+        if (submission.submittedBy !== userId || !canEdit) {
+            showMessage('error', t('mySubmissions.notEditable'));
+            return;
+        }
+        const { values, errors } = validateMovieFields(fields, { locale });
+        if (hasErrors(errors)) {
+            showMessage('error', Object.values(errors)[0]);
+            return;
+        }
+        setIsSaving(true);
+        try {
+            await updateOwnSubmission(db, submission.id, values);
+            showMessage('success', submission.status === SUBMISSION_STATUSES.changesRequested ? t('mySubmissions.resubmitted') : t('mySubmissions.updated'));
+            setIsEditing(false);
+        } catch (error) {
+            console.error("Error updating submission:", error);
+            showMessage('error', t('mySubmissions.updateFailed'));
+        }
+        setIsSaving(false);
+    };
+
+    const handleWithdraw = async () => {
+        if (!db) return;
+        if (submission.submittedBy !== userId || !canEdit) {
+            showMessage('error', t('mySubmissions.notWithdrawable'));
+            return;
+        }
+        try {
+            await withdrawSubmission(db, submission.id);
+            showMessage('success', t('mySubmissions.withdrawn'));
+        } catch (error) {
+            console.error("Error withdrawing submission:", error);
+            showMessage('error', t('mySubmissions.withdrawFailed'));
+        }
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border text-sm";
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200">
+            <div className="flex justify-between items-start gap-4 mb-2">
+                <h3 className="text-xl font-bold text-red-500">{submission.name}</h3>
+                <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${SUBMISSION_STATUS_STYLES[status]}`}>
+                    {t(`submissionStatus.${status}`)}
+                </span>
+            </div>
+            <p className="text-xs text-neutral-500 mb-4">{t('mySubmissions.submittedOn', { date: new Date(toMillis(submission.timestamp)).toLocaleDateString(locale) })}</p>
+
+            {statusReason && (
+                <div className="mb-4 p-3 rounded-lg bg-neutral-100 border-l-4 border-red-500">
+                    <p className="text-xs font-semibold text-neutral-500 uppercase mb-1">{t('mySubmissions.feedback')}</p>
+                    <p className="text-sm text-neutral-700">{statusReason}</p>
+                </div>
+            )}
+
+            {isEditing ? (
+                <form onSubmit={handleSave} className="space-y-3">
+                    <label className="block text-sm font-medium text-neutral-700">
+                        {t('movie.title')}
+                        <input type="text" name="name" value={fields.name} onChange={handleChange} required className={inputClassName}/>
+                    </label>
+                    <label className="block text-sm font-medium text-neutral-700">
+                        {t('movie.description')}
+                        <textarea name="description" rows="4" value={fields.description} onChange={handleChange} required className={inputClassName}></textarea>
+                    </label>
+                    <div className="grid grid-cols-3 gap-3">
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.rating')}
+                            <input type="number" name="rating" min="1" max="5" value={fields.rating} onChange={handleChange} required className={inputClassName}/>
+                        </label>
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.genre')}
+                            <select name="genre" value={fields.genre} onChange={handleChange} className={inputClassName}>
+                                <option value="">{t('movie.noGenre')}</option>
+                                {HORROR_SUBGENRES.map(genre => <option key={genre.id} value={genre.id}>{t(`genre.${genre.id}`)}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-medium text-neutral-700">
+                            {t('movie.year')}
+                            <input type="number" name="year" value={fields.year} onChange={handleChange} className={inputClassName}/>
+                        </label>
+                    </div>
+                    <div className="text-sm font-medium text-neutral-700">
+                        {t('warnings.label')}
+                        <ContentWarningPicker selected={fields.contentWarnings} onChange={(contentWarnings) => setFields(prev => ({ ...prev, contentWarnings }))} />
+                    </div>
+                    <div className="flex space-x-2">
+                        <button type="submit" disabled={isSaving} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                            {isSaving ? t('common.saving') : (submission.status === SUBMISSION_STATUSES.changesRequested ? t('mySubmissions.saveAndResubmit') : t('mySubmissions.saveChanges'))}
+                        </button>
+                        <button type="button" onClick={() => setIsEditing(false)} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    <p className="text-sm text-neutral-600 mb-4">{submission.description}</p>
+                    {canEdit && (
+                        <div className="flex space-x-2">
+                            <button onClick={() => setIsEditing(true)} className="flex-1 bg-neutral-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200">
+                                {t('common.edit')}
+                            </button>
+                            <button onClick={handleWithdraw} className="flex-1 bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
+                                {t('mySubmissions.withdraw')}
+                            </button>
+                        </div>
+                    )}
+                    {submission.status === SUBMISSION_STATUSES.approved && submission.movieId && (
+                        <Link to={`/movies/${encodeURIComponent(submission.movieId)}`} className="text-sm text-red-600 hover:underline">
+                            {approvedMovie ? t('mySubmissions.viewMovie', { name: approvedMovie.name }) : t('mySubmissions.viewListing')} &rarr;
+                        </Link>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export const MySubmissions = () => {
+    const { db, userId } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [mySubmissions, setMySubmissions] = useState([]);
+    const [myMovies, setMyMovies] = useState([]);
+
+    useEffect(() => {
+        if (!db || !userId) {
+            return;
+        }
+
+        const submissionQuery = query(submissionsCollection(db), where('submittedBy', '==', userId), orderBy('timestamp', 'desc'));
+        const unsubscribeSubmissions = onSnapshot(submissionQuery, (snapshot) => {
+            setMySubmissions(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching your submissions:", error);
+            showMessage('error', t('error.loadMySubmissions'));
+        });
+
+        const movieQuery = query(moviesCollection(db), where('submittedBy', '==', userId));
+        const unsubscribeMovies = onSnapshot(movieQuery, (snapshot) => {
+            setMyMovies(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching your movies:", error);
+        });
+
+        return () => {
+            unsubscribeSubmissions();
+            unsubscribeMovies();
+        };
+    }, [db, userId]);
+
+    return (
+        <div className="container mx-auto p-4 max-w-4xl">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('nav.mySubmissions')}</h2>
+            {mySubmissions.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {mySubmissions.map(submission => (
+                        <MySubmissionCard
+                            key={submission.id}
+                            submission={submission}
+                            approvedMovie={myMovies.find(movie => movie.id === submission.movieId)}
+                        />
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center text-neutral-500">
+                    {t('mySubmissions.empty')}{' '}
+                    <Link to="/submit" className="text-red-600 hover:underline">{t('mySubmissions.submitOne')}</Link>
+                </p>
+            )}
+            {myMovies.length > 0 && (
+                <>
+                    <h3 className="text-xl font-bold mt-10 mb-4 text-neutral-800">{t('mySubmissions.inCatalog')}</h3>
+                    <ul className="bg-white rounded-xl shadow-lg border border-neutral-200 divide-y divide-neutral-200">
+                        {myMovies.map(movie => (
+                            <li key={movie.id} className="p-4 flex justify-between items-center">
+                                <Link to={`/movies/${encodeURIComponent(movie.id)}`} className="font-semibold text-red-600 hover:underline">{movie.name}</Link>
+                                <span className="text-sm text-neutral-500">
+                                    {movie.ratingCount > 0 ? t('reviews.averageFrom', { average: movie.averageRating.toFixed(1), count: movie.ratingCount }) : t('reviews.none')}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,99 @@
+// Narration playback controls. The audio element and playback state live in App (see NarrationContext)
+// so narration keeps playing while the reader moves between pages.
+import React, { useState, useEffect } from 'react';
+import { NARRATION_VOICES } from '../geminiClient';
+import { readStoredSetting, storeSetting } from '../browserStorage';
+import { useLocale, useNarration } from '../contexts';
+
+const formatDuration = (seconds) => {
+    const safeSeconds = Number.isFinite(seconds) ? Math.floor(seconds) : 0;
+    return `${Math.floor(safeSeconds / 60)}:${String(safeSeconds % 60).padStart(2, '0')}`;
+};
+
+export const VoicePicker = ({ className }) => {
+    const { narrationVoice, changeNarrationVoice } = useNarration();
+    const { t } = useLocale();
+    return (
+        <select
+            value={narrationVoice}
+            onChange={(e) => changeNarrationVoice(e.target.value)}
+            aria-label={t('narration.voice')}
+            className={`rounded-md bg-neutral-800 border-neutral-700 text-white text-sm p-1 border ${className || ''}`}
+        >
+            {NARRATION_VOICES.map(voice => <option key={voice.id} value={voice.id}>{t(`voice.${voice.id}`)}</option>)}
+        </select>
+    );
+};
+
+// Progress and volume are tracked here rather than in App state so timeupdate events only re-render the player
+export const NarrationPlayer = () => {
+    const { narration, audioRef, toggleNarration, stopNarration } = useNarration();
+    const { t } = useLocale();
+    const audio = audioRef.current;
+    const [currentTime, setCurrentTime] = useState(audio ? audio.currentTime : 0);
+    const [duration, setDuration] = useState(audio && Number.isFinite(audio.duration) ? audio.duration : 0);
+    const [volume, setVolume] = useState(audio ? audio.volume : readStoredSetting('narrationVolume', 1));
+
+    useEffect(() => {
+        if (!audio) return;
+        const handleTimeUpdate = () => setCurrentTime(audio.currentTime);
+        const handleLoadedMetadata = () => setDuration(audio.duration);
+        audio.addEventListener('timeupdate', handleTimeUpdate);
+        audio.addEventListener('loadedmetadata', handleLoadedMetadata);
+        return () => {
+            audio.removeEventListener('timeupdate', handleTimeUpdate);
+            audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
+        };
+    }, [audio]);
+
+    const handleSeek = (e) => {
+        const time = Number(e.target.value);
+        if (audio) audio.currentTime = time;
+        setCurrentTime(time);
+    };
+
+    const handleVolumeChange = (e) => {
+        const nextVolume = Number(e.target.value);
+        if (audio) audio.volume = nextVolume;
+        setVolume(nextVolume);
+        storeSetting('narrationVolume', nextVolume);
+    };
+
+    return (
+        <div className="fixed bottom-0 inset-x-0 z-40 bg-neutral-900 text-white shadow-2xl border-t border-red-600 p-3">
+            <div className="container mx-auto flex flex-wrap items-center gap-4">
+                <button
+                    onClick={toggleNarration}
+                    disabled={narration.status === 'loading'}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 rounded-lg font-semibold transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {narration.status === 'loading' ? t('common.loading') : (narration.status === 'playing' ? t('narration.pause') : t('narration.play'))}
+                </button>
+                <button onClick={stopNarration} className="px-3 py-1 bg-neutral-600 hover:bg-neutral-700 rounded-lg font-semibold transition-colors duration-200">
+                    {t('narration.stop')}
+                </button>
+                <span className="font-semibold text-red-400 truncate max-w-xs">{narration.movie.name}</span>
+                <div className="flex items-center gap-2 flex-grow min-w-[12rem]">
+                    <span className="text-xs text-neutral-400 font-mono">{formatDuration(currentTime)}</span>
+                    <input
+                        type="range"
+                        min="0"
+                        max={duration || 0}
+                        step="0.1"
+                        value={currentTime}
+                        onChange={handleSeek}
+                        disabled={!duration}
+                        aria-label={t('narration.progress')}
+                        className="flex-grow accent-red-600"
+                    />
+                    <span className="text-xs text-neutral-400 font-mono">{formatDuration(duration)}</span>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-neutral-400">
+                    {t('narration.volume')}
+                    <input type="range" min="0" max="1" step="0.05" value={volume} onChange={handleVolumeChange} className="w-24 accent-red-600"/>
+                </label>
+                <VoicePicker />
+            </div>
+        </div>
+    );
+};
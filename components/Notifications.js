@@ -0,0 +1,160 @@
+// The notification center and notification settings. Notifications are written per user by the Firestore
+// triggers in functions/notifications.js; App keeps the latest ones loaded for the header badge.
+import React from 'react';
+import { formatSubmissionReason } from '../movieSchema';
+import { toMillis, setNotificationRead, markNotificationsRead, deleteNotification, saveUserProfile } from '../repository';
+import { useAuth, useLocale, useMessage, useNavigation } from '../contexts';
+import { Link } from './Link';
+
+// Each preference switches one kind of notification on or off, and is labelled by the
+// notificationPreference.* messages. Keep in sync with NOTIFICATION_TYPES in functions/notifications.js.
+export const NOTIFICATION_PREFERENCES = [
+    { id: 'submissionOutcomes' },
+    { id: 'newSubmissions', staffOnly: true },
+    { id: 'watchlistSummaries' }
+];
+export const NOTIFICATION_LIMIT = 50; // Most recent notifications shown, and counted for the unread badge
+
+// Where opening a notification takes the user
+const getNotificationLink = (notification) => {
+    if (notification.type === 'newSubmission') {
+        return '/admin';
+    }
+    if (notification.movieId && ['watchlistSummary', 'submissionApproved', 'submissionMerged'].includes(notification.type)) {
+        return `/movies/${encodeURIComponent(notification.movieId)}`;
+    }
+    return '/my-submissions';
+};
+
+export const Notifications = ({ notifications, unreadCount }) => {
+    const { db, userId, authUser } = useAuth();
+    const { locale, t } = useLocale();
+    const showMessage = useMessage();
+    const { navigate } = useNavigation();
+
+    const handleSetRead = async (notification, read) => {
+        if (!db || !userId) return;
+        try {
+            await setNotificationRead(db, userId, notification.id, read);
+        } catch (error) {
+            console.error("Error updating notification:", error);
+            showMessage('error', t('notifications.updateFailed'));
+        }
+    };
+
+    const handleOpen = (notification) => {
+        if (!notification.read) {
+            handleSetRead(notification, true);
+        }
+        navigate(getNotificationLink(notification));
+    };
+
+    const handleMarkAllRead = async () => {
+        if (!db || !userId) return;
+        try {
+            await markNotificationsRead(db, userId, notifications.filter(notification => !notification.read).map(notification => notification.id));
+        } catch (error) {
+            console.error("Error marking notifications read:", error);
+            showMessage('error', t('notifications.updateFailed'));
+        }
+    };
+
+    const handleDelete = async (notification) => {
+        if (!db || !userId) return;
+        try {
+            await deleteNotification(db, userId, notification.id);
+        } catch (error) {
+            console.error("Error deleting notification:", error);
+            showMessage('error', t('notifications.updateFailed'));
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4 max-w-2xl">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-2xl font-bold text-neutral-800">{t('notifications.heading')}</h2>
+                <div className="flex gap-4 text-sm">
+                    {unreadCount > 0 && (
+                        <button onClick={handleMarkAllRead} className="text-red-600 hover:underline">{t('notifications.markAllRead')}</button>
+                    )}
+                    {authUser && !authUser.isAnonymous && (
+                        <Link to="/notifications/settings" className="text-red-600 hover:underline">{t('notifications.settings')}</Link>
+                    )}
+                </div>
+            </div>
+            {notifications.length === 0 && <p className="text-center text-neutral-500">{t('notifications.empty')}</p>}
+            <ul className="space-y-3">
+                {notifications.map(notification => (
+                    <li
+                        key={notification.id}
+                        className={`p-4 rounded-xl shadow border flex items-start gap-4 ${notification.read ? 'bg-white border-neutral-200' : 'bg-red-50 border-red-200'}`}
+                    >
+                        <button onClick={() => handleOpen(notification)} className="flex-1 text-left">
+                            <p className={`text-sm ${notification.read ? 'text-neutral-700' : 'text-neutral-900 font-semibold'}`}>
+                                {t(`notification.${notification.type}`, { name: notification.movieName })}
+                            </p>
+                            {(notification.reason || notification.reasonCode) && (
+                                <p className="text-sm text-neutral-600 mt-1">{formatSubmissionReason(t, notification)}</p>
+                            )}
+                            <p className="text-xs text-neutral-500 mt-1">{new Date(toMillis(notification.createdAt)).toLocaleString(locale)}</p>
+                        </button>
+                        <button
+                            onClick={() => handleSetRead(notification, !notification.read)}
+                            className="text-xs text-neutral-500 hover:text-red-600 whitespace-nowrap"
+                        >
+                            {notification.read ? t('notifications.markUnread') : t('notifications.markRead')}
+                        </button>
+                        <button
+                            onClick={() => handleDelete(notification)}
+                            aria-label={t('notifications.delete')}
+                            className="text-neutral-400 hover:text-red-600 leading-none text-lg"
+                        >
+                            &times;
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Each checkbox saves straight away; reviewer-only notifications are hidden from members
+export const NotificationSettings = () => {
+    const { db, authUser, profile, canModerate } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const notificationPreferences = (profile && profile.notificationPreferences) || {};
+
+    // Preferences live on the profile, where the notification triggers read them
+    const handleChange = async (preferenceId, enabled) => {
+        if (!db || !authUser || authUser.isAnonymous) return;
+        try {
+            await saveUserProfile(db, authUser.uid, { notificationPreferences: { ...notificationPreferences, [preferenceId]: enabled } });
+            showMessage('success', t('notifications.preferencesSaved'));
+        } catch (error) {
+            console.error("Error saving notification preferences:", error);
+            showMessage('error', t('notifications.preferencesFailed'));
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4 max-w-md">
+            <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">{t('notifications.settingsHeading')}</h2>
+            <div className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200 space-y-4">
+                <p className="text-sm text-neutral-600">{t('notifications.settingsIntro')}</p>
+                {NOTIFICATION_PREFERENCES.filter(option => !option.staffOnly || canModerate).map(option => (
+                    <label key={option.id} className="flex items-center gap-3 text-sm text-neutral-700">
+                        <input
+                            type="checkbox"
+                            checked={notificationPreferences[option.id] !== false}
+                            onChange={(e) => handleChange(option.id, e.target.checked)}
+                            className="h-4 w-4 accent-red-600"
+                        />
+                        {t(`notificationPreference.${option.id}`)}
+                    </label>
+                ))}
+                <Link to="/notifications" className="inline-block text-sm text-red-600 hover:underline">&larr; {t('notifications.back')}</Link>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,142 @@
+// Recommendation rows. Each movie carries a precomputed `similarMovies` list (see
+// functions/similarMovies.js), so the rows only read the movies they show and the ones they start from.
+import React, { useState, useEffect } from 'react';
+import { fetchMoviesByIds, fetchUserRatings, fetchTopRatedMovies } from '../repository';
+import { getRecommendationSeeds, rankSimilarMovieIds } from '../recommendations';
+import { getThumbnailUrl, PLACEHOLDER_IMAGE_URL } from '../posters';
+import { getMovieRating } from '../catalogFilters';
+import { useAuth, useLibrary, useLocale } from '../contexts';
+import { Link } from './Link';
+
+export const RECOMMENDATION_LIMIT = 8;
+
+// A horizontally scrolling row of small movie cards, used for recommendations and collections.
+// With `to`, the title links to the full list there, led by the `coverUrl` image if one is given.
+export const MovieRow = ({ title, movies: rowMovies, to, coverUrl }) => {
+    const { t } = useLocale();
+    if (!rowMovies.length) {
+        return null;
+    }
+    return (
+        <section className="mb-8">
+            <div className="flex items-baseline justify-between mb-3">
+                <h3 className="text-xl font-bold text-neutral-800">
+                    {to ? <Link to={to} className="hover:underline">{title}</Link> : title}
+                </h3>
+                {to && <Link to={to} className="text-sm text-red-600 hover:underline">{t('collections.seeAll')}</Link>}
+            </div>
+            <div className="flex gap-4 overflow-x-auto pb-2">
+                {to && coverUrl && (
+                    <Link to={to} className="w-36 flex-shrink-0 rounded-lg shadow-lg overflow-hidden hover:ring-2 hover:ring-red-500 transition-shadow duration-200">
+                        <img src={coverUrl} alt={title} loading="lazy" className="w-full h-full object-cover"/>
+                    </Link>
+                )}
+                {rowMovies.map(movie => (
+                    <Link
+                        key={movie.id}
+                        to={`/movies/${encodeURIComponent(movie.id)}`}
+                        className="w-36 flex-shrink-0 bg-neutral-900 text-white rounded-lg shadow-lg overflow-hidden hover:ring-2 hover:ring-red-500 transition-shadow duration-200"
+                    >
+                        <img
+                            src={getThumbnailUrl(movie)}
+                            alt={movie.name}
+                            loading="lazy"
+                            className="w-full h-48 object-cover"
+                            onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                        />
+                        <div className="p-2">
+                            <p className="text-sm font-semibold text-red-500 truncate">{movie.name}</p>
+                            <p className="text-xs text-neutral-400">
+                                <span className="text-yellow-400 mr-1">★</span>
+                                {getMovieRating(movie).toFixed(1)}
+                                {movie.year ? ` · ${movie.year}` : ''}
+                            </p>
+                        </div>
+                    </Link>
+                ))}
+            </div>
+        </section>
+    );
+};
+
+// Enough of the user's reviews to find the ones rated highly
+const MAX_OWN_RATINGS = 100;
+
+// "More like this" on the movie page. A failure just leaves the row out.
+export const SimilarMoviesRow = ({ movie }) => {
+    const { db } = useAuth();
+    const { t } = useLocale();
+    const [similarMovies, setSimilarMovies] = useState([]);
+    const similarIdsKey = JSON.stringify((movie.similarMovies || []).slice(0, RECOMMENDATION_LIMIT).map(entry => entry.id));
+
+    useEffect(() => {
+        const ids = JSON.parse(similarIdsKey);
+        if (!db || !ids.length) {
+            setSimilarMovies([]);
+            return;
+        }
+
+        let isCancelled = false;
+        fetchMoviesByIds(db, ids)
+            .then(movies => {
+                if (!isCancelled) {
+                    setSimilarMovies(movies);
+                }
+            })
+            .catch(error => {
+                console.error("Error loading similar movies:", error);
+            });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, similarIdsKey]);
+
+    return <MovieRow title={t('recommendations.moreLikeThis')} movies={similarMovies} />;
+};
+
+// Shown above the unfiltered catalog. Users with no ratings or saved movies, or whose movies have no
+// similar titles yet, get the top-rated titles instead. A failure just leaves the row out.
+export const RecommendedRow = () => {
+    const { db, userId } = useAuth();
+    const { library } = useLibrary();
+    const { t } = useLocale();
+    const [recommendation, setRecommendation] = useState(null); // { movies, fallback }
+    const libraryKey = JSON.stringify(Object.keys(library));
+
+    useEffect(() => {
+        if (!db) {
+            return;
+        }
+
+        let isCancelled = false;
+        const loadRecommendations = async () => {
+            try {
+                const libraryMovieIds = JSON.parse(libraryKey);
+                const ownRatings = userId ? await fetchUserRatings(db, userId, MAX_OWN_RATINGS) : [];
+                const seeds = getRecommendationSeeds(ownRatings, libraryMovieIds);
+                const excludeIds = [...ownRatings.map(rating => rating.movieId), ...libraryMovieIds];
+                const seedMovies = await fetchMoviesByIds(db, seeds.map(seed => seed.movieId));
+                const recommendedIds = rankSimilarMovieIds(seeds, seedMovies, { excludeIds, limit: RECOMMENDATION_LIMIT });
+                const result = recommendedIds.length
+                    ? { movies: await fetchMoviesByIds(db, recommendedIds), fallback: false }
+                    : { movies: await fetchTopRatedMovies(db, RECOMMENDATION_LIMIT), fallback: true };
+                if (!isCancelled) {
+                    setRecommendation(result);
+                }
+            } catch (error) {
+                console.error("Error loading recommendations:", error);
+            }
+        };
+        loadRecommendations();
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [db, userId, libraryKey]);
+
+    if (!recommendation) {
+        return null;
+    }
+    return <MovieRow title={t(recommendation.fallback ? 'recommendations.topRated' : 'recommendations.forYou')} movies={recommendation.movies} />;
+};
@@ -0,0 +1,126 @@
+// Admin screen for granting and revoking staff roles. Role documents are only readable by admins.
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { ROLES } from '../accounts';
+import { rolesCollection, toRecords, grantRole, revokeRole } from '../repository';
+import { useAuth, useLocale, useMessage } from '../contexts';
+
+export const RoleManager = () => {
+    const { db, userId, isAdmin, hasPermission } = useAuth();
+    const { t } = useLocale();
+    const showMessage = useMessage();
+    const [roleAssignments, setRoleAssignments] = useState([]);
+    const [targetUserId, setTargetUserId] = useState('');
+    const [newRole, setNewRole] = useState('moderator');
+
+    useEffect(() => {
+        if (!db || !isAdmin) {
+            setRoleAssignments([]);
+            return;
+        }
+
+        const unsubscribeRoles = onSnapshot(rolesCollection(db), (snapshot) => {
+            setRoleAssignments(toRecords(snapshot));
+        }, (error) => {
+            console.error("Error fetching roles:", error);
+            showMessage('error', t('error.loadRoles'));
+        });
+
+        return () => unsubscribeRoles();
+    }, [db, isAdmin]);
+
+    if (!isAdmin) {
+        return (
+            <div className="container mx-auto p-4 text-center text-neutral-500">
+                <p className="text-lg font-semibold">{t('roles.notAdmin')}</p>
+            </div>
+        );
+    }
+
+    const handleGrant = async (e) => {
+        e.preventDefault();
+        const trimmedUserId = targetUserId.trim();
+        if (!trimmedUserId) {
+            showMessage('error', t('roles.userIdRequired'));
+            return;
+        }
+        if (!hasPermission('manageRoles')) {
+            showMessage('error', t('permission.manageRoles'));
+            return;
+        }
+        if (!ROLES.includes(newRole)) {
+            showMessage('error', t('roles.unknown', { role: newRole }));
+            return;
+        }
+        try {
+            await grantRole(db, trimmedUserId, newRole, userId);
+            showMessage('success', t('roles.granted', { role: newRole }));
+            setTargetUserId('');
+        } catch (error) {
+            console.error("Error granting role:", error);
+            showMessage('error', t('roles.grantFailed'));
+        }
+    };
+
+    const handleRevoke = async (assignmentUserId) => {
+        if (!hasPermission('manageRoles')) {
+            showMessage('error', t('permission.manageRoles'));
+            return;
+        }
+        // Prevent admins from locking themselves out
+        if (assignmentUserId === userId) {
+            showMessage('error', t('roles.cannotRevokeOwn'));
+            return;
+        }
+        try {
+            await revokeRole(db, assignmentUserId, userId);
+            showMessage('success', t('roles.revoked'));
+        } catch (error) {
+            console.error("Error revoking role:", error);
+            showMessage('error', t('roles.revokeFailed'));
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4 max-w-2xl">
+            <h2 className="text-2xl font-bold mb-6 text-center text-neutral-800">{t('nav.roles')}</h2>
+            <form onSubmit={handleGrant} className="bg-white p-6 rounded-xl shadow-lg border border-neutral-200 mb-6 flex flex-col sm:flex-row gap-4 sm:items-end">
+                <div className="flex-grow">
+                    <label htmlFor="targetUserId" className="block text-sm font-medium text-neutral-700">{t('roles.userId')}</label>
+                    <input type="text" id="targetUserId" value={targetUserId} onChange={(e) => setTargetUserId(e.target.value)} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border font-mono text-sm"/>
+                </div>
+                <div>
+                    <label htmlFor="newRole" className="block text-sm font-medium text-neutral-700">{t('roles.role')}</label>
+                    <select id="newRole" value={newRole} onChange={(e) => setNewRole(e.target.value)} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border">
+                        {ROLES.map(r => <option key={r} value={r}>{t(`roles.name.${r}`)}</option>)}
+                    </select>
+                </div>
+                <button type="submit" className="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200">
+                    {t('roles.grant')}
+                </button>
+            </form>
+            {roleAssignments.length > 0 ? (
+                <ul className="bg-white rounded-xl shadow-lg border border-neutral-200 divide-y divide-neutral-200">
+                    {roleAssignments.map(assignment => (
+                        <li key={assignment.id} className="p-4 flex justify-between items-center">
+                            <div>
+                                <p className="font-mono text-xs text-neutral-600">{assignment.id}</p>
+                                <p className="text-sm font-semibold text-neutral-800">{ROLES.includes(assignment.role) ? t(`roles.name.${assignment.role}`) : assignment.role}</p>
+                            </div>
+                            <button
+                                onClick={() => handleRevoke(assignment.id)}
+                                disabled={assignment.id === userId}
+                                className="bg-neutral-600 text-white text-sm font-semibold py-1 px-3 rounded-lg shadow-md hover:bg-neutral-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {t('roles.revoke')}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-center text-neutral-500">{t('roles.none')}</p>
+            )}
+        </div>
+    );
+};
+
@@ -0,0 +1,243 @@
+// The public form for suggesting a movie. Submissions go to the moderation queue, or to the offline
+// queue when there is no connection (see App).
+import React, { useState, useEffect } from 'react';
+import { HORROR_SUBGENRES, MOVIE_LIMITS, validateMovieFields, hasErrors } from '../movieSchema';
+import { fetchSubmissionDraft } from '../geminiClient';
+import { getGenreLabel } from '../movieTranslations';
+import { POSTER_TYPES, POSTER_MAX_BYTES, validatePosterFile } from '../posters';
+import { useAuth, useLocale } from '../contexts';
+import { Link } from './Link';
+import { ContentWarningPicker } from './MovieParts';
+
+// `onSubmit(form, posterFile)` resolves to true once the movie has been submitted or queued.
+// `findDuplicates(name, year)` resolves to similar titles already in the catalog or the queue.
+export const SubmissionForm = ({ onSubmit, findDuplicates, isOnline }) => {
+    const { auth } = useAuth();
+    const { locale, t } = useLocale();
+    const [form, setForm] = useState({ name: '', description: '', rating: '', genre: '', year: '', contentWarnings: [] });
+    const [posterFile, setPosterFile] = useState(null);
+    const [posterPreviewUrl, setPosterPreviewUrl] = useState(null);
+    const [posterError, setPosterError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [possibleDuplicates, setPossibleDuplicates] = useState([]);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [draft, setDraft] = useState(null); // Gemini's suggestion: { description, genres, genre, contentWarnings }
+    const [isDrafting, setIsDrafting] = useState(false);
+    const [draftError, setDraftError] = useState(null);
+
+    // Look for similar titles once the submitter pauses typing
+    useEffect(() => {
+        let isCancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const matches = await findDuplicates(form.name, form.year);
+                if (!isCancelled) {
+                    setPossibleDuplicates(matches.filter(match => match.type === 'movie'));
+                }
+            } catch (error) {
+                console.error("Error checking for duplicates:", error);
+            }
+        }, 400);
+        return () => {
+            isCancelled = true;
+            clearTimeout(timer);
+        };
+    }, [form.name, form.year]);
+
+    // Release the preview's object URL when it is replaced or the form goes away
+    useEffect(() => () => {
+        if (posterPreviewUrl) URL.revokeObjectURL(posterPreviewUrl);
+    }, [posterPreviewUrl]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+        setFieldErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    // Errors are shown next to the draft button rather than as a toast
+    const handleDraft = async () => {
+        setIsDrafting(true);
+        setDraftError(null);
+        try {
+            const suggestion = await fetchSubmissionDraft(auth, form.name, form.description);
+            setDraft({ ...suggestion, genre: suggestion.genres[0] || '' });
+        } catch (error) {
+            console.error("Error drafting submission:", error);
+            setDraftError(t('draft.failed'));
+        } finally {
+            setIsDrafting(false);
+        }
+    };
+
+    const acceptDraft = () => {
+        setForm(prev => ({
+            ...prev,
+            description: draft.description,
+            genre: draft.genre || prev.genre,
+            contentWarnings: draft.contentWarnings
+        }));
+        setFieldErrors(prev => ({ ...prev, description: null, genre: null, contentWarnings: null }));
+        setDraft(null);
+    };
+
+    const handlePosterChange = (e) => {
+        const file = e.target.files[0] || null;
+        const error = file ? validatePosterFile(file, t) : null;
+        setPosterError(error);
+        if (!file || error) {
+            setPosterFile(null);
+            setPosterPreviewUrl(null);
+            e.target.value = '';
+            return;
+        }
+        setPosterFile(file);
+        setPosterPreviewUrl(URL.createObjectURL(file));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { errors } = validateMovieFields(form, { locale });
+        setFieldErrors(errors);
+        if (hasErrors(errors)) {
+            return;
+        }
+        setIsSubmitting(true);
+        const submitted = await onSubmit(form, posterFile);
+        if (submitted) {
+            setForm({ name: '', description: '', rating: '', genre: '', year: '', contentWarnings: [] });
+            setPosterFile(null);
+            setPosterPreviewUrl(null);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="container mx-auto p-4 max-w-lg">
+            <h2 className="text-2xl font-bold text-center mb-6 text-neutral-800">{t('submit.heading')}</h2>
+            <form onSubmit={handleSubmit} className="bg-white p-8 rounded-xl shadow-lg border border-neutral-200">
+                <div className="mb-4">
+                    <label htmlFor="name" className="block text-sm font-medium text-neutral-700">{t('submit.title')}</label>
+                    <input type="text" id="name" name="name" value={form.name} onChange={handleChange} required maxLength={MOVIE_LIMITS.nameMaxLength} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
+                    {fieldErrors.name && <p className="text-sm text-red-600 mt-1">{fieldErrors.name}</p>}
+                    {possibleDuplicates.length > 0 && (
+                        <div className="mt-2 p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm">
+                            <p className="font-semibold text-yellow-800 mb-1">{t('submit.possibleDuplicates')}</p>
+                            <ul className="list-disc list-inside text-yellow-900">
+                                {possibleDuplicates.map(match => (
+                                    <li key={match.id}>
+                                        <Link to={`/movies/${encodeURIComponent(match.id)}`} className="hover:underline">{match.name}</Link>
+                                        {match.year && <span className="text-yellow-700"> ({match.year})</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+                <div className="mb-4">
+                    <label htmlFor="description" className="block text-sm font-medium text-neutral-700">{t('movie.description')}</label>
+                    <textarea id="description" name="description" rows="3" value={form.description} onChange={handleChange} required maxLength={MOVIE_LIMITS.descriptionMaxLength} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"></textarea>
+                    {fieldErrors.description && <p className="text-sm text-red-600 mt-1">{fieldErrors.description}</p>}
+                    <button
+                        type="button"
+                        onClick={handleDraft}
+                        disabled={isDrafting || !form.name.trim() || !isOnline}
+                        title={isOnline ? t('draft.hint') : t('draft.offline')}
+                        className="mt-2 text-sm font-semibold text-red-600 hover:text-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {isDrafting ? t('draft.working') : `✨ ${t('draft.button')}`}
+                    </button>
+                    {draftError && <p className="text-sm text-red-600 mt-1">{draftError}</p>}
+                    {draft && (
+                        <div className="mt-3 p-4 rounded-lg bg-red-50 border border-red-200 text-sm space-y-3">
+                            <div>
+                                <p className="font-semibold text-red-800">✨ {t('draft.heading')}</p>
+                                <p className="text-xs text-neutral-600">{t('draft.intro')}</p>
+                            </div>
+                            <textarea
+                                rows="4"
+                                value={draft.description}
+                                maxLength={MOVIE_LIMITS.descriptionMaxLength}
+                                onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+                                aria-label={t('movie.description')}
+                                className="block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                            ></textarea>
+                            <div>
+                                <p className="font-medium text-neutral-700">{t('draft.genres')}</p>
+                                {draft.genres.length > 0 ? (
+                                    <div className="flex flex-wrap gap-2 mt-1">
+                                        {draft.genres.map(id => (
+                                            <button
+                                                key={id}
+                                                type="button"
+                                                aria-pressed={draft.genre === id}
+                                                onClick={() => setDraft(prev => ({ ...prev, genre: prev.genre === id ? '' : id }))}
+                                                className={`px-3 py-1 rounded-full text-xs font-semibold transition-colors duration-200 ${draft.genre === id ? 'bg-red-600 text-white' : 'bg-neutral-200 text-neutral-700 hover:bg-neutral-300'}`}
+                                            >
+                                                {getGenreLabel(id, t)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <p className="text-xs text-neutral-500">{t('draft.noGenres')}</p>
+                                )}
+                            </div>
+                            <div>
+                                <p className="font-medium text-neutral-700">{t('warnings.label')}</p>
+                                <ContentWarningPicker selected={draft.contentWarnings} onChange={(contentWarnings) => setDraft(prev => ({ ...prev, contentWarnings }))} />
+                            </div>
+                            <div className="flex space-x-2">
+                                <button type="button" onClick={acceptDraft} disabled={!draft.description.trim()} className="bg-red-600 text-white font-semibold py-1 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                                    {t('draft.accept')}
+                                </button>
+                                <button type="button" onClick={() => setDraft(null)} className="text-neutral-600 hover:text-neutral-800">
+                                    {t('draft.dismiss')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+                <div className="mb-4 grid grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="genre" className="block text-sm font-medium text-neutral-700">{t('movie.genre')}</label>
+                        <select id="genre" name="genre" value={form.genre} onChange={handleChange} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border">
+                            <option value="">{t('submit.chooseGenre')}</option>
+                            {HORROR_SUBGENRES.map(genre => <option key={genre.id} value={genre.id}>{t(`genre.${genre.id}`)}</option>)}
+                        </select>
+                        {fieldErrors.genre && <p className="text-sm text-red-600 mt-1">{fieldErrors.genre}</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="year" className="block text-sm font-medium text-neutral-700">{t('movie.releaseYear')}</label>
+                        <input type="number" id="year" name="year" min={MOVIE_LIMITS.minYear} max={new Date().getFullYear() + MOVIE_LIMITS.maxYearsAhead} value={form.year} onChange={handleChange} className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
+                        {fieldErrors.year && <p className="text-sm text-red-600 mt-1">{fieldErrors.year}</p>}
+                    </div>
+                </div>
+                <div className="mb-4">
+                    <label htmlFor="rating" className="block text-sm font-medium text-neutral-700">{t('submit.rating')}</label>
+                    <input type="number" id="rating" name="rating" min={MOVIE_LIMITS.minRating} max={MOVIE_LIMITS.maxRating} step="1" value={form.rating} onChange={handleChange} required className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"/>
+                    {fieldErrors.rating && <p className="text-sm text-red-600 mt-1">{fieldErrors.rating}</p>}
+                </div>
+                <div className="mb-4">
+                    <p className="block text-sm font-medium text-neutral-700">{t('warnings.label')}</p>
+                    <ContentWarningPicker
+                        selected={form.contentWarnings}
+                        onChange={(contentWarnings) => setForm(prev => ({ ...prev, contentWarnings }))}
+                    />
+                    {fieldErrors.contentWarnings && <p className="text-sm text-red-600 mt-1">{fieldErrors.contentWarnings}</p>}
+                </div>
+                <div className="mb-4">
+                    <label htmlFor="poster" className="block text-sm font-medium text-neutral-700">{t('submit.poster')}</label>
+                    <input type="file" id="poster" accept={POSTER_TYPES.join(',')} onChange={handlePosterChange} className="mt-1 block w-full text-sm text-neutral-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-neutral-200 file:text-neutral-700 hover:file:bg-neutral-300"/>
+                    <p className="text-xs text-neutral-500 mt-1">{t('submit.posterHint', { size: POSTER_MAX_BYTES / (1024 * 1024) })}</p>
+                    {posterError && <p className="text-sm text-red-600 mt-1">{posterError}</p>}
+                    {posterPreviewUrl && (
+                        <img src={posterPreviewUrl} alt={t('submit.posterPreview')} className="mt-3 w-32 h-48 object-cover rounded-lg shadow-md" />
+                    )}
+                </div>
+                <button type="submit" disabled={isSubmitting} className="w-full bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-red-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isSubmitting ? (posterFile ? t('submit.uploadingPoster') : t('submit.submitting')) : t('submit.button')}
+                </button>
+            </form>
+        </div>
+    );
+};
@@ -0,0 +1,112 @@
+// The signed-in user's watchlist and watched movies, read from the library in LibraryContext
+import React, { useState } from 'react';
+import { toMillis } from '../repository';
+import { getGenreLabel } from '../movieTranslations';
+import { PLACEHOLDER_IMAGE_URL } from '../posters';
+import { readStoredSetting, storeSetting } from '../browserStorage';
+import { useLibrary, useLocale } from '../contexts';
+import { Link } from './Link';
+import { LibraryActions, WatchedBadge } from './MovieParts';
+
+// Labelled by the watchlistSort.* messages
+const WATCHLIST_SORT_OPTIONS = [
+    { id: 'added' },
+    { id: 'title' },
+    { id: 'year' }
+];
+
+const sortLibraryEntries = (entries, sort) => {
+    const sorted = [...entries];
+    switch (sort) {
+        case 'title':
+            return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        case 'year':
+            return sorted.sort((a, b) => (parseInt(b.year, 10) || 0) - (parseInt(a.year, 10) || 0));
+        default:
+            return sorted.sort((a, b) => toMillis(b.addedAt) - toMillis(a.addedAt));
+    }
+};
+
+const WatchlistCard = ({ entry }) => {
+    const { t } = useLocale();
+    // Library entries carry enough of the movie for the card and the toggles
+    const movie = { id: entry.movieId, name: entry.name, year: entry.year, genre: entry.genre, thumbnailUrl: entry.thumbnailUrl };
+
+    return (
+        <div className="bg-neutral-900 text-white rounded-lg shadow-xl overflow-hidden">
+            <Link to={`/movies/${encodeURIComponent(entry.movieId)}`} className="relative block">
+                <img
+                    src={entry.thumbnailUrl || PLACEHOLDER_IMAGE_URL}
+                    alt={entry.name}
+                    loading="lazy"
+                    className="w-full h-60 object-cover"
+                    onError={(e) => { e.target.onerror = null; e.target.src = PLACEHOLDER_IMAGE_URL }}
+                />
+                <WatchedBadge movieId={entry.movieId} />
+            </Link>
+            <div className="p-4">
+                <h3 className="text-lg font-bold text-red-500 mb-1">
+                    <Link to={`/movies/${encodeURIComponent(entry.movieId)}`} className="hover:underline">{entry.name}</Link>
+                </h3>
+                <p className="text-xs text-neutral-500 mb-3">
+                    {[entry.year, getGenreLabel(entry.genre, t)].filter(Boolean).join(' · ')}
+                </p>
+                <LibraryActions movie={movie} />
+            </div>
+        </div>
+    );
+};
+
+export const Watchlist = () => {
+    const { library } = useLibrary();
+    const { t } = useLocale();
+    const [watchlistSort, setWatchlistSort] = useState(() => readStoredSetting('watchlistSort', 'added'));
+    const entries = sortLibraryEntries(Object.values(library), watchlistSort);
+    const toWatch = entries.filter(entry => entry.inWatchlist && !entry.watched);
+    const watched = entries.filter(entry => entry.watched);
+
+    const changeWatchlistSort = (sort) => {
+        setWatchlistSort(sort);
+        storeSetting('watchlistSort', sort);
+    };
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-2xl font-bold text-neutral-800">{t('watchlist.heading')}</h2>
+                <label className="text-sm text-neutral-700">
+                    {t('common.sortBy')}{' '}
+                    <select
+                        value={watchlistSort}
+                        onChange={(e) => changeWatchlistSort(e.target.value)}
+                        className="ml-1 rounded-md border-neutral-300 shadow-sm focus:border-red-500 focus:ring-red-500 p-2 border"
+                    >
+                        {WATCHLIST_SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{t(`watchlistSort.${option.id}`)}</option>)}
+                    </select>
+                </label>
+            </div>
+            {entries.length === 0 && (
+                <p className="text-center text-neutral-500">
+                    {t('watchlist.empty')}{' '}
+                    <Link to="/" className="text-red-600 hover:underline">{t('watchlist.browse')}</Link>
+                </p>
+            )}
+            {toWatch.length > 0 && (
+                <>
+                    <h3 className="text-xl font-bold mb-4 text-neutral-800">{t('watchlist.toWatch')}</h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6 mb-10">
+                        {toWatch.map(entry => <WatchlistCard key={entry.id} entry={entry} />)}
+                    </div>
+                </>
+            )}
+            {watched.length > 0 && (
+                <>
+                    <h3 className="text-xl font-bold mb-4 text-neutral-800">{t('library.watched')}</h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                        {watched.map(entry => <WatchlistCard key={entry.id} entry={entry} />)}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,29 @@
+// App-wide state shared with the components in components/. App owns the state and provides these;
+// components read them through the hooks below instead of receiving everything as props.
+import { createContext, useContext } from 'react';
+
+// { db, auth, storage, userId, authUser, profile, role, isAdmin, canModerate, canManageCatalog,
+//   canViewAnalytics, hasPermission, updateAuthUser }
+export const AuthContext = createContext(null);
+
+// showMessage(type, text) shows a toast for a few seconds; type is 'success' or 'error'
+export const MessageContext = createContext(() => {});
+
+// { locale, t, changeLocale }
+export const LocaleContext = createContext(null);
+
+// { path, navigate }
+export const NavigationContext = createContext(null);
+
+// { library, toggleWatchlist, toggleWatched }, with library entries keyed by movie ID
+export const LibraryContext = createContext(null);
+
+// { narration, narrationVoice, audioRef, playDescription, toggleNarration, stopNarration, changeNarrationVoice }
+export const NarrationContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
+export const useMessage = () => useContext(MessageContext);
+export const useLocale = () => useContext(LocaleContext);
+export const useNavigation = () => useContext(NavigationContext);
+export const useLibrary = () => useContext(LibraryContext);
+export const useNarration = () => useContext(NarrationContext);
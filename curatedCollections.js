@@ -0,0 +1,82 @@
+// Editorial collections: ordered lists of movies curated by admins, such as "Best of Folk Horror", stored
+// in `public/data/collections`. firestore.rules enforces the same limits (see isValidCollectionFields).
+import { sanitizeText, isAllowedImageUrl } from './movieSchema';
+import { DEFAULT_LOCALE, translate } from './i18n';
+import { toMillis } from './repository';
+
+export const COLLECTION_LIMITS = {
+    titleMaxLength: 100,
+    descriptionMaxLength: 500,
+    maxMovies: 50
+};
+
+// A collection without a publish date is a draft. Once published it is shown from `publishAt` until the
+// optional `unpublishAt`. Labelled by the collectionStatus.* messages.
+export const getCollectionStatus = (collection, now = Date.now()) => {
+    if (!collection.publishAt) return 'draft';
+    if (toMillis(collection.publishAt) > now) return 'scheduled';
+    if (collection.unpublishAt && toMillis(collection.unpublishAt) <= now) return 'ended';
+    return 'live';
+};
+
+export const isCollectionLive = (collection, now) => getCollectionStatus(collection, now) === 'live';
+
+// Value for an <input type="datetime-local">, in the admin's local time zone
+export const toDateTimeInputValue = (value) => {
+    if (!value) return '';
+    const date = new Date(toMillis(value));
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Empty inputs are null; anything else must be a valid local date and time
+const parseDateTime = (value) => {
+    if (value instanceof Date) return value;
+    const text = sanitizeText(value);
+    return text ? new Date(text) : null;
+};
+
+const isValidDate = (date) => date === null || !Number.isNaN(date.getTime());
+
+// Validates the editable fields of a collection. Returns sanitized `values` and an `errors` object keyed
+// by field (empty when valid), with messages in the given locale, like validateMovieFields.
+export const validateCollectionFields = (input, { locale = DEFAULT_LOCALE } = {}) => {
+    const t = (key, params) => translate(locale, key, params);
+    const errors = {};
+    const values = {};
+
+    values.title = sanitizeText(input.title);
+    if (!values.title) {
+        errors.title = t('validation.collectionTitleRequired');
+    } else if (values.title.length > COLLECTION_LIMITS.titleMaxLength) {
+        errors.title = t('validation.collectionTitleTooLong', { max: COLLECTION_LIMITS.titleMaxLength });
+    }
+
+    values.description = sanitizeText(input.description);
+    if (values.description.length > COLLECTION_LIMITS.descriptionMaxLength) {
+        errors.description = t('validation.descriptionTooLong', { max: COLLECTION_LIMITS.descriptionMaxLength });
+    }
+
+    // Order matters here, so duplicates are dropped without re-sorting
+    values.movieIds = [...new Set((input.movieIds || []).map(sanitizeText).filter(Boolean))];
+    if (!values.movieIds.length) {
+        errors.movieIds = t('validation.collectionMoviesRequired');
+    } else if (values.movieIds.length > COLLECTION_LIMITS.maxMovies) {
+        errors.movieIds = t('validation.collectionMoviesTooMany', { max: COLLECTION_LIMITS.maxMovies });
+    }
+
+    values.coverUrl = input.coverUrl ? sanitizeText(input.coverUrl) : null;
+    if (values.coverUrl && !isAllowedImageUrl(values.coverUrl)) {
+        errors.coverUrl = t('validation.imageUrl');
+    }
+    values.coverPath = input.coverPath || null;
+
+    values.publishAt = parseDateTime(input.publishAt);
+    values.unpublishAt = parseDateTime(input.unpublishAt);
+    if (!isValidDate(values.publishAt) || !isValidDate(values.unpublishAt)) {
+        errors.schedule = t('validation.collectionDate');
+    } else if (values.unpublishAt && (!values.publishAt || values.unpublishAt <= values.publishAt)) {
+        errors.schedule = t('validation.collectionSchedule');
+    }
+
+    return { values, errors };
+};
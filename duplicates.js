@@ -0,0 +1,64 @@
+// Duplicate detection. Titles are compared after normalization ("The Thing (1982)!" -> "thing"), then
+// fuzzily so small typos still match. Movies and submissions store `normalizedName` so candidates can
+// be found with a prefix range query.
+//
+// The lookup only finds catalog movies that share the first DUPLICATE_PREFIX_LENGTH characters of the
+// normalized title, so a typo there ("Sceam" for "Scream") hides the movie unless it is already loaded
+// in the catalog or still in the pending queue, which are matched in full. A shorter prefix would catch
+// more of these but return far more candidates per lookup.
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+const MAX_DUPLICATE_SUGGESTIONS = 5;
+
+// Length of the normalized prefix used to look up candidates; shorter titles are not checked
+export const DUPLICATE_PREFIX_LENGTH = 3;
+
+export const normalizeTitle = (title) => (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // A bracketed or trailing release year, but not a year that is the title ("1408", "2001: ...")
+    .replace(/[([]\s*(18|19|20)\d{2}\s*[)\]]/g, ' ')
+    .replace(/(\S)\s+(18|19|20)\d{2}\s*$/, '$1')
+    .replace(/,\s*(the|a|an)\s*$/, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/^\s*(the|a|an)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const levenshteinDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// 1 for identical normalized titles, falling towards 0 as the edit distance grows
+const titleSimilarity = (a, b) => {
+    const normalizedA = normalizeTitle(a);
+    const normalizedB = normalizeTitle(b);
+    if (!normalizedA || !normalizedB) return 0;
+    const longest = Math.max(normalizedA.length, normalizedB.length);
+    return 1 - levenshteinDistance(normalizedA, normalizedB) / longest;
+};
+
+// Ranks candidates ({ id, type, name, year }) that look like the same film. Titles with release years
+// more than a year apart are treated as different films, so remakes are not flagged.
+export const matchDuplicates = (name, year, candidates) => {
+    const targetYear = parseInt(year, 10);
+    return candidates
+        .filter(candidate => {
+            const candidateYear = parseInt(candidate.year, 10);
+            return !(targetYear && candidateYear && Math.abs(targetYear - candidateYear) > 1);
+        })
+        .map(candidate => ({ ...candidate, similarity: titleSimilarity(name, candidate.name) }))
+        .filter(candidate => candidate.similarity >= DUPLICATE_SIMILARITY_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_DUPLICATE_SUGGESTIONS);
+};
@@ -0,0 +1,35 @@
+// Firebase set-up. The config, app ID and auth token are globals provided by the Canvas environment.
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// Everything the app stores lives under `artifacts/${appId}`, so several apps can share a project
+export const getAppId = () => (typeof __app_id !== 'undefined' ? __app_id : 'default-app-id');
+
+export const getInitialAuthToken = () => (typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null);
+
+// Returns { db, auth, storage }, or null when no Firebase config was provided
+export const initFirebaseServices = () => {
+    const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
+    if (!Object.keys(firebaseConfig).length) {
+        return null;
+    }
+
+    const app = initializeApp(firebaseConfig);
+    // Cache Firestore data in IndexedDB so the catalog still loads on a flaky connection
+    const db = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+    });
+    const auth = getAuth(app);
+    const storage = getStorage(app);
+
+    // Local development against the Firebase emulators
+    if (typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators) {
+        connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+        connectFirestoreEmulator(db, 'localhost', 8080);
+        connectStorageEmulator(storage, 'localhost', 9199);
+    }
+
+    return { db, auth, storage };
+};
@@ -0,0 +1,362 @@
+// Gemini proxy handler. The browser never sees the API key: it sends a task and the text to work
+// on, and the proxy builds the prompt, calls Gemini and returns only what the client needs.
+// Translations are the exception: the client only names the movie, and the proxy reads the text
+// from Firestore and caches the result there, so nobody can plant a translation of their own.
+
+const DEFAULT_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const TEXT_MODEL = 'gemini-2.5-flash-preview-05-20';
+const TTS_MODEL = 'gemini-2.5-flash-preview-tts';
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_ID_LENGTH = 200;
+const DEFAULT_VOICE = 'Rasalgethi';
+// Keep in sync with NARRATION_VOICES in geminiClient.js
+const NARRATION_VOICES = [DEFAULT_VOICE, 'Algenib', 'Enceladus', 'Gacrux', 'Charon'];
+// Keep in sync with LOCALES in i18n.js. Descriptions are written in the default language.
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = { en: 'English', es: 'Spanish', pt: 'Portuguese' };
+// Keep in sync with HORROR_SUBGENRES and CONTENT_WARNINGS in movieSchema.js
+const SUBGENRES = ['slasher', 'supernatural', 'found-footage', 'folk-horror', 'psychological', 'body-horror',
+    'creature', 'zombie', 'cosmic', 'gothic', 'home-invasion', 'horror-comedy'];
+const CONTENT_WARNINGS = ['gore', 'jump-scares', 'animal-harm', 'torture', 'sexual-violence', 'self-harm',
+    'child-endangerment', 'flashing-lights'];
+
+// `code` tells clients apart errors that share a status, such as the two kinds of 429
+class ProxyError extends Error {
+    constructor(status, message, code = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// --- Request validation and payloads ---
+
+const validateRequest = (body) => {
+    if (!body || typeof body !== 'object') {
+        throw new ProxyError(400, 'Request body must be a JSON object.');
+    }
+    const { task, text, title, voice, language, appId, movieId } = body;
+    if (!Object.keys(TASKS).includes(task)) {
+        throw new ProxyError(400, 'Unknown task.');
+    }
+    // Translations read their text from the movie document instead, and drafts may start from a title alone
+    if (TASKS[task].requiresText && (typeof text !== 'string' || !text.trim())) {
+        throw new ProxyError(400, 'Text is required.');
+    }
+    if (text !== undefined && typeof text !== 'string') {
+        throw new ProxyError(400, 'Text must be a string.');
+    }
+    if (text && text.length > MAX_TEXT_LENGTH) {
+        throw new ProxyError(400, `Text must be at most ${MAX_TEXT_LENGTH} characters.`);
+    }
+    if (task === 'draft' && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+        throw new ProxyError(400, `Drafts need a title of at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+    if (voice !== undefined && !NARRATION_VOICES.includes(voice)) {
+        throw new ProxyError(400, 'Unknown voice.');
+    }
+    if (language !== undefined && !Object.keys(LANGUAGES).includes(language)) {
+        throw new ProxyError(400, 'Unknown language.');
+    }
+    // They become Firestore path segments: used to attribute usage to a movie, and to find the
+    // movie to translate
+    [appId, movieId].forEach(id => {
+        if (id !== undefined && !isValidId(id)) {
+            throw new ProxyError(400, 'Invalid app or movie ID.');
+        }
+    });
+    if (task === 'translation' && (!appId || !movieId)) {
+        throw new ProxyError(400, 'Translations need an app and movie ID.');
+    }
+    return {
+        task,
+        text: typeof text === 'string' ? text.trim() : '',
+        title: typeof title === 'string' ? title.trim() : '',
+        voice: voice || DEFAULT_VOICE,
+        language: language || DEFAULT_LANGUAGE,
+        appId,
+        movieId
+    };
+};
+
+const isValidId = (id) => typeof id === 'string'
+    && id.length > 0
+    && id.length <= MAX_ID_LENGTH
+    && !id.includes('/')
+    && id !== '.'
+    && id !== '..';
+
+// Usage is counted per movie, so summaries and narrations naming a movie must be of its description,
+// as written or as one of its cached translations
+const isMovieDescription = (movie, text) => [
+    movie.description,
+    ...Object.values(movie.translations || {}).map(translation => translation.description)
+].includes(text);
+
+const buildSummaryPayload = ({ text, language }) => ({
+    contents: [{ parts: [{ text: `Write a very short, spooky, and enticing summary for a horror movie with the following description: ${text}. The summary should be 1-2 sentences, written in ${LANGUAGES[language]}.` }] }]
+});
+
+const buildNarrationPayload = ({ text, voice, language }) => ({
+    contents: [{ parts: [{ text: `Say in ${LANGUAGES[language]}, in a spooky, narrative tone: ${text}` }] }],
+    generationConfig: {
+        responseModalities: ['AUDIO'],
+        speechConfig: {
+            voiceConfig: {
+                prebuiltVoiceConfig: { voiceName: voice }
+            }
+        }
+    },
+    model: TTS_MODEL
+});
+
+// The fields of a movie that have no cached translation into `language` yet. Descriptions are only
+// translated out of the default language; a summary only once it is published, and only if it was
+// generated in another language. Mirrors needsTranslation in movieTranslations.js.
+const pickTextsToTranslate = (movie, language) => {
+    const cached = (movie.translations && movie.translations[language]) || {};
+    const texts = {};
+    if (language !== DEFAULT_LANGUAGE && movie.description && !cached.description) {
+        texts.description = movie.description;
+    }
+    if (movie.summaryStatus === 'published' && movie.geminiSummary
+        && (movie.summaryLanguage || DEFAULT_LANGUAGE) !== language && !cached.summary) {
+        texts.summary = movie.geminiSummary;
+    }
+    return texts;
+};
+
+const TRANSLATION_FIELDS = ['description', 'summary'];
+
+const buildDraftPayload = ({ title, text }) => ({
+    contents: [{ parts: [{ text: `Someone is submitting the horror movie "${title}" to a movie catalog. Their rough description is: ${text || '(none)'}. Write a polished, spoiler-free description of 2-4 sentences in English, list the subgenres that fit, best first, and list the content warnings that apply. Only include content warnings you are confident about.` }] }],
+    generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: {
+            type: 'OBJECT',
+            properties: {
+                description: { type: 'STRING' },
+                genres: { type: 'ARRAY', items: { type: 'STRING', format: 'enum', enum: SUBGENRES } },
+                contentWarnings: { type: 'ARRAY', items: { type: 'STRING', format: 'enum', enum: CONTENT_WARNINGS } }
+            },
+            required: ['description', 'genres', 'contentWarnings']
+        }
+    }
+});
+
+// Structured answers arrive as JSON in the text part
+const parseJsonResult = (result) => {
+    try {
+        return JSON.parse(result?.candidates?.[0]?.content?.parts?.[0]?.text);
+    } catch (error) {
+        throw new ProxyError(502, 'Gemini returned unreadable JSON.');
+    }
+};
+
+// Keeps the known IDs from a list Gemini returned, without repeats
+const pickKnownIds = (values, knownIds) => (Array.isArray(values)
+    ? [...new Set(values.filter(value => knownIds.includes(value)))]
+    : []);
+
+// A draft needs a description; it is cut to the catalog's limit, and unknown tags are dropped
+const parseDraftResult = (result) => {
+    const draft = parseJsonResult(result);
+    const description = typeof draft?.description === 'string' ? draft.description.trim() : '';
+    if (!description) {
+        throw new ProxyError(502, 'Gemini returned no description.');
+    }
+    return {
+        description: description.slice(0, MAX_DESCRIPTION_LENGTH),
+        genres: pickKnownIds(draft.genres, SUBGENRES),
+        contentWarnings: pickKnownIds(draft.contentWarnings, CONTENT_WARNINGS)
+    };
+};
+
+const buildTranslationPayload = ({ language, texts }) => ({
+    contents: [{ parts: [{ text: `Translate the text fields of this JSON object about a horror movie into ${LANGUAGES[language]}. Keep the tone, and leave names and titles as they are. Answer with the same keys.\n${JSON.stringify(texts)}` }] }],
+    generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: {
+            type: 'OBJECT',
+            properties: Object.fromEntries(Object.keys(texts).map(field => [field, { type: 'STRING' }])),
+            required: Object.keys(texts)
+        }
+    }
+});
+
+const TASKS = {
+    summary: {
+        model: TEXT_MODEL,
+        requiresText: true,
+        buildPayload: buildSummaryPayload,
+        parseResult: (result) => {
+            const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) throw new ProxyError(502, 'Gemini returned no summary.');
+            return { text: text.trim() };
+        }
+    },
+    narration: {
+        model: TTS_MODEL,
+        requiresText: true,
+        buildPayload: buildNarrationPayload,
+        parseResult: (result) => {
+            const inlineData = result?.candidates?.[0]?.content?.parts?.[0]?.inlineData;
+            if (!inlineData?.data || !inlineData?.mimeType?.startsWith('audio/')) {
+                throw new ProxyError(502, 'Gemini returned no audio.');
+            }
+            return { audio: inlineData.data, mimeType: inlineData.mimeType };
+        }
+    },
+    translation: {
+        model: TEXT_MODEL,
+        buildPayload: buildTranslationPayload,
+        parseResult: (result, { texts }) => {
+            const translated = parseJsonResult(result);
+            const output = {};
+            TRANSLATION_FIELDS.filter(field => field in texts).forEach(field => {
+                const text = translated && translated[field];
+                if (typeof text !== 'string' || !text.trim()) {
+                    throw new ProxyError(502, 'Gemini returned an incomplete translation.');
+                }
+                output[field] = text.trim().slice(0, MAX_TEXT_LENGTH);
+            });
+            return output;
+        }
+    },
+    draft: {
+        model: TEXT_MODEL,
+        buildPayload: buildDraftPayload,
+        parseResult: parseDraftResult
+    }
+};
+
+// --- Handler ---
+
+// Builds the HTTP handler. Everything with side effects is injected so the handler can run against
+// a local mock of the Gemini API (see mockGeminiServer.js) and stand-ins for Firestore.
+// `appIds` lists the app IDs requests may name; any other is refused.
+// `usageRecorder`, if given, counts successful generations per movie for the analytics dashboard.
+// `translationStore` reads movies and caches their translations; without it translations are disabled,
+// and so are summaries and narrations that name a movie, since the movie can't be checked.
+const createGeminiProxyHandler = ({ apiKey, apiBaseUrl = DEFAULT_API_BASE_URL, verifyIdToken, rateLimiter, appIds, usageRecorder = null, translationStore = null, fetchImpl = fetch }) => {
+    return async (req, res) => {
+        try {
+            if (req.method !== 'POST') {
+                throw new ProxyError(405, 'Method not allowed.');
+            }
+
+            const authHeader = req.get ? req.get('Authorization') : req.headers.authorization;
+            const idToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+            if (!idToken) {
+                throw new ProxyError(401, 'Missing ID token.');
+            }
+
+            let decodedToken;
+            try {
+                decodedToken = await verifyIdToken(idToken);
+            } catch (error) {
+                throw new ProxyError(401, 'Invalid ID token.');
+            }
+
+            const request = validateRequest(req.body);
+            if (request.appId && !appIds.includes(request.appId)) {
+                throw new ProxyError(403, 'Unknown app ID.');
+            }
+
+            // Cached translations are answered without calling Gemini, so they don't count against the limit
+            if (request.task === 'translation') {
+                if (!translationStore) {
+                    throw new ProxyError(501, 'Translations are not available.');
+                }
+                const movie = await translationStore.load(request);
+                if (!movie) {
+                    throw new ProxyError(404, 'Movie not found.');
+                }
+                request.texts = pickTextsToTranslate(movie, request.language);
+                request.cachedTranslation = (movie.translations && movie.translations[request.language]) || {};
+                if (!Object.keys(request.texts).length) {
+                    const { description, summary, model } = request.cachedTranslation;
+                    res.status(200).json({ description, summary, model, cached: true });
+                    return;
+                }
+            } else if (request.movieId) {
+                const movie = translationStore ? await translationStore.load(request) : null;
+                if (!movie) {
+                    throw new ProxyError(404, 'Movie not found.');
+                }
+                if (!isMovieDescription(movie, request.text)) {
+                    throw new ProxyError(400, 'Text must be the movie\'s description.');
+                }
+            }
+
+            if (!(await rateLimiter.consume(decodedToken.uid))) {
+                throw new ProxyError(429, 'Too many requests. Please try again later.', 'rate-limited');
+            }
+
+            const task = TASKS[request.task];
+            const response = await fetchImpl(`${apiBaseUrl}/models/${task.model}:generateContent`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+                body: JSON.stringify(task.buildPayload(request))
+            });
+
+            if (response.status === 429) {
+                throw new ProxyError(429, 'Gemini is busy. Please try again later.', 'gemini-busy');
+            }
+            if (!response.ok) {
+                console.error('Gemini request failed:', response.status, await response.text());
+                throw new ProxyError(502, 'Gemini request failed.');
+            }
+
+            const result = await response.json();
+            const output = task.parseResult(result, request);
+
+            // Caching is best-effort as well: the client still gets its translation
+            if (request.task === 'translation') {
+                try {
+                    await translationStore.save({ ...request, translation: { ...output, model: task.model } });
+                } catch (error) {
+                    console.error('Failed to cache translation:', error);
+                }
+            }
+
+            // Usage is best-effort: a failed counter update must not cost the user their result
+            if (usageRecorder && request.appId && request.movieId) {
+                try {
+                    await usageRecorder.record({ appId: request.appId, movieId: request.movieId, task: request.task, uid: decodedToken.uid });
+                } catch (error) {
+                    console.error('Failed to record usage:', error);
+                }
+            }
+
+            // Translations answer with the cached fields too, so the client has the whole set
+            res.status(200).json({ ...request.cachedTranslation, ...output, model: task.model });
+        } catch (error) {
+            if (error instanceof ProxyError) {
+                res.status(error.status).json(error.code ? { error: error.message, code: error.code } : { error: error.message });
+                return;
+            }
+            console.error('Unexpected proxy error:', error);
+            res.status(500).json({ error: 'Internal error.' });
+        }
+    };
+};
+
+module.exports = {
+    createGeminiProxyHandler,
+    validateRequest,
+    ProxyError,
+    pickTextsToTranslate,
+    parseJsonResult,
+    parseDraftResult,
+    NARRATION_VOICES,
+    LANGUAGES,
+    SUBGENRES,
+    CONTENT_WARNINGS,
+    TEXT_MODEL,
+    TTS_MODEL
+};
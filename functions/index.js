@@ -0,0 +1,88 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { onDocumentCreated, onDocumentUpdated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineList, defineSecret } = require('firebase-functions/params');
+const admin = require('firebase-admin');
+const { createGeminiProxyHandler } = require('./geminiProxy');
+const { createFirestoreRateLimiter } = require('./rateLimit');
+const { createFirestoreUsageRecorder } = require('./usage');
+const { createFirestoreTranslationStore } = require('./translation');
+const { createNotificationService } = require('./notifications');
+const { createSimilarMoviesService } = require('./similarMovies');
+
+admin.initializeApp();
+
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+// The app IDs the web app is deployed under (its __app_id); the proxy refuses requests for any other
+const geminiAppIds = defineList('GEMINI_APP_IDS');
+
+// 20 Gemini calls per user per hour
+const rateLimiter = createFirestoreRateLimiter(admin.firestore(), { limit: 20, windowMs: 60 * 60 * 1000 });
+const usageRecorder = createFirestoreUsageRecorder(admin.firestore(), { FieldValue: admin.firestore.FieldValue });
+const translationStore = createFirestoreTranslationStore(admin.firestore());
+const notifications = createNotificationService(admin.firestore(), {
+    listUsers: (maxResults, pageToken) => admin.auth().listUsers(maxResults, pageToken)
+});
+const similarMovies = createSimilarMoviesService(admin.firestore());
+
+exports.geminiProxy = onRequest({ secrets: [geminiApiKey], cors: true }, (req, res) => {
+    const handler = createGeminiProxyHandler({
+        apiKey: geminiApiKey.value(),
+        // Point at mockGeminiServer.js when running in the emulator
+        apiBaseUrl: process.env.GEMINI_API_BASE_URL || undefined,
+        verifyIdToken: (idToken) => admin.auth().verifyIdToken(idToken),
+        rateLimiter,
+        appIds: geminiAppIds.value(),
+        usageRecorder,
+        translationStore
+    });
+    return handler(req, res);
+});
+
+// --- Notifications ---
+
+exports.notifyNewSubmission = onDocumentCreated('artifacts/{appId}/public/data/submissions/{submissionId}', (event) => {
+    if (!event.data) return null;
+    return notifications.submissionCreated({
+        appId: event.params.appId,
+        submissionId: event.params.submissionId,
+        submission: event.data.data()
+    });
+});
+
+exports.notifySubmissionOutcome = onDocumentUpdated('artifacts/{appId}/public/data/submissions/{submissionId}', (event) => {
+    if (!event.data) return null;
+    return notifications.submissionUpdated({
+        appId: event.params.appId,
+        submissionId: event.params.submissionId,
+        before: event.data.before.data(),
+        after: event.data.after.data()
+    });
+});
+
+exports.notifyWatchlistSummary = onDocumentUpdated('artifacts/{appId}/public/data/movies/{movieId}', (event) => {
+    if (!event.data) return null;
+    return notifications.movieUpdated({
+        appId: event.params.appId,
+        movieId: event.params.movieId,
+        before: event.data.before.data(),
+        after: event.data.after.data()
+    });
+});
+
+// --- Similar movies ---
+
+exports.markSimilarMoviesOnMovieWrite = onDocumentWritten('artifacts/{appId}/public/data/movies/{movieId}', (event) => {
+    if (!event.data) return null;
+    return similarMovies.movieWritten({
+        appId: event.params.appId,
+        before: event.data.before.exists ? event.data.before.data() : null,
+        after: event.data.after.exists ? event.data.after.data() : null
+    });
+});
+
+exports.markSimilarMoviesOnReviewWrite = onDocumentWritten('artifacts/{appId}/public/data/movies/{movieId}/reviews/{reviewerId}', (event) => (
+    similarMovies.reviewWritten({ appId: event.params.appId })
+));
+
+exports.refreshSimilarMovies = onSchedule('every 60 minutes', () => similarMovies.refreshStaleApps());
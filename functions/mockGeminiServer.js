@@ -0,0 +1,95 @@
+// A stand-in for the Gemini API for local development and the proxy tests. Start it with
+//   node functions/mockGeminiServer.js
+// and run the functions emulator with GEMINI_API_BASE_URL=http://localhost:8089.
+// Text models answer with a canned summary, or with canned JSON matching the response schema when
+// one is requested; TTS models answer with a short burst of silence.
+
+const http = require('http');
+
+const SAMPLE_RATE = 24000;
+
+const textResponse = (text) => ({
+    candidates: [{ content: { parts: [{ text }] } }]
+});
+
+// Fills every property of a Gemini response schema with placeholder values. Enums get their first
+// value, so lists of tags come back with one valid entry.
+const mockJsonFor = (schema, model) => {
+    if (schema && schema.enum) {
+        return schema.enum[0];
+    }
+    switch (schema && schema.type) {
+        case 'OBJECT':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, mockJsonFor(property, model) ?? `[mock ${model}] ${name}`]));
+        case 'ARRAY':
+            return schema.items && schema.items.enum ? [schema.items.enum[0]] : [];
+        case 'NUMBER':
+        case 'INTEGER':
+            return 0;
+        case 'BOOLEAN':
+            return false;
+        default:
+            return null;
+    }
+};
+
+const audioResponse = () => ({
+    candidates: [{
+        content: {
+            parts: [{
+                inlineData: {
+                    mimeType: `audio/L16;codec=pcm;rate=${SAMPLE_RATE}`,
+                    // Half a second of 16-bit mono silence
+                    data: Buffer.alloc(SAMPLE_RATE).toString('base64')
+                }
+            }]
+        }
+    }]
+});
+
+// `status` makes every request fail with that status, e.g. 429 to exercise the proxy's handling of a
+// busy Gemini. `respond(model, payload)`, if given, replaces the canned answers.
+const createMockGeminiServer = ({ status = null, respond = null } = {}) => http.createServer((req, res) => {
+    const match = req.url.match(/^\/models\/([^:]+):generateContent/);
+    if (req.method !== 'POST' || !match) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Not found' } }));
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        if (status) {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: `Mock status ${status}` } }));
+            return;
+        }
+
+        const model = match[1];
+        const payload = JSON.parse(body || '{}');
+        let result;
+        if (respond) {
+            result = respond(model, payload);
+        } else if (model.includes('tts')) {
+            result = audioResponse();
+        } else if (payload.generationConfig?.responseMimeType === 'application/json') {
+            result = textResponse(JSON.stringify(mockJsonFor(payload.generationConfig.responseSchema, model)));
+        } else {
+            result = textResponse(`[mock ${model}] Something stirs in the dark... (${(payload.contents?.[0]?.parts?.[0]?.text || '').length} chars of prompt)`);
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+    });
+});
+
+if (require.main === module) {
+    // MOCK_GEMINI_STATUS=429 exercises the proxy's handling of a busy Gemini
+    const port = Number(process.env.MOCK_GEMINI_PORT) || 8089;
+    createMockGeminiServer({ status: Number(process.env.MOCK_GEMINI_STATUS) || null }).listen(port, () => {
+        console.log(`Mock Gemini API listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockGeminiServer };
@@ -0,0 +1,149 @@
+// In-app notifications, written by the Firestore triggers in index.js. Each recipient gets their own copy:
+//   artifacts/{appId}/users/{uid}/notifications/{notificationId}
+//     { type, movieName, movieId, submissionId, reason, reasonCode, reasonParams, read, createdAt }
+// components/Notifications.js turns `type` into a message and a link. Users can switch each kind off through
+// `notificationPreferences` on their user document; kinds they haven't set are on.
+
+// Notification type -> the preference that controls it. Keep in sync with NOTIFICATION_PREFERENCES in components/Notifications.js.
+const NOTIFICATION_TYPES = {
+    submissionApproved: 'submissionOutcomes',
+    submissionRejected: 'submissionOutcomes',
+    submissionChangesRequested: 'submissionOutcomes',
+    submissionMerged: 'submissionOutcomes',
+    newSubmission: 'newSubmissions',
+    watchlistSummary: 'watchlistSummaries'
+};
+
+// Submission statuses that tell the submitter how their submission was reviewed
+const OUTCOME_TYPES = {
+    approved: 'submissionApproved',
+    rejected: 'submissionRejected',
+    changes_requested: 'submissionChangesRequested',
+    merged: 'submissionMerged'
+};
+
+// Staff who review submissions. Roles come from a `role` custom claim or, failing that, the roles
+// collection, the same way resolveUserRole in accounts.js decides them for the app.
+const ROLES = ['admin', 'moderator', 'member'];
+const REVIEWER_ROLES = ['admin', 'moderator'];
+
+const MAX_BATCH_WRITES = 500;
+const LIST_USERS_PAGE_SIZE = 1000;
+// Finding custom claims means listing every account, so the result is reused for a while
+const CLAIM_ROLES_CACHE_MS = 10 * 60 * 1000;
+
+// `listUsers(maxResults, pageToken)` is the Admin SDK's auth.listUsers
+const createNotificationService = (db, { listUsers, now = Date.now } = {}) => {
+    let claimRoles = null; // uid -> role, for users with a valid role claim
+    let claimRolesLoadedAt = 0;
+
+    const loadClaimRoles = async () => {
+        if (claimRoles && now() - claimRolesLoadedAt < CLAIM_ROLES_CACHE_MS) {
+            return claimRoles;
+        }
+        const roles = new Map();
+        let pageToken;
+        do {
+            const page = await listUsers(LIST_USERS_PAGE_SIZE, pageToken);
+            page.users.forEach(user => {
+                const role = user.customClaims && user.customClaims.role;
+                if (ROLES.includes(role)) {
+                    roles.set(user.uid, role);
+                }
+            });
+            pageToken = page.pageToken;
+        } while (pageToken);
+        claimRoles = roles;
+        claimRolesLoadedAt = now();
+        return roles;
+    };
+
+    // A claim wins over the roles document, so a role document doesn't make a claim member a reviewer
+    const findReviewerIds = async (appId) => {
+        const [roles, roleSnap] = await Promise.all([
+            loadClaimRoles(),
+            db.collection(`artifacts/${appId}/roles`).where('role', 'in', REVIEWER_ROLES).get()
+        ]);
+        const claimReviewerIds = [...roles].filter(([, role]) => REVIEWER_ROLES.includes(role)).map(([uid]) => uid);
+        const documentReviewerIds = roleSnap.docs.map(doc => doc.id).filter(uid => !roles.has(uid));
+        return [...claimReviewerIds, ...documentReviewerIds];
+    };
+
+    const wantsNotification = async (appId, uid, type) => {
+        const snapshot = await db.doc(`artifacts/${appId}/users/${uid}`).get();
+        const preferences = (snapshot.exists && snapshot.data().notificationPreferences) || {};
+        return preferences[NOTIFICATION_TYPES[type]] !== false;
+    };
+
+    // Stores one copy per recipient who hasn't opted out, in as many batches as it takes
+    const notify = async (appId, recipientIds, notification) => {
+        const uniqueIds = [...new Set(recipientIds)];
+        const wanted = await Promise.all(uniqueIds.map(uid => wantsNotification(appId, uid, notification.type)));
+        const recipients = uniqueIds.filter((uid, index) => wanted[index]);
+        const createdAt = new Date();
+
+        for (let start = 0; start < recipients.length; start += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            recipients.slice(start, start + MAX_BATCH_WRITES).forEach(uid => {
+                batch.set(db.collection(`artifacts/${appId}/users/${uid}/notifications`).doc(), {
+                    movieId: null,
+                    submissionId: null,
+                    reason: null,
+                    reasonCode: null,
+                    reasonParams: null,
+                    ...notification,
+                    read: false,
+                    createdAt
+                });
+            });
+            await batch.commit();
+        }
+        return recipients.length;
+    };
+
+    return {
+        // Tells reviewers a new submission is waiting
+        submissionCreated: async ({ appId, submissionId, submission }) => {
+            const reviewerIds = (await findReviewerIds(appId)).filter(uid => uid !== submission.submittedBy);
+            return notify(appId, reviewerIds, { type: 'newSubmission', movieName: submission.name, submissionId });
+        },
+
+        // Tells the submitter when a review changes their submission's status
+        submissionUpdated: async ({ appId, submissionId, before, after }) => {
+            const type = OUTCOME_TYPES[after.status];
+            if (!type || before.status === after.status || !after.submittedBy) {
+                return 0;
+            }
+            return notify(appId, [after.submittedBy], {
+                type,
+                movieName: after.name,
+                movieId: after.movieId || null,
+                submissionId,
+                reason: after.statusReason || null,
+                reasonCode: after.statusReasonCode || null,
+                reasonParams: after.statusReasonParams || null
+            });
+        },
+
+        // Tells everyone with the movie on their watchlist when a summary is published or replaced
+        movieUpdated: async ({ appId, movieId, before, after }) => {
+            const isPublished = after.summaryStatus === 'published'
+                && (before.summaryStatus !== 'published' || before.geminiSummary !== after.geminiSummary);
+            if (!isPublished) {
+                return 0;
+            }
+            // Library entries from every app ID share the collection group, so keep only this app's
+            const usersPath = `artifacts/${appId}/users/`;
+            const librarySnap = await db.collectionGroup('library')
+                .where('movieId', '==', movieId)
+                .where('inWatchlist', '==', true)
+                .get();
+            const watcherIds = librarySnap.docs
+                .filter(doc => doc.ref.path.startsWith(usersPath))
+                .map(doc => doc.ref.parent.parent.id);
+            return notify(appId, watcherIds, { type: 'watchlistSummary', movieName: after.name, movieId });
+        }
+    };
+};
+
+module.exports = { createNotificationService, NOTIFICATION_TYPES };
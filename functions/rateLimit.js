@@ -0,0 +1,24 @@
+// Per-user fixed-window rate limiter. `consume(uid)` resolves to false once the user has used up
+// their requests for the current window.
+
+// Firestore-backed limiter shared by every function instance
+const createFirestoreRateLimiter = (db, { limit, windowMs, collectionName = 'geminiRateLimits' }) => ({
+    consume: (uid) => db.runTransaction(async (transaction) => {
+        const ref = db.collection(collectionName).doc(uid);
+        const snapshot = await transaction.get(ref);
+        const now = Date.now();
+        const data = snapshot.exists ? snapshot.data() : null;
+
+        if (!data || now - data.windowStart >= windowMs) {
+            transaction.set(ref, { windowStart: now, count: 1 });
+            return true;
+        }
+        if (data.count >= limit) {
+            return false;
+        }
+        transaction.update(ref, { count: data.count + 1 });
+        return true;
+    })
+});
+
+module.exports = { createFirestoreRateLimiter };
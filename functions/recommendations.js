@@ -0,0 +1,166 @@
+// Movie-to-movie similarity for "More like this" and "Recommended for you". similarMovies.js runs it over
+// an app's whole catalog and stores each movie's closest matches on the movie, so browsers never need
+// the catalog or the reviews. Everything here is a pure function of its inputs. Three signals are blended:
+// - text: TF-IDF cosine similarity of the descriptions
+// - tags: overlap of subgenre and content warnings
+// - co-rating: how similarly the same people rated two movies, relative to their own average
+
+const DEFAULT_WEIGHTS = { text: 0.5, tags: 0.3, coRating: 0.2 };
+
+const MIN_TOKEN_LENGTH = 3;
+
+// Common English words that say nothing about a movie. Descriptions are written in English.
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'they', 'their', 'them', 'his', 'her', 'hers',
+    'him', 'she', 'who', 'what', 'when', 'where', 'which', 'while', 'into', 'onto', 'out', 'about',
+    'after', 'before', 'over', 'under', 'than', 'then', 'but', 'not', 'are', 'was', 'were', 'has',
+    'have', 'had', 'its', 'it\'s', 'one', 'two', 'all', 'any', 'can', 'will', 'just', 'only', 'also',
+    'been', 'being', 'more', 'most', 'some', 'such', 'very', 'each', 'other', 'our', 'you', 'your',
+    'movie', 'film'
+]);
+
+// --- Text similarity ---
+
+const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(token => token.replace(/^'+|'+$/g, ''))
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(token));
+
+// Unit-length TF-IDF vectors (Map of term to weight), keyed by movie ID
+const buildTextVectors = (movies) => {
+    const termCounts = new Map(movies.map(movie => {
+        const counts = new Map();
+        tokenize(movie.description).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return [movie.id, counts];
+    }));
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const vectors = new Map();
+    termCounts.forEach((counts, movieId) => {
+        const vector = new Map();
+        counts.forEach((count, term) => {
+            vector.set(term, count * Math.log(1 + movies.length / documentFrequency.get(term)));
+        });
+        vectors.set(movieId, normalize(vector));
+    });
+    return vectors;
+};
+
+const normalize = (vector) => {
+    const length = Math.sqrt([...vector.values()].reduce((total, value) => total + value * value, 0));
+    if (!length) return vector;
+    return new Map([...vector].map(([key, value]) => [key, value / length]));
+};
+
+// Dot product of two unit vectors stored as Maps
+const cosineSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let total = 0;
+    smaller.forEach((value, key) => {
+        if (larger.has(key)) total += value * larger.get(key);
+    });
+    return total;
+};
+
+// --- Tag similarity ---
+
+const movieTags = (movie) => [
+    ...(movie.genre ? [`genre:${movie.genre}`] : []),
+    ...(movie.contentWarnings || []).map(id => `warning:${id}`)
+];
+
+// Jaccard index of the two movies' tags, with a shared subgenre counted twice as it says more
+// about a movie than a shared content warning
+const tagSimilarity = (a, b) => {
+    const tagsA = new Set(movieTags(a));
+    const tagsB = new Set(movieTags(b));
+    if (!tagsA.size || !tagsB.size) return 0;
+    const shared = [...tagsA].filter(tag => tagsB.has(tag));
+    const union = new Set([...tagsA, ...tagsB]).size;
+    const genreBonus = a.genre && a.genre === b.genre ? 1 : 0;
+    return Math.min(1, (shared.length + genreBonus) / (union + genreBonus));
+};
+
+// --- Co-rating similarity ---
+
+// Indexes ratings ({ userId, movieId, rating }) by movie, centred on each user's average rating so
+// that generous and harsh raters can be compared
+const buildCoRatingIndex = (ratings) => {
+    const totals = new Map();
+    ratings.forEach(({ userId, rating }) => {
+        const total = totals.get(userId) || { sum: 0, count: 0 };
+        totals.set(userId, { sum: total.sum + rating, count: total.count + 1 });
+    });
+
+    const byMovie = new Map();
+    ratings.forEach(({ userId, movieId, rating }) => {
+        const { sum, count } = totals.get(userId);
+        // A single rating can't be centred meaningfully; treat it as mildly positive or negative
+        const centred = count > 1 ? rating - sum / count : (rating - 3) / 2;
+        if (!byMovie.has(movieId)) byMovie.set(movieId, new Map());
+        byMovie.get(movieId).set(userId, centred);
+    });
+
+    const norms = new Map([...byMovie].map(([movieId, scores]) => [
+        movieId,
+        Math.sqrt([...scores.values()].reduce((total, value) => total + value * value, 0))
+    ]));
+    return { byMovie, norms };
+};
+
+// Adjusted cosine similarity over the users who rated both movies; dissimilar pairs score 0
+const coRatingSimilarity = (index, movieIdA, movieIdB) => {
+    const scoresA = index.byMovie.get(movieIdA);
+    const scoresB = index.byMovie.get(movieIdB);
+    if (!scoresA || !scoresB) return 0;
+    const normA = index.norms.get(movieIdA);
+    const normB = index.norms.get(movieIdB);
+    if (!normA || !normB) return 0;
+    let total = 0;
+    scoresA.forEach((value, userId) => {
+        if (scoresB.has(userId)) total += value * scoresB.get(userId);
+    });
+    return Math.max(0, total / (normA * normB));
+};
+
+// --- Ranking ---
+
+// Scores every pair of movies and keeps each movie's `limit` best matches, most similar first, as
+// { id, score }. `movies` need id, description, genre and contentWarnings; `ratings` are
+// { userId, movieId, rating } from the reviews. Scores are rounded so that unchanged lists compare equal.
+const computeSimilarMovies = ({ movies, ratings = [], weights = DEFAULT_WEIGHTS, limit = 12 }) => {
+    const movieIds = new Set(movies.map(movie => movie.id));
+    const textVectors = buildTextVectors(movies);
+    const coRatings = buildCoRatingIndex(ratings.filter(rating => movieIds.has(rating.movieId)));
+
+    const similarity = (a, b) => weights.text * cosineSimilarity(textVectors.get(a.id), textVectors.get(b.id))
+        + weights.tags * tagSimilarity(a, b)
+        + weights.coRating * coRatingSimilarity(coRatings, a.id, b.id);
+
+    return new Map(movies.map(movie => [
+        movie.id,
+        movies
+            .filter(other => other.id !== movie.id)
+            .map(other => ({ id: other.id, score: Math.round(similarity(movie, other) * 1000) / 1000 }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+            .slice(0, limit)
+    ]));
+};
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    tokenize,
+    buildTextVectors,
+    cosineSimilarity,
+    tagSimilarity,
+    buildCoRatingIndex,
+    coRatingSimilarity,
+    computeSimilarMovies
+};
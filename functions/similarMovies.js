@@ -0,0 +1,78 @@
+// Keeps the `similarMovies` list on each movie up to date. Recomputing means reading an app's whole
+// catalog and reviews, so writes only mark the app as stale and a scheduled run in index.js refreshes
+// stale apps in one go:
+//   artifacts/{appId}/jobs/similarMovies      { stale, markedAt, refreshedAt }
+//   artifacts/{appId}/public/data/movies/{id}  similarMovies: [{ id, score }], most similar first
+const { computeSimilarMovies } = require('./recommendations');
+
+const MAX_SIMILAR_MOVIES = 12;
+const MAX_BATCH_WRITES = 500;
+
+// The movie fields the similarity depends on. Ratings reach it through the review trigger.
+const SIMILARITY_FIELDS = ['description', 'genre', 'contentWarnings'];
+
+const isSameValue = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+// Whether a movie write can change any similarity: creating or deleting a movie, or editing a field
+// above. Writing `similarMovies` itself, translations or summaries does not.
+const affectsSimilarity = (before, after) => !before || !after
+    || SIMILARITY_FIELDS.some(field => !isSameValue(before[field], after[field]));
+
+const createSimilarMoviesService = (db) => {
+    const jobDoc = (appId) => db.doc(`artifacts/${appId}/jobs/similarMovies`);
+    const markStale = (appId) => jobDoc(appId).set({ stale: true, markedAt: new Date() }, { merge: true });
+
+    const refreshApp = async (appId) => {
+        const startedAt = new Date();
+        const [movieSnap, reviewSnap] = await Promise.all([
+            db.collection(`artifacts/${appId}/public/data/movies`).get(),
+            db.collectionGroup('reviews').where('appId', '==', appId).get()
+        ]);
+        const movies = movieSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const ratings = reviewSnap.docs
+            .map(doc => ({ userId: doc.data().userId, movieId: doc.ref.parent.parent.id, rating: doc.data().rating }))
+            .filter(rating => rating.userId && Number.isInteger(rating.rating));
+        const similar = computeSimilarMovies({ movies, ratings, limit: MAX_SIMILAR_MOVIES });
+
+        // Only movies whose list changed are written, so a quiet catalog costs no writes
+        const changed = movies.filter(movie => !isSameValue(movie.similarMovies, similar.get(movie.id)));
+        for (let start = 0; start < changed.length; start += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            changed.slice(start, start + MAX_BATCH_WRITES).forEach(movie => {
+                batch.update(db.doc(`artifacts/${appId}/public/data/movies/${movie.id}`), { similarMovies: similar.get(movie.id) });
+            });
+            await batch.commit();
+        }
+
+        // Writes that arrived while this ran keep the app stale for the next run
+        await db.runTransaction(async (transaction) => {
+            const job = await transaction.get(jobDoc(appId));
+            const markedAt = job.exists && job.data().markedAt;
+            const markedSince = markedAt && (markedAt.toDate ? markedAt.toDate() : markedAt) > startedAt;
+            transaction.set(jobDoc(appId), { stale: Boolean(markedSince), refreshedAt: startedAt }, { merge: true });
+        });
+        return changed.length;
+    };
+
+    return {
+        // Any review write can change the co-rating signal
+        reviewWritten: ({ appId }) => markStale(appId),
+
+        movieWritten: ({ appId, before, after }) => (affectsSimilarity(before, after) ? markStale(appId) : null),
+
+        // Resolves to { appId: number of movies updated }
+        refreshStaleApps: async () => {
+            const staleSnap = await db.collectionGroup('jobs').where('stale', '==', true).get();
+            const results = {};
+            for (const doc of staleSnap.docs.filter(job => job.id === 'similarMovies')) {
+                const appId = doc.ref.parent.parent.id;
+                results[appId] = await refreshApp(appId);
+            }
+            return results;
+        },
+
+        refreshApp
+    };
+};
+
+module.exports = { createSimilarMoviesService, affectsSimilarity, MAX_SIMILAR_MOVIES };
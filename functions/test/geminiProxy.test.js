@@ -0,0 +1,284 @@
+const { createGeminiProxyHandler, parseJsonResult, parseDraftResult, ProxyError, TEXT_MODEL, TTS_MODEL } = require('../geminiProxy');
+const { createMockGeminiServer } = require('../mockGeminiServer');
+
+// Starts a mock Gemini server on a free port. Resolves to { server, baseUrl }.
+const startMockGemini = (options) => new Promise((resolve) => {
+    const server = createMockGeminiServer(options);
+    server.listen(0, '127.0.0.1', () => resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// A Gemini answer whose text part is `text`
+const geminiText = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+// The parts of an Express request and response the handler uses
+const createRequest = ({ method = 'POST', idToken = 'valid-token', body = {} } = {}) => ({
+    method,
+    headers: idToken ? { authorization: `Bearer ${idToken}` } : {},
+    body
+});
+
+const createResponse = () => {
+    const res = { statusCode: null, body: null };
+    res.status = (statusCode) => {
+        res.statusCode = statusCode;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+describe('createGeminiProxyHandler', () => {
+    let mock;
+    let rateLimiter;
+    let usageRecorder;
+    let translationStore;
+
+    const createHandler = (baseUrl = mock.baseUrl) => createGeminiProxyHandler({
+        apiKey: 'test-key',
+        apiBaseUrl: baseUrl,
+        verifyIdToken: async (idToken) => {
+            if (idToken !== 'valid-token') throw new Error('Bad token');
+            return { uid: 'alice' };
+        },
+        rateLimiter,
+        appIds: ['test-app'],
+        usageRecorder,
+        translationStore
+    });
+
+    const callProxy = async (request, handler = createHandler()) => {
+        const res = createResponse();
+        await handler(createRequest(request), res);
+        return res;
+    };
+
+    beforeAll(async () => {
+        mock = await startMockGemini();
+    });
+
+    afterAll(() => new Promise(resolve => mock.server.close(resolve)));
+
+    beforeEach(() => {
+        rateLimiter = { consume: jest.fn().mockResolvedValue(true) };
+        usageRecorder = { record: jest.fn().mockResolvedValue() };
+        translationStore = {
+            load: jest.fn().mockResolvedValue({ description: 'A family is torn apart by witchcraft.', translations: {} }),
+            save: jest.fn().mockResolvedValue()
+        };
+    });
+
+    it('rejects anything but POST', async () => {
+        const res = await callProxy({ method: 'GET' });
+        expect(res.statusCode).toBe(405);
+    });
+
+    it('rejects requests without a valid ID token', async () => {
+        expect((await callProxy({ idToken: null, body: { task: 'summary', text: 'x' } })).statusCode).toBe(401);
+        expect((await callProxy({ idToken: 'forged', body: { task: 'summary', text: 'x' } })).statusCode).toBe(401);
+    });
+
+    it('rejects invalid requests before calling Gemini', async () => {
+        const res = await callProxy({ body: { task: 'summary', text: '   ' } });
+        expect(res).toMatchObject({ statusCode: 400, body: { error: 'Text is required.' } });
+        expect(rateLimiter.consume).not.toHaveBeenCalled();
+    });
+
+    it('returns a summary and counts it against the movie', async () => {
+        const res = await callProxy({ body: { task: 'summary', text: 'A family is torn apart by witchcraft.', appId: 'test-app', movieId: 'm1' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ text: expect.stringContaining(`[mock ${TEXT_MODEL}]`), model: TEXT_MODEL });
+        expect(rateLimiter.consume).toHaveBeenCalledWith('alice');
+        expect(usageRecorder.record).toHaveBeenCalledWith({ appId: 'test-app', movieId: 'm1', task: 'summary', uid: 'alice' });
+    });
+
+    it('refuses app IDs it doesn\'t serve', async () => {
+        const res = await callProxy({ body: { task: 'summary', text: 'A family is torn apart by witchcraft.', appId: 'other-app', movieId: 'm1' } });
+
+        expect(res).toMatchObject({ statusCode: 403, body: { error: 'Unknown app ID.' } });
+        expect(translationStore.load).not.toHaveBeenCalled();
+        expect(rateLimiter.consume).not.toHaveBeenCalled();
+    });
+
+    it('only counts text against a movie if it is that movie\'s description', async () => {
+        const res = await callProxy({ body: { task: 'summary', text: 'Buy cheap watches.', appId: 'test-app', movieId: 'm1' } });
+
+        expect(res).toMatchObject({ statusCode: 400, body: { error: 'Text must be the movie\'s description.' } });
+        expect(rateLimiter.consume).not.toHaveBeenCalled();
+        expect(usageRecorder.record).not.toHaveBeenCalled();
+    });
+
+    it('refuses movies that don\'t exist', async () => {
+        translationStore.load.mockResolvedValue(null);
+
+        const res = await callProxy({ body: { task: 'narration', text: 'Something stirs.', appId: 'test-app', movieId: 'missing' } });
+
+        expect(res).toMatchObject({ statusCode: 404, body: { error: 'Movie not found.' } });
+        expect(usageRecorder.record).not.toHaveBeenCalled();
+    });
+
+    it('narrates a cached translation of the description', async () => {
+        translationStore.load.mockResolvedValue({
+            description: 'A family is torn apart by witchcraft.',
+            translations: { es: { description: 'Una familia destrozada por la brujería.' } }
+        });
+
+        const res = await callProxy({ body: { task: 'narration', text: 'Una familia destrozada por la brujería.', language: 'es', appId: 'test-app', movieId: 'm1' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(usageRecorder.record).toHaveBeenCalledWith({ appId: 'test-app', movieId: 'm1', task: 'narration', uid: 'alice' });
+    });
+
+    it('returns narration audio', async () => {
+        const res = await callProxy({ body: { task: 'narration', text: 'Something stirs.', voice: 'Charon' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ mimeType: expect.stringMatching(/^audio\/L16/), model: TTS_MODEL });
+        expect(Buffer.from(res.body.audio, 'base64').length).toBeGreaterThan(0);
+    });
+
+    it('translates a movie and caches the translation', async () => {
+        const res = await callProxy({ body: { task: 'translation', appId: 'test-app', movieId: 'm1', language: 'es' } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ description: expect.stringContaining('description'), model: TEXT_MODEL });
+        expect(translationStore.save).toHaveBeenCalledWith(expect.objectContaining({
+            appId: 'test-app',
+            movieId: 'm1',
+            language: 'es',
+            translation: { description: res.body.description, model: TEXT_MODEL }
+        }));
+    });
+
+    it('answers cached translations without using up the rate limit', async () => {
+        translationStore.load.mockResolvedValue({
+            description: 'A family is torn apart by witchcraft.',
+            translations: { es: { description: 'Una familia destrozada por la brujería.', model: TEXT_MODEL } }
+        });
+
+        const res = await callProxy({ body: { task: 'translation', appId: 'test-app', movieId: 'm1', language: 'es' } });
+
+        expect(res).toMatchObject({ statusCode: 200, body: { description: 'Una familia destrozada por la brujería.', cached: true } });
+        expect(rateLimiter.consume).not.toHaveBeenCalled();
+    });
+
+    it('answers 429 with a rate-limited code once the user has used up their requests', async () => {
+        rateLimiter.consume.mockResolvedValue(false);
+
+        const res = await callProxy({ body: { task: 'summary', text: 'Something stirs.' } });
+
+        expect(res).toMatchObject({ statusCode: 429, body: { code: 'rate-limited' } });
+        expect(usageRecorder.record).not.toHaveBeenCalled();
+    });
+
+    it('tells a busy Gemini apart from the user\'s rate limit', async () => {
+        const busy = await startMockGemini({ status: 429 });
+        try {
+            const res = await callProxy({ body: { task: 'summary', text: 'Something stirs.' } }, createHandler(busy.baseUrl));
+            expect(res).toMatchObject({ statusCode: 429, body: { code: 'gemini-busy' } });
+        } finally {
+            await new Promise(resolve => busy.server.close(resolve));
+        }
+    });
+
+    it('answers 502 when Gemini fails', async () => {
+        const failing = await startMockGemini({ status: 500 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const res = await callProxy({ body: { task: 'summary', text: 'Something stirs.' } }, createHandler(failing.baseUrl));
+            expect(res).toMatchObject({ statusCode: 502, body: { error: 'Gemini request failed.' } });
+        } finally {
+            console.error.mockRestore();
+            await new Promise(resolve => failing.server.close(resolve));
+        }
+    });
+
+    it('still returns the result when usage can\'t be recorded', async () => {
+        usageRecorder.record.mockRejectedValue(new Error('Firestore unavailable'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await callProxy({ body: { task: 'summary', text: 'A family is torn apart by witchcraft.', appId: 'test-app', movieId: 'm1' } });
+
+        expect(res.statusCode).toBe(200);
+        console.error.mockRestore();
+    });
+});
+
+describe('parseJsonResult', () => {
+    it('reads the JSON in the first text part', () => {
+        expect(parseJsonResult(geminiText('{"description":"A cabin."}'))).toEqual({ description: 'A cabin.' });
+    });
+
+    it.each([
+        ['malformed JSON', geminiText('{"description": "A cabin.",')],
+        ['a prose answer', geminiText('Here is your draft: A cabin.')],
+        ['no candidates', { candidates: [] }],
+        ['a blocked prompt', { promptFeedback: { blockReason: 'SAFETY' } }]
+    ])('answers 502 for %s', (_, result) => {
+        expect(() => parseJsonResult(result)).toThrow(new ProxyError(502, 'Gemini returned unreadable JSON.'));
+    });
+});
+
+describe('parseDraftResult', () => {
+    const draft = (fields) => geminiText(JSON.stringify({
+        description: 'A family is torn apart by witchcraft.',
+        genres: ['folk-horror'],
+        contentWarnings: ['animal-harm'],
+        ...fields
+    }));
+
+    it('returns the trimmed description and known tags', () => {
+        expect(parseDraftResult(draft({ description: '  A family is torn apart by witchcraft.\n' }))).toEqual({
+            description: 'A family is torn apart by witchcraft.',
+            genres: ['folk-horror'],
+            contentWarnings: ['animal-harm']
+        });
+    });
+
+    it('cuts an oversize description to the catalog limit', () => {
+        const { description } = parseDraftResult(draft({ description: 'Dread. '.repeat(500) }));
+        expect(description).toHaveLength(2000);
+    });
+
+    it('drops unknown and repeated genre and warning IDs', () => {
+        expect(parseDraftResult(draft({ genres: ['romcom', 'gothic', 'gothic', 42, 'folk-horror'], contentWarnings: ['spiders', 'gore'] }))).toMatchObject({
+            genres: ['gothic', 'folk-horror'],
+            contentWarnings: ['gore']
+        });
+    });
+
+    it('treats tags that aren\'t lists as empty', () => {
+        expect(parseDraftResult(draft({ genres: 'gothic', contentWarnings: null }))).toMatchObject({ genres: [], contentWarnings: [] });
+    });
+
+    it.each([
+        ['an empty description', draft({ description: '   ' })],
+        ['a missing description', geminiText(JSON.stringify({ genres: ['gothic'] }))],
+        ['a description that isn\'t text', draft({ description: ['A cabin.'] })],
+        ['a JSON null', geminiText('null')]
+    ])('answers 502 for %s', (_, result) => {
+        expect(() => parseDraftResult(result)).toThrow(new ProxyError(502, 'Gemini returned no description.'));
+    });
+
+    it('reaches the client as a 502 when Gemini answers with malformed JSON', async () => {
+        const broken = createMockGeminiServer({ respond: () => geminiText('{"description": "A cabin') });
+        await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+        try {
+            const handler = createGeminiProxyHandler({
+                apiKey: 'test-key',
+                apiBaseUrl: `http://127.0.0.1:${broken.address().port}`,
+                verifyIdToken: async () => ({ uid: 'alice' }),
+                rateLimiter: { consume: async () => true },
+                appIds: ['test-app']
+            });
+            const res = createResponse();
+            await handler(createRequest({ body: { task: 'draft', title: 'The Witch', appId: 'test-app' } }), res);
+            expect(res).toMatchObject({ statusCode: 502, body: { error: 'Gemini returned unreadable JSON.' } });
+        } finally {
+            await new Promise(resolve => broken.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,191 @@
+const { createNotificationService } = require('../notifications');
+
+// An in-memory stand-in for the parts of the Admin SDK Firestore API the service uses. `docs` maps
+// document paths to their data.
+const createFakeFirestore = (docs = {}) => {
+    const store = new Map(Object.entries(docs));
+    let nextId = 0;
+
+    const docRef = (path) => {
+        const parts = path.split('/');
+        return {
+            id: parts[parts.length - 1],
+            path,
+            parent: { id: parts[parts.length - 2], parent: { id: parts[parts.length - 3] } },
+            get: async () => ({ exists: store.has(path), data: () => store.get(path) })
+        };
+    };
+    const snapshotOf = (paths) => ({
+        docs: paths.map(path => ({ ...docRef(path), ref: docRef(path), data: () => store.get(path) }))
+    });
+    const matches = (data, [field, op, value]) => (op === 'in' ? value.includes(data[field]) : data[field] === value);
+    const queryOver = (isMember, filters = []) => ({
+        where: (...filter) => queryOver(isMember, [...filters, filter]),
+        get: async () => snapshotOf([...store.keys()].filter(path => isMember(path) && filters.every(filter => matches(store.get(path), filter))))
+    });
+
+    return {
+        store,
+        doc: docRef,
+        collection: (path) => ({
+            ...queryOver(docPath => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/')),
+            doc: () => docRef(`${path}/auto-${nextId++}`)
+        }),
+        collectionGroup: (id) => queryOver(docPath => docPath.split('/').slice(-2)[0] === id),
+        batch: () => {
+            const writes = [];
+            return {
+                set: (ref, data) => writes.push([ref.path, data]),
+                commit: async () => writes.forEach(([path, data]) => store.set(path, data))
+            };
+        }
+    };
+};
+
+// The notifications stored so far, as { uid, ...notification }
+const storedNotifications = (db) => [...db.store]
+    .filter(([path]) => path.includes('/notifications/'))
+    .map(([path, data]) => ({ uid: path.split('/')[3], ...data }));
+
+// A paged auth.listUsers over `users` ({ uid, customClaims }), two per page
+const fakeListUsers = (users) => jest.fn(async (maxResults, pageToken) => {
+    const start = pageToken ? Number(pageToken) : 0;
+    const end = start + 2;
+    return { users: users.slice(start, end), pageToken: end < users.length ? String(end) : undefined };
+});
+
+const APP = 'artifacts/test-app';
+
+describe('submissionCreated', () => {
+    const submission = { name: 'Lake Mungo', submittedBy: 'sam' };
+
+    it('notifies reviewers from role documents and custom claims, but not the submitter', async () => {
+        const db = createFakeFirestore({
+            [`${APP}/roles/mod`]: { role: 'moderator' },
+            [`${APP}/roles/sam`]: { role: 'admin' },
+            [`${APP}/roles/member`]: { role: 'member' }
+        });
+        const listUsers = fakeListUsers([
+            { uid: 'root', customClaims: { role: 'admin' } },
+            { uid: 'alice', customClaims: {} },
+            { uid: 'bob' },
+            { uid: 'claimMod', customClaims: { role: 'moderator' } }
+        ]);
+        const notifications = createNotificationService(db, { listUsers });
+
+        expect(await notifications.submissionCreated({ appId: 'test-app', submissionId: 's1', submission })).toBe(3);
+        expect(storedNotifications(db).map(notification => notification.uid).sort()).toEqual(['claimMod', 'mod', 'root']);
+        expect(storedNotifications(db)[0]).toEqual({
+            uid: expect.any(String),
+            type: 'newSubmission',
+            movieName: 'Lake Mungo',
+            movieId: null,
+            submissionId: 's1',
+            reason: null,
+            reasonCode: null,
+            reasonParams: null,
+            read: false,
+            createdAt: expect.any(Date)
+        });
+    });
+
+    it('lets a custom claim override the role document', async () => {
+        const db = createFakeFirestore({ [`${APP}/roles/demoted`]: { role: 'moderator' } });
+        const listUsers = fakeListUsers([{ uid: 'demoted', customClaims: { role: 'member' } }]);
+
+        expect(await createNotificationService(db, { listUsers }).submissionCreated({ appId: 'test-app', submissionId: 's1', submission })).toBe(0);
+    });
+
+    it('skips reviewers who switched new submissions off', async () => {
+        const db = createFakeFirestore({
+            [`${APP}/roles/mod`]: { role: 'moderator' },
+            [`${APP}/users/mod`]: { notificationPreferences: { newSubmissions: false } }
+        });
+        const notifications = createNotificationService(db, { listUsers: fakeListUsers([]) });
+
+        expect(await notifications.submissionCreated({ appId: 'test-app', submissionId: 's1', submission })).toBe(0);
+        expect(storedNotifications(db)).toEqual([]);
+    });
+
+    it('reuses the listed claims for a while', async () => {
+        let time = 0;
+        const listUsers = fakeListUsers([{ uid: 'root', customClaims: { role: 'admin' } }]);
+        const notifications = createNotificationService(createFakeFirestore(), { listUsers, now: () => time });
+
+        await notifications.submissionCreated({ appId: 'test-app', submissionId: 's1', submission });
+        time += 60 * 1000;
+        await notifications.submissionCreated({ appId: 'test-app', submissionId: 's2', submission });
+        expect(listUsers).toHaveBeenCalledTimes(1);
+
+        time += 10 * 60 * 1000;
+        await notifications.submissionCreated({ appId: 'test-app', submissionId: 's3', submission });
+        expect(listUsers).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('submissionUpdated', () => {
+    const pending = { name: 'Lake Mungo', submittedBy: 'sam', status: 'pending' };
+    const update = (db, after) => createNotificationService(db, { listUsers: fakeListUsers([]) })
+        .submissionUpdated({ appId: 'test-app', submissionId: 's1', before: pending, after: { ...pending, ...after } });
+
+    it('tells the submitter about the outcome with the moderator\'s reason', async () => {
+        const db = createFakeFirestore();
+        expect(await update(db, { status: 'rejected', statusReason: 'Not horror.' })).toBe(1);
+        expect(storedNotifications(db)).toEqual([expect.objectContaining({
+            uid: 'sam',
+            type: 'submissionRejected',
+            movieName: 'Lake Mungo',
+            submissionId: 's1',
+            reason: 'Not horror.',
+            reasonCode: null
+        })]);
+    });
+
+    it('passes coded reasons and the merged movie along', async () => {
+        const db = createFakeFirestore();
+        await update(db, { status: 'merged', movieId: 'm1', statusReasonCode: 'alreadyListed', statusReasonParams: { name: 'Lake Mungo' } });
+        expect(storedNotifications(db)).toEqual([expect.objectContaining({
+            type: 'submissionMerged',
+            movieId: 'm1',
+            reason: null,
+            reasonCode: 'alreadyListed',
+            reasonParams: { name: 'Lake Mungo' }
+        })]);
+    });
+
+    it.each([
+        ['the status did not change', { description: 'Edited.' }],
+        ['the status is not an outcome', { status: 'withdrawn' }],
+        ['nobody submitted it', { status: 'approved', submittedBy: null }]
+    ])('sends nothing when %s', async (_, after) => {
+        const db = createFakeFirestore();
+        expect(await update(db, after)).toBe(0);
+        expect(storedNotifications(db)).toEqual([]);
+    });
+});
+
+describe('movieUpdated', () => {
+    const movie = { name: 'The Witch', summaryStatus: 'pending', geminiSummary: 'A family unravels.' };
+    const library = (uid, movieId, inWatchlist, appPath = APP) => ({ [`${appPath}/users/${uid}/library/${movieId}`]: { movieId, inWatchlist } });
+    const publish = (db, before, after) => createNotificationService(db, { listUsers: fakeListUsers([]) })
+        .movieUpdated({ appId: 'test-app', movieId: 'm1', before: { ...movie, ...before }, after: { ...movie, ...after } });
+
+    it('tells this app\'s users with the movie on their watchlist when a summary is published', async () => {
+        const db = createFakeFirestore({
+            ...library('ann', 'm1', true),
+            ...library('ben', 'm1', false),
+            ...library('cat', 'm2', true),
+            ...library('dan', 'm1', true, 'artifacts/other-app')
+        });
+        expect(await publish(db, {}, { summaryStatus: 'published' })).toBe(1);
+        expect(storedNotifications(db)).toEqual([expect.objectContaining({ uid: 'ann', type: 'watchlistSummary', movieName: 'The Witch', movieId: 'm1' })]);
+    });
+
+    it('notifies again when a published summary is replaced, but not for other edits', async () => {
+        const db = createFakeFirestore(library('ann', 'm1', true));
+        const published = { summaryStatus: 'published' };
+        expect(await publish(db, published, { ...published, geminiSummary: 'A new summary.' })).toBe(1);
+        expect(await publish(db, published, { ...published, description: 'Edited.' })).toBe(0);
+        expect(await publish(db, {}, { summaryStatus: 'rejected' })).toBe(0);
+    });
+});
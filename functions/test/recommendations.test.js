@@ -0,0 +1,105 @@
+const {
+    computeSimilarMovies, buildTextVectors, buildCoRatingIndex, cosineSimilarity, tagSimilarity, coRatingSimilarity, DEFAULT_WEIGHTS
+} = require('../recommendations');
+const { affectsSimilarity } = require('../similarMovies');
+
+const movie = (id, description, genre, contentWarnings) => ({ id, description, genre, contentWarnings });
+
+const MOVIES = [
+    movie('witch', 'A Puritan family banished to the woods is haunted by witchcraft.', 'folk-horror', ['animal-harm']),
+    movie('wicker', 'A police sergeant searches a pagan island for a missing girl and finds witchcraft.', 'folk-horror', []),
+    movie('midsommar', 'A grieving couple joins a pagan festival in a remote Swedish village.', 'folk-horror', ['gore']),
+    movie('thing', 'An alien shapeshifter hunts researchers at an Antarctic station.', 'creature', ['gore']),
+    movie('alien', 'An alien creature hunts the crew of a space freighter.', 'creature', ['gore'])
+];
+
+const ids = (entries) => entries.map(entry => entry.id);
+
+describe('computeSimilarMovies', () => {
+    it('lists every movie, never as similar to itself', () => {
+        const similar = computeSimilarMovies({ movies: MOVIES });
+        expect([...similar.keys()]).toEqual(ids(MOVIES));
+        MOVIES.forEach(({ id }) => {
+            expect(ids(similar.get(id))).not.toContain(id);
+        });
+    });
+
+    it('ranks movies sharing words and tags first', () => {
+        const similar = computeSimilarMovies({ movies: MOVIES });
+        expect(ids(similar.get('witch')).slice(0, 2)).toEqual(['wicker', 'midsommar']);
+        expect(ids(similar.get('alien'))[0]).toBe('thing');
+    });
+
+    it('keeps at most `limit` movies with a positive score', () => {
+        const similar = computeSimilarMovies({ movies: MOVIES, limit: 2 });
+        similar.forEach(entries => {
+            expect(entries.length).toBeLessThanOrEqual(2);
+            entries.forEach(entry => expect(entry.score).toBeGreaterThan(0));
+        });
+    });
+
+    it('ignores ratings for movies outside the catalog', () => {
+        const ratings = [
+            { userId: 'ann', movieId: 'witch', rating: 5 },
+            { userId: 'ann', movieId: 'gone', rating: 5 },
+            { userId: 'ann', movieId: 'thing', rating: 1 }
+        ];
+        const similar = computeSimilarMovies({ movies: MOVIES, ratings });
+        similar.forEach(entries => expect(ids(entries)).not.toContain('gone'));
+    });
+
+    describe('blending', () => {
+        const ratings = [
+            { userId: 'ann', movieId: 'witch', rating: 5 },
+            { userId: 'ann', movieId: 'alien', rating: 5 },
+            { userId: 'ann', movieId: 'wicker', rating: 1 },
+            { userId: 'ben', movieId: 'witch', rating: 4 },
+            { userId: 'ben', movieId: 'alien', rating: 5 },
+            { userId: 'ben', movieId: 'midsommar', rating: 2 }
+        ];
+
+        it('scores each pair as the weighted sum of text, tag and co-rating similarity', () => {
+            const vectors = buildTextVectors(MOVIES);
+            const coRatings = buildCoRatingIndex(ratings);
+            const [witch] = MOVIES;
+            const scores = Object.fromEntries(computeSimilarMovies({ movies: MOVIES, ratings }).get('witch')
+                .map(entry => [entry.id, entry.score]));
+
+            MOVIES.slice(1).forEach(other => {
+                const expected = DEFAULT_WEIGHTS.text * cosineSimilarity(vectors.get('witch'), vectors.get(other.id))
+                    + DEFAULT_WEIGHTS.tags * tagSimilarity(witch, other)
+                    + DEFAULT_WEIGHTS.coRating * coRatingSimilarity(coRatings, 'witch', other.id);
+                // Scores are stored rounded to three decimals
+                expect(scores[other.id] || 0).toBeCloseTo(expected, 3);
+            });
+        });
+
+        it('lets each signal decide the order on its own', () => {
+            const rankBy = (weights) => ids(computeSimilarMovies({ movies: MOVIES, ratings, weights }).get('witch'));
+            expect(rankBy({ text: 1, tags: 0, coRating: 0 })[0]).toBe('wicker');
+            expect(rankBy({ text: 0, tags: 1, coRating: 0 }).slice(0, 2).sort()).toEqual(['midsommar', 'wicker']);
+            // Both raters liked The Witch and Alien more than their own average, despite nothing in common
+            expect(rankBy({ text: 0, tags: 0, coRating: 1 })).toEqual(['alien']);
+        });
+    });
+});
+
+describe('affectsSimilarity', () => {
+    const [witch] = MOVIES;
+
+    it('is true when a movie is created or deleted', () => {
+        expect(affectsSimilarity(null, witch)).toBe(true);
+        expect(affectsSimilarity(witch, null)).toBe(true);
+    });
+
+    it('is true when a field the similarity uses changes', () => {
+        expect(affectsSimilarity(witch, { ...witch, description: 'Something else entirely.' })).toBe(true);
+        expect(affectsSimilarity(witch, { ...witch, contentWarnings: ['gore'] })).toBe(true);
+    });
+
+    it('ignores the job\'s own writes and other fields', () => {
+        expect(affectsSimilarity(witch, { ...witch, similarMovies: [{ id: 'wicker', score: 0.5 }] })).toBe(false);
+        expect(affectsSimilarity(witch, { ...witch, averageRating: 4.2, summary: 'A summary.' })).toBe(false);
+        expect(affectsSimilarity({ ...witch, contentWarnings: undefined }, { ...witch, contentWarnings: [] })).toBe(false);
+    });
+});
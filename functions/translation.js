@@ -0,0 +1,24 @@
+// Firestore access for the proxy's translation task, also used to check the movie named by summary and
+// narration requests. Translations are cached on the movie itself so they arrive with the movie
+// listeners the app already has:
+//   artifacts/{appId}/public/data/movies/{movieId}
+//     translations.{language} { description, summary, model, translatedAt }
+// Only the fields that were translated are written, so a new summary translation keeps the cached
+// description and vice versa.
+
+const createFirestoreTranslationStore = (db) => ({
+    load: async ({ appId, movieId }) => {
+        const snapshot = await db.doc(`artifacts/${appId}/public/data/movies/${movieId}`).get();
+        return snapshot.exists ? snapshot.data() : null;
+    },
+    save: async ({ appId, movieId, language, translation }) => {
+        const prefix = `translations.${language}`;
+        const update = Object.fromEntries(
+            Object.entries(translation).map(([field, value]) => [`${prefix}.${field}`, value])
+        );
+        update[`${prefix}.translatedAt`] = new Date();
+        await db.doc(`artifacts/${appId}/public/data/movies/${movieId}`).update(update);
+    }
+});
+
+module.exports = { createFirestoreTranslationStore };
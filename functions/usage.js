@@ -0,0 +1,30 @@
+// Generation counters for the admin analytics dashboard. Each successful proxy call increments a
+// per-movie document and a per-day document under the app's artifacts:
+//   artifacts/{appId}/usage/{movieId}       { summaryCount, narrationCount, lastGeneratedAt }
+//   artifacts/{appId}/usageDaily/{YYYY-MM-DD} { summaryCount, narrationCount, day }
+
+const COUNTER_FIELDS = {
+    summary: 'summaryCount',
+    narration: 'narrationCount'
+};
+
+const createFirestoreUsageRecorder = (db, { FieldValue }) => ({
+    record: async ({ appId, movieId, task }) => {
+        const field = COUNTER_FIELDS[task];
+        if (!field) return;
+        const now = new Date();
+        const day = now.toISOString().slice(0, 10);
+        const batch = db.batch();
+        batch.set(db.doc(`artifacts/${appId}/usage/${movieId}`), {
+            [field]: FieldValue.increment(1),
+            lastGeneratedAt: now
+        }, { merge: true });
+        batch.set(db.doc(`artifacts/${appId}/usageDaily/${day}`), {
+            [field]: FieldValue.increment(1),
+            day
+        }, { merge: true });
+        await batch.commit();
+    }
+});
+
+module.exports = { createFirestoreUsageRecorder, COUNTER_FIELDS };
@@ -0,0 +1,89 @@
+// Client for the server-side Gemini proxy in functions/, which holds the API key. Every request carries
+// the signed-in user's ID token, so `auth` must have a current user.
+import { validateSubmissionDraft } from './movieSchema';
+import { getAppId } from './firebase';
+
+const GEMINI_PROXY_URL = typeof __gemini_proxy_url !== 'undefined' ? __gemini_proxy_url : '/api/gemini';
+
+const MAX_RETRIES = 5;
+
+// Prebuilt Gemini TTS voices offered for narration, labelled by the voice.* messages.
+// Keep in sync with NARRATION_VOICES in functions/geminiProxy.js.
+export const NARRATION_VOICES = [
+    { id: 'Rasalgethi' },
+    { id: 'Algenib' },
+    { id: 'Enceladus' },
+    { id: 'Gacrux' },
+    { id: 'Charon' }
+];
+export const DEFAULT_NARRATION_VOICE = NARRATION_VOICES[0].id;
+
+const wait = (milliseconds) => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+// The proxy answers 429 when the user has hit their hourly rate limit or Gemini itself is busy. A busy
+// Gemini and network failures are retried with exponential backoff; the rate limit is not, since it
+// won't lift for up to an hour.
+export const callGeminiProxy = async (auth, body) => {
+    if (!auth || !auth.currentUser) {
+        throw new Error('You must be signed in to use Gemini features.');
+    }
+    const idToken = await auth.currentUser.getIdToken();
+    let retries = 0;
+    let response;
+    let result;
+
+    while (retries < MAX_RETRIES) {
+        try {
+            response = await fetch(GEMINI_PROXY_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${idToken}`
+                },
+                // The app and movie IDs let the proxy count generations per movie for the analytics dashboard
+                body: JSON.stringify({ appId: getAppId(), ...body })
+            });
+
+            result = await response.json();
+            if (response.status === 429 && result.code !== 'rate-limited') { // Too Many Requests
+                result = null;
+                retries++;
+                await wait(Math.pow(2, retries) * 1000);
+                continue;
+            }
+            break; // Success, break the loop
+        } catch (error) {
+            console.error("Fetch attempt failed:", error);
+            retries++;
+            await wait(Math.pow(2, retries) * 1000);
+        }
+    }
+
+    if (!response || !response.ok || !result) {
+        throw new Error(result?.error || 'Gemini proxy request was not successful.');
+    }
+    return result;
+};
+
+// A spoiler-free summary of the description, written in `language`. Resolves to { text, model }.
+export const fetchSummary = (auth, { movieId, text, language }) => (
+    callGeminiProxy(auth, { task: 'summary', movieId, text, language })
+);
+
+// The proxy caches the translated description and published summary on the movie document and
+// returns them as { description, summary }.
+export const fetchTranslation = (auth, { movieId, language }) => (
+    callGeminiProxy(auth, { task: 'translation', movieId, language })
+);
+
+// Spoken narration of `text`. Resolves to { audio, mimeType }, where audio is base64-encoded PCM.
+export const fetchNarration = (auth, { movieId, text, voice, language }) => (
+    callGeminiProxy(auth, { task: 'narration', movieId, text, voice, language })
+);
+
+// Polishes a submission from its title and rough description. The proxy already restricts the answer
+// to known subgenres and warnings; it is checked again before being offered.
+export const fetchSubmissionDraft = async (auth, title, roughDescription) => {
+    const result = await callGeminiProxy(auth, { task: 'draft', title, text: roughDescription });
+    return validateSubmissionDraft(result);
+};
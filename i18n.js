@@ -0,0 +1,46 @@
+// UI translations. Each file in locales/ maps message keys to text. `{name}` placeholders are filled
+// from the params passed to t(), and when a `count` param is given, keys with plural suffixes
+// (`_one`, `_other`, ...) are chosen with Intl.PluralRules. Missing keys fall back to English.
+import en from './locales/en.json';
+import es from './locales/es.json';
+import pt from './locales/pt.json';
+
+// Keep in sync with LANGUAGES in functions/geminiProxy.js and the locale checks in firestore.rules
+export const LOCALES = [
+    { id: 'en', label: 'English' },
+    { id: 'es', label: 'Español' },
+    { id: 'pt', label: 'Português' }
+];
+
+// Catalog descriptions are written in the default locale
+export const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = { en, es, pt };
+
+export const isSupportedLocale = (locale) => LOCALES.some(option => option.id === locale);
+
+// The first of the browser's preferred languages that we have a translation for
+export const detectLocale = () => {
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    const match = preferred
+        .map(language => String(language).toLowerCase().split('-')[0])
+        .find(isSupportedLocale);
+    return match || DEFAULT_LOCALE;
+};
+
+const lookup = (locale, key) => (MESSAGES[locale] && MESSAGES[locale][key]) ?? MESSAGES[DEFAULT_LOCALE][key];
+
+export const translate = (locale, key, params = {}) => {
+    let message;
+    if (typeof params.count === 'number') {
+        const category = new Intl.PluralRules(locale).select(params.count);
+        message = lookup(locale, `${key}_${category}`) ?? lookup(locale, `${key}_other`);
+    }
+    message = message ?? lookup(locale, key);
+    if (message == null) {
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
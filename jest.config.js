@@ -0,0 +1,32 @@
+// `npm test` runs the unit and functions projects. The emulator project needs the Firestore and Storage emulators,
+// so it only runs through `npm run test:emulator` (see firebase.json for the ports).
+const globals = {
+    __app_id: 'test-app',
+    __firebase_config: '{}'
+};
+
+module.exports = {
+    projects: [
+        {
+            displayName: 'unit',
+            testEnvironment: 'jsdom',
+            testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
+            setupFilesAfterEnv: ['<rootDir>/tests/setupTests.js'],
+            globals
+        },
+        {
+            displayName: 'functions',
+            testEnvironment: 'node',
+            testMatch: ['<rootDir>/functions/test/**/*.test.js']
+        },
+        {
+            displayName: 'emulator',
+            testEnvironment: '<rootDir>/tests/emulator/jsdomEnvironment.js',
+            // Load the Node build of the Firebase SDK rather than the browser one
+            testEnvironmentOptions: { customExportConditions: ['node', 'node-addons'] },
+            testMatch: ['<rootDir>/tests/emulator/**/*.test.js'],
+            setupFilesAfterEnv: ['<rootDir>/tests/setupTests.js', '<rootDir>/tests/emulator/setupEmulator.js'],
+            globals
+        }
+    ]
+};
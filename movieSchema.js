@@ -0,0 +1,181 @@
+// Shared validation for movie and submission documents.
+// firestore.rules enforces the same limits (see isValidMovieFields), so keep the two in sync.
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+// Horror subgenres used for the submission form and the catalog filter chips. The UI shows the
+// translated names from the locale files (genre.<id>); these labels are the English originals.
+export const HORROR_SUBGENRES = [
+    { id: 'slasher', label: 'Slasher' },
+    { id: 'supernatural', label: 'Supernatural' },
+    { id: 'found-footage', label: 'Found Footage' },
+    { id: 'folk-horror', label: 'Folk Horror' },
+    { id: 'psychological', label: 'Psychological' },
+    { id: 'body-horror', label: 'Body Horror' },
+    { id: 'creature', label: 'Creature Feature' },
+    { id: 'zombie', label: 'Zombie' },
+    { id: 'cosmic', label: 'Cosmic Horror' },
+    { id: 'gothic', label: 'Gothic' },
+    { id: 'home-invasion', label: 'Home Invasion' },
+    { id: 'horror-comedy', label: 'Horror Comedy' }
+];
+
+// Content warnings a movie can carry, shown as badges on its card. As with subgenres, the UI shows
+// the translated names (contentWarning.<id>).
+export const CONTENT_WARNINGS = [
+    { id: 'gore', label: 'Gore' },
+    { id: 'jump-scares', label: 'Jump scares' },
+    { id: 'animal-harm', label: 'Animal harm' },
+    { id: 'torture', label: 'Torture' },
+    { id: 'sexual-violence', label: 'Sexual violence' },
+    { id: 'self-harm', label: 'Self-harm' },
+    { id: 'child-endangerment', label: 'Child endangerment' },
+    { id: 'flashing-lights', label: 'Flashing lights' }
+];
+
+export const MOVIE_LIMITS = {
+    nameMaxLength: 200,
+    descriptionMaxLength: 2000,
+    minRating: 1,
+    maxRating: 5,
+    minYear: 1895, // The first films
+    maxYearsAhead: 5 // Announced releases can be submitted a few years early
+};
+
+export const IMAGE_URL_FIELDS = ['imageUrl', 'posterUrl', 'thumbnailUrl'];
+
+// Submissions move through these statuses and keep their history instead of being deleted
+export const SUBMISSION_STATUSES = {
+    pending: 'pending',
+    changesRequested: 'changes_requested',
+    approved: 'approved',
+    rejected: 'rejected',
+    withdrawn: 'withdrawn',
+    merged: 'merged'
+};
+
+// Reasons the app gives itself are stored as a code with params (statusReasonCode and statusReasonParams on
+// submissions, reasonCode and reasonParams on notifications) and shown in the reader's language. Reasons
+// moderators type are stored as text and shown as written.
+export const SUBMISSION_REASON_CODES = { alreadyListed: 'alreadyListed' };
+
+export const formatSubmissionReason = (t, { reason, reasonCode, reasonParams }) => (
+    reasonCode ? t(`submissionReason.${reasonCode}`, reasonParams || {}) : reason || null
+);
+
+// Submitters may edit while a submission is waiting on them or on a moderator
+export const EDITABLE_SUBMISSION_STATUSES = ['pending', 'changes_requested'];
+
+// Gemini summaries are persisted on the movie document and only shown publicly once a
+// moderator has published them.
+export const SUMMARY_STATUSES = { pending: 'pending', published: 'published', rejected: 'rejected' };
+
+// C0 control characters and DEL, apart from tab and newline
+const isStrippedControlChar = (char) => {
+    const code = char.charCodeAt(0);
+    return (code < 0x20 && char !== '\t' && char !== '\n') || code === 0x7F;
+};
+
+// Trims, normalizes line endings and drops control characters other than newlines and tabs
+export const sanitizeText = (value) => Array.from(String(value == null ? '' : value).replace(/\r\n?/g, '\n'))
+    .filter(char => !isStrippedControlChar(char))
+    .join('')
+    .trim();
+
+// Images must be served over HTTPS; plain HTTP is only allowed for the local emulators
+export const isAllowedImageUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:'
+            || (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+    } catch (error) {
+        return false;
+    }
+};
+
+const parseInteger = (value) => {
+    if (typeof value === 'number') return value;
+    const text = sanitizeText(value);
+    return /^-?\d+$/.test(text) ? Number(text) : NaN;
+};
+
+// Accepts an array of IDs, or a string of them separated by semicolons or commas (as in CSV imports)
+const parseIdList = (value) => {
+    const items = Array.isArray(value) ? value : String(value == null ? '' : value).split(/[;,]/);
+    return [...new Set(items.map(sanitizeText).filter(Boolean))];
+};
+
+const isKnownId = (options, id) => options.some(option => option.id === id);
+
+// Validates the user-editable fields of a movie or submission.
+// Returns typed, sanitized `values` and an `errors` object keyed by field (empty when valid), with
+// messages in the given locale.
+export const validateMovieFields = (input, { locale = DEFAULT_LOCALE } = {}) => {
+    const t = (key, params) => translate(locale, key, params);
+    const errors = {};
+    const values = {};
+
+    values.name = sanitizeText(input.name);
+    if (!values.name) {
+        errors.name = t('validation.nameRequired');
+    } else if (values.name.length > MOVIE_LIMITS.nameMaxLength) {
+        errors.name = t('validation.nameTooLong', { max: MOVIE_LIMITS.nameMaxLength });
+    }
+
+    values.description = sanitizeText(input.description);
+    if (!values.description) {
+        errors.description = t('validation.descriptionRequired');
+    } else if (values.description.length > MOVIE_LIMITS.descriptionMaxLength) {
+        errors.description = t('validation.descriptionTooLong', { max: MOVIE_LIMITS.descriptionMaxLength });
+    }
+
+    values.rating = parseInteger(input.rating);
+    if (!Number.isInteger(values.rating) || values.rating < MOVIE_LIMITS.minRating || values.rating > MOVIE_LIMITS.maxRating) {
+        errors.rating = t('validation.rating', { min: MOVIE_LIMITS.minRating, max: MOVIE_LIMITS.maxRating });
+    }
+
+    values.genre = input.genre ? sanitizeText(input.genre) : null;
+    if (values.genre && !HORROR_SUBGENRES.some(genre => genre.id === values.genre)) {
+        errors.genre = t('validation.genre');
+    }
+
+    const maxYear = new Date().getFullYear() + MOVIE_LIMITS.maxYearsAhead;
+    values.year = input.year === '' || input.year == null ? null : parseInteger(input.year);
+    if (values.year !== null && (!Number.isInteger(values.year) || values.year < MOVIE_LIMITS.minYear || values.year > maxYear)) {
+        errors.year = t('validation.year', { min: MOVIE_LIMITS.minYear, max: maxYear });
+    }
+
+    // Kept in the order of CONTENT_WARNINGS so the badges always line up the same way
+    const contentWarnings = parseIdList(input.contentWarnings);
+    values.contentWarnings = CONTENT_WARNINGS.filter(warning => contentWarnings.includes(warning.id)).map(warning => warning.id);
+    if (contentWarnings.some(id => !isKnownId(CONTENT_WARNINGS, id))) {
+        errors.contentWarnings = t('validation.contentWarnings');
+    }
+
+    IMAGE_URL_FIELDS.forEach(field => {
+        if (!(field in input)) return;
+        values[field] = input[field] ? sanitizeText(input[field]) : null;
+        if (values[field] && !isAllowedImageUrl(values[field])) {
+            errors[field] = t('validation.imageUrl');
+        }
+    });
+
+    return { values, errors };
+};
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+// Checks a submission draft from the Gemini proxy before it is offered to the submitter. The
+// description must be usable as-is, and unknown subgenres and content warnings are dropped.
+export const validateSubmissionDraft = (draft) => {
+    const description = sanitizeText(draft && draft.description);
+    if (!description || description.length > MOVIE_LIMITS.descriptionMaxLength) {
+        throw new Error('The suggested description is empty or too long.');
+    }
+    const genres = parseIdList(draft.genres).filter(id => isKnownId(HORROR_SUBGENRES, id));
+    const contentWarnings = parseIdList(draft.contentWarnings);
+    return {
+        description,
+        genres,
+        contentWarnings: CONTENT_WARNINGS.filter(warning => contentWarnings.includes(warning.id)).map(warning => warning.id)
+    };
+};
@@ -0,0 +1,26 @@
+// The Gemini proxy caches machine translations of a movie's description and published summary on the
+// movie under `translations.{locale}`; moderators clear them when they publish a new summary.
+// Descriptions are written in DEFAULT_LOCALE and summaries record the locale they were generated in.
+import { HORROR_SUBGENRES, SUMMARY_STATUSES } from './movieSchema';
+import { DEFAULT_LOCALE } from './i18n';
+
+export const getCachedTranslation = (movie, locale) => (movie.translations && movie.translations[locale]) || {};
+
+export const hasPublishedSummary = (movie) => movie.summaryStatus === SUMMARY_STATUSES.published && !!movie.geminiSummary;
+
+// Mirrors pickTextsToTranslate in functions/geminiProxy.js
+export const needsTranslation = (movie, locale) => {
+    const translation = getCachedTranslation(movie, locale);
+    const needsDescription = locale !== DEFAULT_LOCALE && !translation.description;
+    const needsSummary = hasPublishedSummary(movie) && (movie.summaryLanguage || DEFAULT_LOCALE) !== locale && !translation.summary;
+    return needsDescription || needsSummary;
+};
+
+export const getLocalizedDescription = (movie, locale) => getCachedTranslation(movie, locale).description || movie.description;
+
+export const getLocalizedSummary = (movie, locale) => (
+    (movie.summaryLanguage || DEFAULT_LOCALE) === locale ? movie.geminiSummary : (getCachedTranslation(movie, locale).summary || movie.geminiSummary)
+);
+
+// Translated subgenre name, or null for movies without a (known) subgenre
+export const getGenreLabel = (genreId, t) => (HORROR_SUBGENRES.some(genre => genre.id === genreId) ? t(`genre.${genreId}`) : null);
@@ -0,0 +1,42 @@
+// Posters are uploaded to Firebase Storage as a full-size image for the detail page and a thumbnail
+// for the card grid, both re-encoded as JPEG in the browser. Avatars and collection covers go through
+// the same checks.
+export const POSTER_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const POSTER_MAX_BYTES = 5 * 1024 * 1024; // Keep in step with storage.rules
+export const POSTER_SIZES = {
+    full: { maxWidth: 1200, maxHeight: 1800 },
+    thumb: { maxWidth: 400, maxHeight: 600 }
+};
+export const AVATAR_SIZE = { maxWidth: 256, maxHeight: 256 };
+export const COVER_SIZE = { maxWidth: 1600, maxHeight: 900 }; // Collection covers
+export const PLACEHOLDER_IMAGE_URL = 'https://placehold.co/400x600/1a1a1a/ff6b6b?text=Movie+Image';
+
+// Returns an error message, or null if the file can be used as a poster (or, with kind 'avatar' or
+// 'cover', an avatar or collection cover)
+export const validatePosterFile = (file, t, kind = 'poster') => {
+    if (!POSTER_TYPES.includes(file.type)) {
+        return t(`upload.${kind}Type`);
+    }
+    if (file.size > POSTER_MAX_BYTES) {
+        return t(`upload.${kind}Size`, { size: POSTER_MAX_BYTES / (1024 * 1024) });
+    }
+    return null;
+};
+
+// Scales an image down to fit within the given bounds and encodes it as JPEG
+export const resizeImage = async (file, { maxWidth, maxHeight }) => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image.'))), 'image/jpeg', 0.85);
+    });
+};
+
+// Uploaded posters are preferred; `imageUrl` is kept for movies listed before uploads existed
+export const getThumbnailUrl = (movie) => movie.thumbnailUrl || movie.imageUrl || PLACEHOLDER_IMAGE_URL;
+export const getPosterUrl = (movie) => movie.posterUrl || movie.imageUrl || PLACEHOLDER_IMAGE_URL;
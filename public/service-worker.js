@@ -0,0 +1,107 @@
+// Offline support for Horror Movie Hub.
+// - Navigations are network-first, falling back to the cached app shell.
+// - Same-origin scripts, styles, fonts and images are served from cache and refreshed in the background.
+//   The host environment bundles the app, so their names and paths aren't known here and may not change
+//   between builds; refreshing keeps a cached copy from going stale for more than one load.
+// - Poster images are served from cache and refreshed in the background.
+// Firestore, Auth and the Gemini proxy are never cached here; Firestore keeps its own offline cache.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+const POSTER_CACHE = `posters-${CACHE_VERSION}`;
+// Oldest entries go first, so assets from earlier builds drop out
+const MAX_ASSET_ENTRIES = 100;
+const MAX_POSTER_ENTRIES = 200;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const ASSET_DESTINATIONS = ['script', 'style', 'font', 'image', 'manifest'];
+const POSTER_HOSTS = ['firebasestorage.googleapis.com', 'placehold.co'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => ![SHELL_CACHE, ASSET_CACHE, POSTER_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Only complete same-origin responses are cached, so an error page or redirect never replaces a good copy.
+// Posters come from another origin and load without CORS, so their opaque responses are cached as well.
+const isCacheable = (response, allowOpaque) => (
+    (response.ok && response.type === 'basic') || (allowOpaque && response.type === 'opaque')
+);
+
+// Cache writes outlive the response they came with, so the worker is kept alive until they finish.
+// A failed write (e.g. over quota) only means the next load goes to the network.
+const putInCache = (event, cacheName, key, response, maxEntries) => {
+    event.waitUntil(
+        caches.open(cacheName)
+            .then(cache => cache.put(key, response))
+            .then(() => (maxEntries ? trimCache(cacheName, maxEntries) : null))
+            .catch(error => console.error("Error caching response:", error))
+    );
+};
+
+const networkFirstNavigation = async (event) => {
+    try {
+        const response = await fetch(event.request);
+        if (isCacheable(response, false)) {
+            putInCache(event, SHELL_CACHE, '/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+};
+
+// The cache is trimmed to `maxEntries` after each update
+const staleWhileRevalidate = async (event, cacheName, maxEntries, allowOpaque) => {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (isCacheable(response, allowOpaque)) {
+                putInCache(event, cacheName, request, response.clone(), maxEntries);
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    // When the cached copy answers, the refresh carries on after the response, so keep the worker alive
+    event.waitUntil(refresh);
+    return cached || refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (request.mode === 'navigate' && url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirstNavigation(event));
+    } else if (url.origin === self.location.origin && ASSET_DESTINATIONS.includes(request.destination) && !url.pathname.startsWith('/api/')) {
+        event.respondWith(staleWhileRevalidate(event, ASSET_CACHE, MAX_ASSET_ENTRIES, false));
+    } else if (request.destination === 'image' && POSTER_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, POSTER_CACHE, MAX_POSTER_ENTRIES, true));
+    }
+});
@@ -0,0 +1,46 @@
+// "Recommended for you", ranked from the `similarMovies` lists stored on each movie. The lists are
+// computed from the whole catalog and its reviews by functions/similarMovies.js, so the browser only
+// reads the movies a user liked or saved and the candidates they point to. Pure functions, so the
+// ranking can be checked without Firebase.
+
+// Ratings at or above this count as liking a movie; lower ratings are not used as seeds
+export const LIKED_RATING = 4;
+
+// Seeds are read with fetchMoviesByIds, so keep them to a few queries' worth
+export const MAX_RECOMMENDATION_SEEDS = 30;
+
+// The movies to recommend from, as { movieId, weight }: highly rated ones count more the higher they
+// were rated, and library movies the user hasn't rated count once. `ownRatings` are { movieId, rating }.
+export const getRecommendationSeeds = (ownRatings, libraryMovieIds) => {
+    const ratedIds = new Set(ownRatings.map(rating => rating.movieId));
+    return [
+        ...ownRatings
+            .filter(rating => rating.rating >= LIKED_RATING)
+            .map(rating => ({ movieId: rating.movieId, weight: rating.rating - LIKED_RATING + 1 })),
+        ...libraryMovieIds
+            .filter(movieId => !ratedIds.has(movieId))
+            .map(movieId => ({ movieId, weight: 1 }))
+    ].slice(0, MAX_RECOMMENDATION_SEEDS);
+};
+
+// Scores each movie on the seeds' similar lists by its weighted similarity to all the seeds, and returns
+// the best `limit` IDs, most similar first. `seedMovies` are the loaded seed movies; anything in
+// `excludeIds` is skipped.
+export const rankSimilarMovieIds = (seeds, seedMovies, { excludeIds = [], limit = 10 } = {}) => {
+    const seedWeights = new Map(seeds.map(seed => [seed.movieId, seed.weight]));
+    const totalWeight = seeds.reduce((total, seed) => total + seed.weight, 0);
+    const excluded = new Set([...excludeIds, ...seedWeights.keys()]);
+    const scores = new Map();
+    seedMovies.forEach(movie => {
+        const weight = seedWeights.get(movie.id) || 0;
+        (movie.similarMovies || []).forEach(({ id, score }) => {
+            if (!excluded.has(id)) {
+                scores.set(id, (scores.get(id) || 0) + weight * score / totalWeight);
+            }
+        });
+    });
+    return [...scores]
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+        .slice(0, limit)
+        .map(([id]) => id);
+};
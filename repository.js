@@ -0,0 +1,719 @@
+// Data access for Firestore and Storage. Everything the app stores lives under `artifacts/${appId}`, and
+// only this module spells out the paths. Functions take the Firestore or Storage instance as their first
+// argument, so they work the same against production and the emulators. Real-time listeners stay with
+// the components that own the state; they build their queries from the references here.
+import { collection, collectionGroup, doc, documentId, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, query, where, addDoc, runTransaction, writeBatch, orderBy, limit, startAfter, endAt, serverTimestamp } from 'firebase/firestore';
+import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { SUBMISSION_STATUSES, SUBMISSION_REASON_CODES, SUMMARY_STATUSES } from './movieSchema';
+import { LOCALES } from './i18n';
+import { getAppId } from './firebase';
+import { normalizeTitle } from './duplicates';
+import { PLACEHOLDER_IMAGE_URL, getThumbnailUrl } from './posters';
+
+const appPath = (path) => `artifacts/${getAppId()}/${path}`;
+
+// --- References ---
+
+export const moviesCollection = (db) => collection(db, appPath('public/data/movies'));
+export const movieDoc = (db, movieId) => doc(moviesCollection(db), movieId);
+export const submissionsCollection = (db) => collection(db, appPath('public/data/submissions'));
+export const submissionDoc = (db, submissionId) => doc(submissionsCollection(db), submissionId);
+export const reviewsCollection = (db, movieId) => collection(db, appPath(`public/data/movies/${movieId}/reviews`));
+export const reviewDoc = (db, movieId, userId) => doc(reviewsCollection(db, movieId), userId);
+export const commentsCollection = (db, movieId) => collection(db, appPath(`public/data/movies/${movieId}/comments`));
+export const commentDoc = (db, movieId, commentId) => doc(commentsCollection(db, movieId), commentId);
+export const commentFlagsCollection = (db) => collection(db, appPath('public/data/commentFlags'));
+export const collectionsCollection = (db) => collection(db, appPath('public/data/collections'));
+export const collectionDoc = (db, collectionId) => doc(collectionsCollection(db), collectionId);
+export const rolesCollection = (db) => collection(db, appPath('roles'));
+export const roleDoc = (db, uid) => doc(rolesCollection(db), uid);
+export const auditLogCollection = (db) => collection(db, appPath('auditLog'));
+export const userDoc = (db, uid) => doc(db, appPath('users'), uid);
+export const libraryCollection = (db, uid) => collection(db, appPath(`users/${uid}/library`));
+export const notificationsCollection = (db, uid) => collection(db, appPath(`users/${uid}/notifications`));
+export const notificationDoc = (db, uid, notificationId) => doc(notificationsCollection(db, uid), notificationId);
+export const usageCollection = (db) => collection(db, appPath('usage'));
+export const usageDailyCollection = (db) => collection(db, appPath('usageDaily'));
+
+// --- Reading ---
+
+// Query results as plain objects carrying their document ID. `options` go to DocumentSnapshot.data(),
+// e.g. { serverTimestamps: 'estimate' } for listeners that see their own pending writes.
+export const toRecords = (snapshot, options) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(options) }));
+
+// Firestore timestamps, dates and date strings as milliseconds; 0 when missing
+export const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime() || 0;
+};
+
+// Server-side ordering for each catalog sort (see SORT_OPTIONS in catalogFilters.js). Movies approved
+// before `approvedAt` and `averageRating` were written need those fields backfilled, since Firestore
+// leaves out documents missing the orderBy field.
+export const SORT_ORDERINGS = {
+    newest: [orderBy('approvedAt', 'desc')],
+    rating: [orderBy('averageRating', 'desc')],
+    title: [orderBy('name', 'asc')]
+};
+
+// Submissions from before the review workflow need `status` backfilled to appear here (see backfillLegacySubmissions)
+export const PENDING_SUBMISSIONS_ORDERING = [where('status', '==', SUBMISSION_STATUSES.pending), orderBy('timestamp', 'asc')];
+
+// Paged listeners keep one live query over everything loaded so far: the first page until a
+// cursor exists, then every document up to and including the cursor. Loading more fetches the
+// next page with startAfter and moves the cursor to its last document.
+export const buildPagedQuery = (collectionRef, ordering, cursor, pageSize) => (
+    cursor
+        ? query(collectionRef, ...ordering, endAt(cursor))
+        : query(collectionRef, ...ordering, limit(pageSize))
+);
+
+export const fetchNextPage = async (collectionRef, ordering, lastDoc, pageSize) => {
+    const snapshot = await getDocs(query(collectionRef, ...ordering, startAfter(lastDoc), limit(pageSize)));
+    return snapshot.docs;
+};
+
+export const fetchAllMovies = async (db) => toRecords(await getDocs(moviesCollection(db)));
+
+// Movies whose normalized title starts with `prefix`, for duplicate detection
+export const fetchMoviesByTitlePrefix = async (db, prefix, maxResults = 50) => toRecords(await getDocs(query(
+    moviesCollection(db),
+    where('normalizedName', '>=', prefix),
+    where('normalizedName', '<=', `${prefix}\uf8ff`),
+    limit(maxResults)
+)));
+
+// Firestore `in` filters accept at most 30 values
+const MAX_IN_FILTER_VALUES = 30;
+
+// The given movies in the order of `movieIds`. Movies that no longer exist are left out.
+export const fetchMoviesByIds = async (db, movieIds) => {
+    const chunks = [];
+    for (let start = 0; start < movieIds.length; start += MAX_IN_FILTER_VALUES) {
+        chunks.push(movieIds.slice(start, start + MAX_IN_FILTER_VALUES));
+    }
+    const snapshots = await Promise.all(chunks.map(chunk => getDocs(query(moviesCollection(db), where(documentId(), 'in', chunk)))));
+    const byId = new Map(snapshots.flatMap(toRecords).map(movie => [movie.id, movie]));
+    return movieIds.filter(movieId => byId.has(movieId)).map(movieId => byId.get(movieId));
+};
+
+// Up to `maxRatings` of the user's own ratings as { movieId, rating }. Reviews from every app ID share
+// the `reviews` collection group, so each review records its app ID and the query filters on it.
+export const fetchUserRatings = async (db, userId, maxRatings) => {
+    const snapshot = await getDocs(query(
+        collectionGroup(db, 'reviews'),
+        where('appId', '==', getAppId()),
+        where('userId', '==', userId),
+        limit(maxRatings)
+    ));
+    return snapshot.docs
+        .map(doc => ({ movieId: doc.ref.parent.parent.id, rating: doc.data().rating }))
+        .filter(rating => Number.isInteger(rating.rating));
+};
+
+// The highest-rated movies, for users with nothing to base recommendations on
+export const fetchTopRatedMovies = async (db, count) => toRecords(await getDocs(query(moviesCollection(db), ...SORT_ORDERINGS.rating, limit(count))));
+
+// A custom claim on the ID token takes precedence over this document
+export const fetchRoleAssignment = async (db, uid) => {
+    const snapshot = await getDoc(roleDoc(db, uid));
+    return snapshot.exists() ? snapshot.data().role : null;
+};
+
+// --- Audit log ---
+
+// Every moderation action is recorded in the audit log as part of the same batch as the change itself
+export const addAuditEntry = (db, batch, actorId, entry) => {
+    batch.set(doc(auditLogCollection(db)), {
+        reason: null,
+        details: null,
+        ...entry,
+        actorId,
+        timestamp: new Date()
+    });
+};
+
+// --- Movies ---
+
+// Rating aggregates live on the movie document so cards can show them without loading reviews.
+// Movies without reviews fall back to the rating from the original submission.
+export const summarizeRatings = (movie, ratingCount, ratingTotal) => ({
+    ratingCount,
+    ratingTotal,
+    averageRating: ratingCount > 0 ? ratingTotal / ratingCount : (Number(movie.rating) || 0)
+});
+
+// Stores a freshly generated summary for moderator review
+export const saveGeneratedSummary = (db, movieId, { text, model, language, generatedBy }) => updateDoc(movieDoc(db, movieId), {
+    geminiSummary: text,
+    summaryStatus: SUMMARY_STATUSES.pending,
+    summaryModel: model,
+    summaryLanguage: language,
+    summaryGeneratedAt: new Date(),
+    summaryGeneratedBy: generatedBy
+});
+
+export const publishSummary = async (db, movie, summary, actorId) => {
+    const batch = writeBatch(db);
+    batch.update(movieDoc(db, movie.id), {
+        geminiSummary: summary,
+        summaryStatus: SUMMARY_STATUSES.published,
+        summaryReviewedBy: actorId,
+        summaryReviewedAt: new Date(),
+        // Cached translations of the previous summary no longer apply
+        ...Object.fromEntries(LOCALES.map(option => [`translations.${option.id}.summary`, deleteField()]))
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: 'summary.published',
+        targetType: 'movie',
+        targetId: movie.id,
+        targetName: movie.name,
+        details: { edited: summary !== movie.geminiSummary }
+    });
+    await batch.commit();
+};
+
+// Rejected summaries stay on the document so regular users cannot replace them; moderators can regenerate
+export const rejectSummary = async (db, movie, actorId) => {
+    const batch = writeBatch(db);
+    batch.update(movieDoc(db, movie.id), {
+        summaryStatus: SUMMARY_STATUSES.rejected,
+        summaryReviewedBy: actorId,
+        summaryReviewedAt: new Date()
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: 'summary.rejected',
+        targetType: 'movie',
+        targetId: movie.id,
+        targetName: movie.name
+    });
+    await batch.commit();
+};
+
+// Firestore batches hold at most 500 writes; imports leave room for the audit entry
+const IMPORT_BATCH_SIZE = 400;
+
+// The fields an import row writes over an existing movie: the file's columns, plus the fields derived
+// from them and the import stamp
+const getImportedFields = (movie, columns) => Object.keys(movie).filter(field => (
+    columns.includes(field)
+    || ['normalizedName', 'importedBy', 'importedAt'].includes(field)
+    || (field === 'averageRating' && columns.includes('ratingCount'))
+    || (field === 'summaryStatus' && columns.includes('geminiSummary'))
+));
+
+// Writes validated rows from prepareImportRows (see catalogTransfer.js) in batches. Rows with the ID of
+// a movie in `existingIds` update that movie, writing only the fields the file has for it, so anything
+// else, such as translations, is kept. Rows with an unknown ID create a complete movie under that ID,
+// like rows without one. Each batch carries its own audit entry, so a partial import is still on
+// record. `onProgress` is called with the number written after each batch.
+export const importMovies = async (db, rows, { existingIds, actorId, fileName, skippedCount, onProgress }) => {
+    const isUpdate = (row) => Boolean(row.id) && existingIds.has(row.id);
+    const batchCount = Math.ceil(rows.length / IMPORT_BATCH_SIZE);
+    for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+        const chunk = rows.slice(start, start + IMPORT_BATCH_SIZE);
+        const batch = writeBatch(db);
+        chunk.forEach((row) => {
+            const { id, columns, values } = row;
+            const { geminiSummary, summaryStatus, ratingCount, ratingTotal, approvedAt, ...fields } = values;
+            const movie = {
+                ...fields,
+                normalizedName: normalizeTitle(fields.name),
+                imageUrl: fields.imageUrl || PLACEHOLDER_IMAGE_URL,
+                approvedAt: approvedAt || new Date(),
+                importedBy: actorId,
+                importedAt: new Date(),
+                ...summarizeRatings(fields, ratingCount, ratingTotal)
+            };
+            // Leave the summary fields off entirely when there is no summary, so one can still be generated
+            if (geminiSummary) {
+                Object.assign(movie, { geminiSummary, summaryStatus });
+            }
+            if (isUpdate(row)) {
+                batch.set(movieDoc(db, id), movie, { mergeFields: getImportedFields(movie, columns) });
+            } else if (id) {
+                batch.set(movieDoc(db, id), movie);
+            } else {
+                batch.set(doc(moviesCollection(db)), movie);
+            }
+        });
+        addAuditEntry(db, batch, actorId, {
+            action: 'catalog.imported',
+            targetType: 'catalog',
+            targetId: 'movies',
+            targetName: fileName,
+            details: {
+                batch: start / IMPORT_BATCH_SIZE + 1,
+                batches: batchCount,
+                imported: chunk.length,
+                updatedIds: chunk.filter(isUpdate).map(row => row.id),
+                // Rows with errors are counted once, on the first batch
+                skipped: start === 0 ? skippedCount : 0
+            }
+        });
+        await batch.commit();
+        if (onProgress) onProgress(start + chunk.length);
+    }
+};
+
+// Writes backfilled fields (`updates` is a list of { ref, fields }) in batches, with an audit entry
+// per batch listing the documents it touched. `targetId` names the collection for the audit log.
+const commitBackfill = async (db, updates, actorId, targetId) => {
+    for (let start = 0; start < updates.length; start += IMPORT_BATCH_SIZE) {
+        const chunk = updates.slice(start, start + IMPORT_BATCH_SIZE);
+        const batch = writeBatch(db);
+        chunk.forEach(({ ref, fields }) => batch.update(ref, fields));
+        addAuditEntry(db, batch, actorId, {
+            action: 'catalog.backfilled',
+            targetType: 'catalog',
+            targetId,
+            details: { documentIds: chunk.map(({ ref }) => ref.id) }
+        });
+        await batch.commit();
+    }
+    return updates.length;
+};
+
+// Movies listed before approvals were recorded lack `approvedAt`, the rating aggregates and `normalizedName`.
+// Firestore leaves documents without the ordering field out of ordered queries, so the "newest" and
+// "rating" sorts never showed them. They get an `approvedAt` at the epoch so they sort after every movie
+// approved since. Resolves to the number of movies updated.
+export const LEGACY_APPROVED_AT = new Date(0);
+
+export const backfillLegacyMovies = async (db, actorId) => {
+    const updates = (await fetchAllMovies(db))
+        .map(movie => {
+            const fields = {};
+            if (!movie.approvedAt) fields.approvedAt = LEGACY_APPROVED_AT;
+            if (!movie.normalizedName) fields.normalizedName = normalizeTitle(movie.name);
+            if (!Number.isInteger(movie.ratingCount) || !Number.isInteger(movie.ratingTotal) || typeof movie.averageRating !== 'number') {
+                const ratingCount = Number.isInteger(movie.ratingCount) ? movie.ratingCount : 0;
+                Object.assign(fields, summarizeRatings(movie, ratingCount, ratingCount > 0 ? movie.ratingTotal || 0 : 0));
+            }
+            return { ref: movieDoc(db, movie.id), fields };
+        })
+        .filter(({ fields }) => Object.keys(fields).length);
+    return commitBackfill(db, updates, actorId, 'movies');
+};
+
+// Reviews written before they recorded their app ID are left out of the collection group queries
+// that recommendations use, both the similar-movie job and fetchUserRatings. Reads every movie's reviews; resolves to the number of reviews updated.
+export const backfillLegacyReviews = async (db, actorId) => {
+    const reviewSnapshots = await Promise.all((await fetchAllMovies(db)).map(movie => getDocs(reviewsCollection(db, movie.id))));
+    const updates = reviewSnapshots
+        .flatMap(snapshot => snapshot.docs)
+        .filter(review => !review.data().appId)
+        .map(review => ({ ref: review.ref, fields: { appId: getAppId() } }));
+    return commitBackfill(db, updates, actorId, 'reviews');
+};
+
+// --- Submissions ---
+
+// `timestamp` is when the user submitted, which for queued submissions is earlier than when they reach Firestore
+export const createSubmission = (db, values, { submittedBy, posterFields = {}, timestamp = new Date() }) => addDoc(submissionsCollection(db), {
+    ...values,
+    ...posterFields,
+    normalizedName: normalizeTitle(values.name),
+    status: SUBMISSION_STATUSES.pending,
+    submittedBy,
+    timestamp
+});
+
+// Submissions from before the review workflow have no `status`, so the pending queue, which filters on
+// it, never showed them. Every submission still on file from then was waiting for review, since approving
+// or rejecting one deleted it. Resolves to the number of submissions updated.
+export const backfillLegacySubmissions = async (db, actorId) => {
+    const updates = toRecords(await getDocs(submissionsCollection(db)))
+        .filter(submission => !submission.status)
+        .map(submission => ({
+            ref: submissionDoc(db, submission.id),
+            fields: {
+                status: SUBMISSION_STATUSES.pending,
+                ...(submission.normalizedName ? {} : { normalizedName: normalizeTitle(submission.name) })
+            }
+        }));
+    return commitBackfill(db, updates, actorId, 'submissions');
+};
+
+// Submitters can revise a submission that is pending or sent back to them; either way it returns to the queue
+export const updateOwnSubmission = (db, submissionId, values) => updateDoc(submissionDoc(db, submissionId), {
+    ...values,
+    normalizedName: normalizeTitle(values.name),
+    status: SUBMISSION_STATUSES.pending,
+    updatedAt: new Date()
+});
+
+export const withdrawSubmission = (db, submissionId) => updateDoc(submissionDoc(db, submissionId), {
+    status: SUBMISSION_STATUSES.withdrawn,
+    updatedAt: new Date()
+});
+
+// Lists `approved` (the validated submission with the moderator's edits) as a new movie and keeps the
+// submission as a record of what was approved and by whom. Resolves to the new movie's ID.
+export const approveSubmission = async (db, submission, approved, editedFields, actorId) => {
+    const movieRef = doc(moviesCollection(db));
+    const batch = writeBatch(db);
+
+    batch.set(movieRef, {
+        name: approved.name,
+        normalizedName: normalizeTitle(approved.name),
+        description: approved.description,
+        rating: approved.rating,
+        imageUrl: approved.imageUrl || PLACEHOLDER_IMAGE_URL,
+        posterUrl: approved.posterUrl || null,
+        thumbnailUrl: approved.thumbnailUrl || null,
+        genre: approved.genre,
+        year: approved.year,
+        contentWarnings: approved.contentWarnings,
+        submittedBy: submission.submittedBy,
+        submissionId: submission.id,
+        approvedAt: new Date(),
+        ...summarizeRatings(approved, 0, 0)
+    });
+
+    batch.update(submissionDoc(db, submission.id), {
+        ...Object.fromEntries(editedFields.map(field => [field, approved[field]])),
+        status: SUBMISSION_STATUSES.approved,
+        statusReason: null,
+        movieId: movieRef.id,
+        reviewedBy: actorId,
+        reviewedAt: new Date()
+    });
+
+    addAuditEntry(db, batch, actorId, {
+        action: 'submission.approved',
+        targetType: 'submission',
+        targetId: submission.id,
+        targetName: approved.name,
+        details: editedFields.length ? { editedFields, movieId: movieRef.id } : { movieId: movieRef.id }
+    });
+
+    await batch.commit();
+    return movieRef.id;
+};
+
+// Closes a submission as a duplicate of an existing movie, filling in anything the movie is missing.
+// Resolves to the movie it was merged into, or null if that movie no longer exists.
+export const mergeSubmission = async (db, submission, movieId, actorId) => {
+    const movieRef = movieDoc(db, movieId);
+    const movieSnap = await getDoc(movieRef);
+    if (!movieSnap.exists()) {
+        return null;
+    }
+
+    const movie = movieSnap.data();
+    const filledFields = {};
+    if (!movie.year && parseInt(submission.year, 10)) filledFields.year = parseInt(submission.year, 10);
+    if (!movie.genre && submission.genre) filledFields.genre = submission.genre;
+    if (!(movie.contentWarnings && movie.contentWarnings.length) && submission.contentWarnings && submission.contentWarnings.length) {
+        filledFields.contentWarnings = submission.contentWarnings;
+    }
+    if (!movie.posterUrl && submission.posterUrl) {
+        filledFields.posterUrl = submission.posterUrl;
+        filledFields.thumbnailUrl = submission.thumbnailUrl || null;
+    }
+    if (!movie.normalizedName) filledFields.normalizedName = normalizeTitle(movie.name);
+
+    const batch = writeBatch(db);
+    if (Object.keys(filledFields).length) {
+        batch.update(movieRef, filledFields);
+    }
+    batch.update(submissionDoc(db, submission.id), {
+        status: SUBMISSION_STATUSES.merged,
+        statusReason: null,
+        statusReasonCode: SUBMISSION_REASON_CODES.alreadyListed,
+        statusReasonParams: { name: movie.name },
+        movieId,
+        reviewedBy: actorId,
+        reviewedAt: new Date()
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: 'submission.merged',
+        targetType: 'submission',
+        targetId: submission.id,
+        targetName: submission.name,
+        details: { movieId, filledFields: Object.keys(filledFields) }
+    });
+
+    await batch.commit();
+    return { id: movieId, ...movie };
+};
+
+// Rejects a submission or sends it back for changes. The reason is shown to the submitter.
+export const setSubmissionStatus = async (db, submission, status, reason, actorId) => {
+    const batch = writeBatch(db);
+    batch.update(submissionDoc(db, submission.id), {
+        status,
+        statusReason: reason,
+        statusReasonCode: null,
+        statusReasonParams: null,
+        reviewedBy: actorId,
+        reviewedAt: new Date()
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: `submission.${status}`,
+        targetType: 'submission',
+        targetId: submission.id,
+        targetName: submission.name,
+        reason
+    });
+    await batch.commit();
+};
+
+// --- Reviews ---
+// Each user has at most one review per movie, stored under their user ID. The movie's rating
+// aggregates are updated in the same transaction.
+
+export const saveReview = (db, movieId, userId, rating, text) => {
+    const movieRef = movieDoc(db, movieId);
+    const reviewRef = reviewDoc(db, movieId, userId);
+
+    return runTransaction(db, async (transaction) => {
+        const movieSnap = await transaction.get(movieRef);
+        const reviewSnap = await transaction.get(reviewRef);
+        if (!movieSnap.exists()) {
+            throw new Error('Movie no longer exists.');
+        }
+
+        const movie = movieSnap.data();
+        const previousReview = reviewSnap.exists() ? reviewSnap.data() : null;
+        const ratingCount = (movie.ratingCount || 0) + (previousReview ? 0 : 1);
+        const ratingTotal = (movie.ratingTotal || 0) - (previousReview ? previousReview.rating : 0) + rating;
+
+        transaction.set(reviewRef, {
+            appId: getAppId(),
+            userId,
+            rating,
+            text,
+            createdAt: previousReview ? previousReview.createdAt : new Date(),
+            updatedAt: new Date()
+        });
+        transaction.update(movieRef, summarizeRatings(movie, ratingCount, ratingTotal));
+    });
+};
+
+export const deleteReview = (db, movieId, userId) => {
+    const movieRef = movieDoc(db, movieId);
+    const reviewRef = reviewDoc(db, movieId, userId);
+
+    return runTransaction(db, async (transaction) => {
+        const movieSnap = await transaction.get(movieRef);
+        const reviewSnap = await transaction.get(reviewRef);
+        if (!movieSnap.exists() || !reviewSnap.exists()) {
+            return;
+        }
+
+        const movie = movieSnap.data();
+        const ratingCount = Math.max((movie.ratingCount || 0) - 1, 0);
+        const ratingTotal = ratingCount > 0 ? (movie.ratingTotal || 0) - reviewSnap.data().rating : 0;
+
+        transaction.delete(reviewRef);
+        transaction.update(movieRef, summarizeRatings(movie, ratingCount, ratingTotal));
+    });
+};
+
+// --- Comments ---
+// Comments live in `movies/{movieId}/comments` and are threaded through `parentId`.
+
+// Display names are cut to what the rules accept
+const MAX_AUTHOR_NAME_LENGTH = 100;
+
+// `createdAt` is the server time, which the rules require so comments can't be backdated
+export const postComment = (db, movieId, { userId, authorName, text, parentId }) => addDoc(commentsCollection(db, movieId), {
+    userId,
+    authorName: authorName ? authorName.slice(0, MAX_AUTHOR_NAME_LENGTH) : null,
+    text,
+    parentId,
+    hidden: false,
+    createdAt: serverTimestamp()
+});
+
+export const deleteComment = (db, movieId, commentId) => deleteDoc(commentDoc(db, movieId, commentId));
+
+// Flags are keyed by comment and flagger, so each user can flag a comment at most once
+const getCommentFlagId = (movieId, commentId, flaggedBy) => `${movieId}_${commentId}_${flaggedBy}`;
+
+export const flagComment = (db, movie, comment, flaggedBy, reason) => setDoc(
+    doc(commentFlagsCollection(db), getCommentFlagId(movie.id, comment.id, flaggedBy)),
+    {
+        movieId: movie.id,
+        movieName: movie.name,
+        commentId: comment.id,
+        commentText: comment.text,
+        commentAuthorId: comment.userId,
+        flaggedBy,
+        reason,
+        status: 'open',
+        createdAt: new Date()
+    }
+);
+
+// Resolves `openFlags` (every open flag on the flagged comment) as `action`: 'hidden' and 'deleted' also
+// hide or delete the comment in the same batch, 'dismissed' leaves it as it is
+export const resolveCommentFlags = async (db, flag, openFlags, action, actorId) => {
+    const commentRef = commentDoc(db, flag.movieId, flag.commentId);
+    const batch = writeBatch(db);
+
+    if (action === 'hidden') {
+        batch.update(commentRef, { hidden: true, hiddenBy: actorId, hiddenAt: new Date() });
+    } else if (action === 'deleted') {
+        batch.delete(commentRef);
+    }
+    openFlags.forEach(openFlag => {
+        batch.update(doc(commentFlagsCollection(db), openFlag.id), {
+            status: action,
+            resolvedBy: actorId,
+            resolvedAt: new Date()
+        });
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: `comment.${action}`,
+        targetType: 'comment',
+        targetId: `${flag.movieId}/${flag.commentId}`,
+        targetName: flag.movieName,
+        details: { commentAuthorId: flag.commentAuthorId }
+    });
+
+    await batch.commit();
+};
+
+// --- Collections ---
+
+// Creates the collection when `collectionId` is null. `values` comes from validateCollectionFields;
+// `published` mirrors whether it has a publish date, so the public query can filter on it. Resolves to the ID.
+export const saveCollection = async (db, collectionId, values, actorId) => {
+    const collectionRef = collectionId ? collectionDoc(db, collectionId) : doc(collectionsCollection(db));
+    const fields = {
+        ...values,
+        published: !!values.publishAt,
+        updatedBy: actorId,
+        updatedAt: new Date()
+    };
+    const batch = writeBatch(db);
+    if (collectionId) {
+        batch.update(collectionRef, fields);
+    } else {
+        batch.set(collectionRef, { ...fields, createdBy: actorId, createdAt: new Date() });
+    }
+    addAuditEntry(db, batch, actorId, {
+        action: collectionId ? 'collection.updated' : 'collection.created',
+        targetType: 'collection',
+        targetId: collectionRef.id,
+        targetName: values.title,
+        details: { movieCount: values.movieIds.length }
+    });
+    await batch.commit();
+    return collectionRef.id;
+};
+
+export const deleteCollection = async (db, curatedCollection, actorId) => {
+    const batch = writeBatch(db);
+    batch.delete(collectionDoc(db, curatedCollection.id));
+    addAuditEntry(db, batch, actorId, {
+        action: 'collection.deleted',
+        targetType: 'collection',
+        targetId: curatedCollection.id,
+        targetName: curatedCollection.title
+    });
+    await batch.commit();
+};
+
+// --- Roles ---
+
+export const grantRole = async (db, targetUserId, role, actorId) => {
+    const batch = writeBatch(db);
+    batch.set(roleDoc(db, targetUserId), {
+        role,
+        grantedBy: actorId,
+        grantedAt: new Date()
+    });
+    addAuditEntry(db, batch, actorId, {
+        action: 'role.granted',
+        targetType: 'user',
+        targetId: targetUserId,
+        details: { role }
+    });
+    await batch.commit();
+};
+
+export const revokeRole = async (db, targetUserId, actorId) => {
+    const batch = writeBatch(db);
+    batch.delete(roleDoc(db, targetUserId));
+    addAuditEntry(db, batch, actorId, {
+        action: 'role.revoked',
+        targetType: 'user',
+        targetId: targetUserId
+    });
+    await batch.commit();
+};
+
+// --- Users ---
+
+export const saveUserProfile = (db, uid, fields) => setDoc(userDoc(db, uid), { ...fields, updatedAt: new Date() }, { merge: true });
+
+// Library entries keep a small copy of the movie so the watchlist renders without loading every movie
+// it references. Watchlist and watched flags share one entry per movie, which is removed once both are
+// cleared. `current` is the existing entry, if any.
+export const saveLibraryEntry = async (db, uid, movie, current, changes) => {
+    const entryRef = doc(libraryCollection(db, uid), movie.id);
+    const previous = current || { inWatchlist: false, watched: false };
+    const next = { ...previous, ...changes };
+
+    if (!next.inWatchlist && !next.watched) {
+        await deleteDoc(entryRef);
+        return;
+    }
+    await setDoc(entryRef, {
+        movieId: movie.id,
+        name: movie.name,
+        year: movie.year || null,
+        genre: movie.genre || null,
+        thumbnailUrl: getThumbnailUrl(movie),
+        inWatchlist: next.inWatchlist,
+        watched: next.watched,
+        addedAt: previous.addedAt || new Date(),
+        watchedAt: next.watched ? (previous.watchedAt || new Date()) : null,
+        updatedAt: new Date()
+    });
+};
+
+export const setNotificationRead = (db, uid, notificationId, read) => updateDoc(notificationDoc(db, uid, notificationId), { read });
+
+export const markNotificationsRead = async (db, uid, notificationIds) => {
+    const batch = writeBatch(db);
+    notificationIds.forEach(notificationId => batch.update(notificationDoc(db, uid, notificationId), { read: true }));
+    await batch.commit();
+};
+
+export const deleteNotification = (db, uid, notificationId) => deleteDoc(notificationDoc(db, uid, notificationId));
+
+// --- Storage ---
+
+export const uploadAvatar = async (storage, uid, blob) => {
+    const avatarRef = storageRef(storage, appPath(`avatars/${uid}/avatar.jpg`));
+    await uploadBytes(avatarRef, blob, { contentType: 'image/jpeg' });
+    return getDownloadURL(avatarRef);
+};
+
+// Uploads a poster's full-size image and thumbnail, returning their download URLs and storage path
+export const uploadPosterImages = async (storage, uid, { full, thumb }) => {
+    const basePath = appPath(`posters/${uid}/${crypto.randomUUID()}`);
+    const fullRef = storageRef(storage, `${basePath}/full.jpg`);
+    const thumbRef = storageRef(storage, `${basePath}/thumb.jpg`);
+    await Promise.all([
+        uploadBytes(fullRef, full, { contentType: 'image/jpeg' }),
+        uploadBytes(thumbRef, thumb, { contentType: 'image/jpeg' })
+    ]);
+
+    const [posterUrl, thumbnailUrl] = await Promise.all([getDownloadURL(fullRef), getDownloadURL(thumbRef)]);
+    return { posterUrl, thumbnailUrl, posterPath: basePath };
+};
+
+// Collection covers are stored under the curator's user ID, under a new name for every upload
+export const uploadCollectionCover = async (storage, uid, blob) => {
+    const coverPath = appPath(`collectionCovers/${uid}/${crypto.randomUUID()}.jpg`);
+    const coverRef = storageRef(storage, coverPath);
+    await uploadBytes(coverRef, blob, { contentType: 'image/jpeg' });
+    return { coverUrl: await getDownloadURL(coverRef), coverPath };
+};
@@ -0,0 +1,70 @@
+// Helpers for specs that run against the Firestore and Storage emulators with the real security rules.
+// `npm run test:emulator` starts the emulators and sets FIRESTORE_EMULATOR_HOST and
+// FIREBASE_STORAGE_EMULATOR_HOST for them.
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+
+// Matches __app_id in jest.config.js, so repository.js reads and writes the same paths
+export const APP_ID = 'test-app';
+
+export const appPath = (docPath) => `artifacts/${APP_ID}/${docPath}`;
+
+const readRules = (fileName) => fs.readFileSync(path.join(__dirname, '..', '..', fileName), 'utf8');
+
+export const setupTestEnvironment = (projectId) => initializeTestEnvironment({
+    projectId,
+    firestore: { rules: readRules('firestore.rules') },
+    storage: { rules: readRules('storage.rules') }
+});
+
+// Writes documents with the rules switched off. `documents` maps paths under the app's artifacts to data.
+export const seed = (testEnv, documents) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of Object.entries(documents)) {
+        await setDoc(doc(db, appPath(docPath)), data);
+    }
+});
+
+// Reads a document with the rules switched off, or null if it doesn't exist
+export const readDoc = async (testEnv, docPath) => {
+    let data = null;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const snapshot = await getDoc(doc(context.firestore(), appPath(docPath)));
+        data = snapshot.exists() ? snapshot.data() : null;
+    });
+    return data;
+};
+
+// Reads every document in a collection with the rules switched off
+export const readCollection = async (testEnv, collectionPath) => {
+    let records = [];
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const snapshot = await getDocs(collection(context.firestore(), appPath(collectionPath)));
+        records = snapshot.docs.map(snap => ({ id: snap.id, ...snap.data() }));
+    });
+    return records;
+};
+
+// Firestore as seen by a signed-in user. `role` is set as the user's role claim.
+export const firestoreFor = (testEnv, uid, role = null) => (
+    testEnv.authenticatedContext(uid, role ? { role } : {}).firestore()
+);
+
+// A movie document as approveSubmission writes it
+export const movieFixture = (fields = {}) => ({
+    name: 'The Witch',
+    normalizedName: 'the witch',
+    description: 'A family is torn apart by witchcraft in 1630s New England.',
+    rating: 4,
+    imageUrl: 'https://example.com/witch.jpg',
+    genre: 'folk-horror',
+    year: 2015,
+    contentWarnings: [],
+    approvedAt: new Date('2024-01-01T00:00:00Z'),
+    ratingCount: 0,
+    ratingTotal: 0,
+    averageRating: 4,
+    ...fields
+});
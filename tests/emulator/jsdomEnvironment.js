@@ -0,0 +1,11 @@
+// jsdom leaves out the Node globals that the Node build of the Firebase SDK relies on
+const { TestEnvironment } = require('jest-environment-jsdom');
+
+class EmulatorEnvironment extends TestEnvironment {
+    constructor(config, context) {
+        super(config, context);
+        Object.assign(this.global, { fetch, Headers, Request, Response, TextEncoder, TextDecoder, ReadableStream, setImmediate, clearImmediate, structuredClone });
+    }
+}
+
+module.exports = EmulatorEnvironment;
@@ -0,0 +1,310 @@
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import {
+    moviesCollection, SORT_ORDERINGS, buildPagedQuery, fetchNextPage, fetchMoviesByIds,
+    saveReview, deleteReview, createSubmission, approveSubmission, setSubmissionStatus,
+    saveLibraryEntry, grantRole, backfillLegacyMovies, backfillLegacySubmissions, LEGACY_APPROVED_AT,
+    submissionsCollection, PENDING_SUBMISSIONS_ORDERING, importMovies, fetchUserRatings, fetchTopRatedMovies, backfillLegacyReviews
+} from '../../repository';
+import { prepareImportRows } from '../../catalogTransfer';
+import { setupTestEnvironment, seed, readDoc, readCollection, firestoreFor, movieFixture, appPath } from './firebaseTestEnvironment';
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await setupTestEnvironment('demo-repository');
+});
+
+afterEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+const submissionValues = {
+    name: 'Lake Mungo',
+    description: 'A grieving family discovers secrets after their daughter drowns.',
+    rating: 5,
+    imageUrl: 'https://example.com/lake-mungo.jpg',
+    genre: 'found-footage',
+    year: 2008,
+    contentWarnings: []
+};
+
+describe('reviews', () => {
+    beforeEach(async () => {
+        await seed(testEnv, { 'public/data/movies/m1': movieFixture() });
+    });
+
+    test('saving a review updates the rating aggregates', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        await saveReview(db, 'm1', 'alice', 5, 'Terrifying.');
+        await saveReview(firestoreFor(testEnv, 'bob'), 'm1', 'bob', 2, '');
+
+        const movie = await readDoc(testEnv, 'public/data/movies/m1');
+        expect(movie).toMatchObject({ ratingCount: 2, ratingTotal: 7, averageRating: 3.5 });
+    });
+
+    test('editing a review replaces its rating instead of adding another', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        await saveReview(db, 'm1', 'alice', 5, 'Terrifying.');
+        await saveReview(db, 'm1', 'alice', 3, 'Less scary the second time.');
+
+        const movie = await readDoc(testEnv, 'public/data/movies/m1');
+        expect(movie).toMatchObject({ ratingCount: 1, ratingTotal: 3, averageRating: 3 });
+    });
+
+    test('deleting the last review falls back to the submitted rating', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        await saveReview(db, 'm1', 'alice', 1, 'Not for me.');
+        await deleteReview(db, 'm1', 'alice');
+
+        const movie = await readDoc(testEnv, 'public/data/movies/m1');
+        expect(movie).toMatchObject({ ratingCount: 0, ratingTotal: 0, averageRating: 4 });
+        expect(await readDoc(testEnv, 'public/data/movies/m1/reviews/alice')).toBeNull();
+    });
+
+    test('users cannot write a review under someone else\'s ID', async () => {
+        await assertFails(saveReview(firestoreFor(testEnv, 'mallory'), 'm1', 'alice', 1, ''));
+    });
+
+    test('recommendations only read the user\'s own reviews in this app, once older ones are backfilled', async () => {
+        await seed(testEnv, { 'public/data/movies/m2': movieFixture({ name: 'm2' }) });
+        await saveReview(firestoreFor(testEnv, 'alice'), 'm1', 'alice', 5, '');
+        await saveReview(firestoreFor(testEnv, 'bob'), 'm1', 'bob', 2, '');
+        await seed(testEnv, { 'public/data/movies/m2/reviews/alice': { userId: 'alice', rating: 4, text: '' } });
+        await testEnv.withSecurityRulesDisabled(context => setDoc(
+            doc(context.firestore(), 'artifacts/other-app/public/data/movies/m1/reviews/alice'),
+            { appId: 'other-app', userId: 'alice', rating: 1, text: '' }
+        ));
+
+        expect(await fetchUserRatings(firestoreFor(testEnv, 'alice'), 'alice', 100)).toEqual([{ movieId: 'm1', rating: 5 }]);
+
+        expect(await backfillLegacyReviews(firestoreFor(testEnv, 'root', 'admin'), 'root')).toBe(1);
+        const ratings = await fetchUserRatings(firestoreFor(testEnv, 'alice'), 'alice', 100);
+        expect(ratings).toEqual(expect.arrayContaining([{ movieId: 'm1', rating: 5 }, { movieId: 'm2', rating: 4 }]));
+        expect(ratings).toHaveLength(2);
+    });
+
+    test('the top-rated fallback is read in rating order', async () => {
+        await seed(testEnv, {
+            'public/data/movies/m2': movieFixture({ name: 'm2', averageRating: 4.5 }),
+            'public/data/movies/m3': movieFixture({ name: 'm3', averageRating: 2 })
+        });
+        const movies = await fetchTopRatedMovies(firestoreFor(testEnv, 'alice'), 2);
+        expect(movies.map(movie => movie.id)).toEqual(['m2', 'm1']);
+    });
+});
+
+describe('submissions', () => {
+    test('members create pending submissions under their own ID', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        const submissionRef = await createSubmission(db, submissionValues, { submittedBy: 'alice' });
+
+        const submission = await readDoc(testEnv, `public/data/submissions/${submissionRef.id}`);
+        expect(submission).toMatchObject({ name: 'Lake Mungo', normalizedName: 'lake mungo', status: 'pending', submittedBy: 'alice' });
+    });
+
+    test('members cannot submit on behalf of someone else', async () => {
+        await assertFails(createSubmission(firestoreFor(testEnv, 'alice'), submissionValues, { submittedBy: 'bob' }));
+    });
+
+    test('approving lists the movie and records the moderator in the audit log', async () => {
+        await seed(testEnv, { 'public/data/submissions/s1': { ...submissionValues, status: 'pending', submittedBy: 'alice', timestamp: new Date() } });
+        const submission = { id: 's1', ...submissionValues, submittedBy: 'alice' };
+        const approved = { ...submissionValues, name: 'Lake Mungo (2008)' };
+
+        const movieId = await approveSubmission(firestoreFor(testEnv, 'mod', 'moderator'), submission, approved, ['name'], 'mod');
+
+        const movie = await readDoc(testEnv, `public/data/movies/${movieId}`);
+        expect(movie).toMatchObject({ name: 'Lake Mungo (2008)', submissionId: 's1', ratingCount: 0, averageRating: 5 });
+        expect(await readDoc(testEnv, 'public/data/submissions/s1')).toMatchObject({ status: 'approved', movieId, reviewedBy: 'mod', name: 'Lake Mungo (2008)' });
+        const auditLog = await readCollection(testEnv, 'auditLog');
+        expect(auditLog).toEqual([expect.objectContaining({
+            action: 'submission.approved',
+            actorId: 'mod',
+            targetId: 's1',
+            details: { editedFields: ['name'], movieId }
+        })]);
+    });
+
+    test('members cannot approve submissions', async () => {
+        await seed(testEnv, { 'public/data/submissions/s1': { ...submissionValues, status: 'pending', submittedBy: 'alice', timestamp: new Date() } });
+        const submission = { id: 's1', ...submissionValues, submittedBy: 'alice' };
+
+        await assertFails(approveSubmission(firestoreFor(testEnv, 'alice'), submission, submissionValues, [], 'alice'));
+        expect(await readCollection(testEnv, 'public/data/movies')).toEqual([]);
+    });
+
+    test('sending a submission back stores the reason for the submitter', async () => {
+        await seed(testEnv, { 'public/data/submissions/s1': { ...submissionValues, status: 'pending', submittedBy: 'alice', timestamp: new Date() } });
+        const submission = { id: 's1', ...submissionValues, submittedBy: 'alice' };
+
+        await setSubmissionStatus(firestoreFor(testEnv, 'mod', 'moderator'), submission, 'changes_requested', 'Add the release year.', 'mod');
+
+        expect(await readDoc(testEnv, 'public/data/submissions/s1')).toMatchObject({ status: 'changes_requested', statusReason: 'Add the release year.' });
+        expect(await readCollection(testEnv, 'auditLog')).toEqual([expect.objectContaining({ action: 'submission.changes_requested', reason: 'Add the release year.' })]);
+    });
+});
+
+describe('movie queries', () => {
+    beforeEach(async () => {
+        await seed(testEnv, {
+            'public/data/movies/a': movieFixture({ name: 'Alien', normalizedName: 'alien' }),
+            'public/data/movies/b': movieFixture({ name: 'Babadook', normalizedName: 'babadook' }),
+            'public/data/movies/c': movieFixture({ name: 'Candyman', normalizedName: 'candyman' })
+        });
+    });
+
+    test('pages follow on from the last loaded movie', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        const firstPage = await getDocs(buildPagedQuery(moviesCollection(db), SORT_ORDERINGS.title, null, 2));
+        expect(firstPage.docs.map(snap => snap.id)).toEqual(['a', 'b']);
+
+        const nextPage = await fetchNextPage(moviesCollection(db), SORT_ORDERINGS.title, firstPage.docs[1], 2);
+        expect(nextPage.map(snap => snap.id)).toEqual(['c']);
+
+        const loaded = await getDocs(buildPagedQuery(moviesCollection(db), SORT_ORDERINGS.title, nextPage[0], 2));
+        expect(loaded.docs.map(snap => snap.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('movies are fetched by ID in the requested order, skipping missing ones', async () => {
+        const movies = await fetchMoviesByIds(firestoreFor(testEnv, 'alice'), ['c', 'gone', 'a']);
+        expect(movies.map(movie => movie.id)).toEqual(['c', 'a']);
+    });
+});
+
+describe('legacy movies', () => {
+    test('backfilled movies show up in every sort order', async () => {
+        await seed(testEnv, {
+            'public/data/movies/legacy': { name: 'The Thing', description: 'An alien shapeshifter in Antarctica.', rating: 5, imageUrl: 'https://example.com/thing.jpg' },
+            'public/data/movies/current': movieFixture()
+        });
+        const db = firestoreFor(testEnv, 'root', 'admin');
+
+        expect(await backfillLegacyMovies(db, 'root')).toBe(1);
+
+        expect(await readDoc(testEnv, 'public/data/movies/legacy')).toMatchObject({
+            normalizedName: 'thing',
+            approvedAt: expect.anything(),
+            ratingCount: 0,
+            ratingTotal: 0,
+            averageRating: 5
+        });
+        expect((await readDoc(testEnv, 'public/data/movies/legacy')).approvedAt.toMillis()).toBe(LEGACY_APPROVED_AT.getTime());
+        for (const ordering of Object.values(SORT_ORDERINGS)) {
+            const snapshot = await getDocs(buildPagedQuery(moviesCollection(db), ordering, null, 10));
+            expect(snapshot.docs.map(snap => snap.id)).toContain('legacy');
+        }
+        expect(await readCollection(testEnv, 'auditLog')).toEqual([expect.objectContaining({ action: 'catalog.backfilled', details: { documentIds: ['legacy'] } })]);
+    });
+});
+
+describe('catalog import', () => {
+    test('rows with an id update only the imported fields and each batch is audited', async () => {
+        await seed(testEnv, {
+            'public/data/movies/witch': movieFixture({ translations: { es: { description: 'Una familia.' } }, ratingCount: 2, ratingTotal: 8 })
+        });
+        const db = firestoreFor(testEnv, 'root', 'admin');
+        const rows = prepareImportRows([
+            { id: 'witch', name: 'The Witch', description: 'A Puritan family unravels.', rating: '5' },
+            { name: 'Rec', description: 'A quarantined building.', rating: '4' }
+        ]);
+
+        await importMovies(db, rows, { existingIds: new Set(['witch']), actorId: 'root', fileName: 'movies.csv', skippedCount: 1 });
+
+        expect(await readDoc(testEnv, 'public/data/movies/witch')).toMatchObject({
+            description: 'A Puritan family unravels.',
+            rating: 5,
+            genre: 'folk-horror',
+            translations: { es: { description: 'Una familia.' } },
+            ratingCount: 2,
+            ratingTotal: 8,
+            importedBy: 'root'
+        });
+        expect((await readCollection(testEnv, 'public/data/movies')).map(movie => movie.name).sort()).toEqual(['Rec', 'The Witch']);
+        expect(await readCollection(testEnv, 'auditLog')).toEqual([expect.objectContaining({
+            action: 'catalog.imported',
+            targetName: 'movies.csv',
+            details: { batch: 1, batches: 1, imported: 2, updatedIds: ['witch'], skipped: 1 }
+        })]);
+    });
+
+    test('rows with an unknown id create a complete movie under that id', async () => {
+        const db = firestoreFor(testEnv, 'root', 'admin');
+        const rows = prepareImportRows([{ id: 'rec', name: 'Rec', description: 'A quarantined building.', rating: '4' }]);
+
+        await importMovies(db, rows, { existingIds: new Set(), actorId: 'root', fileName: 'movies.csv', skippedCount: 0 });
+
+        expect(await readDoc(testEnv, 'public/data/movies/rec')).toMatchObject({
+            name: 'Rec',
+            normalizedName: 'rec',
+            imageUrl: expect.any(String),
+            approvedAt: expect.anything(),
+            ratingCount: 0,
+            averageRating: 4
+        });
+        // Complete documents show up in every catalog order
+        for (const ordering of Object.values(SORT_ORDERINGS)) {
+            const snapshot = await getDocs(buildPagedQuery(moviesCollection(db), ordering, null, 10));
+            expect(snapshot.docs.map(movie => movie.id)).toEqual(['rec']);
+        }
+        expect(await readCollection(testEnv, 'auditLog')).toEqual([expect.objectContaining({
+            details: expect.objectContaining({ imported: 1, updatedIds: [] })
+        })]);
+    });
+});
+
+describe('legacy submissions', () => {
+    test('backfilled submissions reach the pending queue', async () => {
+        await seed(testEnv, {
+            'public/data/submissions/legacy': { name: 'The Fog', description: 'A ghostly fog rolls in.', rating: 4, submittedBy: 'alice', timestamp: new Date('2020-01-01T00:00:00Z') },
+            'public/data/submissions/rejected': { ...submissionValues, status: 'rejected', submittedBy: 'bob', timestamp: new Date() }
+        });
+        const db = firestoreFor(testEnv, 'mod', 'moderator');
+
+        expect(await backfillLegacySubmissions(db, 'mod')).toBe(1);
+
+        expect(await readDoc(testEnv, 'public/data/submissions/legacy')).toMatchObject({ status: 'pending', normalizedName: 'fog' });
+        expect(await readDoc(testEnv, 'public/data/submissions/rejected')).toMatchObject({ status: 'rejected' });
+        const pending = await getDocs(buildPagedQuery(submissionsCollection(db), PENDING_SUBMISSIONS_ORDERING, null, 10));
+        expect(pending.docs.map(snap => snap.id)).toEqual(['legacy']);
+    });
+});
+
+describe('library', () => {
+    const movie = { id: 'm1', ...movieFixture() };
+
+    test('entries are created, updated and removed once both flags are cleared', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        await saveLibraryEntry(db, 'alice', movie, null, { inWatchlist: true });
+        const entry = await readDoc(testEnv, 'users/alice/library/m1');
+        expect(entry).toMatchObject({ movieId: 'm1', name: 'The Witch', inWatchlist: true, watched: false, watchedAt: null });
+
+        await saveLibraryEntry(db, 'alice', movie, entry, { watched: true });
+        expect(await readDoc(testEnv, 'users/alice/library/m1')).toMatchObject({ inWatchlist: true, watched: true });
+
+        await saveLibraryEntry(db, 'alice', movie, { ...entry, watched: true }, { inWatchlist: false, watched: false });
+        expect(await readDoc(testEnv, 'users/alice/library/m1')).toBeNull();
+    });
+
+    test('users cannot read someone else\'s library', async () => {
+        await seed(testEnv, { 'users/alice/library/m1': { movieId: 'm1', inWatchlist: true, watched: false } });
+        await assertFails(getDoc(doc(firestoreFor(testEnv, 'bob'), appPath('users/alice/library/m1'))));
+    });
+});
+
+describe('roles', () => {
+    test('admins grant roles and the grant is audited', async () => {
+        await assertSucceeds(grantRole(firestoreFor(testEnv, 'root', 'admin'), 'alice', 'moderator', 'root'));
+
+        expect(await readDoc(testEnv, 'roles/alice')).toMatchObject({ role: 'moderator', grantedBy: 'root' });
+        expect(await readCollection(testEnv, 'auditLog')).toEqual([expect.objectContaining({ action: 'role.granted', targetId: 'alice', details: { role: 'moderator' } })]);
+    });
+
+    test('moderators cannot grant roles', async () => {
+        await assertFails(grantRole(firestoreFor(testEnv, 'mod', 'moderator'), 'alice', 'admin', 'mod'));
+    });
+});
@@ -0,0 +1,298 @@
+// Security rules checks that don't go through repository.js, mostly writes the app itself never makes
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { addDoc, collection, doc, getDoc, getDocs, query, serverTimestamp, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { APP_ID, setupTestEnvironment, seed, appPath, firestoreFor, movieFixture } from './firebaseTestEnvironment';
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await setupTestEnvironment('demo-rules');
+});
+
+afterEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+const firestoreWithClaims = (uid, claims) => testEnv.authenticatedContext(uid, claims).firestore();
+
+describe('roles', () => {
+    const readAuditLog = (db) => getDocs(collection(db, appPath('auditLog')));
+
+    test('known role claims are honoured', async () => {
+        await assertSucceeds(readAuditLog(firestoreWithClaims('root', { role: 'admin' })));
+    });
+
+    test('unknown role claims fall back to the roles document', async () => {
+        await assertFails(readAuditLog(firestoreWithClaims('mallory', { role: 'superuser' })));
+
+        await seed(testEnv, { 'roles/root': { role: 'admin' } });
+        await assertSucceeds(readAuditLog(firestoreWithClaims('root', { role: 'superuser' })));
+    });
+
+    test('unknown roles in the roles document count as member', async () => {
+        await seed(testEnv, { 'roles/mallory': { role: 'owner' } });
+        await assertFails(readAuditLog(firestoreWithClaims('mallory', {})));
+    });
+
+    test('admins can only grant known roles', async () => {
+        const db = firestoreWithClaims('root', { role: 'admin' });
+        await assertSucceeds(setDoc(doc(db, appPath('roles/alice')), { role: 'moderator' }));
+        await assertFails(setDoc(doc(db, appPath('roles/bob')), { role: 'owner' }));
+    });
+});
+
+describe('rating aggregates', () => {
+    const moviePath = 'public/data/movies/m1';
+    const reviewPath = (uid) => `${moviePath}/reviews/${uid}`;
+    const review = (uid, rating, fields) => ({ appId: APP_ID, userId: uid, rating, text: '', createdAt: new Date(), updatedAt: new Date(), ...fields });
+
+    // Writes the user's review and the given aggregates in one batch, the way saveReview does
+    const writeReviewWithAggregates = (uid, rating, aggregates) => {
+        const db = firestoreFor(testEnv, uid);
+        const batch = writeBatch(db);
+        batch.set(doc(db, appPath(reviewPath(uid))), review(uid, rating));
+        batch.update(doc(db, appPath(moviePath)), aggregates);
+        return batch.commit();
+    };
+
+    beforeEach(async () => {
+        await seed(testEnv, {
+            [moviePath]: movieFixture({ ratingCount: 1, ratingTotal: 4, averageRating: 4 }),
+            [reviewPath('bob')]: review('bob', 4)
+        });
+    });
+
+    test('aggregates cannot be changed without a review', async () => {
+        const db = firestoreFor(testEnv, 'mallory');
+        await assertFails(updateDoc(doc(db, appPath(moviePath)), { ratingCount: 100, ratingTotal: 500, averageRating: 5 }));
+    });
+
+    test('a new review adds one to the count and its rating to the total', async () => {
+        await assertSucceeds(writeReviewWithAggregates('alice', 5, { ratingCount: 2, ratingTotal: 9, averageRating: 4.5 }));
+    });
+
+    test('a new review cannot count more than once', async () => {
+        await assertFails(writeReviewWithAggregates('alice', 5, { ratingCount: 3, ratingTotal: 14, averageRating: 14 / 3 }));
+    });
+
+    test('the total must move by the review\'s rating', async () => {
+        await assertFails(writeReviewWithAggregates('alice', 1, { ratingCount: 2, ratingTotal: 9, averageRating: 4.5 }));
+    });
+
+    test('the average must match the count and total', async () => {
+        await assertFails(writeReviewWithAggregates('alice', 5, { ratingCount: 2, ratingTotal: 9, averageRating: 5 }));
+    });
+
+    test('editing a review moves the total by the change in rating', async () => {
+        await assertSucceeds(writeReviewWithAggregates('bob', 2, { ratingCount: 1, ratingTotal: 2, averageRating: 2 }));
+        await assertFails(writeReviewWithAggregates('bob', 3, { ratingCount: 2, ratingTotal: 5, averageRating: 2.5 }));
+    });
+
+    test('reviews must record the app they belong to', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        const batch = writeBatch(db);
+        batch.set(doc(db, appPath(reviewPath('alice'))), review('alice', 5, { appId: 'other-app' }));
+        batch.update(doc(db, appPath(moviePath)), { ratingCount: 2, ratingTotal: 9, averageRating: 4.5 });
+        await assertFails(batch.commit());
+    });
+
+    test('admins can only add the app ID to reviews without one', async () => {
+        await seed(testEnv, { [reviewPath('dave')]: { userId: 'dave', rating: 2, text: '' } });
+        const db = firestoreFor(testEnv, 'root', 'admin');
+        await assertSucceeds(updateDoc(doc(db, appPath(reviewPath('dave'))), { appId: APP_ID }));
+        await assertFails(updateDoc(doc(db, appPath(reviewPath('bob'))), { rating: 1 }));
+        await assertFails(updateDoc(doc(firestoreFor(testEnv, 'mallory'), appPath(reviewPath('dave'))), { appId: APP_ID }));
+    });
+
+    test('deleting the last review resets the aggregates', async () => {
+        const db = firestoreFor(testEnv, 'bob');
+        const batch = writeBatch(db);
+        batch.delete(doc(db, appPath(reviewPath('bob'))));
+        batch.update(doc(db, appPath(moviePath)), { ratingCount: 0, ratingTotal: 0, averageRating: 4 });
+        await assertSucceeds(batch.commit());
+    });
+});
+
+describe('movie fields', () => {
+    const movieFields = (fields) => ({
+        name: 'The Descent',
+        description: 'Cavers are hunted underground.',
+        rating: 5,
+        imageUrl: 'https://example.com/descent.jpg',
+        genre: 'creature',
+        year: 2005,
+        contentWarnings: ['gore'],
+        ...fields
+    });
+    const submit = (fields) => addDoc(collection(firestoreFor(testEnv, 'alice'), appPath('public/data/submissions')), {
+        ...movieFields(fields),
+        status: 'pending',
+        submittedBy: 'alice',
+        timestamp: new Date()
+    });
+
+    test('well-formed submissions are accepted', async () => {
+        await assertSucceeds(submit({}));
+    });
+
+    test.each([
+        ['a fractional rating', { rating: 4.5 }],
+        ['a rating given as text', { rating: '5' }],
+        ['an out-of-range rating', { rating: 6 }],
+        ['an untrimmed title', { name: ' The Descent' }],
+        ['an untrimmed description', { description: 'Cavers are hunted underground.\n' }],
+        ['an oversize title', { name: 'x'.repeat(201) }],
+        ['an oversize description', { description: 'x'.repeat(2001) }],
+        ['a javascript: image URL', { imageUrl: 'javascript:alert(1)' }],
+        ['a plain-http image URL', { imageUrl: 'http://example.com/descent.jpg' }],
+        ['a plain-http poster URL', { posterUrl: 'http://example.com/descent.jpg' }],
+        ['an unknown genre', { genre: 'romcom' }],
+        ['an unknown content warning', { contentWarnings: ['spiders'] }],
+        ['a year before film existed', { year: 1800 }],
+        ['a year too far ahead', { year: new Date().getFullYear() + 10 }],
+        ['a fractional year', { year: 2005.5 }]
+    ])('rejects %s', async (_, fields) => {
+        await assertFails(submit(fields));
+    });
+
+    test('the same checks apply when moderators list a movie', async () => {
+        const db = firestoreFor(testEnv, 'mod', 'moderator');
+        await assertSucceeds(setDoc(doc(db, appPath('public/data/movies/ok')), movieFields({})));
+        await assertFails(setDoc(doc(db, appPath('public/data/movies/bad')), movieFields({ imageUrl: 'javascript:alert(1)' })));
+    });
+});
+
+describe('comments', () => {
+    const comment = (fields) => ({ userId: 'bob', authorName: 'Bob', text: 'Spoilers everywhere', parentId: null, hidden: false, createdAt: new Date(), ...fields });
+    const commentsPath = appPath('public/data/movies/m1/comments');
+
+    beforeEach(async () => {
+        await seed(testEnv, {
+            'public/data/movies/m1': movieFixture(),
+            'public/data/movies/m1/comments/visible': comment({}),
+            'public/data/movies/m1/comments/hidden': comment({ hidden: true, hiddenBy: 'mod' })
+        });
+    });
+
+    test('hidden comments are readable only by moderators and their authors', async () => {
+        const readHidden = (db) => getDoc(doc(db, commentsPath, 'hidden'));
+        await assertFails(readHidden(testEnv.unauthenticatedContext().firestore()));
+        await assertFails(readHidden(firestoreFor(testEnv, 'alice')));
+        await assertSucceeds(readHidden(firestoreFor(testEnv, 'bob')));
+        await assertSucceeds(readHidden(firestoreFor(testEnv, 'mod', 'moderator')));
+    });
+
+    test('everyone else has to filter on hidden', async () => {
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertFails(getDocs(collection(db, commentsPath)));
+        await assertSucceeds(getDocs(query(collection(db, commentsPath), where('hidden', '==', false))));
+    });
+
+    describe('posting', () => {
+        const postAs = (uid, fields) => addDoc(collection(firestoreFor(testEnv, uid), commentsPath), {
+            userId: uid,
+            authorName: 'Alice',
+            text: 'Loved the ending.',
+            parentId: null,
+            hidden: false,
+            createdAt: serverTimestamp(),
+            ...fields
+        });
+
+        test('comments and replies to existing comments are accepted', async () => {
+            await assertSucceeds(postAs('alice', {}));
+            await assertSucceeds(postAs('alice', { authorName: null, parentId: 'visible' }));
+        });
+
+        test.each([
+            ['someone else\'s user ID', { userId: 'bob' }],
+            ['a client-chosen creation time', { createdAt: new Date('2020-01-01T00:00:00Z') }],
+            ['extra fields', { pinned: true }],
+            ['an overlong author name', { authorName: 'A'.repeat(101) }],
+            ['a non-string author name', { authorName: 42 }],
+            ['a reply to a comment that does not exist', { parentId: 'missing' }],
+            ['empty text', { text: '' }],
+            ['a hidden comment', { hidden: true }]
+        ])('rejects comments with %s', async (_, fields) => {
+            await assertFails(postAs('alice', fields));
+        });
+    });
+
+    describe('flags', () => {
+        const flag = (fields) => ({
+            movieId: 'm1',
+            movieName: 'The Witch',
+            commentId: 'visible',
+            commentText: 'Spoilers everywhere',
+            commentAuthorId: 'bob',
+            flaggedBy: 'alice',
+            reason: null,
+            status: 'open',
+            createdAt: new Date(),
+            ...fields
+        });
+        const createFlag = (fields) => {
+            const data = flag(fields);
+            return setDoc(doc(firestoreFor(testEnv, 'alice'), appPath('public/data/commentFlags'), `${data.movieId}_${data.commentId}_alice`), data);
+        };
+
+        test('flags copying the comment as it is are accepted', async () => {
+            await assertSucceeds(createFlag({}));
+        });
+
+        test.each([
+            ['altered comment text', { commentText: 'Something offensive I made up' }],
+            ['the wrong author', { commentAuthorId: 'carol' }],
+            ['the wrong movie name', { movieName: 'Hereditary' }],
+            ['a comment that does not exist', { commentId: 'missing' }],
+            ['extra fields', { severity: 'high' }]
+        ])('rejects flags with %s', async (_, fields) => {
+            await assertFails(createFlag(fields));
+        });
+    });
+});
+
+describe('collections', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const collectionsPath = appPath('public/data/collections');
+    const collectionFields = (fields) => ({
+        title: 'Folk Horror Essentials',
+        description: 'Pagan rites and remote villages.',
+        movieIds: ['m1'],
+        coverUrl: null,
+        unpublishAt: null,
+        published: true,
+        updatedBy: 'root',
+        ...fields
+    });
+
+    beforeEach(async () => {
+        await seed(testEnv, {
+            'public/data/collections/live': collectionFields({ publishAt: new Date(Date.now() - DAY) }),
+            'public/data/collections/scheduled': collectionFields({ publishAt: new Date(Date.now() + DAY) })
+        });
+    });
+
+    test('scheduled collections stay hidden from readers until their publish date', async () => {
+        const db = firestoreFor(testEnv, 'alice');
+        await assertSucceeds(getDoc(doc(db, collectionsPath, 'live')));
+        await assertFails(getDoc(doc(db, collectionsPath, 'scheduled')));
+        await assertSucceeds(getDoc(doc(firestoreFor(testEnv, 'root', 'admin'), collectionsPath, 'scheduled')));
+    });
+
+    test('reader queries have to filter on the publish date', async () => {
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertFails(getDocs(query(collection(db, collectionsPath), where('published', '==', true))));
+
+        const snapshot = await assertSucceeds(getDocs(query(
+            collection(db, collectionsPath),
+            where('published', '==', true),
+            where('publishAt', '<=', new Date(Date.now() - 60 * 1000))
+        )));
+        expect(snapshot.docs.map(snap => snap.id)).toEqual(['live']);
+    });
+});
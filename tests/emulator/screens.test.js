@@ -0,0 +1,131 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { MySubmissions } from '../../components/MySubmissions';
+import { MovieDetail } from '../../components/MovieDetail';
+import { AdminPanel } from '../../components/AdminPanel';
+import { CollectionPage } from '../../components/Collections';
+import { renderWithProviders } from '../renderWithProviders';
+import { setupTestEnvironment, seed, readDoc, firestoreFor, movieFixture } from './firebaseTestEnvironment';
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await setupTestEnvironment('demo-screens');
+});
+
+afterEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+const submissionFixture = (fields) => ({
+    description: 'Submitted for review.',
+    rating: 4,
+    genre: 'slasher',
+    year: 1978,
+    contentWarnings: [],
+    status: 'pending',
+    timestamp: new Date('2024-03-01T00:00:00Z'),
+    ...fields
+});
+
+describe('MySubmissions', () => {
+    it('lists only the signed-in user\'s submissions', async () => {
+        await seed(testEnv, {
+            'public/data/submissions/s1': submissionFixture({ name: 'Halloween', normalizedName: 'halloween', submittedBy: 'alice' }),
+            'public/data/submissions/s2': submissionFixture({ name: 'Black Christmas', normalizedName: 'black christmas', submittedBy: 'bob' })
+        });
+
+        renderWithProviders(<MySubmissions />, { auth: { db: firestoreFor(testEnv, 'alice'), userId: 'alice' } });
+
+        expect(await screen.findByText('Halloween')).toBeInTheDocument();
+        expect(screen.queryByText('Black Christmas')).not.toBeInTheDocument();
+    });
+});
+
+describe('MovieDetail', () => {
+    it('shows other users\' reviews and the rating aggregates', async () => {
+        const movie = movieFixture({ ratingCount: 2, ratingTotal: 9, averageRating: 4.5 });
+        await seed(testEnv, {
+            'public/data/movies/m1': movie,
+            'public/data/movies/m1/reviews/bob': { userId: 'bob', rating: 5, text: 'The goat steals the show.', createdAt: new Date(), updatedAt: new Date() },
+            'public/data/movies/m1/reviews/carol': { userId: 'carol', rating: 4, text: 'Slow but worth it.', createdAt: new Date(), updatedAt: new Date() }
+        });
+
+        renderWithProviders(<MovieDetail movie={{ id: 'm1', ...movie }} translatingMovieId={null} isGenerating={false} onGenerateSummary={jest.fn()} />, {
+            auth: { db: firestoreFor(testEnv, 'alice'), userId: 'alice' }
+        });
+
+        expect(await screen.findByText('The goat steals the show.')).toBeInTheDocument();
+        expect(screen.getByText('Slow but worth it.')).toBeInTheDocument();
+        expect(screen.getByText('4.5 / 5')).toBeInTheDocument();
+        // No summary is being generated, so the button is idle and enabled
+        const generateButton = screen.getByTitle('Generate a spooky summary');
+        expect(generateButton).toBeEnabled();
+        expect(generateButton).toHaveTextContent('✨');
+    });
+});
+
+describe('AdminPanel', () => {
+    it('hides a flagged comment and resolves its flags', async () => {
+        await seed(testEnv, {
+            'public/data/movies/m1': movieFixture(),
+            'public/data/movies/m1/comments/c1': { userId: 'bob', authorName: 'Bob', text: 'Spoilers everywhere', parentId: null, hidden: false, createdAt: new Date() },
+            'public/data/commentFlags/m1_c1_alice': {
+                movieId: 'm1', movieName: 'The Witch', commentId: 'c1', commentText: 'Spoilers everywhere', commentAuthorId: 'bob',
+                flaggedBy: 'alice', reason: 'Spoilers', status: 'open', createdAt: new Date()
+            }
+        });
+
+        renderWithProviders(
+            <AdminPanel submissions={[]} hasMoreSubmissions={false} loadMoreSubmissions={jest.fn()} findDuplicates={jest.fn().mockResolvedValue([])} isGenerating={{ m1: false }} onGenerateSummary={jest.fn()} />,
+            { auth: { db: firestoreFor(testEnv, 'mod', 'moderator'), userId: 'mod', role: 'moderator' } }
+        );
+
+        expect(await screen.findByText('Spoilers everywhere')).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'Hide' }));
+
+        await waitFor(() => expect(screen.queryByText('Spoilers everywhere')).not.toBeInTheDocument());
+        expect(await readDoc(testEnv, 'public/data/movies/m1/comments/c1')).toMatchObject({ hidden: true, hiddenBy: 'mod' });
+        expect(await readDoc(testEnv, 'public/data/commentFlags/m1_c1_alice')).toMatchObject({ status: 'hidden', resolvedBy: 'mod' });
+    });
+});
+
+describe('CollectionPage', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const collectionFixture = (fields) => ({
+        title: 'Folk Horror Essentials',
+        description: 'Pagan rites and remote villages.',
+        movieIds: ['m1'],
+        coverUrl: null,
+        unpublishAt: null,
+        published: true,
+        updatedBy: 'root',
+        ...fields
+    });
+
+    beforeEach(async () => {
+        await seed(testEnv, {
+            'public/data/movies/m1': movieFixture(),
+            'public/data/collections/live': collectionFixture({ publishAt: new Date(Date.now() - DAY) }),
+            'public/data/collections/scheduled': collectionFixture({ title: 'Coming Soon', publishAt: new Date(Date.now() + DAY) })
+        });
+    });
+
+    it('shows a live collection with its movies', async () => {
+        renderWithProviders(<CollectionPage collectionId="live" />, { auth: { db: firestoreFor(testEnv, 'alice'), userId: 'alice' } });
+
+        expect(await screen.findByRole('heading', { name: 'Folk Horror Essentials' })).toBeInTheDocument();
+        expect((await screen.findAllByRole('link', { name: 'The Witch' })).length).toBeGreaterThan(0);
+    });
+
+    it('does not show a scheduled collection before its publish date', async () => {
+        renderWithProviders(<CollectionPage collectionId="scheduled" />, { auth: { db: firestoreFor(testEnv, 'alice'), userId: 'alice' } });
+
+        expect(await screen.findByText('This collection is not available.')).toBeInTheDocument();
+        expect(screen.queryByText('Coming Soon')).not.toBeInTheDocument();
+    });
+});
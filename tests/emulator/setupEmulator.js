@@ -0,0 +1,2 @@
+// Emulator round trips are slower than unit tests
+jest.setTimeout(20000);
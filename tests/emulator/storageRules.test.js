@@ -0,0 +1,67 @@
+// Storage rules for poster uploads: where repository.js's uploadPosterImages may write, and what
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { POSTER_MAX_BYTES } from '../../posters';
+import { setupTestEnvironment, appPath } from './firebaseTestEnvironment';
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await setupTestEnvironment('demo-storage-rules');
+});
+
+afterEach(async () => {
+    await testEnv.clearStorage();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+const posterPath = (uid, fileName = 'full.jpg') => appPath(`posters/${uid}/poster-1/${fileName}`);
+
+const upload = (storage, filePath, { size = 1024, contentType = 'image/jpeg' } = {}) => (
+    storage.ref(filePath).put(new Uint8Array(size), { contentType })
+);
+
+describe('poster uploads', () => {
+    test('users can upload the full image and thumbnail under their own ID', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertSucceeds(upload(storage, posterPath('alice', 'full.jpg')));
+        await assertSucceeds(upload(storage, posterPath('alice', 'thumb.jpg')));
+    });
+
+    test('uploads under another user\'s ID are rejected', async () => {
+        await assertFails(upload(testEnv.authenticatedContext('mallory').storage(), posterPath('alice')));
+    });
+
+    test('signed-out users cannot upload', async () => {
+        await assertFails(upload(testEnv.unauthenticatedContext().storage(), posterPath('alice')));
+    });
+
+    test('other file names are rejected', async () => {
+        await assertFails(upload(testEnv.authenticatedContext('alice').storage(), posterPath('alice', 'poster.jpg')));
+    });
+
+    test('uploads must be smaller than POSTER_MAX_BYTES', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertFails(upload(storage, posterPath('alice'), { size: POSTER_MAX_BYTES }));
+        await assertSucceeds(upload(storage, posterPath('alice'), { size: POSTER_MAX_BYTES - 1 }));
+    });
+
+    test('only JPEGs are accepted, since the client re-encodes every upload', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertFails(upload(storage, posterPath('alice'), { contentType: 'image/png' }));
+        await assertFails(upload(storage, posterPath('alice'), { contentType: 'text/html' }));
+    });
+
+    test('uploaded posters cannot be overwritten, even by their owner', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertSucceeds(upload(storage, posterPath('alice')));
+        await assertFails(upload(storage, posterPath('alice')));
+    });
+
+    test('posters are publicly readable', async () => {
+        await assertSucceeds(upload(testEnv.authenticatedContext('alice').storage(), posterPath('alice')));
+        await assertSucceeds(testEnv.unauthenticatedContext().storage().ref(posterPath('alice')).getMetadata());
+    });
+});
@@ -0,0 +1,55 @@
+// Renders a screen inside the providers App normally supplies (see contexts.js). Anything not passed in
+// gets a harmless default: a signed-out member, English messages and an empty library.
+import React from 'react';
+import { render } from '@testing-library/react';
+import { ROLE_PERMISSIONS } from '../accounts';
+import { createTranslator } from '../i18n';
+import { AuthContext, MessageContext, LocaleContext, NavigationContext, LibraryContext, NarrationContext } from '../contexts';
+
+export const createAuthValue = ({ role = 'member', ...overrides } = {}) => {
+    const hasPermission = (permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+    return {
+        db: null,
+        auth: null,
+        storage: null,
+        userId: 'test-user',
+        authUser: null,
+        profile: null,
+        role,
+        isAdmin: role === 'admin',
+        canModerate: hasPermission('moderate'),
+        canManageCatalog: hasPermission('manageCatalog'),
+        canViewAnalytics: hasPermission('viewAnalytics'),
+        hasPermission,
+        updateAuthUser: () => {},
+        ...overrides
+    };
+};
+
+export const renderWithProviders = (ui, { auth = {}, locale = 'en', showMessage = jest.fn(), navigate = jest.fn(), library = {} } = {}) => {
+    const narration = {
+        narration: null,
+        narrationVoice: 'Rasalgethi',
+        audioRef: { current: null },
+        playDescription: jest.fn(),
+        toggleNarration: jest.fn(),
+        stopNarration: jest.fn(),
+        changeNarrationVoice: jest.fn()
+    };
+    const result = render(
+        <AuthContext.Provider value={createAuthValue(auth)}>
+        <MessageContext.Provider value={showMessage}>
+        <LocaleContext.Provider value={{ locale, t: createTranslator(locale), changeLocale: jest.fn() }}>
+        <NavigationContext.Provider value={{ path: '/', navigate }}>
+        <LibraryContext.Provider value={{ library, toggleWatchlist: jest.fn(), toggleWatched: jest.fn() }}>
+        <NarrationContext.Provider value={narration}>
+            {ui}
+        </NarrationContext.Provider>
+        </LibraryContext.Provider>
+        </NavigationContext.Provider>
+        </LocaleContext.Provider>
+        </MessageContext.Provider>
+        </AuthContext.Provider>
+    );
+    return { ...result, showMessage, navigate };
+};
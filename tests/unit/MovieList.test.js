@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { MovieList } from '../../components/MovieList';
+import { DEFAULT_FILTERS } from '../../catalogFilters';
+import { renderWithProviders } from '../renderWithProviders';
+
+const MOVIES = [
+    { id: 'm1', name: 'The Witch', description: 'A family is torn apart in 1630s New England.', rating: 4, year: 2015, genre: 'folk-horror', ratingCount: 2, averageRating: 4.5 },
+    { id: 'm2', name: 'Rec', description: 'A reporter is trapped in a quarantined building.', rating: 4, year: 2007, genre: 'found-footage', ratingCount: 0, averageRating: 4 }
+];
+
+const renderList = (props = {}) => renderWithProviders(
+    <MovieList
+        movies={MOVIES}
+        visibleMovies={MOVIES}
+        filters={DEFAULT_FILTERS}
+        hasMoreMovies={false}
+        isLoadingMoreMovies={false}
+        loadMoreMovies={jest.fn()}
+        onClearFilters={jest.fn()}
+        isOnline={true}
+        isGenerating={{}}
+        onGenerateSummary={jest.fn()}
+        {...props}
+    />,
+    { library: { m1: { movieId: 'm1', inWatchlist: true, watched: true } } }
+);
+
+describe('MovieList', () => {
+    it('renders a card per visible movie with its rating and watched badge', () => {
+        renderList();
+
+        // The poster and the title both link to the detail page
+        screen.getAllByRole('link', { name: 'The Witch' }).forEach(link => expect(link).toHaveAttribute('href', '/movies/m1'));
+        expect(screen.getByText('4.5 / 5')).toBeInTheDocument();
+        expect(screen.getByText('2 reviews')).toBeInTheDocument();
+        expect(screen.getByText('Watched')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: '✓ Watched' })).toBeInTheDocument();
+        expect(screen.getAllByRole('link', { name: 'Rec' })).toHaveLength(2);
+    });
+
+    it('offers to clear the filters when nothing matches', () => {
+        const onClearFilters = jest.fn();
+        renderList({ visibleMovies: [], filters: { ...DEFAULT_FILTERS, q: 'zzz' }, onClearFilters });
+
+        expect(screen.getByText(/No movies match your filters/)).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+        expect(onClearFilters).toHaveBeenCalled();
+    });
+
+    it('asks for more movies from the load more button', () => {
+        const loadMoreMovies = jest.fn();
+        renderList({ hasMoreMovies: true, loadMoreMovies });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+        expect(loadMoreMovies).toHaveBeenCalled();
+    });
+
+    it('says that filters only cover the loaded movies while more can be loaded', () => {
+        const { unmount } = renderList({ hasMoreMovies: true });
+        expect(screen.queryByText(/only cover the movies loaded so far/)).not.toBeInTheDocument();
+        unmount();
+
+        renderList({ hasMoreMovies: true, filters: { ...DEFAULT_FILTERS, q: 'witch' } });
+        expect(screen.getByText(/only cover the movies loaded so far/)).toBeInTheDocument();
+    });
+
+    it('keeps loading instead of reporting no matches while more movies can be loaded', () => {
+        renderList({ visibleMovies: [], hasMoreMovies: true, filters: { ...DEFAULT_FILTERS, q: 'zzz' } });
+
+        expect(screen.getByText(/No matches among the movies loaded so far/)).toBeInTheDocument();
+        expect(screen.queryByText(/No movies match your filters/)).not.toBeInTheDocument();
+    });
+
+    describe('infinite scroll', () => {
+        let observers;
+
+        beforeEach(() => {
+            observers = [];
+            window.IntersectionObserver = jest.fn(function (callback) {
+                this.callback = callback;
+                this.observe = jest.fn();
+                this.disconnect = jest.fn();
+                observers.push(this);
+            });
+        });
+
+        afterEach(() => {
+            delete window.IntersectionObserver;
+        });
+
+        // Re-renders with a new inline callback on every click, the way App passes loadMoreMovies
+        const Harness = ({ onLoadMore }) => {
+            const [pages, setPages] = useState(1);
+            const [, setRenders] = useState(0);
+            const movies = MOVIES.slice(0, pages);
+            return (
+                <>
+                    <button onClick={() => setRenders(count => count + 1)}>Re-render</button>
+                    <button onClick={() => setPages(count => count + 1)}>Next page</button>
+                    <MovieList
+                        movies={movies}
+                        visibleMovies={movies}
+                        filters={DEFAULT_FILTERS}
+                        hasMoreMovies={true}
+                        isLoadingMoreMovies={false}
+                        loadMoreMovies={() => onLoadMore(pages)}
+                        onClearFilters={jest.fn()}
+                        isOnline={true}
+                        isGenerating={{}}
+                        onGenerateSummary={jest.fn()}
+                    />
+                </>
+            );
+        };
+
+        it('keeps one observer across re-renders and calls the latest callback', () => {
+            const onLoadMore = jest.fn();
+            renderWithProviders(<Harness onLoadMore={onLoadMore} />);
+            fireEvent.click(screen.getByRole('button', { name: 'Re-render' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Re-render' }));
+
+            expect(window.IntersectionObserver).toHaveBeenCalledTimes(1);
+            observers[0].callback([{ isIntersecting: true }]);
+            expect(onLoadMore).toHaveBeenCalledWith(1);
+        });
+
+        it('observes again once a page has loaded', () => {
+            const onLoadMore = jest.fn();
+            renderWithProviders(<Harness onLoadMore={onLoadMore} />);
+            fireEvent.click(screen.getByRole('button', { name: 'Next page' }));
+
+            expect(window.IntersectionObserver).toHaveBeenCalledTimes(2);
+            expect(observers[0].disconnect).toHaveBeenCalled();
+            observers[1].callback([{ isIntersecting: true }]);
+            expect(onLoadMore).toHaveBeenCalledWith(2);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { SubmissionForm } from '../../components/SubmissionForm';
+import { renderWithProviders } from '../renderWithProviders';
+
+const renderForm = (onSubmit = jest.fn().mockResolvedValue(true)) => {
+    const findDuplicates = jest.fn().mockResolvedValue([]);
+    renderWithProviders(<SubmissionForm onSubmit={onSubmit} findDuplicates={findDuplicates} isOnline={true} />);
+    return { onSubmit, findDuplicates };
+};
+
+const fill = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+describe('SubmissionForm', () => {
+    it('shows field errors and does not submit an incomplete movie', () => {
+        const { onSubmit } = renderForm();
+
+        fireEvent.submit(screen.getByRole('button', { name: 'Submit Movie' }).closest('form'));
+
+        expect(screen.getByText('Please enter the movie title.')).toBeInTheDocument();
+        expect(screen.getByText('Please enter a description.')).toBeInTheDocument();
+        expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    it('submits the entered movie and clears the form', async () => {
+        const { onSubmit } = renderForm();
+
+        fill('Movie Title', 'The Wicker Man');
+        fill('Description', 'A police sergeant searches a remote island for a missing girl.');
+        fill('Your Rating (1-5)', '5');
+        fireEvent.submit(screen.getByLabelText('Movie Title').closest('form'));
+
+        await waitFor(() => expect(onSubmit).toHaveBeenCalledTimes(1));
+        expect(onSubmit.mock.calls[0][0]).toMatchObject({ name: 'The Wicker Man', rating: '5' });
+        expect(onSubmit.mock.calls[0][1]).toBeNull();
+        await waitFor(() => expect(screen.getByLabelText('Movie Title')).toHaveValue(''));
+    });
+
+    it('warns about titles already in the catalog', async () => {
+        const onSubmit = jest.fn();
+        const findDuplicates = jest.fn().mockResolvedValue([{ id: 'm1', type: 'movie', name: 'Hereditary', year: 2018 }]);
+        renderWithProviders(<SubmissionForm onSubmit={onSubmit} findDuplicates={findDuplicates} isOnline={true} />);
+
+        fill('Movie Title', 'Hereditery');
+
+        expect(await screen.findByRole('link', { name: 'Hereditary' })).toBeInTheDocument();
+        expect(findDuplicates).toHaveBeenLastCalledWith('Hereditery', '');
+    });
+});
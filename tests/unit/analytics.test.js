@@ -0,0 +1,180 @@
+import { fetchAnalytics, median, listDays } from '../../analytics';
+
+// An in-memory stand-in for the Firestore queries fetchAnalytics makes. `mockStore` maps each
+// collection name to { id: data }.
+const mockStore = { submissions: {}, movies: {}, usage: {}, usageDaily: {} };
+
+const mockComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const mockMatches = (data, { field, op, value }) => {
+    const actual = mockComparable(data[field]);
+    const expected = mockComparable(value);
+    if (actual === undefined) return false;
+    return { '==': actual === expected, '>': actual > expected, '>=': actual >= expected, '<=': actual <= expected }[op];
+};
+
+const mockRunQuery = ({ collection, constraints = [] }) => {
+    let docs = Object.entries(mockStore[collection]).map(([id, data]) => ({ id, data: () => data }));
+    constraints.forEach(constraint => {
+        if (constraint.type === 'where') {
+            docs = docs.filter(doc => mockMatches(doc.data(), constraint));
+        } else if (constraint.type === 'orderBy') {
+            const sign = constraint.direction === 'desc' ? -1 : 1;
+            docs = docs
+                .filter(doc => doc.data()[constraint.field] !== undefined)
+                .sort((a, b) => sign * (mockComparable(a.data()[constraint.field]) - mockComparable(b.data()[constraint.field])));
+        } else if (constraint.type === 'limit') {
+            docs = docs.slice(0, constraint.count);
+        }
+    });
+    return { docs };
+};
+
+const mockAggregate = (docs, { type, field }) => {
+    const values = docs.map(doc => doc.data()[field]).filter(value => typeof value === 'number');
+    if (type === 'count') return docs.length;
+    if (type === 'sum') return values.reduce((total, value) => total + value, 0);
+    return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+};
+
+jest.mock('firebase/firestore', () => ({
+    doc: (collectionRef, id) => ({ collection: collectionRef.collection, id }),
+    query: (collectionRef, ...constraints) => ({ collection: collectionRef.collection, constraints }),
+    where: (field, op, value) => ({ type: 'where', field, op, value }),
+    orderBy: (field, direction = 'asc') => ({ type: 'orderBy', field, direction }),
+    limit: (count) => ({ type: 'limit', count }),
+    count: () => ({ type: 'count' }),
+    sum: (field) => ({ type: 'sum', field }),
+    average: (field) => ({ type: 'average', field }),
+    getDocs: async (query) => mockRunQuery(query),
+    getDoc: async ({ collection, id }) => ({
+        id,
+        exists: () => id in mockStore[collection],
+        data: () => mockStore[collection][id]
+    }),
+    getCountFromServer: async (query) => ({ data: () => ({ count: mockRunQuery(query).docs.length }) }),
+    getAggregateFromServer: async (query, spec) => {
+        const { docs } = mockRunQuery(query);
+        const totals = Object.fromEntries(Object.entries(spec).map(([name, aggregate]) => [name, mockAggregate(docs, aggregate)]));
+        return { data: () => totals };
+    }
+}));
+
+jest.mock('../../repository', () => ({
+    submissionsCollection: () => ({ collection: 'submissions' }),
+    moviesCollection: () => ({ collection: 'movies' }),
+    usageCollection: () => ({ collection: 'usage' }),
+    usageDailyCollection: () => ({ collection: 'usageDaily' }),
+    toMillis: (value) => (value ? new Date(value).getTime() : 0)
+}));
+
+const HOUR = 60 * 60 * 1000;
+const RANGE = { from: '2024-02-28', to: '2024-03-01' };
+
+beforeEach(() => {
+    Object.keys(mockStore).forEach(collection => {
+        mockStore[collection] = {};
+    });
+});
+
+describe('median', () => {
+    it('takes the middle value of an odd count', () => {
+        expect(median([9, 1, 5])).toBe(5);
+    });
+
+    it('averages the two middle values of an even count', () => {
+        expect(median([4, 1, 10, 2])).toBe(3);
+    });
+
+    it('is null without values', () => {
+        expect(median([])).toBeNull();
+    });
+});
+
+describe('listDays', () => {
+    it('lists every day of the range, both ends included', () => {
+        expect(listDays('2024-02-28', '2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+        expect(listDays('2023-12-31', '2024-01-01')).toEqual(['2023-12-31', '2024-01-01']);
+    });
+
+    it('handles single-day and reversed ranges', () => {
+        expect(listDays('2024-03-01', '2024-03-01')).toEqual(['2024-03-01']);
+        expect(listDays('2024-03-02', '2024-03-01')).toEqual([]);
+    });
+});
+
+describe('fetchAnalytics', () => {
+    it('reports zeros and empty lists when there is no data', async () => {
+        const analytics = await fetchAnalytics({}, RANGE);
+
+        expect(analytics).toMatchObject({
+            totalSubmissions: 0,
+            medianReviewMs: null,
+            reviewedCount: 0,
+            catalog: { movieCount: 0, reviewCount: 0, averageRating: null },
+            usage: { summaryCount: 0, narrationCount: 0 },
+            topRated: [],
+            mostReviewed: [],
+            topSummaries: [],
+            topNarrations: []
+        });
+        expect(Object.values(analytics.submissionsByStatus).every(value => value === 0)).toBe(true);
+        expect(analytics.submissionsPerDay).toEqual([
+            { label: '2024-02-28', values: [0] },
+            { label: '2024-02-29', values: [0] },
+            { label: '2024-03-01', values: [0] }
+        ]);
+        expect(analytics.generationsPerDay.map(day => day.values)).toEqual([[0, 0], [0, 0], [0, 0]]);
+    });
+
+    it('counts submissions by day and status within the range only', async () => {
+        const submission = (status, timestamp, reviewHours) => ({
+            status,
+            timestamp: new Date(timestamp),
+            ...(reviewHours ? { reviewedAt: new Date(new Date(timestamp).getTime() + reviewHours * HOUR) } : {})
+        });
+        mockStore.submissions = {
+            before: submission('pending', '2024-02-27T23:59:59'),
+            first: submission('approved', '2024-02-28T00:00:00', 2),
+            leap: submission('rejected', '2024-02-29T12:00:00', 6),
+            last: submission('pending', '2024-03-01T23:59:59'),
+            after: submission('pending', '2024-03-02T00:00:00')
+        };
+
+        const analytics = await fetchAnalytics({}, RANGE);
+
+        expect(analytics.submissionsByStatus).toMatchObject({ pending: 1, approved: 1, rejected: 1, merged: 0 });
+        expect(analytics.totalSubmissions).toBe(3);
+        expect(analytics.submissionsPerDay.map(day => day.values[0])).toEqual([1, 1, 1]);
+        // The median of two review times is their average
+        expect(analytics.medianReviewMs).toBe(4 * HOUR);
+        expect(analytics.reviewedCount).toBe(2);
+    });
+
+    it('ranks movies and usage, naming deleted movies null', async () => {
+        mockStore.movies = {
+            witch: { name: 'The Witch', averageRating: 4.5, ratingCount: 2 },
+            rec: { name: 'Rec', averageRating: 3, ratingCount: 6 },
+            unrated: { name: 'Unrated', averageRating: 5, ratingCount: 0 }
+        };
+        mockStore.usage = {
+            witch: { summaryCount: 2, narrationCount: 1 },
+            gone: { summaryCount: 5 }
+        };
+        mockStore.usageDaily = { '2024-02-29': { day: '2024-02-29', summaryCount: 3, narrationCount: 1 } };
+
+        const analytics = await fetchAnalytics({}, RANGE);
+
+        expect(analytics.catalog).toEqual({ movieCount: 3, reviewCount: 8, averageRating: 12.5 / 3 });
+        expect(analytics.usage).toEqual({ summaryCount: 7, narrationCount: 1 });
+        // Movies without reviews are left out of the top rated
+        expect(analytics.topRated.map(movie => movie.id)).toEqual(['witch', 'rec']);
+        expect(analytics.mostReviewed.map(movie => movie.id)).toEqual(['rec', 'witch', 'unrated']);
+        expect(analytics.topSummaries).toEqual([
+            { id: 'gone', name: null, value: 5 },
+            { id: 'witch', name: 'The Witch', value: 2 }
+        ]);
+        expect(analytics.topNarrations).toEqual([{ id: 'witch', name: 'The Witch', value: 1 }]);
+        expect(analytics.generationsPerDay.map(day => day.values)).toEqual([[0, 0], [3, 1], [0, 0]]);
+    });
+});
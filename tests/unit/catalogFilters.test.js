@@ -0,0 +1,72 @@
+import { parseFilters, buildFilterSearch, filterAndSortMovies, getMovieRating, DEFAULT_FILTERS } from '../../catalogFilters';
+
+const MOVIES = [
+    { id: 'witch', name: 'The Witch', description: 'A Puritan family unravels.', genre: 'folk-horror', year: 2015, rating: 4, ratingCount: 2, averageRating: 4.5, approvedAt: new Date('2024-01-02') },
+    { id: 'rec', name: 'Rec', description: 'A reporter is trapped in a quarantined building.', genre: 'found-footage', year: 2007, rating: 4, ratingCount: 0, averageRating: 4, approvedAt: new Date('2024-03-01') },
+    { id: 'wicker', name: 'The Wicker Man', description: 'A sergeant visits a pagan island.', genre: 'folk-horror', year: 1973, rating: '3', ratingCount: 0, approvedAt: new Date('2024-02-01') },
+    { id: 'alien', name: 'Alien', description: 'A creature hunts a crew in space.', genre: 'creature', rating: 5, ratingCount: 4, averageRating: 3.5 }
+];
+
+const ids = (movies) => movies.map(movie => movie.id);
+const filter = (overrides) => ids(filterAndSortMovies(MOVIES, { ...DEFAULT_FILTERS, ...overrides }));
+
+describe('parseFilters and buildFilterSearch', () => {
+    it('round-trips every filter through the query string', () => {
+        const filters = { q: 'witch', genres: ['folk-horror', 'creature'], yearFrom: '1970', yearTo: '2000', minRating: '4', sort: 'rating' };
+        const search = buildFilterSearch(filters);
+        expect(search).toBe('?q=witch&genre=folk-horror%2Ccreature&from=1970&to=2000&minRating=4&sort=rating');
+        expect(parseFilters(search)).toEqual(filters);
+    });
+
+    it('leaves defaults out of the query string', () => {
+        expect(buildFilterSearch(DEFAULT_FILTERS)).toBe('');
+        expect(parseFilters('')).toEqual(DEFAULT_FILTERS);
+    });
+
+    it('drops unknown genres and sorts', () => {
+        expect(parseFilters('?genre=romcom,slasher&sort=random')).toMatchObject({ genres: ['slasher'], sort: 'newest' });
+    });
+});
+
+describe('getMovieRating', () => {
+    it('uses the community average once there are reviews, otherwise the submitted rating', () => {
+        expect(MOVIES.map(getMovieRating)).toEqual([4.5, 4, 3, 3.5]);
+        expect(getMovieRating({})).toBe(0);
+    });
+});
+
+describe('filterAndSortMovies', () => {
+    it('searches titles and descriptions without regard to case', () => {
+        expect(filter({ q: 'WITCH' })).toEqual(['witch']);
+        expect(filter({ q: 'pagan' })).toEqual(['wicker']);
+        expect(filter({ q: '  ' })).toHaveLength(MOVIES.length);
+    });
+
+    it('filters by any of the chosen genres', () => {
+        expect(filter({ genres: ['folk-horror', 'creature'] }).sort()).toEqual(['alien', 'wicker', 'witch']);
+    });
+
+    it('filters by year range, leaving out movies without a year', () => {
+        expect(filter({ yearFrom: '2000' }).sort()).toEqual(['rec', 'witch']);
+        expect(filter({ yearFrom: '1970', yearTo: '2010' }).sort()).toEqual(['rec', 'wicker']);
+    });
+
+    it('filters by the rating shown on the card', () => {
+        expect(filter({ minRating: '4' }).sort()).toEqual(['rec', 'witch']);
+    });
+
+    it('sorts newest approved first by default, with movies lacking a date last', () => {
+        expect(filter({})).toEqual(['rec', 'wicker', 'witch', 'alien']);
+    });
+
+    it('sorts by rating and by title', () => {
+        expect(filter({ sort: 'rating' })).toEqual(['witch', 'rec', 'alien', 'wicker']);
+        expect(filter({ sort: 'title' })).toEqual(['alien', 'rec', 'wicker', 'witch']);
+    });
+
+    it('leaves the given list untouched', () => {
+        const before = ids(MOVIES);
+        filter({ sort: 'title' });
+        expect(ids(MOVIES)).toEqual(before);
+    });
+});
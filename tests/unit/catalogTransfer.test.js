@@ -0,0 +1,27 @@
+import { toCsv, parseCsv, prepareImportRows } from '../../catalogTransfer';
+
+describe('CSV export', () => {
+    it('prefixes cells a spreadsheet would run as formulas', () => {
+        const csv = toCsv([{ name: '=HYPERLINK("https://example.com")', description: '+1', genre: '-', year: '@SUM(A1)' }], ['name', 'description', 'genre', 'year']);
+        expect(csv.split('\r\n')[1]).toBe(`"'=HYPERLINK(""https://example.com"")",'+1,'-,'@SUM(A1)`);
+    });
+
+    it('reads its own escaped cells back unchanged', () => {
+        const records = [{ name: '=1+1', description: "'Quoted', with \"commas\"\nand lines", contentWarnings: ['gore', 'jump-scares'] }];
+        expect(parseCsv(toCsv(records, ['name', 'description', 'contentWarnings']))).toEqual([
+            { name: '=1+1', description: "'Quoted', with \"commas\"\nand lines", contentWarnings: 'gore;jump-scares' }
+        ]);
+    });
+});
+
+describe('prepareImportRows', () => {
+    it('reports errors in the requested locale', () => {
+        const [row] = prepareImportRows([{ id: 'a/b', name: 'Rec', description: 'A quarantined building.', rating: '4' }], { locale: 'es' });
+        expect(row.errors.id).toBe('Los ID no pueden contener "/" ni tener más de 1500 caracteres.');
+    });
+
+    it('records which columns the file gave', () => {
+        const [row] = prepareImportRows([{ id: 'rec', name: 'Rec', description: 'A quarantined building.', rating: '4' }]);
+        expect(row.columns).toEqual(['id', 'name', 'description', 'rating']);
+    });
+});
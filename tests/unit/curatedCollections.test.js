@@ -0,0 +1,85 @@
+import { validateCollectionFields, getCollectionStatus, COLLECTION_LIMITS } from '../../curatedCollections';
+import { hasErrors } from '../../movieSchema';
+
+describe('validateCollectionFields', () => {
+    const fields = (overrides) => ({
+        title: 'Folk Horror Essentials',
+        description: 'Pagan rites and remote villages.',
+        movieIds: ['witch', 'wicker'],
+        coverUrl: 'https://example.com/cover.jpg',
+        publishAt: '2024-10-01T09:00',
+        unpublishAt: '2024-11-01T09:00',
+        ...overrides
+    });
+
+    it('accepts a well-formed collection, parsing the schedule', () => {
+        const { values, errors } = validateCollectionFields(fields({}));
+        expect(hasErrors(errors)).toBe(false);
+        expect(values).toMatchObject({
+            title: 'Folk Horror Essentials',
+            movieIds: ['witch', 'wicker'],
+            coverPath: null,
+            publishAt: new Date('2024-10-01T09:00'),
+            unpublishAt: new Date('2024-11-01T09:00')
+        });
+    });
+
+    it('treats empty dates as a draft without an end', () => {
+        const { values, errors } = validateCollectionFields(fields({ publishAt: '', unpublishAt: '' }));
+        expect(errors).toEqual({});
+        expect(values).toMatchObject({ publishAt: null, unpublishAt: null });
+    });
+
+    it('requires a title within the length limit', () => {
+        expect(validateCollectionFields(fields({ title: '  ' })).errors.title).toBe('Please enter a title.');
+        expect(validateCollectionFields(fields({ title: 'x'.repeat(COLLECTION_LIMITS.titleMaxLength + 1) })).errors.title)
+            .toBe(`Titles can be at most ${COLLECTION_LIMITS.titleMaxLength} characters.`);
+    });
+
+    it('limits the description', () => {
+        expect(validateCollectionFields(fields({ description: 'x'.repeat(COLLECTION_LIMITS.descriptionMaxLength + 1) })).errors)
+            .toHaveProperty('description');
+    });
+
+    it('keeps the movie order, dropping blanks and repeats', () => {
+        expect(validateCollectionFields(fields({ movieIds: ['wicker', ' ', 'witch', 'wicker'] })).values.movieIds).toEqual(['wicker', 'witch']);
+    });
+
+    it('needs between one movie and the maximum', () => {
+        expect(validateCollectionFields(fields({ movieIds: [] })).errors.movieIds).toBe('Add at least one movie.');
+        const tooMany = Array.from({ length: COLLECTION_LIMITS.maxMovies + 1 }, (_, index) => `m${index}`);
+        expect(validateCollectionFields(fields({ movieIds: tooMany })).errors.movieIds)
+            .toBe(`Collections can hold at most ${COLLECTION_LIMITS.maxMovies} movies.`);
+    });
+
+    it.each(['javascript:alert(1)', 'data:image/png;base64,AAAA', 'http://example.com/cover.jpg'])('rejects the cover URL %s', (coverUrl) => {
+        expect(validateCollectionFields(fields({ coverUrl })).errors.coverUrl).toBe('Image links must use https.');
+    });
+
+    it.each([
+        ['an invalid date', { publishAt: 'next week' }, 'Please enter valid dates and times.'],
+        ['an end without a start', { publishAt: '' }, 'The end date needs a publish date and must come after it.'],
+        ['an end before the start', { unpublishAt: '2024-09-01T09:00' }, 'The end date needs a publish date and must come after it.'],
+        ['an end equal to the start', { unpublishAt: '2024-10-01T09:00' }, 'The end date needs a publish date and must come after it.']
+    ])('rejects %s', (_, overrides, message) => {
+        expect(validateCollectionFields(fields(overrides)).errors.schedule).toBe(message);
+    });
+
+    it('reports errors in the requested locale', () => {
+        expect(validateCollectionFields(fields({ title: '' }), { locale: 'pt' }).errors.title).not.toBe('Please enter a title.');
+    });
+});
+
+describe('getCollectionStatus', () => {
+    const now = new Date('2024-10-15T12:00:00Z').getTime();
+
+    it.each([
+        ['draft', {}],
+        ['scheduled', { publishAt: new Date('2024-10-16T00:00:00Z') }],
+        ['live', { publishAt: new Date('2024-10-01T00:00:00Z') }],
+        ['live', { publishAt: new Date('2024-10-01T00:00:00Z'), unpublishAt: new Date('2024-10-16T00:00:00Z') }],
+        ['ended', { publishAt: new Date('2024-10-01T00:00:00Z'), unpublishAt: new Date('2024-10-15T12:00:00Z') }]
+    ])('is %s for %p', (status, collection) => {
+        expect(getCollectionStatus(collection, now)).toBe(status);
+    });
+});
@@ -0,0 +1,70 @@
+import { normalizeTitle, matchDuplicates } from '../../duplicates';
+
+describe('normalizeTitle', () => {
+    it.each([
+        ['The Thing (1982)!', 'thing'],
+        ['Thing, The', 'thing'],
+        ['A Quiet Place', 'quiet place'],
+        ['An American Werewolf in London', 'american werewolf in london'],
+        ['Halloween [2018]', 'halloween'],
+        ['Halloween 2018', 'halloween'],
+        ['Amélie', 'amelie'],
+        ['Fast & Furious', 'fast and furious'],
+        ['  Don\'t   Look Now ', 'don t look now'],
+        ['Tucker & Dale vs. Evil', 'tucker and dale vs evil']
+    ])('normalizes %p to %p', (title, expected) => {
+        expect(normalizeTitle(title)).toBe(expected);
+    });
+
+    it('keeps years that are the title and articles inside it', () => {
+        expect(normalizeTitle('1408')).toBe('1408');
+        expect(normalizeTitle('2001: A Space Odyssey')).toBe('2001 a space odyssey');
+        expect(normalizeTitle('Theatre of Blood')).toBe('theatre of blood');
+    });
+
+    it('treats a missing title as empty', () => {
+        expect(normalizeTitle(null)).toBe('');
+        expect(normalizeTitle(undefined)).toBe('');
+    });
+});
+
+describe('matchDuplicates', () => {
+    const candidate = (id, name, year) => ({ id, type: 'movie', name, year });
+    const ids = (matches) => matches.map(match => match.id);
+
+    it('matches titles that only differ after normalization', () => {
+        const [match] = matchDuplicates('Thing, The', 1982, [candidate('thing', 'The Thing (1982)', 1982)]);
+        expect(match).toMatchObject({ id: 'thing', similarity: 1 });
+    });
+
+    it('allows release years a year apart but not further', () => {
+        const candidates = [candidate('same', 'Scream', 1996), candidate('close', 'Scream', 1997), candidate('remake', 'Scream', 2022)];
+        expect(ids(matchDuplicates('Scream', 1996, candidates))).toEqual(['same', 'close']);
+    });
+
+    it('ignores the year when either side has none', () => {
+        expect(ids(matchDuplicates('Scream', '', [candidate('a', 'Scream', 2022)]))).toEqual(['a']);
+        expect(ids(matchDuplicates('Scream', 1996, [candidate('a', 'Scream', null)]))).toEqual(['a']);
+    });
+
+    it('keeps typos within the similarity threshold, most similar first', () => {
+        // One edit in six characters is within the threshold; one in five sits exactly on it
+        const candidates = [candidate('ghost', 'Ghost', null), candidate('screem', 'Screem', null), candidate('scream', 'Scream', null)];
+        expect(matchDuplicates('Scream', null, candidates).map(match => [match.id, match.similarity])).toEqual([
+            ['scream', 1],
+            ['screem', expect.closeTo(5 / 6, 10)]
+        ]);
+        expect(ids(matchDuplicates('Ghast', null, candidates))).toEqual(['ghost']);
+    });
+
+    it('drops titles further apart than the threshold', () => {
+        // Two edits in six characters
+        expect(matchDuplicates('Scream', null, [candidate('a', 'Scare', null), candidate('b', 'Scrapm', null)])).toEqual([]);
+        expect(matchDuplicates('', null, [candidate('a', 'Scream', null)])).toEqual([]);
+    });
+
+    it('returns at most five suggestions', () => {
+        const candidates = Array.from({ length: 8 }, (_, index) => candidate(`m${index}`, 'Scream', 1996));
+        expect(matchDuplicates('Scream', 1996, candidates)).toHaveLength(5);
+    });
+});
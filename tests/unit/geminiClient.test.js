@@ -0,0 +1,46 @@
+import { callGeminiProxy } from '../../geminiClient';
+
+const auth = { currentUser: { getIdToken: () => Promise.resolve('id-token') } };
+
+const jsonResponse = (status, body) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    json: () => Promise.resolve(body)
+});
+
+describe('callGeminiProxy', () => {
+    afterEach(() => {
+        delete global.fetch;
+        jest.useRealTimers();
+    });
+
+    it('sends the app ID and ID token with the request', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { text: 'A summary.' }));
+
+        await expect(callGeminiProxy(auth, { task: 'summary', text: 'x' })).resolves.toEqual({ text: 'A summary.' });
+        expect(global.fetch).toHaveBeenCalledWith('/api/gemini', expect.objectContaining({
+            headers: expect.objectContaining({ Authorization: 'Bearer id-token' }),
+            body: JSON.stringify({ appId: 'test-app', task: 'summary', text: 'x' })
+        }));
+    });
+
+    it('gives up straight away when the user is rate limited', async () => {
+        global.fetch = jest.fn().mockResolvedValue(jsonResponse(429, { error: 'Too many requests. Please try again later.', code: 'rate-limited' }));
+
+        await expect(callGeminiProxy(auth, { task: 'summary', text: 'x' })).rejects.toThrow('Too many requests. Please try again later.');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries while Gemini is busy', async () => {
+        jest.useFakeTimers();
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce(jsonResponse(429, { error: 'Gemini is busy. Please try again later.', code: 'gemini-busy' }))
+            .mockResolvedValueOnce(jsonResponse(200, { text: 'A summary.' }));
+
+        const result = callGeminiProxy(auth, { task: 'summary', text: 'x' });
+        await jest.advanceTimersByTimeAsync(2000);
+
+        await expect(result).resolves.toEqual({ text: 'A summary.' });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
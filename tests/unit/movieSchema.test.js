@@ -0,0 +1,146 @@
+import { sanitizeText, validateSubmissionDraft, validateMovieFields, isAllowedImageUrl, hasErrors, formatSubmissionReason, SUBMISSION_REASON_CODES, MOVIE_LIMITS } from '../../movieSchema';
+import { createTranslator } from '../../i18n';
+
+describe('sanitizeText', () => {
+    it('trims and normalizes line endings', () => {
+        expect(sanitizeText('  A cabin.\r\nIn the woods.\rAlone.  ')).toBe('A cabin.\nIn the woods.\nAlone.');
+    });
+
+    it('drops control characters but keeps tabs, newlines and other text', () => {
+        expect(sanitizeText('Sus\u0000pi\u0007ria\u001B\u007F\tÉté 🎃\n')).toBe('Suspiria\tÉté 🎃');
+    });
+
+    it('treats null and undefined as empty', () => {
+        expect(sanitizeText(null)).toBe('');
+        expect(sanitizeText(undefined)).toBe('');
+    });
+});
+
+describe('validateSubmissionDraft', () => {
+    // What the Gemini proxy returns for a draft
+    const draft = (fields) => ({
+        description: 'A family is torn apart by witchcraft in 1630s New England.',
+        genres: ['folk-horror', 'supernatural'],
+        contentWarnings: ['animal-harm'],
+        ...fields
+    });
+
+    it('passes a well-formed draft through', () => {
+        expect(validateSubmissionDraft(draft({}))).toEqual(draft({}));
+    });
+
+    it('sanitizes the description', () => {
+        expect(validateSubmissionDraft(draft({ description: '  A cabin.\r\nIn the woods.\u0007 ' })).description).toBe('A cabin.\nIn the woods.');
+    });
+
+    it('drops unknown genre and content warning IDs', () => {
+        expect(validateSubmissionDraft(draft({ genres: ['romcom', 'gothic', 'gothic'], contentWarnings: ['spiders', 'gore'] }))).toMatchObject({
+            genres: ['gothic'],
+            contentWarnings: ['gore']
+        });
+    });
+
+    it('treats missing tag lists as empty', () => {
+        expect(validateSubmissionDraft({ description: 'A cabin.' })).toEqual({ description: 'A cabin.', genres: [], contentWarnings: [] });
+    });
+
+    it.each([
+        ['an empty description', draft({ description: ' \n ' })],
+        ['an oversize description', draft({ description: 'x'.repeat(2001) })],
+        ['no description', draft({ description: undefined })],
+        ['no draft at all', null]
+    ])('rejects %s', (_, value) => {
+        expect(() => validateSubmissionDraft(value)).toThrow('The suggested description is empty or too long.');
+    });
+});
+
+describe('validateMovieFields', () => {
+    const fields = (overrides) => ({
+        name: 'The Witch',
+        description: 'A family is torn apart by witchcraft in 1630s New England.',
+        rating: 4,
+        genre: 'folk-horror',
+        year: 2015,
+        contentWarnings: ['animal-harm'],
+        ...overrides
+    });
+    const maxYear = new Date().getFullYear() + MOVIE_LIMITS.maxYearsAhead;
+
+    it('accepts a well-formed movie', () => {
+        const { values, errors } = validateMovieFields(fields({}));
+        expect(hasErrors(errors)).toBe(false);
+        expect(values).toEqual(fields({}));
+    });
+
+    it('coerces whole-number ratings and years from text', () => {
+        expect(validateMovieFields(fields({ rating: ' 5 ', year: '1978' })).values).toMatchObject({ rating: 5, year: 1978 });
+    });
+
+    it.each([0, 6, 3.5, '4.5', 'four', ''])('rejects the rating %p', (rating) => {
+        expect(validateMovieFields(fields({ rating })).errors.rating).toBe('Ratings must be a whole number from 1 to 5.');
+    });
+
+    it('accepts years at both bounds and treats a blank year as unknown', () => {
+        expect(validateMovieFields(fields({ year: MOVIE_LIMITS.minYear })).errors).toEqual({});
+        expect(validateMovieFields(fields({ year: maxYear })).errors).toEqual({});
+        expect(validateMovieFields(fields({ year: '' })).values.year).toBeNull();
+    });
+
+    it.each([MOVIE_LIMITS.minYear - 1, maxYear + 1, '1999.5', 'soon'])('rejects the year %p', (year) => {
+        expect(validateMovieFields(fields({ year })).errors.year).toBe(`Release years must be between ${MOVIE_LIMITS.minYear} and ${maxYear}.`);
+    });
+
+    it('rejects unknown subgenres and content warnings, keeping the known warnings in list order', () => {
+        const { values, errors } = validateMovieFields(fields({ genre: 'romcom', contentWarnings: 'spiders; gore, animal-harm' }));
+        expect(errors).toMatchObject({
+            genre: 'Please choose a subgenre from the list.',
+            contentWarnings: 'Please choose content warnings from the list.'
+        });
+        expect(values.contentWarnings).toEqual(['gore', 'animal-harm']);
+    });
+
+    it('only checks the image fields it is given', () => {
+        expect(validateMovieFields(fields({})).values).not.toHaveProperty('imageUrl');
+        expect(validateMovieFields(fields({ imageUrl: '' })).values.imageUrl).toBeNull();
+        expect(validateMovieFields(fields({ posterUrl: 'javascript:alert(1)' })).errors.posterUrl).toBe('Image links must use https.');
+    });
+
+    it('reports errors in the requested locale', () => {
+        expect(validateMovieFields(fields({ name: '' }), { locale: 'es' }).errors.name).not.toBe('Please enter the movie title.');
+    });
+});
+
+describe('isAllowedImageUrl', () => {
+    it.each([
+        'https://example.com/witch.jpg',
+        'http://localhost:9199/poster.jpg',
+        'http://127.0.0.1/poster.jpg'
+    ])('allows %s', (url) => {
+        expect(isAllowedImageUrl(url)).toBe(true);
+    });
+
+    it.each([
+        'javascript:alert(1)',
+        'data:image/svg+xml;base64,PHN2Zz4=',
+        'http://example.com/witch.jpg',
+        'ftp://example.com/witch.jpg',
+        '//example.com/witch.jpg',
+        'not a url',
+        ''
+    ])('rejects %s', (url) => {
+        expect(isAllowedImageUrl(url)).toBe(false);
+    });
+});
+
+describe('formatSubmissionReason', () => {
+    it('shows coded reasons in the reader\'s language', () => {
+        const reason = { reasonCode: SUBMISSION_REASON_CODES.alreadyListed, reasonParams: { name: 'The Witch' } };
+        expect(formatSubmissionReason(createTranslator('en'), reason)).toBe('This movie is already listed as "The Witch".');
+        expect(formatSubmissionReason(createTranslator('es'), reason)).toBe('Esta película ya está en la lista como "The Witch".');
+    });
+
+    it('shows reasons typed by moderators as written', () => {
+        expect(formatSubmissionReason(createTranslator('es'), { reason: 'Add the release year.', reasonCode: null })).toBe('Add the release year.');
+        expect(formatSubmissionReason(createTranslator('en'), {})).toBeNull();
+    });
+});
@@ -0,0 +1,56 @@
+import { getRecommendationSeeds, rankSimilarMovieIds, LIKED_RATING, MAX_RECOMMENDATION_SEEDS } from '../../recommendations';
+
+// Seed movies as loaded from Firestore, carrying the lists the similar-movie job stored on them
+const MOVIES = [
+    { id: 'witch', similarMovies: [{ id: 'wicker', score: 0.6 }, { id: 'midsommar', score: 0.5 }, { id: 'thing', score: 0.1 }] },
+    { id: 'alien', similarMovies: [{ id: 'thing', score: 0.8 }, { id: 'midsommar', score: 0.1 }] },
+    { id: 'wicker', similarMovies: [{ id: 'witch', score: 0.6 }, { id: 'midsommar', score: 0.4 }] }
+];
+
+describe('getRecommendationSeeds', () => {
+    it('weights liked movies by rating and library movies once, skipping low ratings', () => {
+        const seeds = getRecommendationSeeds(
+            [{ movieId: 'witch', rating: 5 }, { movieId: 'alien', rating: LIKED_RATING }, { movieId: 'thing', rating: 2 }],
+            ['wicker', 'thing']
+        );
+        expect(seeds).toEqual([
+            { movieId: 'witch', weight: 2 },
+            { movieId: 'alien', weight: 1 },
+            { movieId: 'wicker', weight: 1 }
+        ]);
+    });
+
+    it('keeps the number of seed movies bounded', () => {
+        const libraryMovieIds = Array.from({ length: MAX_RECOMMENDATION_SEEDS + 5 }, (_, index) => `m${index}`);
+        expect(getRecommendationSeeds([], libraryMovieIds)).toHaveLength(MAX_RECOMMENDATION_SEEDS);
+    });
+
+    it('is empty for users with no history', () => {
+        expect(getRecommendationSeeds([], [])).toEqual([]);
+    });
+});
+
+describe('rankSimilarMovieIds', () => {
+    it('blends the seeds\' lists by their weights', () => {
+        const witchFan = [{ movieId: 'witch', weight: 2 }, { movieId: 'alien', weight: 1 }];
+        expect(rankSimilarMovieIds(witchFan, MOVIES)).toEqual(['wicker', 'midsommar', 'thing']);
+
+        const alienFan = [{ movieId: 'witch', weight: 1 }, { movieId: 'alien', weight: 2 }];
+        expect(rankSimilarMovieIds(alienFan, MOVIES)[0]).toBe('thing');
+    });
+
+    it('never recommends the seeds themselves or excluded movies', () => {
+        const seeds = [{ movieId: 'witch', weight: 1 }, { movieId: 'wicker', weight: 1 }];
+        const ranked = rankSimilarMovieIds(seeds, MOVIES, { excludeIds: ['thing'] });
+        expect(ranked).toEqual(['midsommar']);
+    });
+
+    it('respects the limit', () => {
+        expect(rankSimilarMovieIds([{ movieId: 'witch', weight: 1 }], MOVIES, { limit: 1 })).toEqual(['wicker']);
+    });
+
+    it('is empty when there is nothing to go on, so the row falls back to top-rated movies', () => {
+        expect(rankSimilarMovieIds([], [])).toEqual([]);
+        expect(rankSimilarMovieIds([{ movieId: 'new', weight: 1 }], [{ id: 'new' }])).toEqual([]);
+    });
+});
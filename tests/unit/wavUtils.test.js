@@ -0,0 +1,48 @@
+import { base64ToArrayBuffer, pcmToWav } from '../../wavUtils';
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new DataView(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+});
+
+const readString = (view, offset, length) => String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+describe('base64ToArrayBuffer', () => {
+    it('decodes to the raw bytes', () => {
+        expect([...new Uint8Array(base64ToArrayBuffer('AAH/fw=='))]).toEqual([0x00, 0x01, 0xFF, 0x7F]);
+    });
+});
+
+describe('pcmToWav', () => {
+    it('writes a 44-byte mono 16-bit PCM header followed by the samples', async () => {
+        const samples = new Int16Array([0, 1, -1, 32767, -32768]);
+        const blob = pcmToWav(samples, 24000);
+        expect(blob.type).toBe('audio/wav');
+        expect(blob.size).toBe(44 + samples.byteLength);
+
+        const view = await readBlob(blob);
+        expect(readString(view, 0, 4)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(36 + samples.byteLength);
+        expect(readString(view, 8, 4)).toBe('WAVE');
+        expect(readString(view, 12, 4)).toBe('fmt ');
+        expect(view.getUint32(16, true)).toBe(16);
+        expect(view.getUint16(20, true)).toBe(1); // PCM
+        expect(view.getUint16(22, true)).toBe(1); // Mono
+        expect(view.getUint32(24, true)).toBe(24000);
+        expect(view.getUint32(28, true)).toBe(48000); // Bytes per second
+        expect(view.getUint16(32, true)).toBe(2);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(readString(view, 36, 4)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(samples.byteLength);
+        expect(Array.from(samples, (_, i) => view.getInt16(44 + i * 2, true))).toEqual([0, 1, -1, 32767, -32768]);
+    });
+
+    it('decodes the base64 audio Gemini returns into the same samples', async () => {
+        const samples = new Int16Array(base64ToArrayBuffer('AAH/fw=='));
+        const view = await readBlob(pcmToWav(samples, 16000));
+        expect(view.getUint32(40, true)).toBe(4);
+        expect([view.getInt16(44, true), view.getInt16(46, true)]).toEqual([256, 32767]);
+    });
+});